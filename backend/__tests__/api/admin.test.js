@@ -0,0 +1,197 @@
+/**
+ * Integration tests for admin API and route authorization
+ */
+
+const request = require('supertest');
+const db = require('../../src/db');
+const authService = require('../../src/services/auth.service');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+jest.mock('../../src/utils/websocket');
+
+// Import app AFTER mocks
+const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const adminAuth = bearer('admin');
+const riderId = '11111111-1111-4111-8111-111111111111';
+const driverId = '22222222-2222-4222-8222-222222222222';
+
+describe('Admin API', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('access', () => {
+    it('should require a token', async () => {
+      const response = await request(app).get('/v1/admin/rides');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    it('should forbid riders and drivers', async () => {
+      const asRider = await request(app)
+        .get('/v1/admin/rides')
+        .set('Authorization', bearer('rider', riderId));
+      const asDriver = await request(app)
+        .get('/v1/admin/drivers')
+        .set('Authorization', bearer('driver', driverId));
+
+      expect(asRider.status).toBe(403);
+      expect(asDriver.status).toBe(403);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a tampered token', async () => {
+      const [header, , signature] = bearer('rider', riderId).split('.');
+      const payload = Buffer.from(JSON.stringify({ role: 'admin', sub: riderId })).toString('base64url');
+
+      const response = await request(app)
+        .get('/v1/admin/rides')
+        .set('Authorization', `${header}.${payload}.${signature}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+
+  describe('GET /v1/admin/rides', () => {
+    it('should list rides', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'ride-1' }], rowCount: 1 });
+
+      const response = await request(app)
+        .get('/v1/admin/rides')
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 'ride-1' }]);
+    });
+  });
+
+  describe('POST /v1/admin/tokens', () => {
+    it('should issue a token for an existing driver', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: driverId, status: 'OFFLINE' }], rowCount: 1 });
+
+      const response = await request(app)
+        .post('/v1/admin/tokens')
+        .set('Authorization', adminAuth)
+        .send({ role: 'driver', id: driverId });
+
+      expect(response.status).toBe(201);
+      expect(authService.verifyToken(response.body.token)).toEqual({ id: driverId, role: 'driver' });
+      expect(response.body.refresh_token).toEqual(expect.any(String));
+    });
+
+    it('should not issue a token for an unknown rider', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const response = await request(app)
+        .post('/v1/admin/tokens')
+        .set('Authorization', adminAuth)
+        .send({ role: 'rider', id: riderId });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Rider not found');
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await request(app)
+        .post('/v1/admin/tokens')
+        .set('Authorization', adminAuth)
+        .send({ role: 'superuser', id: riderId });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('role must be rider, driver, or admin');
+    });
+  });
+
+  describe('POST /v1/admin/riders/:id/wallet/promo-credits', () => {
+    it('should credit the promotion to the wallet', async () => {
+      const client = await db.getClient();
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM riders')) return { rows: [{ id: riderId }], rowCount: 1 };
+        if (sql.includes('WHERE rider_id = $1 FOR UPDATE')) return { rows: [{ id: 'acct-1', balance: '0.00' }], rowCount: 1 };
+        if (sql.includes('SELECT * FROM wallet_transactions')) return { rows: [], rowCount: 0 };
+        if (sql.includes('INSERT INTO wallet_transactions')) return { rows: [{ id: 'wtx-1', type: params[1], amount: params[2] }], rowCount: 1 };
+        if (sql.includes('SELECT id FROM wallet_accounts')) return { rows: [{ id: 'acct-promo' }], rowCount: 1 };
+        if (sql.includes('UPDATE wallet_accounts')) return { rows: [{ balance: params[0] }], rowCount: 1 };
+        return { rows: [], rowCount: 1 };
+      });
+
+      const response = await request(app)
+        .post(`/v1/admin/riders/${riderId}/wallet/promo-credits`)
+        .set('Authorization', adminAuth)
+        .send({ amount: 5, description: 'WELCOME5' });
+
+      client.query.mockReset().mockResolvedValue({ rows: [], rowCount: 0 });
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual({ transaction: { id: 'wtx-1', type: 'PROMO_CREDIT', amount: 5 }, balance: '5.00' });
+    });
+
+    it('should reject a missing amount', async () => {
+      const response = await request(app)
+        .post(`/v1/admin/riders/${riderId}/wallet/promo-credits`)
+        .set('Authorization', adminAuth)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('route ownership', () => {
+    it('should forbid a driver updating another driver', async () => {
+      const response = await request(app)
+        .patch(`/v1/drivers/${driverId}/status`)
+        .set('Authorization', bearer('driver', riderId))
+        .send({ status: 'OFFLINE' });
+
+      expect(response.status).toBe(403);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should forbid a driver ending a trip assigned to someone else', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ rider_id: riderId, driver_id: 'another-driver' }],
+        rowCount: 1
+      });
+
+      const response = await request(app)
+        .post(`/v1/trips/${riderId}/end`)
+        .set('Authorization', bearer('driver', driverId))
+        .send({});
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should forbid a rider reading another rider\'s receipt', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ rider_id: 'another-rider', driver_id: driverId }],
+        rowCount: 1
+      });
+
+      const response = await request(app)
+        .get(`/v1/trips/${driverId}/receipt`)
+        .set('Authorization', bearer('rider', riderId));
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should forbid a rider booking for someone else', async () => {
+      const response = await request(app)
+        .post('/v1/rides')
+        .set('Authorization', bearer('rider', riderId))
+        .send({
+          rider_id: 'another-rider',
+          pickup_latitude: 37.7749,
+          pickup_longitude: -122.4194,
+          drop_latitude: 37.8049,
+          drop_longitude: -122.4294
+        });
+
+      expect(response.status).toBe(403);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Integration tests for auth API
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('../../src/db');
+const authService = require('../../src/services/auth.service');
+const authConfig = require('../../src/config/auth');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+// Import app AFTER mocks
+const app = require('../../src/app');
+
+const driverId = '550e8400-e29b-41d4-a716-446655440001';
+
+describe('Auth API', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /v1/auth/refresh', () => {
+    it('should trade a refresh token for a new token pair', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: driverId }], rowCount: 1 });
+      const refreshToken = authService.issueRefreshToken({ id: driverId, role: 'driver' });
+
+      const response = await request(app)
+        .post('/v1/auth/refresh')
+        .send({ refresh_token: refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ role: 'driver', id: driverId });
+      expect(authService.verifyToken(response.body.token)).toEqual({ id: driverId, role: 'driver' });
+      expect(response.body.refresh_token).toEqual(expect.any(String));
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM drivers'), [driverId]);
+    });
+
+    it('should not refresh a deleted account', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      const refreshToken = authService.issueRefreshToken({ id: driverId, role: 'driver' });
+
+      const response = await request(app)
+        .post('/v1/auth/refresh')
+        .send({ refresh_token: refreshToken });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Account no longer exists');
+    });
+
+    it('should not accept an access token', async () => {
+      const response = await request(app)
+        .post('/v1/auth/refresh')
+        .send({ refresh_token: authService.issueToken({ id: driverId, role: 'driver' }) });
+
+      expect(response.status).toBe(401);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should not accept an expired refresh token', async () => {
+      const expired = jwt.sign({ role: 'rider', typ: 'refresh' }, authConfig.privateKey, {
+        algorithm: authConfig.ALGORITHM,
+        issuer: authConfig.ISSUER,
+        subject: driverId,
+        expiresIn: -10
+      });
+
+      const response = await request(app)
+        .post('/v1/auth/refresh')
+        .send({ refresh_token: expired });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Token expired');
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app).post('/v1/auth/refresh').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('refresh_token is required');
+    });
+
+    it('should refuse a refresh token as a Bearer token', async () => {
+      const refreshToken = authService.issueRefreshToken({ id: driverId, role: 'driver' });
+
+      const response = await request(app)
+        .get(`/v1/drivers/${driverId}`)
+        .set('Authorization', `Bearer ${refreshToken}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid token');
+    });
+  });
+});
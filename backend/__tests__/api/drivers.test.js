@@ -5,13 +5,22 @@
 const request = require('supertest');
 const db = require('../../src/db');
 const redis = require('../../src/utils/redis');
+const wsManager = require('../../src/utils/websocket');
 
 jest.mock('../../src/db');
 jest.mock('../../src/utils/redis', () => ({
+  get: jest.fn().mockResolvedValue(JSON.stringify(['ECONOMY'])), // driver:tiers cache
+  setEx: jest.fn().mockResolvedValue('OK'),
   geoAdd: jest.fn(),
-  expire: jest.fn(),
+  geoPos: jest.fn().mockResolvedValue([null]),
+  zAdd: jest.fn().mockResolvedValue(1),
   invalidateDriverCache: jest.fn().mockResolvedValue(undefined),
   removeDriverFromGeo: jest.fn().mockResolvedValue(undefined),
+  updateDriverTierGeo: jest.fn().mockResolvedValue(undefined),
+  setDriverRide: jest.fn().mockResolvedValue(undefined),
+  getDriverRide: jest.fn().mockResolvedValue(null),
+  RIDE_TIERS: ['ECONOMY', 'PREMIUM', 'LUXURY'],
+  DRIVER_LAST_SEEN_KEY: 'drivers:last_seen',
   CACHE_TTL: {
     DRIVER_LOCATION: 60,
     RIDE_DATA: 300,
@@ -27,27 +36,48 @@ jest.mock('../../src/utils/websocket', () => ({
   broadcastDriverAssigned: jest.fn(),
   broadcastTripAccepted: jest.fn(),
   broadcastLocationUpdate: jest.fn(),
-  broadcastDriverStatusChanged: jest.fn()
+  broadcastDriverStatusChanged: jest.fn(),
+  broadcastRideOfferClosed: jest.fn()
 }));
 
 // Import app AFTER mocks
 const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const driverAuth = bearer('driver', '550e8400-e29b-41d4-a716-446655440000');
 
 describe('Drivers API', () => {
   describe('POST /v1/drivers/:id/accept', () => {
     it('should accept ride assignment', async () => {
       const mockClient = {
         query: jest.fn()
-          // initializeTrip() calls
-          .mockResolvedValueOnce() // initializeTrip: BEGIN
-          .mockResolvedValueOnce({ // initializeTrip: UPDATE driver
+          // assignDriver() calls
+          .mockResolvedValueOnce() // BEGIN
+          .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+            rows: [{
+              id: '650e8400-e29b-41d4-a716-446655440000',
+              rider_id: 'rider-1',
+              status: 'MATCHING',
+              driver_status: 'AVAILABLE'
+            }],
+            rowCount: 1
+          })
+          .mockResolvedValueOnce({ rows: [{ status: 'ACCEPTED' }], rowCount: 1 }) // UPDATE offer
+          .mockResolvedValueOnce({ // UPDATE ride
+            rows: [{
+              id: '650e8400-e29b-41d4-a716-446655440000',
+              status: 'DRIVER_ASSIGNED'
+            }],
+            rowCount: 1
+          })
+          .mockResolvedValueOnce({ // UPDATE driver
             rows: [{
               id: '550e8400-e29b-41d4-a716-446655440000',
               status: 'ON_TRIP'
             }],
             rowCount: 1
           })
-          .mockResolvedValueOnce({ // initializeTrip: INSERT trip
+          .mockResolvedValueOnce({ // INSERT trip
             rows: [{
               id: '750e8400-e29b-41d4-a716-446655440001',
               ride_id: '650e8400-e29b-41d4-a716-446655440000',
@@ -56,7 +86,7 @@ describe('Drivers API', () => {
             }],
             rowCount: 1
           })
-          .mockResolvedValueOnce(), // initializeTrip: COMMIT
+          .mockResolvedValueOnce(), // COMMIT
         release: jest.fn()
       };
 
@@ -64,19 +94,46 @@ describe('Drivers API', () => {
 
       const response = await request(app)
         .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/accept')
+        .set('Authorization', driverAuth)
         .send({
           ride_id: '650e8400-e29b-41d4-a716-446655440000'
         });
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
+      expect(response.body.ride.status).toBe('DRIVER_ASSIGNED');
       expect(response.body.trip.status).toBe('CREATED');
       expect(response.body.driver.status).toBe('ON_TRIP');
     });
 
+    it('should reject a driver without a pending offer', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce() // BEGIN
+          .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+            rows: [{ status: 'MATCHING', rider_id: 'rider-1', driver_status: 'AVAILABLE' }],
+            rowCount: 1
+          })
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE offer
+          .mockResolvedValueOnce(), // ROLLBACK
+        release: jest.fn()
+      };
+
+      db.getClient.mockResolvedValue(mockClient);
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/accept')
+        .set('Authorization', driverAuth)
+        .send({ ride_id: '650e8400-e29b-41d4-a716-446655440000' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('No pending offer for this driver');
+    });
+
     it('should reject missing ride_id', async () => {
       const response = await request(app)
         .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/accept')
+        .set('Authorization', driverAuth)
         .send({});
 
       expect(response.status).toBe(400);
@@ -84,14 +141,104 @@ describe('Drivers API', () => {
     });
   });
 
+  describe('POST /v1/drivers/:id/decline', () => {
+    it('should decline the pending offer', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'offer-1', ride_id: '650e8400-e29b-41d4-a716-446655440000', status: 'DECLINED' }],
+        rowCount: 1
+      });
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/decline')
+        .set('Authorization', driverAuth)
+        .send({ ride_id: '650e8400-e29b-41d4-a716-446655440000' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('DECLINED');
+    });
+
+    it('should return 409 when there is no pending offer', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/decline')
+        .set('Authorization', driverAuth)
+        .send({ ride_id: '650e8400-e29b-41d4-a716-446655440000' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /v1/drivers/:id/vehicle', () => {
+    const driverId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should register a vehicle with lower-tier opt-ins', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: driverId }], rowCount: 1 }) // SELECT driver
+        .mockResolvedValueOnce({ // UPSERT vehicle
+          rows: [{
+            driver_id: driverId,
+            plate: '7ABC123',
+            tier: 'LUXURY',
+            eligible_tiers: ['PREMIUM', 'LUXURY']
+          }],
+          rowCount: 1
+        });
+
+      const response = await request(app)
+        .put(`/v1/drivers/${driverId}/vehicle`)
+        .set('Authorization', driverAuth)
+        .send({
+          make: 'Mercedes',
+          model: 'S-Class',
+          plate: '7ABC123',
+          tier: 'LUXURY',
+          opt_in_tiers: ['PREMIUM']
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.eligible_tiers).toEqual(['PREMIUM', 'LUXURY']);
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO vehicles'),
+        [driverId, 'Mercedes', 'S-Class', '7ABC123', 4, 'LUXURY', ['PREMIUM', 'LUXURY']]
+      );
+    });
+
+    it('should reject opting in to a higher tier', async () => {
+      const response = await request(app)
+        .put(`/v1/drivers/${driverId}/vehicle`)
+        .set('Authorization', driverAuth)
+        .send({
+          make: 'Toyota',
+          model: 'Prius',
+          plate: '8XYZ789',
+          tier: 'ECONOMY',
+          opt_in_tiers: ['LUXURY']
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('cannot serve LUXURY rides');
+    });
+
+    it('should reject missing vehicle details', async () => {
+      const response = await request(app)
+        .put(`/v1/drivers/${driverId}/vehicle`)
+        .set('Authorization', driverAuth)
+        .send({ tier: 'ECONOMY' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('plate is required');
+    });
+  });
+
   describe('POST /v1/drivers/:id/location', () => {
     it('should update driver location successfully', async () => {
       db.query.mockResolvedValue({ rowCount: 1 });
       redis.geoAdd.mockResolvedValue(1);
-      redis.expire.mockResolvedValue(1);
 
       const response = await request(app)
         .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
         .send({
           latitude: 37.7749,
           longitude: -122.4194
@@ -105,9 +252,75 @@ describe('Drivers API', () => {
       });
     });
 
+    it('should record the ping as the driver heartbeat', async () => {
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
+        .send({ latitude: 37.7749, longitude: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(redis.zAdd).toHaveBeenCalledWith('drivers:last_seen', {
+        score: expect.any(Number),
+        value: '550e8400-e29b-41d4-a716-446655440000'
+      });
+    });
+
+    it('should push the ETA to the pickup while the driver is on the way', async () => {
+      redis.getDriverRide.mockResolvedValueOnce({
+        ride_id: '650e8400-e29b-41d4-a716-446655440000',
+        pickup: { latitude: '37.7839', longitude: '-122.4194' }
+      });
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
+        .send({ latitude: 37.7749, longitude: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.eta).toEqual({ eta_sec: 260, eta_minutes: 5, distance_km: 1.3, model: 'haversine' });
+      expect(wsManager.broadcastLocationUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ eta: response.body.eta }),
+        expect.any(Object)
+      );
+    });
+
+    it('should route the ping to the driver\'s assigned ride', async () => {
+      redis.get.mockResolvedValueOnce(JSON.stringify(['ECONOMY'])) // driver:tiers
+        .mockResolvedValueOnce('ON_TRIP'); // driver:status
+      redis.getDriverRide.mockResolvedValueOnce({ ride_id: '650e8400-e29b-41d4-a716-446655440000', pickup: null });
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
+        .send({ latitude: 37.7749, longitude: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(wsManager.broadcastLocationUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ id: '550e8400-e29b-41d4-a716-446655440000' }),
+        { status: 'ON_TRIP', rideId: '650e8400-e29b-41d4-a716-446655440000' }
+      );
+    });
+
+    it('should index the driver under the tiers their vehicle serves', async () => {
+      redis.get.mockResolvedValueOnce(JSON.stringify(['PREMIUM', 'LUXURY']));
+
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
+        .send({ latitude: 37.7749, longitude: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(redis.updateDriverTierGeo).toHaveBeenCalledWith(
+        '550e8400-e29b-41d4-a716-446655440000',
+        { longitude: -122.4194, latitude: 37.7749 },
+        ['PREMIUM', 'LUXURY']
+      );
+    });
+
     it('should reject invalid coordinates', async () => {
       const response = await request(app)
         .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
         .send({
           latitude: 200,
           longitude: -122.4194
@@ -117,6 +330,16 @@ describe('Drivers API', () => {
       expect(response.body.error).toContain('latitude');
     });
 
+    it('should reject coordinates that are not numbers', async () => {
+      const response = await request(app)
+        .post('/v1/drivers/550e8400-e29b-41d4-a716-446655440000/location')
+        .set('Authorization', driverAuth)
+        .send({ latitude: '37.7749', longitude: -122.4194 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('latitude must be a number');
+    });
+
     it('should respect rate limiting', async () => {
       db.query.mockResolvedValue({ rowCount: 1 });
       redis.geoAdd.mockResolvedValue(1);
@@ -129,6 +352,7 @@ describe('Drivers API', () => {
         requests.push(
           request(app)
             .post(`/v1/drivers/${driverId}/location`)
+            .set('Authorization', driverAuth)
             .send({ latitude: 37.7749, longitude: -122.4194 })
         );
       }
@@ -0,0 +1,68 @@
+/**
+ * Integration tests for fares API
+ */
+
+const request = require('supertest');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+// Import app AFTER mocks
+const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const riderAuth = bearer('rider', 'rider-1');
+
+describe('Fares API', () => {
+  describe('POST /v1/fares/estimate', () => {
+    it('should return estimates with quote IDs', async () => {
+      redis.hGet.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/v1/fares/estimate')
+        .set('Authorization', riderAuth)
+        .send({
+          pickup_latitude: 37.7749,
+          pickup_longitude: -122.4194,
+          drop_latitude: 37.8049,
+          drop_longitude: -122.4294,
+          tier: 'PREMIUM'
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.surge_multiplier).toBe(1.0);
+      expect(response.body.estimates).toHaveLength(1);
+      expect(response.body.estimates[0]).toMatchObject({
+        tier: 'PREMIUM',
+        quote_id: expect.any(String),
+        quote_expires_at: expect.any(String)
+      });
+    });
+
+    it('should reject missing coordinates', async () => {
+      const response = await request(app)
+        .post('/v1/fares/estimate')
+        .set('Authorization', riderAuth)
+        .send({ pickup_latitude: 37.7749, pickup_longitude: -122.4194 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('drop_latitude is required');
+    });
+
+    it('should reject an invalid tier', async () => {
+      const response = await request(app)
+        .post('/v1/fares/estimate')
+        .set('Authorization', riderAuth)
+        .send({
+          pickup_latitude: 37.7749,
+          pickup_longitude: -122.4194,
+          drop_latitude: 37.8049,
+          drop_longitude: -122.4294,
+          tier: 'SPACESHIP'
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
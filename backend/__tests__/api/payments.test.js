@@ -15,6 +15,10 @@ jest.mock('../../src/services/notification.service', () => ({
 
 // Import app AFTER mocks
 const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+const { signWebhook } = require('../../src/psp/fake.server');
+
+const adminAuth = bearer('admin');
 
 describe('Payments API', () => {
   let mockClient;
@@ -41,15 +45,17 @@ describe('Payments API', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ // SELECT trip
-          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', total_fare: 25.00 }],
+          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', status: 'ENDED', total_fare: 25.00, payment_method: 'CARD' }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT active payment
         .mockResolvedValueOnce({ rows: [mockPayment] }) // INSERT payment
         .mockResolvedValueOnce() // INSERT outbox
         .mockResolvedValueOnce(); // COMMIT
 
       const response = await request(app)
         .post('/v1/payments')
+        .set('Authorization', adminAuth)
         .set('Idempotency-Key', 'test-key-123')
         .send({
           trip_id: '550e8400-e29b-41d4-a716-446655440000',
@@ -73,6 +79,7 @@ describe('Payments API', () => {
 
       const response = await request(app)
         .post('/v1/payments')
+        .set('Authorization', adminAuth)
         .set('Idempotency-Key', 'duplicate-key')
         .send({
           trip_id: '550e8400-e29b-41d4-a716-446655440000',
@@ -91,9 +98,10 @@ describe('Payments API', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ // SELECT trip
-          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', total_fare: 25.00 }],
+          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', status: 'ENDED', total_fare: 25.00 }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT active payment
         .mockResolvedValueOnce({ // INSERT payment
           rows: [{ id: 'payment-456', trip_id: '550e8400-e29b-41d4-a716-446655440000', amount: 25.00, status: 'PENDING' }]
         })
@@ -102,6 +110,7 @@ describe('Payments API', () => {
 
       const response = await request(app)
         .post('/v1/payments')
+        .set('Authorization', adminAuth)
         .send({
           trip_id: '550e8400-e29b-41d4-a716-446655440000',
           amount: 25.00
@@ -115,12 +124,14 @@ describe('Payments API', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ // SELECT trip returns negative amount
-          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', total_fare: -10 }],
+          rows: [{ id: '550e8400-e29b-41d4-a716-446655440000', status: 'ENDED', total_fare: -10 }],
           rowCount: 1
-        });
+        })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // SELECT active payment
 
       const response = await request(app)
         .post('/v1/payments')
+        .set('Authorization', adminAuth)
         .set('Idempotency-Key', 'test-key-validate')
         .send({
           trip_id: '550e8400-e29b-41d4-a716-446655440000',
@@ -148,6 +159,7 @@ describe('Payments API', () => {
         requests.push(
           request(app)
             .post('/v1/payments')
+            .set('Authorization', adminAuth)
             .set('Idempotency-Key', `key-${i}`)
             .send({
               trip_id: '550e8400-e29b-41d4-a716-446655440000',
@@ -166,46 +178,149 @@ describe('Payments API', () => {
   });
 
   describe('POST /v1/payments/webhooks/psp', () => {
-    it('should process webhook successfully', async () => {
-      db.query
-        .mockResolvedValueOnce({ // UPDATE payment
-          rows: [{ 
-            id: 'payment-123', 
-            status: 'COMPLETED',
-            trip_id: 'trip-123'
-          }],
-          rowCount: 1
-        })
-        .mockResolvedValueOnce({ // SELECT rider from trip
-          rows: [{ rider_id: 'rider-1' }],
-          rowCount: 1
-        });
+    const event = {
+      id: 'evt_123',
+      type: 'payment_intent.succeeded',
+      payment_id: 'payment-123',
+      status: 'succeeded',
+      transaction_id: 'psp-txn-123'
+    };
 
+    it('should process webhook successfully', async () => {
+      mockClient.query.mockImplementation(async sql => (
+        sql.includes('SELECT * FROM payments') || sql.includes('UPDATE payments')
+          ? { rows: [{ id: 'payment-123', status: 'COMPLETED', trip_id: 'trip-123' }], rowCount: 1 }
+          : { rows: [], rowCount: 1 }
+      ));
+      db.query.mockResolvedValueOnce({ // SELECT rider from trip
+        rows: [{ rider_id: 'rider-1' }],
+        rowCount: 1
+      });
+
+      const body = JSON.stringify(event);
       const response = await request(app)
         .post('/v1/payments/webhooks/psp')
-        .set('X-PSP-Signature', 'valid-signature')
-        .send({
-          payment_id: 'payment-123',
-          status: 'succeeded',
-          transaction_id: 'psp-txn-123'
-        });
+        .set('Content-Type', 'application/json')
+        .set('X-PSP-Signature', signWebhook(body, 'whsec_dev'))
+        .send(body);
 
       expect(response.status).toBe(200);
-      expect(response.body.received).toBe(true);
-      expect(response.body.payment_id).toBe('payment-123');
+      expect(response.body).toEqual({ received: true, payment_id: 'payment-123', applied: true });
     });
 
     it('should reject webhook without signature', async () => {
       const response = await request(app)
         .post('/v1/payments/webhooks/psp')
-        .send({
-          payment_id: 'payment-123',
-          status: 'success'
-        });
+        .send(event);
 
       expect(response.status).toBe(401);
       expect(response.body.error).toContain('signature');
     });
+
+    it('should reject webhook signed with another secret', async () => {
+      const response = await request(app)
+        .post('/v1/payments/webhooks/psp')
+        .set('X-PSP-Signature', signWebhook(JSON.stringify(event), 'whsec_other'))
+        .send(event);
+
+      expect(response.status).toBe(401);
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /v1/payments/:id/refunds', () => {
+    const paymentId = '77777777-7777-4777-8777-777777777777';
+
+    // BEGIN, SELECT payment, [SELECT by key], SUM refunds, INSERT refund, INSERT outbox, COMMIT
+    function mockRefundQueries({ status = 'COMPLETED', refunded = '0.00', existing = null } = {}) {
+      mockClient.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM payments')) {
+          return { rows: [{ id: paymentId, amount: '25.50', status }], rowCount: 1 };
+        }
+        if (sql.includes('idempotency_key = $2')) {
+          return existing ? { rows: [existing], rowCount: 1 } : { rows: [], rowCount: 0 };
+        }
+        if (sql.includes('SUM(amount)')) {
+          return { rows: [{ refunded }], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO refunds')) {
+          return { rows: [{ id: 'refund-1', payment_id: params[0], amount: params[1], reason: params[2], status: 'PENDING' }], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 1 };
+      });
+    }
+
+    it('should refund the rest of the payment when no amount is given', async () => {
+      mockRefundQueries({ refunded: '5.50' });
+
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', adminAuth)
+        .send({ reason: 'Driver took a detour' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ id: 'refund-1', amount: 20, status: 'PENDING' });
+      const outbox = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO outbox_events'));
+      expect(outbox[0]).toContain("'REFUND', $1, 'REFUND_CREATED'");
+    });
+
+    it('should refuse to refund more than was captured', async () => {
+      mockRefundQueries({ refunded: '20.00' });
+
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', adminAuth)
+        .send({ amount: 6 });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toContain('5.50');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should refuse to refund a payment that was not captured', async () => {
+      mockRefundQueries({ status: 'FAILED' });
+
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', adminAuth)
+        .send({ amount: 5 });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return the original refund for a repeated idempotency key', async () => {
+      const existing = { id: 'refund-1', payment_id: paymentId, amount: '5.00', status: 'PROCESSING' };
+      mockRefundQueries({ existing });
+
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', adminAuth)
+        .set('Idempotency-Key', 'refund-key-1')
+        .send({ amount: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(existing);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO refunds'))).toBe(false);
+    });
+
+    it('should reject an invalid amount', async () => {
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', adminAuth)
+        .send({ amount: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('amount');
+    });
+
+    it('should forbid riders from refunding', async () => {
+      const response = await request(app)
+        .post(`/v1/payments/${paymentId}/refunds`)
+        .set('Authorization', bearer('rider'))
+        .send({ amount: 5 });
+
+      expect(response.status).toBe(403);
+    });
   });
 
   describe('GET /v1/payments/:id', () => {
@@ -214,7 +329,8 @@ describe('Payments API', () => {
       db.query.mockResolvedValue({ rows: [mockPayment], rowCount: 1 });
 
       const response = await request(app)
-        .get('/v1/payments/550e8400-e29b-41d4-a716-446655440000');
+        .get('/v1/payments/550e8400-e29b-41d4-a716-446655440000')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockPayment);
@@ -224,7 +340,8 @@ describe('Payments API', () => {
       db.query.mockResolvedValue({ rows: [], rowCount: 0 });
 
       const response = await request(app)
-        .get('/v1/payments/550e8400-e29b-41d4-a716-446655440000');
+        .get('/v1/payments/550e8400-e29b-41d4-a716-446655440000')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(404);
     });
@@ -0,0 +1,245 @@
+/**
+ * Integration tests for payments against the fake PSP
+ * processPayment talks to a local fake PSP over HTTP, and the PSP's webhooks
+ * come back through the API's webhook endpoint
+ */
+
+const db = require('../../src/db');
+const { createFakePsp, signWebhook, WEBHOOK_PATH } = require('../../src/psp/fake.server');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+jest.mock('../../src/utils/websocket');
+jest.mock('../../src/services/notification.service', () => ({
+  notifyPaymentCompleted: jest.fn().mockResolvedValue(true),
+  notifyPaymentFailed: jest.fn().mockResolvedValue(true)
+}));
+
+const PAYMENT = {
+  id: '77777777-7777-4777-8777-777777777777',
+  trip_id: '44444444-4444-4444-8444-444444444444',
+  amount: '25.50',
+  status: 'PENDING',
+  retry_count: 0
+};
+
+// Poll until the condition holds (webhooks arrive asynchronously)
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+describe('Payments with the fake PSP', () => {
+  const fake = createFakePsp({ webhookSecret: 'whsec_test' });
+  let server;
+  let paymentService;
+  let refundService;
+  let mockClient;
+  let refund;
+
+  beforeAll(async () => {
+    process.env.PSP_BASE_URL = await fake.listen();
+    process.env.PSP_TIMEOUT_MS = '200';
+    process.env.PSP_WEBHOOK_SECRETS = 'whsec_test';
+
+    // Load the app once the PSP's address is known
+    paymentService = require('../../src/services/payment.service');
+    refundService = require('../../src/services/refund.service');
+    const app = require('../../src/app');
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    fake.setWebhookUrl(`http://localhost:${server.address().port}${WEBHOOK_PATH}`);
+  });
+
+  afterAll(async () => {
+    delete process.env.PSP_BASE_URL;
+    delete process.env.PSP_TIMEOUT_MS;
+    delete process.env.PSP_WEBHOOK_SECRETS;
+    await fake.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    const seenEvents = new Set();
+    mockClient = {
+      query: jest.fn().mockImplementation(async (sql, params) => {
+        if (sql.includes('SELECT * FROM payments')) {
+          return { rows: [PAYMENT], rowCount: 1 };
+        }
+        if (sql.includes('INSERT INTO psp_webhook_events')) {
+          const isNew = !seenEvents.has(params[0]);
+          seenEvents.add(params[0]);
+          return { rows: [], rowCount: isNew ? 1 : 0 };
+        }
+        if (sql.includes('UPDATE payments') && sql.includes('RETURNING')) {
+          return { rows: [{ ...PAYMENT, status: params[0] }], rowCount: 1 };
+        }
+        if (sql.includes('SUM(amount)')) {
+          return { rows: [{ refunded: refund.amount }], rowCount: 1 };
+        }
+        if (sql.includes('FROM refunds') || sql.includes('UPDATE refunds')) {
+          refund = sql.includes('RETURNING') ? { ...refund, status: params[0] } : refund;
+          return { rows: [refund], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      }),
+      release: jest.fn()
+    };
+    db.getClient = jest.fn().mockResolvedValue(mockClient);
+
+    // Webhook side effects: SELECT ride, UPDATE outbox
+    db.query = jest.fn().mockResolvedValue({ rows: [{ ride_id: 'ride-1', rider_id: 'rider-1' }], rowCount: 1 });
+  });
+
+  afterEach(() => {
+    fake.reset();
+    jest.clearAllMocks();
+  });
+
+  function paymentUpdate() {
+    return mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE payments'));
+  }
+
+  function webhookUpdate() {
+    return mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE payments') && sql.includes('RETURNING'));
+  }
+
+  // Send a webhook the way the PSP would
+  function postWebhook(event, secret = 'whsec_test') {
+    const body = JSON.stringify(event);
+    return fetch(`http://localhost:${server.address().port}${WEBHOOK_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-PSP-Signature': signWebhook(body, secret) },
+      body
+    });
+  }
+
+  it('should capture the payment and complete it from the webhook', async () => {
+    const result = await paymentService.processPayment(PAYMENT.id);
+
+    expect(result.processing).toBe(true);
+    const [intent] = fake.intents.values();
+    expect(intent.amount).toBe(2550);
+    expect(intent.metadata).toEqual({ payment_id: PAYMENT.id });
+    expect(paymentUpdate()[1]).toEqual(['PROCESSING', intent.id, expect.any(String), PAYMENT.id]);
+
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+
+    expect(fake.webhooks[0].status).toBe(200);
+    expect(webhookUpdate()[1]).toEqual(['COMPLETED', intent.id, expect.any(String), PAYMENT.id]);
+  });
+
+  it('should fail a declined card without retrying', async () => {
+    fake.script({ outcome: 'decline', decline_code: 'insufficient_funds' });
+
+    const result = await paymentService.processPayment(PAYMENT.id);
+
+    expect(result).toEqual({ success: false, declined: true, reason: 'insufficient_funds' });
+    expect(paymentUpdate()[1]).toEqual(['Declined: insufficient_funds', PAYMENT.id]);
+    expect(fake.webhooks).toHaveLength(0);
+  });
+
+  it('should retry a timed-out authorization without charging twice', async () => {
+    fake.script({ outcome: 'timeout', delay_ms: 300 });
+
+    const first = await paymentService.processPayment(PAYMENT.id);
+
+    expect(first.retry).toBe(true);
+    expect(first.reason).toBe('PSP_TIMEOUT');
+
+    // The PSP finished the first attempt; the retry gets the same intent back
+    await new Promise(resolve => setTimeout(resolve, 150));
+    mockClient.query.mockClear();
+    const second = await paymentService.processPayment(PAYMENT.id);
+
+    expect(second.processing).toBe(true);
+    expect(fake.intents.size).toBe(1);
+    expect(paymentUpdate()[1][1]).toBe([...fake.intents.keys()][0]);
+
+    // Let the capture's webhook land before the next test
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+  });
+
+  it('should hold a payment for 3DS until the rider authenticates', async () => {
+    fake.script('requires_action');
+
+    const result = await paymentService.processPayment(PAYMENT.id);
+
+    expect(result.requiresAction).toBe(true);
+    const [intent] = fake.intents.values();
+    expect(paymentUpdate()[1][0]).toBe('REQUIRES_ACTION');
+    expect(fake.webhooks).toHaveLength(0);
+
+    fake.authenticate(intent.id);
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+
+    expect(webhookUpdate()[1][0]).toBe('COMPLETED');
+  });
+
+  it('should fail the payment from a delayed failure webhook', async () => {
+    fake.script({ outcome: 'succeed', webhook_status: 'failed', webhook_delay_ms: 100 });
+
+    await paymentService.processPayment(PAYMENT.id);
+    expect(fake.webhooks).toHaveLength(0);
+
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+
+    expect(fake.webhooks[0].event).toMatchObject({ type: 'payment_intent.failed', failure_reason: 'insufficient_funds' });
+    expect(webhookUpdate()[1][0]).toBe('FAILED');
+  });
+
+  it('should acknowledge a redelivered webhook without applying it twice', async () => {
+    await paymentService.processPayment(PAYMENT.id);
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+    mockClient.query.mockClear();
+
+    const response = await postWebhook(fake.webhooks[0].event);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ applied: false, reason: 'duplicate' });
+    expect(webhookUpdate()).toBeUndefined();
+  });
+
+  it('should reject a webhook signed with a retired secret', async () => {
+    await paymentService.processPayment(PAYMENT.id);
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+
+    const response = await postWebhook({ ...fake.webhooks[0].event, id: 'evt_forged' }, 'whsec_dev');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should refund part of a captured payment and settle it from the refund webhook', async () => {
+    await paymentService.processPayment(PAYMENT.id);
+    await waitFor(() => fake.webhooks.length === 1 && fake.webhooks[0].status);
+    mockClient.query.mockClear();
+    const [intent] = fake.intents.values();
+    refund = {
+      id: '88888888-8888-4888-8888-888888888888',
+      payment_id: PAYMENT.id,
+      amount: '10.00',
+      status: 'PENDING',
+      retry_count: 0,
+      psp_transaction_id: intent.id
+    };
+
+    const result = await refundService.processRefund(refund.id);
+
+    expect(result.processing).toBe(true);
+    const [pspRefund] = fake.refunds.values();
+    expect(pspRefund).toMatchObject({ amount: 1000, metadata: { refund_id: refund.id } });
+
+    await waitFor(() => fake.webhooks.length === 2 && fake.webhooks[1].status);
+
+    expect(fake.webhooks[1].status).toBe(200);
+    expect(fake.webhooks[1].event).toMatchObject({ type: 'refund.succeeded', refund_id: refund.id });
+    expect(refund.status).toBe('SUCCEEDED');
+    expect(webhookUpdate()[1][0]).toBe('PARTIALLY_REFUNDED');
+  });
+});
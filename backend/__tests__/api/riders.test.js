@@ -0,0 +1,239 @@
+/**
+ * Integration tests for riders API
+ */
+
+const request = require('supertest');
+const db = require('../../src/db');
+const authService = require('../../src/services/auth.service');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+// Import app AFTER mocks
+const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const riderId = '550e8400-e29b-41d4-a716-446655440000';
+const riderAuth = bearer('rider', riderId);
+
+describe('Riders API', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /v1/riders', () => {
+    it('should register a rider', async () => {
+      const rider = {
+        id: riderId,
+        name: 'Jane Doe',
+        phone: '+14155550100',
+        email: 'jane@example.com',
+        default_payment_method: 'WALLET',
+        home_place: { address: '1 Market St', latitude: 37.7936, longitude: -122.3958 },
+        work_place: null
+      };
+      db.query.mockResolvedValueOnce({ rows: [rider], rowCount: 1 });
+
+      const response = await request(app)
+        .post('/v1/riders')
+        .send({
+          name: 'Jane Doe',
+          phone: '+14155550100',
+          email: 'jane@example.com',
+          default_payment_method: 'WALLET',
+          home_place: { address: '1 Market St', latitude: 37.7936, longitude: -122.3958 }
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.rider).toEqual(rider);
+      expect(authService.verifyToken(response.body.token)).toEqual({ id: riderId, role: 'rider' });
+      expect(response.body.refresh_token).toEqual(expect.any(String));
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO riders'),
+        [
+          'Jane Doe',
+          '+14155550100',
+          'jane@example.com',
+          'WALLET',
+          { address: '1 Market St', latitude: 37.7936, longitude: -122.3958 },
+          null
+        ]
+      );
+    });
+
+    it('should reject a phone number that is already registered', async () => {
+      db.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), {
+        code: '23505',
+        constraint: 'riders_phone_key'
+      }));
+
+      const response = await request(app)
+        .post('/v1/riders')
+        .send({ name: 'Jane Doe', phone: '+14155550100' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A rider with this phone already exists');
+    });
+
+    it('should reject missing and invalid fields', async () => {
+      const response = await request(app)
+        .post('/v1/riders')
+        .send({
+          email: 'not-an-email',
+          default_payment_method: 'BITCOIN',
+          work_place: { latitude: 200, longitude: 0 }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('name is required');
+      expect(response.body.error).toContain('phone is required');
+      expect(response.body.error).toContain('email must be a valid email address');
+      expect(response.body.error).toContain('default_payment_method must be');
+      expect(response.body.error).toContain('work_place must have');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /v1/riders/:id', () => {
+    it('should return the rider', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: riderId, name: 'Jane Doe' }], rowCount: 1 });
+
+      const response = await request(app)
+        .get(`/v1/riders/${riderId}`)
+        .set('Authorization', riderAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Jane Doe');
+    });
+
+    it('should return 404 for an unknown rider', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const response = await request(app)
+        .get(`/v1/riders/${riderId}`)
+        .set('Authorization', riderAuth);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Rider not found');
+    });
+  });
+
+  describe('PATCH /v1/riders/:id', () => {
+    it('should update only the given fields', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: riderId, default_payment_method: 'CASH', work_place: null }],
+        rowCount: 1
+      });
+
+      const response = await request(app)
+        .patch(`/v1/riders/${riderId}`)
+        .set('Authorization', riderAuth)
+        .send({ default_payment_method: 'CASH', work_place: null });
+
+      expect(response.status).toBe(200);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringMatching(/SET default_payment_method=\$1, work_place=\$2,[\s\S]*WHERE id=\$3/),
+        ['CASH', null, riderId]
+      );
+    });
+
+    it('should reject an email that belongs to another rider', async () => {
+      db.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), {
+        code: '23505',
+        constraint: 'riders_email_key'
+      }));
+
+      const response = await request(app)
+        .patch(`/v1/riders/${riderId}`)
+        .set('Authorization', riderAuth)
+        .send({ email: 'taken@example.com' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A rider with this email already exists');
+    });
+
+    it('should not allow removing the phone number', async () => {
+      const response = await request(app)
+        .patch(`/v1/riders/${riderId}`)
+        .set('Authorization', riderAuth)
+        .send({ phone: null });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('phone must be a valid phone number');
+    });
+  });
+
+  describe('GET /v1/riders/:id/wallet', () => {
+    it('should return the balance and a page of transactions', async () => {
+      const transactions = [
+        { id: 'wtx-2', type: 'TRIP_DEBIT', amount: '-8.00', balance_after: '12.00' },
+        { id: 'wtx-1', type: 'TOP_UP', amount: '20.00', balance_after: '20.00' }
+      ];
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: riderId }], rowCount: 1 }) // SELECT rider
+        .mockResolvedValueOnce({ rows: [{ id: 'acct-1', balance: '12.00' }], rowCount: 1 }) // SELECT account
+        .mockResolvedValueOnce({ rows: transactions, rowCount: 2 }); // SELECT transactions
+
+      const response = await request(app)
+        .get(`/v1/riders/${riderId}/wallet?limit=1`)
+        .set('Authorization', riderAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        rider_id: riderId,
+        balance: '12.00',
+        transactions: [transactions[0]],
+        next_cursor: 'wtx-2'
+      });
+      expect(db.query.mock.calls[2][1]).toEqual([riderId, 'acct-1', null, 2]);
+    });
+
+    it('should reject an invalid page', async () => {
+      const response = await request(app)
+        .get(`/v1/riders/${riderId}/wallet?limit=500&before=abc`)
+        .set('Authorization', riderAuth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('limit must be an integer between 1 and 100, before must be a transaction ID');
+    });
+
+    it("should not show another rider's wallet", async () => {
+      const response = await request(app)
+        .get(`/v1/riders/${riderId}/wallet`)
+        .set('Authorization', bearer('rider', '11111111-1111-4111-8111-111111111111'));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /v1/riders/:id/wallet/top-ups', () => {
+    it('should create the top-up payment', async () => {
+      const payment = { id: 'payment-1', top_up_rider_id: riderId, amount: '25.00', payment_method: 'CARD', status: 'PENDING' };
+      const client = await db.getClient();
+      client.query.mockImplementation(async sql => (
+        sql.includes('INSERT INTO payments')
+          ? { rows: [payment], rowCount: 1 }
+          : { rows: [{ id: riderId }], rowCount: 1 }
+      ));
+
+      const response = await request(app)
+        .post(`/v1/riders/${riderId}/wallet/top-ups`)
+        .set('Authorization', riderAuth)
+        .send({ amount: 25 });
+
+      client.query.mockReset().mockResolvedValue({ rows: [], rowCount: 0 });
+      expect(response.status).toBe(201);
+      expect(response.body).toEqual(payment);
+    });
+
+    it('should reject an invalid amount', async () => {
+      const response = await request(app)
+        .post(`/v1/riders/${riderId}/wallet/top-ups`)
+        .set('Authorization', riderAuth)
+        .send({ amount: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('up to 500');
+    });
+  });
+});
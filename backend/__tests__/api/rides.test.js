@@ -17,6 +17,10 @@ jest.mock('../../src/services/notification.service', () => ({
 
 // Import app AFTER mocks
 const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const riderAuth = bearer('rider', 'rider-1');
+const adminAuth = bearer('admin');
 
 describe('Rides API', () => {
   describe('POST /v1/rides', () => {
@@ -39,6 +43,7 @@ describe('Rides API', () => {
 
       const response = await request(app)
         .post('/v1/rides')
+        .set('Authorization', riderAuth)
         .set('Idempotency-Key', 'test-key-123')
         .send({
           rider_id: 'rider-1',
@@ -56,6 +61,7 @@ describe('Rides API', () => {
     it('should reject invalid latitude', async () => {
       const response = await request(app)
         .post('/v1/rides')
+        .set('Authorization', riderAuth)
         .set('Idempotency-Key', 'test-key-123')
         .send({
           rider_id: 'rider-1',
@@ -73,6 +79,7 @@ describe('Rides API', () => {
     it('should reject missing required fields', async () => {
       const response = await request(app)
         .post('/v1/rides')
+        .set('Authorization', riderAuth)
         .set('Idempotency-Key', 'test-key-123')
         .send({
           rider_id: 'rider-1'
@@ -85,9 +92,34 @@ describe('Rides API', () => {
       expect(response.body.error).toContain('required');
     });
 
+    it('should reject a ride for an unknown rider', async () => {
+      db.query.mockClear();
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // SELECT rider
+
+      const response = await request(app)
+        .post('/v1/rides')
+        .set('Authorization', adminAuth)
+        .set('Idempotency-Key', 'test-key-unknown-rider')
+        .send({
+          rider_id: '550e8400-e29b-41d4-a716-446655440000',
+          pickup_latitude: 37.7749,
+          pickup_longitude: -122.4194,
+          drop_latitude: 37.8049,
+          drop_longitude: -122.4294
+        });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Rider not found');
+      expect(db.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO rides'),
+        expect.any(Array)
+      );
+    });
+
     it('should reject invalid tier', async () => {
       const response = await request(app)
         .post('/v1/rides')
+        .set('Authorization', riderAuth)
         .set('Idempotency-Key', 'test-key-123')
         .send({
           rider_id: 'rider-1',
@@ -111,7 +143,8 @@ describe('Rides API', () => {
       db.query.mockResolvedValue({ rows: [mockRide], rowCount: 1 });
 
       const response = await request(app)
-        .get('/v1/rides/550e8400-e29b-41d4-a716-446655440000');
+        .get('/v1/rides/550e8400-e29b-41d4-a716-446655440000')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual(mockRide);
@@ -119,10 +152,80 @@ describe('Rides API', () => {
 
     it('should reject invalid UUID format', async () => {
       const response = await request(app)
-        .get('/v1/rides/invalid-uuid');
+        .get('/v1/rides/invalid-uuid')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('Invalid id format');
     });
   });
+
+  describe('GET /v1/rides/:id/events', () => {
+    const path = '/v1/rides/550e8400-e29b-41d4-a716-446655440000/events';
+
+    it('should require a token', async () => {
+      const response = await request(app).get(path);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should accept a query token and forbid other riders', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ rider_id: 'another-rider', driver_id: null }], rowCount: 1 });
+
+      const response = await request(app)
+        .get(path)
+        .query({ token: riderAuth.replace('Bearer ', '') });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown ride', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const response = await request(app)
+        .get(path)
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Ride not found');
+    });
+  });
+
+  describe('POST /v1/rides/:id/cancel', () => {
+    it('should cancel a ride', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce() // BEGIN
+          .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'MATCHING' }], rowCount: 1 })
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT trip
+          .mockResolvedValueOnce({
+            rows: [{ id: 'ride-123', status: 'CANCELLED', cancellation_fee: 0 }],
+            rowCount: 1
+          })
+          .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE offers
+          .mockResolvedValueOnce(), // COMMIT
+        release: jest.fn()
+      };
+      db.getClient.mockResolvedValue(mockClient);
+
+      const response = await request(app)
+        .post('/v1/rides/550e8400-e29b-41d4-a716-446655440000/cancel')
+        .set('Authorization', adminAuth)
+        .send({ reason: 'Changed plans' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ride.status).toBe('CANCELLED');
+      expect(response.body.cancellation_fee).toBe(0);
+    });
+
+    it('should reject a non-string reason', async () => {
+      const response = await request(app)
+        .post('/v1/rides/550e8400-e29b-41d4-a716-446655440000/cancel')
+        .set('Authorization', adminAuth)
+        .send({ reason: 42 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('reason');
+    });
+  });
 });
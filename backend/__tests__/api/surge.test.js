@@ -0,0 +1,54 @@
+/**
+ * Integration tests for surge API
+ */
+
+const request = require('supertest');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+// Import app AFTER mocks
+const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const riderAuth = bearer('rider', 'rider-1');
+
+describe('Surge API', () => {
+  describe('GET /v1/surge', () => {
+    it('should return surge for a location', async () => {
+      redis.hGet.mockResolvedValue(JSON.stringify({ multiplier: 1.4, demand: 4, supply: 2 }));
+
+      const response = await request(app)
+        .get('/v1/surge')
+        .set('Authorization', riderAuth)
+        .query({ lat: 37.7749, lon: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.surge_multiplier).toBe(1.4);
+      expect(response.body.geohash).toBe('9q8yy');
+    });
+
+    it('should default to no surge', async () => {
+      redis.hGet.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/v1/surge')
+        .set('Authorization', riderAuth)
+        .query({ lat: 37.7749, lon: -122.4194 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.surge_multiplier).toBe(1.0);
+    });
+
+    it('should reject missing coordinates', async () => {
+      const response = await request(app)
+        .get('/v1/surge')
+        .set('Authorization', riderAuth)
+        .query({ lat: 37.7749 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('lon is required');
+    });
+  });
+});
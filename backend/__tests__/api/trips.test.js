@@ -11,6 +11,9 @@ jest.mock('../../src/utils/redis');
 
 // Import app AFTER mocks
 const app = require('../../src/app');
+const { bearer } = require('../helpers/auth');
+
+const adminAuth = bearer('admin');
 
 describe('Trips API', () => {
   let mockClient;
@@ -46,13 +49,39 @@ describe('Trips API', () => {
         .mockResolvedValueOnce(); // COMMIT
 
       const response = await request(app)
-        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/start');
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/start')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(200);
       expect(response.body.status).toBe('STARTED');
     });
   });
 
+  describe('POST /v1/trips/:id/arrive', () => {
+    it('should mark the driver as arrived', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT trip
+          rows: [{ id: 'trip-123', rider_id: 'rider-1', status: 'CREATED', driver_name: 'John Doe' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce() // set_config audit actor
+        .mockResolvedValueOnce({ // UPDATE trip
+          rows: [{ id: 'trip-123', status: 'ARRIVED', arrived_at: new Date() }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce(); // COMMIT
+
+      const response = await request(app)
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/arrive')
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ARRIVED');
+      expect(response.body.free_wait_until).toBeDefined();
+    });
+  });
+
   describe('POST /v1/trips/:id/end', () => {
     it('should end trip and calculate fare', async () => {
       const startTime = new Date('2026-01-15T10:00:00Z');
@@ -67,11 +96,13 @@ describe('Trips API', () => {
             driver_id: 'driver-1',
             tier: 'ECONOMY',
             surge_multiplier: 1.0,
+            payment_method: 'CARD',
             status: 'STARTED',
             started_at: startTime
           }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
         .mockResolvedValueOnce({ // UPDATE trip
           rows: [{
             id: 'trip-123',
@@ -91,10 +122,16 @@ describe('Trips API', () => {
           rows: [{ id: 'ride-123', status: 'COMPLETED' }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ // INSERT payment
+          rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce() // INSERT outbox
         .mockResolvedValueOnce(); // COMMIT
 
       const response = await request(app)
         .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/end')
+        .set('Authorization', adminAuth)
         .send({
           distance_km: 10,
           duration_sec: 1200
@@ -103,11 +140,16 @@ describe('Trips API', () => {
       expect(response.status).toBe(200);
       expect(response.body.total_fare).toBe(25.00);
       expect(response.body.fare_breakdown).toBeDefined();
+      expect(response.body.payment).toEqual({ id: 'payment-1', method: 'CARD', status: 'PENDING' });
+      const outbox = mockClient.query.mock.calls[7];
+      expect(outbox[0]).toContain("'PAYMENT_CREATED'");
+      expect(mockClient.query.mock.calls[8][0]).toBe('COMMIT');
     });
 
     it('should validate distance range', async () => {
       const response = await request(app)
         .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/end')
+        .set('Authorization', adminAuth)
         .send({
           distance_km: 2000, // Too far
           duration_sec: 1200
@@ -120,6 +162,7 @@ describe('Trips API', () => {
     it('should validate duration range', async () => {
       const response = await request(app)
         .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/end')
+        .set('Authorization', adminAuth)
         .send({
           distance_km: 10,
           duration_sec: 100000 // Too long
@@ -132,7 +175,7 @@ describe('Trips API', () => {
 
   describe('GET /v1/trips/:id/receipt', () => {
     it('should generate receipt for completed trip', async () => {
-      db.query.mockResolvedValue({
+      db.query.mockResolvedValueOnce({
         rows: [{
           trip_id: 'trip-123',
           ride_id: 'ride-123',
@@ -156,10 +199,11 @@ describe('Trips API', () => {
           psp_transaction_id: 'txn-123'
         }],
         rowCount: 1
-      });
+      }).mockResolvedValueOnce({ rows: [], rowCount: 0 }); // refunds
 
       const response = await request(app)
-        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/receipt');
+        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/receipt')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(200);
       expect(response.body.trip_id).toBe('trip-123');
@@ -167,19 +211,82 @@ describe('Trips API', () => {
       expect(response.body.fare_breakdown.base_fare).toBe(5);
       expect(response.body.fare_breakdown.total).toBe(25.00);
       expect(response.body.driver.name).toBe('John Doe');
+      expect(response.body.payment.refunds).toEqual([]);
+      expect(response.body.payment.refunded_total).toBe('0.00');
+    });
+
+    it('should list refunds on the receipt', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [{
+            trip_id: 'trip-123',
+            distance_km: 10,
+            duration_sec: 1200,
+            base_fare: 5.00,
+            total_fare: '25.00',
+            tier: 'ECONOMY',
+            payment_status: 'PARTIALLY_REFUNDED'
+          }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'refund-1', amount: '5.00', status: 'SUCCEEDED', reason: 'Detour' },
+            { id: 'refund-2', amount: '2.50', status: 'PROCESSING', reason: null }
+          ],
+          rowCount: 2
+        });
+
+      const response = await request(app)
+        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/receipt')
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.payment.status).toBe('PARTIALLY_REFUNDED');
+      expect(response.body.payment.refunds).toEqual([
+        expect.objectContaining({ refund_id: 'refund-1', amount: '5.00', status: 'SUCCEEDED', reason: 'Detour' }),
+        expect.objectContaining({ refund_id: 'refund-2', amount: '2.50', status: 'PROCESSING' })
+      ]);
+      expect(response.body.payment.refunded_total).toBe('5.00');
     });
 
     it('should return error for non-existent trip', async () => {
       db.query.mockResolvedValue({ rows: [], rowCount: 0 });
 
       const response = await request(app)
-        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/receipt');
+        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/receipt')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(404);
       expect(response.body.error).toContain('not found');
     });
   });
 
+  describe('GET /v1/trips/:id/route', () => {
+    it('should return the trip route as GeoJSON', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 'trip-123',
+          status: 'ENDED',
+          distance_km: '0.111',
+          distance_source: 'GPS',
+          route_polyline: 'c|peFf`ejVgE?'
+        }],
+        rowCount: 1
+      });
+
+      const response = await request(app)
+        .get('/v1/trips/550e8400-e29b-41d4-a716-446655440000/route')
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/geo+json');
+      expect(response.body.geometry.type).toBe('LineString');
+      expect(response.body.geometry.coordinates).toHaveLength(2);
+      expect(response.body.properties.distance_source).toBe('GPS');
+    });
+  });
+
   describe('POST /v1/trips/:id/pause', () => {
     it('should pause active trip', async () => {
       mockClient.query
@@ -192,10 +299,12 @@ describe('Trips API', () => {
           rows: [{ id: 'trip-123', status: 'PAUSED' }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ rowCount: 1 }) // INSERT trip_pauses
         .mockResolvedValueOnce(); // COMMIT
 
       const response = await request(app)
-        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/pause');
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/pause')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(200);
       expect(response.body.status).toBe('PAUSED');
@@ -207,10 +316,84 @@ describe('Trips API', () => {
         .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // SELECT trip - not found
 
       const response = await request(app)
-        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/pause');
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/pause')
+        .set('Authorization', adminAuth);
 
       expect(response.status).toBe(404);
       expect(response.body.error).toContain('not found');
     });
   });
+
+  describe('POST /v1/trips/:id/cancel', () => {
+    it('should cancel trip with reason code', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT trip FOR UPDATE
+          rows: [{ id: 'trip-123', ride_id: 'ride-123', rider_id: 'rider-1', driver_id: 'driver-1', status: 'STARTED' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce() // set_config audit reason
+        .mockResolvedValueOnce({ // UPDATE trip to CANCELLED
+          rows: [{ id: 'trip-123', status: 'CANCELLED', cancellation_reason_code: 'SAFETY' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce(); // COMMIT
+
+      const response = await request(app)
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/cancel')
+        .set('Authorization', adminAuth)
+        .send({ reason_code: 'SAFETY', note: 'Unsafe pickup location' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('CANCELLED');
+      expect(response.body.cancellation_reason_code).toBe('SAFETY');
+    });
+
+    it('should reject missing reason code', async () => {
+      const response = await request(app)
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/cancel')
+        .set('Authorization', adminAuth)
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('reason_code');
+    });
+
+    it('should reject rider-only reason codes', async () => {
+      const response = await request(app)
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/cancel')
+        .set('Authorization', adminAuth)
+        .send({ reason_code: 'RIDER_CANCELLED' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('reason_code');
+    });
+  });
+
+  describe('POST /v1/trips/:id/resume', () => {
+    it('should resume paused trip', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT trip FOR UPDATE
+          rows: [{ id: 'trip-123', status: 'PAUSED' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [{ paused_sec: 60 }], rowCount: 1 }) // close pause
+        .mockResolvedValueOnce({ // UPDATE trip to STARTED
+          rows: [{ id: 'trip-123', status: 'STARTED', waiting_sec: 60 }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce(); // COMMIT
+
+      const response = await request(app)
+        .post('/v1/trips/550e8400-e29b-41d4-a716-446655440000/resume')
+        .set('Authorization', adminAuth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('STARTED');
+      expect(response.body.waiting_sec).toBe(60);
+    });
+  });
 });
@@ -0,0 +1,22 @@
+/**
+ * Authorization headers for API tests
+ * Tokens are signed with the throwaway key pair generated for the test process
+ */
+
+const authService = require('../../src/services/auth.service');
+
+const ADMIN_ID = 'admin-1';
+
+/**
+ * Bearer header value for a user
+ * @param {string} role - rider, driver or admin
+ * @param {string} id - Rider or driver ID (defaults to an admin ID)
+ */
+function bearer(role, id = ADMIN_ID) {
+  return `Bearer ${authService.issueToken({ id, role })}`;
+}
+
+module.exports = {
+  ADMIN_ID,
+  bearer
+};
@@ -0,0 +1,136 @@
+/**
+ * Deterministic synthetic fleets for dispatch tests
+ * A seeded PRNG scatters rides and drivers around a city centre, and an
+ * in-memory geo index stands in for Redis GEOSEARCH/GEOPOS
+ */
+
+const { haversineKm } = require('../../src/utils/geo');
+const etaService = require('../../src/services/eta.service');
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Small seeded PRNG (mulberry32) so every run sees the same fleet
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Point at (east, north) km from the centre
+function offset([lat, lon], eastKm, northKm) {
+  return {
+    latitude: lat + northKm / KM_PER_DEGREE_LAT,
+    longitude: lon + eastKm / (KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180))
+  };
+}
+
+/**
+ * Build a fleet of MATCHING rides and AVAILABLE drivers
+ * @param {object} options - seed, rides, drivers, spreadKm, tiers, center, createdAt
+ */
+function createFleet({
+  seed,
+  rides: rideCount,
+  drivers: driverCount,
+  spreadKm = 3,
+  tiers = ['ECONOMY'],
+  center = [40.7128, -74.0060], // No city config: default rings
+  createdAt = new Date('2026-10-18T10:00:00Z')
+}) {
+  const random = createRandom(seed);
+  const point = () => offset(center, (random() * 2 - 1) * spreadKm, (random() * 2 - 1) * spreadKm);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const pad = (n) => String(n).padStart(3, '0');
+
+  const rides = Array.from({ length: rideCount }, (_, i) => {
+    const pickup = point();
+    return {
+      id: `ride-${pad(i)}`,
+      tier: pick(tiers),
+      status: 'MATCHING',
+      pickup_latitude: pickup.latitude,
+      pickup_longitude: pickup.longitude,
+      created_at: createdAt
+    };
+  });
+
+  const drivers = Array.from({ length: driverCount }, (_, i) => ({
+    id: `driver-${pad(i)}`,
+    tiers: [pick(tiers)],
+    ...point()
+  }));
+
+  return { rides, drivers };
+}
+
+/**
+ * In-memory replacement for the Redis geo commands used by matching
+ */
+function createGeoIndex(drivers) {
+  return {
+    geoSearch: async (key, { longitude, latitude }, { radius }, { COUNT }) => {
+      const tier = key.split(':').pop();
+      return drivers
+        .filter(d => d.tiers.includes(tier))
+        .map(d => ({ member: d.id, distance: haversineKm(latitude, longitude, d.latitude, d.longitude) }))
+        .filter(d => d.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, COUNT)
+        .map(d => d.member);
+    },
+    geoPos: async (key, ids) => ids.map(id => {
+      const driver = drivers.find(d => d.id === id);
+      return driver ? { latitude: String(driver.latitude), longitude: String(driver.longitude) } : null;
+    })
+  };
+}
+
+function pickupEtaSec(ride, driver) {
+  return etaService.estimate(driver, {
+    latitude: ride.pickup_latitude,
+    longitude: ride.pickup_longitude
+  }).duration_sec;
+}
+
+/**
+ * Greedy baseline: rides in order each take their closest free eligible driver
+ * @returns {object[]} [{ ride_id, driver_id, eta_sec }]
+ */
+function greedyPlan(rides, drivers, radiusKm) {
+  const taken = new Set();
+  const pairs = [];
+
+  for (const ride of rides) {
+    const closest = drivers
+      .filter(d => !taken.has(d.id) && d.tiers.includes(ride.tier))
+      .map(d => ({ driver: d, km: haversineKm(ride.pickup_latitude, ride.pickup_longitude, d.latitude, d.longitude) }))
+      .filter(c => c.km <= radiusKm)
+      .sort((a, b) => a.km - b.km)[0];
+
+    if (closest) {
+      taken.add(closest.driver.id);
+      pairs.push({ ride_id: ride.id, driver_id: closest.driver.id, eta_sec: pickupEtaSec(ride, closest.driver) });
+    }
+  }
+
+  return pairs;
+}
+
+function totalEta(pairs) {
+  return pairs.reduce((sum, p) => sum + p.eta_sec, 0);
+}
+
+module.exports = {
+  createRandom,
+  offset,
+  createFleet,
+  createGeoIndex,
+  greedyPlan,
+  pickupEtaSec,
+  totalEta
+};
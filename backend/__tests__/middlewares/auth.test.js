@@ -0,0 +1,153 @@
+/**
+ * Unit tests for authentication and authorization middleware
+ */
+
+const jwt = require('jsonwebtoken');
+const {
+  authenticate,
+  authorize,
+  authorizeSelf,
+  authorizeOwner
+} = require('../../src/middlewares/auth.middleware');
+const authService = require('../../src/services/auth.service');
+const authConfig = require('../../src/config/auth');
+const db = require('../../src/db');
+
+jest.mock('../../src/db');
+
+const RIDER_ID = '11111111-1111-4111-8111-111111111111';
+const DRIVER_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('Auth Middleware', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('authenticate', () => {
+    it('should set req.user from a valid token', () => {
+      const req = { headers: { authorization: `Bearer ${authService.issueToken({ id: RIDER_ID, role: 'rider' })}` } };
+
+      authenticate(req, {}, next);
+
+      expect(req.user).toEqual({ id: RIDER_ID, role: 'rider' });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should require a Bearer token', () => {
+      authenticate({ headers: {} }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Authentication required',
+        statusCode: 401
+      }));
+    });
+
+    it('should reject a token signed with another key', () => {
+      const { privateKey } = authConfig.generateKeyPair();
+      const forged = jwt.sign({ role: 'admin' }, privateKey, {
+        algorithm: 'ES256',
+        issuer: authConfig.ISSUER,
+        subject: 'admin-1'
+      });
+
+      authenticate({ headers: { authorization: `Bearer ${forged}` } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'JsonWebTokenError' }));
+    });
+
+    it('should reject an expired token', () => {
+      const token = authService.issueToken({ id: RIDER_ID, role: 'rider' }, -10);
+
+      authenticate({ headers: { authorization: `Bearer ${token}` } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'TokenExpiredError' }));
+    });
+  });
+
+  describe('authorize', () => {
+    it('should allow listed roles and forbid the rest', () => {
+      authorize('admin')({ user: { id: 'admin-1', role: 'admin' } }, {}, next);
+      authorize('admin')({ user: { id: RIDER_ID, role: 'rider' } }, {}, next);
+
+      expect(next).toHaveBeenNthCalledWith(1);
+      expect(next).toHaveBeenNthCalledWith(2, expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
+  describe('authorizeSelf', () => {
+    const check = authorizeSelf('driver');
+
+    it('should let a driver act on their own ID', () => {
+      check({ user: { id: DRIVER_ID, role: 'driver' }, params: { id: DRIVER_ID } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forbid a driver acting on another driver', () => {
+      check({ user: { id: DRIVER_ID, role: 'driver' }, params: { id: RIDER_ID } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should forbid a rider using the same ID', () => {
+      check({ user: { id: DRIVER_ID, role: 'rider' }, params: { id: DRIVER_ID } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should let admins through', () => {
+      check({ user: { id: 'admin-1', role: 'admin' }, params: { id: DRIVER_ID } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
+  describe('authorizeOwner', () => {
+    const req = (user) => ({ user, params: { id: 'trip-1' } });
+
+    it('should let the trip driver through', async () => {
+      db.query.mockResolvedValue({ rows: [{ rider_id: RIDER_ID, driver_id: DRIVER_ID }], rowCount: 1 });
+
+      await authorizeOwner('Trip', ['driver'])(req({ id: DRIVER_ID, role: 'driver' }), {}, next);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM trips t'), ['trip-1']);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forbid a driver not assigned to the trip', async () => {
+      db.query.mockResolvedValue({ rows: [{ rider_id: RIDER_ID, driver_id: 'someone-else' }], rowCount: 1 });
+
+      await authorizeOwner('Trip', ['driver'])(req({ id: DRIVER_ID, role: 'driver' }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should forbid roles not listed without a lookup', async () => {
+      await authorizeOwner('Trip', ['driver'])(req({ id: RIDER_ID, role: 'rider' }), {}, next);
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should report a missing resource as not found', async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await authorizeOwner('Ride', ['rider'])(req({ id: RIDER_ID, role: 'rider' }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Ride not found' }));
+    });
+
+    it('should let admins through without a lookup', async () => {
+      await authorizeOwner('Payment', ['rider'])(req({ id: 'admin-1', role: 'admin' }), {}, next);
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -4,6 +4,7 @@
 
 const errorHandler = require('../../src/middlewares/error.middleware');
 const newrelic = require('newrelic');
+const logger = require('../../src/config/logger');
 
 jest.mock('newrelic');
 
@@ -49,6 +50,19 @@ describe('Error Middleware', () => {
     );
   });
 
+  it('should not log tokens from the query or body', () => {
+    const { AppError } = require('../../src/middlewares/error.middleware');
+    req.query = { token: 'eyJ.secret.jwt', since: '5' };
+    req.body = { refresh_token: 'eyJ.refresh.jwt' };
+
+    errorHandler(new AppError('Forbidden', 403), req, res, next);
+
+    const [fields] = logger.error.mock.calls[0];
+    expect(fields.query).toEqual({ token: '[REDACTED]', since: '5' });
+    expect(fields.body).toEqual({ refresh_token: '[REDACTED]' });
+    expect(req.query.token).toBe('eyJ.secret.jwt');
+  });
+
   it('should handle duplicate key Postgres errors', () => {
     const error = {
       code: '23505',
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for PSP webhook signature middleware
+ */
+
+const { verifyPSPSignature, signatureError } = require('../../src/middlewares/webhook.middleware');
+const { signWebhook } = require('../../src/psp/fake.server');
+
+describe('Webhook Middleware', () => {
+  const body = JSON.stringify({ id: 'evt_1', payment_id: 'payment-123', status: 'succeeded' });
+  const options = { secrets: ['whsec_new', 'whsec_old'], toleranceSec: 300 };
+  const nowSec = () => Math.floor(Date.now() / 1000);
+
+  describe('signatureError', () => {
+    it('should accept a body signed with the current secret', () => {
+      expect(signatureError(body, signWebhook(body, 'whsec_new'), options)).toBeNull();
+    });
+
+    it('should accept the previous secret while it is being rotated out', () => {
+      expect(signatureError(body, signWebhook(body, 'whsec_old'), options)).toBeNull();
+    });
+
+    it('should accept a header carrying signatures for several secrets', () => {
+      const timestamp = nowSec();
+      const stale = signWebhook(body, 'whsec_retired', timestamp);
+      const current = signWebhook(body, 'whsec_new', timestamp).split(',')[1];
+
+      expect(signatureError(body, `${stale},${current}`, options)).toBeNull();
+    });
+
+    it('should reject an unknown secret', () => {
+      expect(signatureError(body, signWebhook(body, 'whsec_retired'), options)).toBe('Invalid signature');
+    });
+
+    it('should reject a tampered body', () => {
+      const header = signWebhook(body, 'whsec_new');
+      const tampered = body.replace('succeeded', 'failed');
+
+      expect(signatureError(tampered, header, options)).toBe('Invalid signature');
+    });
+
+    it('should reject a timestamp outside the tolerance', () => {
+      const header = signWebhook(body, 'whsec_new', nowSec() - 301);
+
+      expect(signatureError(body, header, options)).toBe('Signature timestamp outside tolerance');
+    });
+
+    it('should reject a missing or malformed header', () => {
+      expect(signatureError(body, undefined, options)).toBe('Missing signature');
+      expect(signatureError(body, 'v1=abc', options)).toBe('Malformed signature');
+    });
+  });
+
+  describe('verifyPSPSignature', () => {
+    let next;
+
+    beforeEach(() => {
+      next = jest.fn();
+    });
+
+    it('should pass a request signed with the configured secret', () => {
+      const req = {
+        rawBody: Buffer.from(body),
+        headers: { 'x-psp-signature': signWebhook(body, 'whsec_dev') }
+      };
+
+      verifyPSPSignature(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should fail with 401 for a bad signature', () => {
+      const req = { rawBody: Buffer.from(body), headers: { 'x-psp-signature': 't=1,v1=abc' } };
+
+      verifyPSPSignature(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+    });
+  });
+
+  describe('webhook secrets', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    function loadConfig(overrides) {
+      delete process.env.PSP_WEBHOOK_SECRETS;
+      delete process.env.PSP_WEBHOOK_SECRET;
+      Object.assign(process.env, overrides);
+
+      let config;
+      jest.isolateModules(() => {
+        config = require('../../src/config/psp');
+      });
+      return config;
+    }
+
+    it('should read every secret being rotated', () => {
+      expect(loadConfig({ PSP_WEBHOOK_SECRETS: 'whsec_new, whsec_old' }).webhookSecrets).toEqual(['whsec_new', 'whsec_old']);
+    });
+
+    it('should fall back to the development secret outside production', () => {
+      expect(loadConfig({ NODE_ENV: 'development' }).webhookSecrets).toEqual(['whsec_dev']);
+    });
+
+    it('should refuse to start in production without a secret', () => {
+      expect(() => loadConfig({ NODE_ENV: 'production' })).toThrow('PSP_WEBHOOK_SECRETS must be set in production');
+    });
+  });
+});
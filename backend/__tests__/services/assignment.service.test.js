@@ -5,6 +5,8 @@
 const assignmentService = require('../../src/services/assignment.service');
 const db = require('../../src/db');
 const notificationService = require('../../src/services/notification.service');
+const redis = require('../../src/utils/redis');
+const newrelic = require('newrelic');
 
 jest.mock('../../src/db');
 jest.mock('../../src/services/notification.service');
@@ -57,10 +59,15 @@ describe('Assignment Service', () => {
         driver_status: 'AVAILABLE'
       };
 
+      const trip = { id: 'trip-1', ride_id: 'ride-123', driver_id: 'driver-1', status: 'CREATED' };
+
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ rows: [rideData], rowCount: 1 }) // SELECT ride and driver FOR UPDATE
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-1', status: 'ACCEPTED' }], rowCount: 1 }) // UPDATE offer
         .mockResolvedValueOnce({ rows: [updatedRide], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ ...mockDriver, status: 'ON_TRIP' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [trip], rowCount: 1 }) // INSERT trip
         .mockResolvedValueOnce(); // COMMIT
 
       notificationService.notifyRideAssigned.mockResolvedValue();
@@ -69,12 +76,125 @@ describe('Assignment Service', () => {
 
       expect(result.success).toBe(true);
       expect(result.ride).toEqual(updatedRide);
-      expect(result.driver).toEqual(rideData);
+      expect(result.driver.status).toBe('ON_TRIP');
+      expect(result.trip).toEqual(trip);
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(notificationService.notifyRideAssigned).toHaveBeenCalledWith('rider-1', expect.any(Object));
     });
 
+    it('should notify the rider with the driver\'s pickup ETA', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+          rows: [{
+            status: 'MATCHING',
+            rider_id: 'rider-1',
+            driver_name: 'John Driver',
+            driver_status: 'AVAILABLE',
+            pickup_latitude: '40.7218',
+            pickup_longitude: '-74.0060'
+          }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-1' }], rowCount: 1 }) // UPDATE offer
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'ON_TRIP' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-1' }], rowCount: 1 }) // INSERT trip
+        .mockResolvedValueOnce(); // COMMIT
+
+      redis.geoPos.mockResolvedValueOnce([{ latitude: '40.7128', longitude: '-74.0060' }]);
+      notificationService.notifyRideAssigned.mockResolvedValue();
+
+      await assignmentService.assignDriver('ride-123', 'driver-1');
+
+      expect(redis.geoPos).toHaveBeenCalledWith('drivers:geo', ['driver-1']);
+      expect(redis.setDriverRide).toHaveBeenCalledWith('driver-1', 'ride-123', {
+        latitude: '40.7218',
+        longitude: '-74.0060'
+      });
+      expect(notificationService.notifyRideAssigned).toHaveBeenCalledWith('rider-1', expect.objectContaining({
+        eta_minutes: 3
+      }));
+    });
+
+    it('should still notify the rider when the ETA cannot be estimated', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+          rows: [{ status: 'MATCHING', rider_id: 'rider-1', driver_status: 'AVAILABLE' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-1' }], rowCount: 1 }) // UPDATE offer
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'ON_TRIP' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-1' }], rowCount: 1 }) // INSERT trip
+        .mockResolvedValueOnce(); // COMMIT
+
+      redis.geoPos.mockRejectedValueOnce(new Error('Redis connection error'));
+      notificationService.notifyRideAssigned.mockResolvedValue();
+
+      const result = await assignmentService.assignDriver('ride-123', 'driver-1');
+
+      expect(result.success).toBe(true);
+      expect(notificationService.notifyRideAssigned).toHaveBeenCalledWith('rider-1', expect.objectContaining({
+        eta_minutes: null
+      }));
+    });
+
+    it('should record the matching ring and time-to-match', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+          rows: [{ status: 'MATCHING', rider_id: 'rider-1', driver_status: 'AVAILABLE' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-1', ring: 2, radius_km: '5.00' }], rowCount: 1 }) // UPDATE offer
+        .mockResolvedValueOnce({ // UPDATE ride
+          rows: [{
+            id: 'ride-123',
+            status: 'DRIVER_ASSIGNED',
+            match_ring: 2,
+            created_at: new Date('2026-10-18T10:00:00Z'),
+            assigned_at: new Date('2026-10-18T10:00:24Z')
+          }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'ON_TRIP' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-1' }], rowCount: 1 }) // INSERT trip
+        .mockResolvedValueOnce(); // COMMIT
+
+      notificationService.notifyRideAssigned.mockResolvedValue();
+
+      await assignmentService.assignDriver('ride-123', 'driver-1');
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('match_ring'),
+        ['DRIVER_ASSIGNED', 'driver-1', 'ride-123', 2, '5.00']
+      );
+      expect(newrelic.recordMetric).toHaveBeenCalledWith('Custom/Matching/TimeToMatch', 24);
+      expect(newrelic.recordMetric).toHaveBeenCalledWith('Custom/Matching/TimeToMatch/Ring2', 24);
+    });
+
+    it('should reject a driver without a pending offer', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT ride and driver FOR UPDATE
+          rows: [{ status: 'MATCHING', rider_id: 'rider-1', driver_status: 'AVAILABLE' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }); // UPDATE offer (none pending)
+
+      await expect(assignmentService.assignDriver('ride-123', 'driver-1'))
+        .rejects.toMatchObject({ message: 'No pending offer for this driver', statusCode: 409 });
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.query).not.toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE rides'),
+        expect.anything()
+      );
+    });
+
     it('should prevent concurrent assignment with row-level locking', async () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for batch dispatch, driven by deterministic synthetic fleets
+ */
+
+const dispatchService = require('../../src/services/dispatch.service');
+const offerService = require('../../src/services/offer.service');
+const db = require('../../src/db');
+const redis = require('../../src/utils/redis');
+const {
+  offset,
+  createFleet,
+  createGeoIndex,
+  greedyPlan,
+  totalEta
+} = require('../helpers/syntheticFleet');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+jest.mock('../../src/services/offer.service');
+
+const CENTER = [40.7128, -74.0060];
+// Rides created 20s before `NOW` have reached the default 5 km ring
+const CREATED_AT = new Date('2026-10-18T10:00:00Z');
+const NOW = CREATED_AT.getTime() + 20000;
+
+/**
+ * Wire the mocks to a synthetic fleet
+ * @param {object} fleet - { drivers }
+ * @param {object[]} previousOffers - ride_offers rows for the batch's rides
+ */
+function useFleet({ drivers }, previousOffers = []) {
+  const geo = createGeoIndex(drivers);
+  redis.geoSearch.mockImplementation(geo.geoSearch);
+  redis.geoPos.mockImplementation(geo.geoPos);
+  redis.zmScore.mockImplementation(async (key, ids) => ids.map(() => Date.now()));
+
+  const pendingDriverIds = new Set(
+    previousOffers.filter(o => o.status === 'PENDING').map(o => o.driver_id)
+  );
+
+  db.query.mockImplementation(async (sql, [ids]) => {
+    if (!sql.includes('FROM drivers')) {
+      return { rows: previousOffers, rowCount: previousOffers.length };
+    }
+    const rows = [...ids].sort().filter(id => !pendingDriverIds.has(id)).map(id => ({ id }));
+    return { rows, rowCount: rows.length };
+  });
+
+  offerService.offerToNextDriver.mockImplementation(async (ride, [driverId], search) => ({
+    id: `offer-${ride.id}`,
+    ride_id: ride.id,
+    driver_id: driverId,
+    status: 'PENDING',
+    ...search
+  }));
+}
+
+// Ride or driver on an east-west line through the centre
+function at(eastKm, fields) {
+  const { latitude, longitude } = offset(CENTER, eastKm, 0);
+  return fields.tiers
+    ? { ...fields, latitude, longitude }
+    : { tier: 'ECONOMY', created_at: CREATED_AT, ...fields, pickup_latitude: latitude, pickup_longitude: longitude };
+}
+
+describe('Dispatch Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('planDispatch', () => {
+    it('should beat greedy when two rides want the same driver', () => {
+      // Greedy gives ride-a the driver at 0.6 km and sends ride-b 2.5 km away;
+      // swapping drivers costs 1.5 + 0.4 km in total instead of 0.6 + 2.5
+      const rides = [at(0, { id: 'ride-a' }), at(1, { id: 'ride-b' })];
+      const drivers = [at(0.6, { id: 'driver-1', tiers: ['ECONOMY'] }), at(-1.5, { id: 'driver-2', tiers: ['ECONOMY'] })];
+      const planRides = rides.map(r => ({ ...r, candidates: new Set(['driver-1', 'driver-2']) }));
+
+      const plan = dispatchService.planDispatch(planRides, drivers);
+      const greedy = greedyPlan(rides, drivers, 5);
+
+      expect(plan.map(p => [p.ride.id, p.driver.id])).toEqual([
+        ['ride-a', 'driver-2'],
+        ['ride-b', 'driver-1']
+      ]);
+      expect(greedy.map(p => p.driver_id)).toEqual(['driver-1', 'driver-2']);
+      expect(totalEta(plan)).toBeLessThan(totalEta(greedy));
+    });
+
+    it('should never pair a ride with a driver outside its candidates', () => {
+      const rides = [{ ...at(0, { id: 'ride-a' }), candidates: new Set(['driver-2']) }];
+      const drivers = [at(0.1, { id: 'driver-1', tiers: ['ECONOMY'] }), at(3, { id: 'driver-2', tiers: ['ECONOMY'] })];
+
+      const plan = dispatchService.planDispatch(rides, drivers);
+
+      expect(plan.map(p => p.driver.id)).toEqual(['driver-2']);
+    });
+
+    it('should leave a ride unplanned when none of its candidates are free', () => {
+      const rides = [{ ...at(0, { id: 'ride-a' }), candidates: new Set() }];
+      const drivers = [at(0.1, { id: 'driver-1', tiers: ['ECONOMY'] })];
+
+      expect(dispatchService.planDispatch(rides, drivers)).toEqual([]);
+    });
+  });
+
+  describe('dispatchBatch with synthetic fleets', () => {
+    it('should never do worse than greedy in total pickup time', async () => {
+      for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+        const fleet = createFleet({ seed, rides: 12, drivers: 10, spreadKm: 2, createdAt: CREATED_AT });
+        useFleet(fleet);
+
+        const { offers } = await dispatchService.dispatchBatch(fleet.rides, NOW);
+        const greedy = greedyPlan(fleet.rides, fleet.drivers, 5);
+
+        expect(offers.length).toBeGreaterThanOrEqual(greedy.length);
+        if (offers.length === greedy.length) {
+          expect(totalEta(offers)).toBeLessThanOrEqual(totalEta(greedy));
+        }
+      }
+    });
+
+    it('should produce the same plan for the same seed', async () => {
+      const run = async () => {
+        const fleet = createFleet({ seed: 99, rides: 15, drivers: 15, spreadKm: 2, createdAt: CREATED_AT });
+        useFleet(fleet);
+        const { offers } = await dispatchService.dispatchBatch(fleet.rides, NOW);
+        return offers.map(o => `${o.ride_id}>${o.driver_id}`);
+      };
+
+      const first = await run();
+      const second = await run();
+
+      expect(first.length).toBeGreaterThan(0);
+      expect(second).toEqual(first);
+    });
+
+    it('should only offer rides to drivers eligible for their tier', async () => {
+      const fleet = createFleet({
+        seed: 7,
+        rides: 10,
+        drivers: 12,
+        spreadKm: 2,
+        tiers: ['ECONOMY', 'PREMIUM', 'LUXURY'],
+        createdAt: CREATED_AT
+      });
+      useFleet(fleet);
+
+      const { offers } = await dispatchService.dispatchBatch(fleet.rides, NOW);
+
+      expect(offers.length).toBeGreaterThan(0);
+      for (const offer of offers) {
+        const ride = fleet.rides.find(r => r.id === offer.ride_id);
+        const driver = fleet.drivers.find(d => d.id === offer.driver_id);
+        expect(driver.tiers).toContain(ride.tier);
+        expect(offer.ring).toBe(2);
+        expect(offer.radius_km).toBe(5);
+      }
+    });
+
+    it('should give each driver at most one ride', async () => {
+      const fleet = createFleet({ seed: 11, rides: 20, drivers: 6, spreadKm: 1, createdAt: CREATED_AT });
+      useFleet(fleet);
+
+      const { offers, unmatched } = await dispatchService.dispatchBatch(fleet.rides, NOW);
+
+      expect(offers).toHaveLength(6);
+      expect(new Set(offers.map(o => o.driver_id)).size).toBe(6);
+      expect(unmatched).toHaveLength(14);
+    });
+
+    it('should skip rides awaiting an answer and drivers who already saw the ride', async () => {
+      const rides = [at(0, { id: 'ride-a' }), at(0.2, { id: 'ride-b' })];
+      const drivers = [at(0.1, { id: 'driver-1', tiers: ['ECONOMY'] }), at(0.3, { id: 'driver-2', tiers: ['ECONOMY'] })];
+      useFleet({ drivers }, [
+        { ride_id: 'ride-a', driver_id: 'driver-3', status: 'PENDING' },
+        { ride_id: 'ride-b', driver_id: 'driver-1', status: 'DECLINED' }
+      ]);
+
+      const { offers, unmatched } = await dispatchService.dispatchBatch(rides, NOW);
+
+      expect(offers.map(o => [o.ride_id, o.driver_id])).toEqual([['ride-b', 'driver-2']]);
+      expect(unmatched).toEqual([]);
+    });
+
+    it('should report unmatched rides with their search ring', async () => {
+      const rides = [at(0, { id: 'ride-a', created_at: new Date(NOW - 61000) })];
+      useFleet({ drivers: [at(20, { id: 'driver-1', tiers: ['ECONOMY'] })] });
+
+      const { offers, unmatched } = await dispatchService.dispatchBatch(rides, NOW);
+
+      expect(offers).toEqual([]);
+      expect(unmatched[0].ride.id).toBe('ride-a');
+      expect(unmatched[0].search).toMatchObject({ ring: 3, is_last_ring: true, timed_out: true });
+    });
+  });
+});
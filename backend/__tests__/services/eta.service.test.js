@@ -0,0 +1,127 @@
+/**
+ * Unit tests for pickup ETA estimates
+ */
+
+const etaService = require('../../src/services/eta.service');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/utils/redis');
+
+// ~1km due north in New York (default speed) and in downtown San Francisco (slow zone)
+const NYC = { latitude: 40.7128, longitude: -74.0060 };
+const NYC_NORTH = { latitude: 40.7218, longitude: -74.0060 };
+const SF = { latitude: 37.7749, longitude: -122.4194 };
+const SF_NORTH = { latitude: 37.7839, longitude: -122.4194 };
+
+describe('ETA Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('estimate', () => {
+    it('should drive the road distance at the default speed outside any zone', () => {
+      expect(etaService.estimate(NYC, NYC_NORTH)).toEqual({
+        distance_km: 1.3,
+        duration_sec: 156,
+        model: 'haversine'
+      });
+    });
+
+    it('should use the average speed of the zone', () => {
+      expect(etaService.zoneSpeedKmh(SF.latitude, SF.longitude)).toBe(18);
+      expect(etaService.estimate(SF, SF_NORTH).duration_sec).toBe(260);
+    });
+
+    it('should accept coordinates as strings', () => {
+      const asStrings = { latitude: '40.7128', longitude: '-74.0060' };
+
+      expect(etaService.estimate(asStrings, NYC_NORTH)).toEqual(etaService.estimate(NYC, NYC_NORTH));
+    });
+
+    it('should reject an unknown model', () => {
+      expect(() => etaService.estimate(NYC, NYC_NORTH, 'teleport')).toThrow('Unknown ETA model: teleport');
+    });
+  });
+
+  describe('road_graph model', () => {
+    // One fast avenue north from NYC to NYC_NORTH
+    const ROAD_GRAPH = {
+      nodes: { a: [40.7128, -74.0060], b: [40.7218, -74.0060] },
+      edges: [{ from: 'a', to: 'b', speed_kmh: 60 }]
+    };
+
+    function loadWithGraph() {
+      let service;
+      process.env.ETA_CONFIG = JSON.stringify({ model: 'road_graph', road_graph: ROAD_GRAPH });
+      jest.isolateModules(() => {
+        service = require('../../src/services/eta.service');
+      });
+      delete process.env.ETA_CONFIG;
+      return service;
+    }
+
+    it('should route over the graph', () => {
+      const estimate = loadWithGraph().estimate(NYC, NYC_NORTH);
+
+      expect(estimate.model).toBe('road_graph');
+      expect(estimate.distance_km).toBe(1);
+      expect(estimate.duration_sec).toBe(60);
+    });
+
+    it('should fall back to haversine off the graph', () => {
+      const estimate = loadWithGraph().estimate(SF, SF_NORTH);
+
+      expect(estimate.duration_sec).toBe(260);
+    });
+  });
+
+  describe('getDriverEta', () => {
+    it('should estimate from the driver\'s position in the geo index', async () => {
+      redis.geoPos.mockResolvedValueOnce([{ latitude: '40.7128', longitude: '-74.0060' }]);
+
+      const eta = await etaService.getDriverEta('driver-1', NYC_NORTH);
+
+      expect(redis.geoPos).toHaveBeenCalledWith('drivers:geo', ['driver-1']);
+      expect(eta).toEqual({ eta_sec: 156, eta_minutes: 3, distance_km: 1.3, model: 'haversine' });
+    });
+
+    it('should return null when the driver has no position', async () => {
+      redis.geoPos.mockResolvedValueOnce([null]);
+
+      expect(await etaService.getDriverEta('driver-1', NYC_NORTH)).toBeNull();
+    });
+  });
+
+  describe('getPickupEta', () => {
+    it('should estimate to the pickup cached for the driver\'s ride', () => {
+      const eta = etaService.getPickupEta(NYC, {
+        ride_id: 'ride-1',
+        pickup: { latitude: '40.7218', longitude: '-74.0060' }
+      });
+
+      expect(eta.eta_sec).toBe(156);
+    });
+
+    it('should return null when the driver is not on the way to a pickup', () => {
+      expect(etaService.getPickupEta(NYC, null)).toBeNull();
+      expect(etaService.getPickupEta(NYC, { ride_id: 'ride-1', pickup: null })).toBeNull();
+    });
+  });
+
+  describe('rankByEta', () => {
+    it('should put the fastest pickup first and unknown positions last', async () => {
+      redis.geoPos.mockResolvedValueOnce([
+        null,
+        { latitude: '40.7218', longitude: '-74.0060' }, // ~1km away
+        { latitude: '40.7138', longitude: '-74.0060' } // ~110m away
+      ]);
+
+      const ranked = await etaService.rankByEta(
+        [{ member: 'driver-1' }, { member: 'driver-2' }, { member: 'driver-3' }],
+        NYC
+      );
+
+      expect(ranked).toEqual([{ member: 'driver-3' }, { member: 'driver-2' }, { member: 'driver-1' }]);
+    });
+  });
+});
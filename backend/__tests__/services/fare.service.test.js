@@ -0,0 +1,142 @@
+/**
+ * Unit tests for fare estimate service
+ */
+
+const fareService = require('../../src/services/fare.service');
+const surgeService = require('../../src/services/surge.service');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/db');
+jest.mock('../../src/services/surge.service');
+
+const trip = {
+  pickup_latitude: 37.7749,
+  pickup_longitude: -122.4194,
+  drop_latitude: 37.8049,
+  drop_longitude: -122.4294
+};
+
+describe('Fare Service', () => {
+  beforeEach(() => {
+    surgeService.getSurge.mockResolvedValue({ geohash: '9q8yy', surge_multiplier: 1.0 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('estimateRoute', () => {
+    it('should scale straight-line distance to road distance', () => {
+      // ~3.46km straight line * 1.3 road factor at 30 km/h
+      const route = fareService.estimateRoute(37.7749, -122.4194, 37.8049, -122.4294);
+
+      expect(route.distance_km).toBeCloseTo(4.5, 1);
+      expect(route.duration_sec).toBe(Math.round((route.distance_km / 30) * 3600));
+    });
+  });
+
+  describe('estimateFare', () => {
+    it('should estimate every tier with a fare range', async () => {
+      const result = await fareService.estimateFare(trip);
+
+      expect(result.estimates.map(e => e.tier)).toEqual(['ECONOMY', 'PREMIUM', 'LUXURY']);
+      for (const estimate of result.estimates) {
+        expect(estimate.fare_min).toBeLessThan(estimate.fare_max);
+        expect(estimate.quote_id).toEqual(expect.any(String));
+      }
+    });
+
+    it('should apply the pickup surge', async () => {
+      const base = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+      surgeService.getSurge.mockResolvedValue({ geohash: '9q8yy', surge_multiplier: 2.0 });
+
+      const surged = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+
+      expect(surged.surge_multiplier).toBe(2.0);
+      expect(surged.estimates).toHaveLength(1);
+      expect(surged.estimates[0].fare_max).toBeCloseTo(base.estimates[0].fare_max * 2, 1);
+    });
+  });
+
+  describe('redeemQuote', () => {
+    it('should lock in the quoted surge and maximum fare', async () => {
+      surgeService.getSurge.mockResolvedValue({ geohash: '9q8yy', surge_multiplier: 1.5 });
+      const { estimates } = await fareService.estimateFare({ ...trip, tier: 'PREMIUM' });
+
+      const pricing = await fareService.redeemQuote(estimates[0].quote_id, { ...trip, tier: 'PREMIUM' });
+
+      expect(pricing.surge_multiplier).toBe(1.5);
+      expect(pricing.quoted_fare).toBe(estimates[0].fare_max);
+      expect(pricing.quote_expires_at.toISOString()).toBe(estimates[0].quote_expires_at);
+    });
+
+    it('should only book one ride with a quote', async () => {
+      const { estimates } = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+      const [, signature] = estimates[0].quote_id.split('.');
+      redis.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+
+      await fareService.redeemQuote(estimates[0].quote_id, { ...trip, tier: 'ECONOMY' });
+
+      await expect(fareService.redeemQuote(estimates[0].quote_id, { ...trip, tier: 'ECONOMY' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Fare quote has already been used' });
+      expect(redis.set).toHaveBeenCalledWith(
+        `fare:quote:redeemed:${signature}`,
+        '1',
+        { NX: true, EX: expect.any(Number) }
+      );
+    });
+
+    it('should reject a quote for a different tier or route', async () => {
+      const { estimates } = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+      const quoteId = estimates[0].quote_id;
+
+      await expect(fareService.redeemQuote(quoteId, { ...trip, tier: 'LUXURY' }))
+        .rejects.toThrow('Fare quote does not match ride request');
+      await expect(fareService.redeemQuote(quoteId, { ...trip, tier: 'ECONOMY', drop_latitude: 37.9 }))
+        .rejects.toThrow('Fare quote does not match ride request');
+    });
+
+    it('should reject a tampered quote', async () => {
+      const { estimates } = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+      const [payload, signature] = estimates[0].quote_id.split('.');
+      const quote = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      const forged = Buffer.from(JSON.stringify({ ...quote, fare_max: 1 })).toString('base64url');
+
+      await expect(fareService.redeemQuote(`${forged}.${signature}`, { ...trip, tier: 'ECONOMY' }))
+        .rejects.toThrow('Invalid fare quote');
+      await expect(fareService.redeemQuote('garbage', { ...trip, tier: 'ECONOMY' }))
+        .rejects.toThrow('Invalid fare quote');
+    });
+
+    it('should reject an expired quote', async () => {
+      const { estimates } = await fareService.estimateFare({ ...trip, tier: 'ECONOMY' });
+      const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 301 * 1000);
+
+      try {
+        await expect(fareService.redeemQuote(estimates[0].quote_id, { ...trip, tier: 'ECONOMY' }))
+          .rejects.toThrow('Fare quote expired');
+      } finally {
+        nowSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('quote secret', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.dontMock('../../src/services/trip.service');
+    });
+
+    it('should refuse to start in production without FARE_QUOTE_SECRET', () => {
+      delete process.env.FARE_QUOTE_SECRET;
+      process.env.NODE_ENV = 'production';
+
+      expect(() => jest.isolateModules(() => {
+        jest.doMock('../../src/services/trip.service', () => ({ TIER_RATES: {}, calculateFare: jest.fn() }));
+        require('../../src/services/fare.service');
+      })).toThrow('FARE_QUOTE_SECRET must be set in production');
+    });
+  });
+});
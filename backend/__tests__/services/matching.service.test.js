@@ -8,6 +8,11 @@ const redis = require('../../src/utils/redis');
 jest.mock('../../src/utils/redis');
 
 describe('Matching Service', () => {
+  beforeEach(() => {
+    // Every driver pinged just now unless a test says otherwise
+    redis.zmScore.mockImplementation(async (key, ids) => ids.map(() => Date.now()));
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -29,13 +34,39 @@ describe('Matching Service', () => {
       ]);
 
       expect(redis.geoSearch).toHaveBeenCalledWith(
-        'drivers:geo',
+        'drivers:geo:tier:ECONOMY',
         { longitude: -122.4194, latitude: 37.7749 },
         { radius: 5, unit: 'km' },
         { SORT: 'ASC', COUNT: 5 }
       );
     });
 
+    it('should search only the geo index of the ride tier', async () => {
+      redis.geoSearch.mockResolvedValue([]);
+
+      await matchingService.findNearbyDrivers(37.7749, -122.4194, 'LUXURY');
+
+      expect(redis.geoSearch).toHaveBeenCalledWith(
+        'drivers:geo:tier:LUXURY',
+        expect.any(Object),
+        expect.any(Object),
+        expect.any(Object)
+      );
+    });
+
+    it('should skip drivers whose last ping is stale', async () => {
+      redis.geoSearch.mockResolvedValue(['driver-1', 'driver-2', 'driver-3']);
+      redis.zmScore.mockResolvedValue([Date.now(), Date.now() - 5 * 60 * 1000, null]);
+
+      const result = await matchingService.findNearbyDrivers(37.7749, -122.4194);
+
+      expect(result).toEqual(['driver-1']);
+      expect(redis.zmScore).toHaveBeenCalledWith(
+        'drivers:last_seen',
+        ['driver-1', 'driver-2', 'driver-3']
+      );
+    });
+
     it('should return empty array if no drivers found', async () => {
       redis.geoSearch.mockResolvedValue([]);
 
@@ -50,4 +81,121 @@ describe('Matching Service', () => {
       await expect(matchingService.findNearbyDrivers(37.7749, -122.4194)).rejects.toThrow('Redis connection error');
     });
   });
+
+  describe('getMatchingConfig', () => {
+    it('should use city rings inside a configured city', () => {
+      const config = matchingService.getMatchingConfig(37.7749, -122.4194, 'ECONOMY');
+
+      expect(config.city).toBe('san_francisco');
+      expect(config.rings.map(r => r.radius_km)).toEqual([1, 3, 6]);
+      expect(config.max_drivers).toBe(5);
+      expect(config.match_timeout_sec).toBe(60);
+    });
+
+    it('should apply tier overrides on top of the city', () => {
+      const config = matchingService.getMatchingConfig(37.7749, -122.4194, 'LUXURY');
+
+      expect(config.rings.map(r => r.radius_km)).toEqual([3, 8, 15]);
+      expect(config.match_timeout_sec).toBe(90);
+    });
+
+    it('should fall back to the default rings elsewhere', () => {
+      const config = matchingService.getMatchingConfig(40.7128, -74.0060, 'ECONOMY');
+
+      expect(config.city).toBe('default');
+      expect(config.rings.map(r => r.radius_km)).toEqual([2, 5, 10]);
+    });
+  });
+
+  describe('currentRing', () => {
+    const rings = [
+      { radius_km: 2, after_sec: 0 },
+      { radius_km: 5, after_sec: 15 },
+      { radius_km: 10, after_sec: 30 }
+    ];
+
+    it('should widen the ring as the ride waits', () => {
+      expect(matchingService.currentRing(rings, 0)).toBe(1);
+      expect(matchingService.currentRing(rings, 14.9)).toBe(1);
+      expect(matchingService.currentRing(rings, 15)).toBe(2);
+      expect(matchingService.currentRing(rings, 300)).toBe(3);
+    });
+  });
+
+  describe('findDriversInRing', () => {
+    it('should search the radius of the ring the ride has reached', async () => {
+      const createdAt = new Date('2026-10-18T10:00:00Z');
+      const ride = {
+        id: 'ride-1',
+        tier: 'ECONOMY',
+        pickup_latitude: 40.7128,
+        pickup_longitude: -74.0060,
+        created_at: createdAt
+      };
+      redis.geoSearch.mockResolvedValue([{ member: 'driver-1' }]);
+
+      const result = await matchingService.findDriversInRing(ride, createdAt.getTime() + 20000);
+
+      expect(result).toEqual({
+        city: 'default',
+        ring: 2,
+        radius_km: 5,
+        is_last_ring: false,
+        timed_out: false,
+        drivers: [{ member: 'driver-1' }]
+      });
+      expect(redis.geoSearch).toHaveBeenCalledWith(
+        'drivers:geo:tier:ECONOMY',
+        { longitude: -74.0060, latitude: 40.7128 },
+        { radius: 5, unit: 'km' },
+        { SORT: 'ASC', COUNT: 5 }
+      );
+    });
+
+    it('should rank candidates by pickup ETA', async () => {
+      const createdAt = new Date('2026-10-18T10:00:00Z');
+      redis.geoSearch.mockResolvedValue([{ member: 'driver-1' }, { member: 'driver-2' }]);
+      redis.geoPos.mockResolvedValueOnce([
+        { latitude: '40.7218', longitude: '-74.0060' },
+        { latitude: '40.7138', longitude: '-74.0060' }
+      ]);
+
+      const result = await matchingService.findDriversInRing({
+        tier: 'ECONOMY',
+        pickup_latitude: 40.7128,
+        pickup_longitude: -74.0060,
+        created_at: createdAt
+      }, createdAt.getTime());
+
+      expect(result.drivers).toEqual([{ member: 'driver-2' }, { member: 'driver-1' }]);
+      expect(redis.geoPos).toHaveBeenCalledWith('drivers:geo', ['driver-1', 'driver-2']);
+    });
+
+    it('should report a timed-out ride in the last ring', async () => {
+      const createdAt = new Date('2026-10-18T10:00:00Z');
+      redis.geoSearch.mockResolvedValue([]);
+
+      const result = await matchingService.findDriversInRing({
+        tier: 'ECONOMY',
+        pickup_latitude: 40.7128,
+        pickup_longitude: -74.0060,
+        created_at: createdAt
+      }, createdAt.getTime() + 61000);
+
+      expect(result.ring).toBe(3);
+      expect(result.is_last_ring).toBe(true);
+      expect(result.timed_out).toBe(true);
+    });
+  });
+
+  describe('isMatchingExhausted', () => {
+    const createdAt = new Date('2026-10-18T10:00:00Z');
+    const ride = { tier: 'ECONOMY', pickup_latitude: 40.7128, pickup_longitude: -74.0060, created_at: createdAt };
+
+    it('should be exhausted once the last ring has timed out', () => {
+      expect(matchingService.isMatchingExhausted(ride, createdAt.getTime() + 59000)).toBe(false);
+      expect(matchingService.isMatchingExhausted(ride, createdAt.getTime() + 61000)).toBe(true);
+      expect(redis.geoSearch).not.toHaveBeenCalled();
+    });
+  });
 });
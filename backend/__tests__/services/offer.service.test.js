@@ -0,0 +1,121 @@
+/**
+ * Unit tests for ride offer service
+ */
+
+const offerService = require('../../src/services/offer.service');
+const db = require('../../src/db');
+const wsManager = require('../../src/utils/websocket');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/websocket');
+
+describe('Offer Service', () => {
+  const ride = { id: 'ride-1', tier: 'ECONOMY' };
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('offerToNextDriver', () => {
+    it('should offer the ride to the closest eligible driver', async () => {
+      const offer = { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-2', status: 'PENDING' };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-3' }, { id: 'driver-2' }], rowCount: 2 }) // eligible
+        .mockResolvedValueOnce({ rows: [offer], rowCount: 1 }); // INSERT offer
+
+      const result = await offerService.offerToNextDriver(
+        ride,
+        ['driver-1', 'driver-2', 'driver-3'],
+        { ring: 2, radius_km: 5 }
+      );
+
+      expect(result).toEqual(offer);
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO ride_offers'),
+        ['ride-1', 'driver-2', 'PENDING', 15, 2, 5]
+      );
+      expect(wsManager.broadcastRideOffer).toHaveBeenCalledWith(offer, ride);
+    });
+
+    it('should move on when another worker already offered the driver', async () => {
+      const offer = { id: 'offer-2', ride_id: 'ride-1', driver_id: 'driver-2', status: 'PENDING' };
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1' }, { id: 'driver-2' }], rowCount: 2 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // driver-1 taken
+        .mockResolvedValueOnce({ rows: [offer], rowCount: 1 });
+
+      const result = await offerService.offerToNextDriver(ride, ['driver-1', 'driver-2']);
+
+      expect(result.driver_id).toBe('driver-2');
+      expect(wsManager.broadcastRideOffer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null when no candidate is left', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      expect(await offerService.offerToNextDriver(ride, ['driver-1'])).toBeNull();
+      expect(await offerService.offerToNextDriver(ride, [])).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('declineOffer', () => {
+    it('should record the decline', async () => {
+      const offer = { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1', status: 'DECLINED' };
+      db.query.mockResolvedValueOnce({ rows: [offer], rowCount: 1 });
+
+      const result = await offerService.declineOffer('ride-1', 'driver-1');
+
+      expect(result.status).toBe('DECLINED');
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE ride_offers'),
+        ['DECLINED', 'ride-1', 'driver-1', 'PENDING']
+      );
+      expect(wsManager.broadcastRideOfferClosed).toHaveBeenCalledWith(offer);
+    });
+
+    it('should reject when there is no pending offer', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(offerService.declineOffer('ride-1', 'driver-1'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('withdrawOffers', () => {
+    it('should withdraw the ride\'s pending offer and tell the driver', async () => {
+      const withdrawn = { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1', status: 'WITHDRAWN' };
+      db.query.mockResolvedValueOnce({ rows: [withdrawn], rowCount: 1 });
+
+      const result = await offerService.withdrawOffers('ride-1');
+
+      expect(result).toEqual([withdrawn]);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE ride_offers'),
+        ['WITHDRAWN', 'ride-1', 'PENDING']
+      );
+      expect(wsManager.broadcastRideOfferClosed).toHaveBeenCalledWith(withdrawn);
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('should expire unanswered offers', async () => {
+      const expired = [
+        { id: 'offer-1', ride_id: 'ride-1', driver_id: 'driver-1', status: 'EXPIRED' },
+        { id: 'offer-2', ride_id: 'ride-2', driver_id: 'driver-2', status: 'EXPIRED' }
+      ];
+      db.query.mockResolvedValueOnce({ rows: expired, rowCount: 2 });
+
+      const result = await offerService.expireOffers();
+
+      expect(result).toHaveLength(2);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('expires_at <= now()'),
+        ['EXPIRED', 'PENDING']
+      );
+      expect(wsManager.broadcastRideOfferClosed).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -4,9 +4,17 @@
 
 const paymentService = require('../../src/services/payment.service');
 const db = require('../../src/db');
+const wsManager = require('../../src/utils/websocket');
+const psp = require('../../src/psp');
+const walletService = require('../../src/services/wallet.service');
+const { AppError } = require('../../src/middlewares/error.middleware');
+const { PSPError } = require('../../src/psp/errors');
 
 jest.mock('../../src/db');
+jest.mock('../../src/psp');
 jest.mock('../../src/services/notification.service');
+jest.mock('../../src/utils/websocket');
+jest.mock('../../src/services/wallet.service');
 
 describe('Payment Service', () => {
   let mockClient;
@@ -35,7 +43,8 @@ describe('Payment Service', () => {
 
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
-        .mockResolvedValueOnce({ rows: [{ total_fare: 25.00 }], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'ENDED', total_fare: 25.00, payment_method: 'CARD' }], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT active payment
         .mockResolvedValueOnce({ rows: [mockPayment] }) // INSERT payment
         .mockResolvedValueOnce() // INSERT outbox
         .mockResolvedValueOnce(); // COMMIT
@@ -43,51 +52,329 @@ describe('Payment Service', () => {
       const result = await paymentService.createPaymentForTrip('trip-123', 'key-123');
 
       expect(result).toEqual(mockPayment);
+      expect(mockClient.query.mock.calls[3][1]).toEqual(['trip-123', 25.00, 'CARD', 'PENDING']);
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
     });
+
+    it('should refuse a trip that has not ended', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'STARTED' }], rowCount: 1 }); // SELECT trip
+
+      await expect(paymentService.createPaymentForTrip('trip-123'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Cannot pay for a trip in STARTED state' });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should refuse a second active payment for the trip', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'ENDED', total_fare: 25.00 }], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1' }], rowCount: 1 }); // SELECT active payment
+
+      await expect(paymentService.createPaymentForTrip('trip-123'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Trip already has an active payment' });
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payments'))).toBe(false);
+    });
+  });
+
+  describe('createTripPayment', () => {
+    it('should queue card and UPI payments for the PSP', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'PENDING', payment_method: 'UPI' }] }) // INSERT payment
+        .mockResolvedValueOnce(); // INSERT outbox
+
+      const payment = await paymentService.createTripPayment(mockClient, { id: 'trip-123', total_fare: 18.5, payment_method: 'UPI' });
+
+      expect(payment.status).toBe('PENDING');
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['trip-123', 18.5, 'UPI', 'PENDING']);
+      expect(mockClient.query.mock.calls[1][0]).toContain("'PAYMENT_CREATED'");
+    });
+
+    it('should record cash as collected by the driver without an outbox event', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 'payment-1', status: 'COLLECTED_BY_DRIVER' }] });
+
+      await paymentService.createTripPayment(mockClient, { id: 'trip-123', total_fare: 18.5, payment_method: 'CASH' });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['trip-123', 18.5, 'CASH', 'COLLECTED_BY_DRIVER']);
+    });
   });
 
   describe('processPayment', () => {
+    const mockPayment = {
+      id: 'payment-123',
+      amount: 25.00,
+      status: 'PENDING',
+      retry_count: 0
+    };
+
+    function mockSelect(payment = mockPayment) {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [payment], rowCount: 1 }) // SELECT
+        .mockResolvedValueOnce() // UPDATE
+        .mockResolvedValueOnce(); // COMMIT
+    }
+
     it('should process payment successfully', async () => {
-      const mockPayment = {
-        id: 'payment-123',
-        amount: 25.00,
-        status: 'PENDING',
-        retry_count: 0
-      };
+      mockSelect();
+      psp.authorize.mockResolvedValue({ transaction_id: 'pi_1', status: 'authorized', amount: 25 });
+      psp.capture.mockResolvedValue({ transaction_id: 'pi_1', status: 'processing', amount: 25 });
+
+      const result = await paymentService.processPayment('payment-123');
+
+      expect(result.success).toBe(true);
+      expect(psp.authorize).toHaveBeenCalledWith(mockPayment, { idempotencyKey: 'payment:payment-123:authorize' });
+      expect(psp.capture).toHaveBeenCalledWith('pi_1', 25, { idempotencyKey: 'payment:payment-123:capture' });
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE payments'),
+        ['PROCESSING', 'pi_1', expect.any(String), 'payment-123']
+      );
+    });
+
+    it('should wait for the rider when 3DS is required', async () => {
+      mockSelect();
+      psp.authorize.mockResolvedValue({ transaction_id: 'pi_1', status: 'requires_action', amount: 25 });
+
+      const result = await paymentService.processPayment('payment-123');
+
+      expect(result.requiresAction).toBe(true);
+      expect(psp.capture).not.toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE payments'),
+        ['REQUIRES_ACTION', 'pi_1', expect.any(String), 'payment-123']
+      );
+    });
+
+    it('should fail a declined payment without retrying', async () => {
+      mockSelect();
+      psp.authorize.mockRejectedValue(new PSPError('insufficient_funds', { declined: true }));
+
+      const result = await paymentService.processPayment('payment-123');
 
-      // Mock Math.random to ensure PSP success (not trigger 20% failure)
-      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(result).toEqual({ success: false, declined: true, reason: 'insufficient_funds' });
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining("status = 'FAILED'"),
+        ['Declined: insufficient_funds', 'payment-123']
+      );
+    });
+
+    it('should schedule a retry when the PSP times out', async () => {
+      mockSelect();
+      psp.authorize.mockRejectedValue(new PSPError('PSP_TIMEOUT', { retryable: true }));
+
+      const result = await paymentService.processPayment('payment-123');
 
+      expect(result.retry).toBe(true);
+      expect(result.retryCount).toBe(1);
+      expect(result.reason).toBe('PSP_TIMEOUT');
+    });
+
+    it('should not call the PSP again for a payment awaiting 3DS', async () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
-        .mockResolvedValueOnce({ rows: [mockPayment], rowCount: 1 }) // SELECT
-        .mockResolvedValueOnce() // UPDATE to PROCESSING
+        .mockResolvedValueOnce({ rows: [{ ...mockPayment, status: 'REQUIRES_ACTION' }], rowCount: 1 }) // SELECT
         .mockResolvedValueOnce(); // COMMIT
 
       const result = await paymentService.processPayment('payment-123');
 
-      expect(result.success).toBe(true);
-      
-      Math.random.mockRestore();
+      expect(result.alreadyProcessed).toBe(true);
+      expect(psp.authorize).not.toHaveBeenCalled();
+    });
+
+    it('should debit wallet payments instead of sending them to the PSP', async () => {
+      const walletPayment = { ...mockPayment, payment_method: 'WALLET' };
+      mockSelect(walletPayment);
+      walletService.debitPayment.mockResolvedValueOnce({ posted: true });
+
+      const result = await paymentService.processPayment('payment-123');
+
+      expect(result).toMatchObject({ success: true, completed: true });
+      expect(psp.authorize).not.toHaveBeenCalled();
+      expect(walletService.debitPayment).toHaveBeenCalledWith(mockClient, walletPayment);
+      expect(mockClient.query.mock.calls[2][0]).toContain("status = 'COMPLETED'");
+    });
+
+    it('should fail a wallet payment the balance does not cover', async () => {
+      mockSelect({ ...mockPayment, payment_method: 'WALLET' });
+      walletService.debitPayment.mockRejectedValueOnce(new AppError('Insufficient wallet balance', 409));
+
+      const result = await paymentService.processPayment('payment-123');
+
+      expect(result).toEqual({ success: false, reason: 'Insufficient wallet balance' });
+      expect(mockClient.query.mock.calls[2][0]).toContain("status = 'FAILED'");
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
     });
   });
 
   describe('handleWebhook', () => {
+    const webhook = {
+      id: 'evt_1',
+      type: 'payment_intent.succeeded',
+      payment_id: 'payment-123',
+      status: 'succeeded',
+      transaction_id: 'txn-123'
+    };
+
+    // BEGIN, SELECT payment, INSERT event, then the UPDATE if it applies
+    function mockWebhookQueries(payment, { eventRows = 1, updated } = {}) {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM payments')) return { rows: [payment], rowCount: 1 };
+        if (sql.includes('psp_webhook_events')) return { rows: [], rowCount: eventRows };
+        if (sql.includes('UPDATE payments')) return { rows: [updated], rowCount: 1 };
+        return { rows: [], rowCount: 0 };
+      });
+    }
+
     it('should handle webhook successfully', async () => {
-      db.query
-        .mockResolvedValueOnce({ rows: [{ id: 'payment-123', status: 'PENDING', trip_id: 'trip-123' }], rowCount: 1 }) // SELECT payment
-        .mockResolvedValueOnce({ rows: [{ id: 'payment-123', status: 'COMPLETED' }] }) // UPDATE payment
-        .mockResolvedValueOnce({ rows: [{ rider_id: 'rider-1' }], rowCount: 1 }); // SELECT trip
+      mockWebhookQueries(
+        { id: 'payment-123', status: 'PROCESSING', trip_id: 'trip-123' },
+        { updated: { id: 'payment-123', status: 'COMPLETED', trip_id: 'trip-123' } }
+      );
+      db.query.mockResolvedValueOnce({ rows: [{ rider_id: 'rider-1' }], rowCount: 1 }); // SELECT ride
+
+      const result = await paymentService.handleWebhook(webhook);
+
+      expect(result).toMatchObject({ applied: true, reason: null });
+      expect(result.payment.status).toBe('COMPLETED');
+      const insert = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO psp_webhook_events'));
+      expect(insert[1]).toEqual(['evt_1', 'payment-123', 'payment_intent.succeeded', true]);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should push the new status to the ride', async () => {
+      mockWebhookQueries(
+        { id: 'payment-123', status: 'PROCESSING' },
+        { updated: { id: 'payment-123', status: 'FAILED', amount: 25, psp_response: '{}' } }
+      );
+      db.query.mockResolvedValueOnce({ rows: [{ ride_id: 'ride-1', rider_id: 'rider-1' }], rowCount: 1 }); // SELECT ride
+
+      await paymentService.handleWebhook({ ...webhook, type: 'payment_intent.failed', status: 'failed' });
+
+      const update = wsManager.broadcastPaymentUpdated.mock.calls[0][0];
+      expect(update).toMatchObject({ id: 'payment-123', ride_id: 'ride-1', status: 'FAILED', amount: 25 });
+      expect(update.psp_response).toBeUndefined();
+    });
+
+    it('should ignore a redelivered event', async () => {
+      mockWebhookQueries({ id: 'payment-123', status: 'COMPLETED' }, { eventRows: 0 });
+
+      const result = await paymentService.handleWebhook(webhook);
+
+      expect(result).toMatchObject({ applied: false, reason: 'duplicate' });
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE payments'))).toBe(false);
+      expect(wsManager.broadcastPaymentUpdated).not.toHaveBeenCalled();
+    });
+
+    it('should not let a late failure undo a completed payment', async () => {
+      mockWebhookQueries({ id: 'payment-123', status: 'COMPLETED' });
+
+      const result = await paymentService.handleWebhook({ ...webhook, id: 'evt_0', status: 'failed' });
+
+      expect(result).toMatchObject({ applied: false, reason: 'out_of_order' });
+      expect(result.payment.status).toBe('COMPLETED');
+      const insert = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO psp_webhook_events'));
+      expect(insert[1][3]).toBe(false);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE payments'))).toBe(false);
+    });
+
+    it('should record a progress report without changing the payment', async () => {
+      mockWebhookQueries({ id: 'payment-123', status: 'PROCESSING' });
 
       const result = await paymentService.handleWebhook({
-        payment_id: 'payment-123',
-        status: 'succeeded',
-        transaction_id: 'txn-123'
+        ...webhook, id: 'evt_2', type: 'payment_intent.requires_action', status: 'requires_action'
+      });
+
+      expect(result).toMatchObject({ applied: false, reason: 'not_final' });
+      expect(result.payment.status).toBe('PROCESSING');
+      const insert = mockClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO psp_webhook_events'));
+      expect(insert[1]).toEqual(['evt_2', 'payment-123', 'payment_intent.requires_action', false]);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE payments'))).toBe(false);
+      expect(wsManager.broadcastPaymentUpdated).not.toHaveBeenCalled();
+    });
+
+    it('should fail a payment the PSP canceled', async () => {
+      mockWebhookQueries(
+        { id: 'payment-123', status: 'PROCESSING' },
+        { updated: { id: 'payment-123', status: 'FAILED' } }
+      );
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      const result = await paymentService.handleWebhook({ ...webhook, status: 'canceled' });
+
+      expect(result.applied).toBe(true);
+      const update = mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE payments'));
+      expect(update[1][0]).toBe('FAILED');
+    });
+
+    it('should complete a payment a previous event failed', async () => {
+      mockWebhookQueries(
+        { id: 'payment-123', status: 'FAILED' },
+        { updated: { id: 'payment-123', status: 'COMPLETED' } }
+      );
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      const result = await paymentService.handleWebhook(webhook);
+
+      expect(result.applied).toBe(true);
+      expect(result.payment.status).toBe('COMPLETED');
+    });
+
+    it('should credit the wallet when a top-up completes', async () => {
+      const topUp = { id: 'payment-123', status: 'COMPLETED', amount: '20.00', top_up_rider_id: 'rider-1' };
+      mockWebhookQueries({ ...topUp, status: 'PROCESSING' }, { updated: topUp });
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      const result = await paymentService.handleWebhook(webhook);
+
+      expect(result.applied).toBe(true);
+      expect(walletService.creditTopUp).toHaveBeenCalledWith(mockClient, topUp);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should not credit the wallet for a failed top-up', async () => {
+      const topUp = { id: 'payment-123', status: 'FAILED', amount: '20.00', top_up_rider_id: 'rider-1' };
+      mockWebhookQueries({ ...topUp, status: 'PROCESSING' }, { updated: topUp });
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await paymentService.handleWebhook({ ...webhook, status: 'failed' });
+
+      expect(walletService.creditTopUp).not.toHaveBeenCalled();
+    });
+
+    it('should roll back for an unknown payment', async () => {
+      mockClient.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await expect(paymentService.handleWebhook(webhook)).rejects.toThrow('Payment not found for webhook');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('publishPaymentUpdate', () => {
+    it('should broadcast the payment to its ride', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'payment-123', trip_id: 'trip-123', ride_id: null, resolved_ride_id: 'ride-1', status: 'PROCESSING' }],
+        rowCount: 1
       });
 
-      expect(result.id).toBe('payment-123');
+      await paymentService.publishPaymentUpdate('payment-123');
+
+      expect(wsManager.broadcastPaymentUpdated).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'payment-123',
+        ride_id: 'ride-1',
+        status: 'PROCESSING'
+      }));
+    });
+
+    it('should do nothing for an unknown payment', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await paymentService.publishPaymentUpdate('payment-404');
+
+      expect(wsManager.broadcastPaymentUpdated).not.toHaveBeenCalled();
     });
   });
 });
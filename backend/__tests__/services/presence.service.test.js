@@ -0,0 +1,121 @@
+/**
+ * Unit tests for driver presence (heartbeats and stale eviction)
+ */
+
+const presenceService = require('../../src/services/presence.service');
+const db = require('../../src/db');
+const redis = require('../../src/utils/redis');
+const wsManager = require('../../src/utils/websocket');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+jest.mock('../../src/utils/websocket');
+
+const NOW = new Date('2026-10-18T10:00:00Z').getTime();
+
+describe('Presence Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordHeartbeat', () => {
+    it('should store the ping time as the driver score', async () => {
+      await presenceService.recordHeartbeat('driver-1', NOW);
+
+      expect(redis.zAdd).toHaveBeenCalledWith('drivers:last_seen', { score: NOW, value: 'driver-1' });
+    });
+  });
+
+  describe('filterLiveDrivers', () => {
+    it('should drop drivers silent for longer than the stale threshold', async () => {
+      const staleAt = NOW - (presenceService.STALE_AFTER_SEC + 1) * 1000;
+      redis.zmScore.mockResolvedValue([NOW - 1000, staleAt, null]);
+
+      const result = await presenceService.filterLiveDrivers(
+        [{ member: 'driver-1' }, { member: 'driver-2' }, { member: 'driver-3' }],
+        NOW
+      );
+
+      expect(result).toEqual([{ member: 'driver-1' }]);
+    });
+
+    it('should not query Redis for an empty result', async () => {
+      expect(await presenceService.filterLiveDrivers([], NOW)).toEqual([]);
+      expect(redis.zmScore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sweepStaleDrivers', () => {
+    const CUTOFF = NOW - presenceService.STALE_AFTER_SEC * 1000;
+
+    it('should evict stale drivers and take available ones offline', async () => {
+      redis.eval.mockResolvedValue(['driver-1', 'driver-2']);
+      db.query.mockResolvedValue({
+        rows: [{ id: 'driver-1', status: 'OFFLINE' }],
+        rowCount: 1
+      });
+
+      const result = await presenceService.sweepStaleDrivers(NOW);
+
+      expect(result).toEqual({ evicted: 2, offline: 1 });
+      expect(redis.eval).toHaveBeenCalledWith(expect.stringContaining('ZRANGEBYSCORE'), {
+        keys: [
+          'drivers:last_seen',
+          'drivers:geo',
+          'drivers:geo:tier:ECONOMY',
+          'drivers:geo:tier:PREMIUM',
+          'drivers:geo:tier:LUXURY'
+        ],
+        arguments: [String(CUTOFF)]
+      });
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE drivers'),
+        ['OFFLINE', ['driver-1', 'driver-2'], 'AVAILABLE']
+      );
+      expect(redis.invalidateDriverCache).toHaveBeenCalledWith('driver-1');
+      expect(wsManager.broadcastDriverStatusChanged).toHaveBeenCalledWith({ id: 'driver-1', status: 'OFFLINE' });
+    });
+
+    it('should keep a driver whose ping lands during the sweep', async () => {
+      const lastSeen = { 'driver-1': CUTOFF - 1000, 'driver-2': CUTOFF - 1000 };
+      redis.zAdd.mockImplementation(async (key, { score, value }) => {
+        lastSeen[value] = score;
+        return 1;
+      });
+      // driver-2 pings after the sweep started but before the script runs
+      redis.eval.mockImplementation(async (script, { arguments: [cutoff] }) => {
+        await presenceService.recordHeartbeat('driver-2', NOW);
+        return Object.keys(lastSeen).filter(id => lastSeen[id] <= Number(cutoff));
+      });
+      db.query.mockResolvedValue({
+        rows: [{ id: 'driver-1', status: 'OFFLINE' }],
+        rowCount: 1
+      });
+
+      const result = await presenceService.sweepStaleDrivers(NOW);
+
+      expect(result).toEqual({ evicted: 1, offline: 1 });
+      expect(redis.zRangeByScore).not.toHaveBeenCalled();
+      expect(redis.removeDriverFromGeo).not.toHaveBeenCalled();
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE drivers'),
+        ['OFFLINE', ['driver-1'], 'AVAILABLE']
+      );
+      expect(wsManager.broadcastDriverStatusChanged).not.toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'driver-2' })
+      );
+
+      redis.zAdd.mockResolvedValue(1);
+      redis.eval.mockResolvedValue([]);
+    });
+
+    it('should do nothing when every driver is live', async () => {
+      redis.eval.mockResolvedValue([]);
+
+      const result = await presenceService.sweepStaleDrivers(NOW);
+
+      expect(result).toEqual({ evicted: 0, offline: 0 });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Unit tests for refund service
+ */
+
+const refundService = require('../../src/services/refund.service');
+const paymentService = require('../../src/services/payment.service');
+const notificationService = require('../../src/services/notification.service');
+const walletService = require('../../src/services/wallet.service');
+const db = require('../../src/db');
+const psp = require('../../src/psp');
+const { PSPError } = require('../../src/psp/errors');
+
+jest.mock('../../src/db');
+jest.mock('../../src/psp');
+jest.mock('../../src/services/payment.service');
+jest.mock('../../src/services/notification.service');
+jest.mock('../../src/services/wallet.service');
+
+const PAYMENT = { id: 'payment-123', amount: '25.50', status: 'COMPLETED', psp_transaction_id: 'pi_123' };
+
+describe('Refund Service', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }),
+      release: jest.fn()
+    };
+    db.getClient = jest.fn().mockResolvedValue(mockClient);
+    db.query = jest.fn().mockResolvedValue({ rows: [], rowCount: 0 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  function queryCall(fragment) {
+    return mockClient.query.mock.calls.find(([sql]) => sql.includes(fragment));
+  }
+
+  describe('createRefund', () => {
+    function mockPayment(payment, refunded = '0.00') {
+      mockClient.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM payments')) return { rows: [payment], rowCount: 1 };
+        if (sql.includes('idempotency_key = $2')) return { rows: [], rowCount: 0 };
+        if (sql.includes('SUM(amount)')) return { rows: [{ refunded }], rowCount: 1 };
+        if (sql.includes('INSERT INTO refunds')) {
+          return { rows: [{ id: 'refund-1', payment_id: params[0], amount: params[1] }], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 1 };
+      });
+    }
+
+    it('should create a partial refund with its outbox event', async () => {
+      mockPayment(PAYMENT);
+
+      const { refund, created } = await refundService.createRefund('payment-123', { amount: 10, reason: 'Detour' }, 'key-1');
+
+      expect(created).toBe(true);
+      expect(refund.amount).toBe(10);
+      expect(queryCall('INSERT INTO refunds')[1]).toEqual(['payment-123', 10, 'Detour', 'key-1']);
+      expect(queryCall('INSERT INTO outbox_events')[1][0]).toBe('refund-1');
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should count earlier refunds against the captured amount', async () => {
+      mockPayment({ ...PAYMENT, status: 'PARTIALLY_REFUNDED' }, '10.20');
+
+      const { refund } = await refundService.createRefund('payment-123');
+
+      expect(refund.amount).toBe(15.3);
+    });
+
+    it('should not refund more than is left', async () => {
+      mockPayment(PAYMENT, '25.00');
+
+      await expect(refundService.createRefund('payment-123', { amount: 0.51 }))
+        .rejects.toMatchObject({ statusCode: 422 });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(queryCall('INSERT INTO refunds')).toBeUndefined();
+    });
+
+    it('should reject a fully refunded payment', async () => {
+      mockPayment({ ...PAYMENT, status: 'REFUNDED' });
+
+      await expect(refundService.createRefund('payment-123')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject a payment that was never captured', async () => {
+      mockPayment({ ...PAYMENT, status: 'PROCESSING' });
+
+      await expect(refundService.createRefund('payment-123', { amount: 5 }))
+        .rejects.toThrow('Cannot refund a payment in PROCESSING state');
+    });
+
+    it('should credit a wallet payment straight back to the wallet', async () => {
+      const walletPayment = { ...PAYMENT, payment_method: 'WALLET' };
+      mockClient.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM payments')) return { rows: [walletPayment], rowCount: 1 };
+        if (sql.includes('INSERT INTO refunds')) return { rows: [{ id: 'refund-1', amount: params[1] }], rowCount: 1 };
+        if (sql.includes('UPDATE refunds')) return { rows: [{ id: 'refund-1', amount: 10, status: 'SUCCEEDED' }], rowCount: 1 };
+        if (sql.includes('SUM(amount)')) return { rows: [{ refunded: sql.includes("'SUCCEEDED'") ? '10.00' : '0' }], rowCount: 1 };
+        if (sql.includes('UPDATE payments')) return { rows: [{ ...walletPayment, status: params[0] }], rowCount: 1 };
+        return { rows: [], rowCount: 1 };
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ rider_id: 'rider-1' }], rowCount: 1 });
+
+      const { refund } = await refundService.createRefund('payment-123', { amount: 10 });
+
+      expect(refund.status).toBe('SUCCEEDED');
+      expect(walletService.creditRefund).toHaveBeenCalledWith(mockClient, walletPayment, expect.objectContaining({ id: 'refund-1' }));
+      expect(queryCall('UPDATE payments')[1]).toEqual(['PARTIALLY_REFUNDED', 'payment-123']);
+      expect(queryCall('INSERT INTO outbox_events')).toBeUndefined();
+      expect(notificationService.notifyRefundIssued).toHaveBeenCalledWith('rider-1', expect.objectContaining({ refund_id: 'refund-1' }));
+    });
+
+    it('should not refund a wallet top-up', async () => {
+      mockPayment({ ...PAYMENT, top_up_rider_id: 'rider-1' });
+
+      await expect(refundService.createRefund('payment-123', { amount: 5 }))
+        .rejects.toThrow('Cannot refund a wallet top-up');
+      expect(queryCall('INSERT INTO refunds')).toBeUndefined();
+    });
+
+    it('should return the refund already created with the same key', async () => {
+      const existing = { id: 'refund-1', amount: '10.00' };
+      mockClient.query.mockImplementation(async sql => (
+        sql.includes('FROM payments')
+          ? { rows: [{ ...PAYMENT, status: 'REFUNDED' }], rowCount: 1 }
+          : { rows: sql.includes('idempotency_key') ? [existing] : [], rowCount: 1 }
+      ));
+
+      const result = await refundService.createRefund('payment-123', { amount: 10 }, 'key-1');
+
+      expect(result).toEqual({ refund: existing, created: false });
+      expect(queryCall('INSERT INTO refunds')).toBeUndefined();
+    });
+  });
+
+  describe('processRefund', () => {
+    const REFUND = { id: 'refund-1', payment_id: 'payment-123', amount: '10.00', status: 'PENDING', retry_count: 0, psp_transaction_id: 'pi_123' };
+
+    function mockRefund(refund) {
+      mockClient.query.mockImplementation(async sql => (
+        sql.includes('FROM refunds') ? { rows: [refund], rowCount: 1 } : { rows: [], rowCount: 1 }
+      ));
+    }
+
+    it('should send the refund to the PSP with a stable idempotency key', async () => {
+      mockRefund(REFUND);
+      psp.refund.mockResolvedValueOnce({ refund_id: 're_1', status: 'pending', raw: {} });
+
+      const result = await refundService.processRefund('refund-1');
+
+      expect(result).toMatchObject({ success: true, processing: true });
+      expect(psp.refund).toHaveBeenCalledWith('pi_123', '10.00', {
+        idempotencyKey: 'refund:refund-1',
+        metadata: { refund_id: 'refund-1', payment_id: 'payment-123' }
+      });
+      expect(queryCall("status = 'PROCESSING'")[1][0]).toBe('re_1');
+    });
+
+    it('should keep the refund pending after a timeout', async () => {
+      mockRefund(REFUND);
+      psp.refund.mockRejectedValueOnce(new PSPError('PSP_TIMEOUT', { retryable: true }));
+
+      const result = await refundService.processRefund('refund-1');
+
+      expect(result).toMatchObject({ retry: true, retryCount: 1 });
+      expect(queryCall('retry_count = $1')[1][0]).toBe(1);
+    });
+
+    it('should fail a refund the PSP rejects', async () => {
+      mockRefund(REFUND);
+      psp.refund.mockRejectedValueOnce(new PSPError('charge_already_refunded'));
+
+      const result = await refundService.processRefund('refund-1');
+
+      expect(result).toEqual({ success: false, reason: 'charge_already_refunded' });
+      expect(queryCall("status = 'FAILED'")[1]).toEqual(['charge_already_refunded', 'refund-1']);
+    });
+
+    it('should not send a refund twice', async () => {
+      mockRefund({ ...REFUND, status: 'PROCESSING' });
+
+      const result = await refundService.processRefund('refund-1');
+
+      expect(result.alreadyProcessed).toBe(true);
+      expect(psp.refund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleWebhook', () => {
+    const webhook = {
+      id: 'evt_1',
+      type: 'refund.succeeded',
+      payment_id: 'payment-123',
+      refund_id: 'refund-1',
+      psp_refund_id: 're_1',
+      status: 'succeeded'
+    };
+
+    function mockWebhookQueries({ refund, refunded, eventRows = 1 }) {
+      mockClient.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('SELECT * FROM payments')) return { rows: [PAYMENT], rowCount: 1 };
+        if (sql.includes('SELECT * FROM refunds')) return { rows: [refund], rowCount: 1 };
+        if (sql.includes('psp_webhook_events')) return { rows: [], rowCount: eventRows };
+        if (sql.includes('UPDATE refunds')) return { rows: [{ ...refund, status: params[0] }], rowCount: 1 };
+        if (sql.includes('SUM(amount)')) return { rows: [{ refunded }], rowCount: 1 };
+        if (sql.includes('UPDATE payments')) return { rows: [{ ...PAYMENT, status: params[0] }], rowCount: 1 };
+        return { rows: [], rowCount: 1 };
+      });
+    }
+
+    it('should mark the payment partially refunded', async () => {
+      mockWebhookQueries({ refund: { id: 'refund-1', amount: '10.00', status: 'PROCESSING' }, refunded: '10.00' });
+      db.query.mockResolvedValueOnce({ rows: [{ rider_id: 'rider-1' }], rowCount: 1 });
+
+      const result = await refundService.handleWebhook(webhook);
+
+      expect(result.applied).toBe(true);
+      expect(result.refund.status).toBe('SUCCEEDED');
+      expect(result.payment.status).toBe('PARTIALLY_REFUNDED');
+      expect(queryCall("aggregate_type = 'REFUND'")[1]).toEqual(['refund-1']);
+      expect(paymentService.publishPaymentUpdate).toHaveBeenCalledWith('payment-123');
+      expect(notificationService.notifyRefundIssued).toHaveBeenCalledWith('rider-1', expect.objectContaining({ refund_id: 'refund-1' }));
+    });
+
+    it('should mark the payment refunded once everything is refunded', async () => {
+      mockWebhookQueries({ refund: { id: 'refund-1', amount: '15.50', status: 'PROCESSING' }, refunded: '25.50' });
+
+      const result = await refundService.handleWebhook(webhook);
+
+      expect(result.payment.status).toBe('REFUNDED');
+    });
+
+    it('should leave the payment alone when the refund fails', async () => {
+      mockWebhookQueries({ refund: { id: 'refund-1', amount: '10.00', status: 'PROCESSING' }, refunded: '0' });
+
+      const result = await refundService.handleWebhook({ ...webhook, type: 'refund.failed', status: 'failed' });
+
+      expect(result.refund.status).toBe('FAILED');
+      expect(result.payment.status).toBe('COMPLETED');
+      expect(queryCall('UPDATE payments')).toBeUndefined();
+      expect(notificationService.notifyRefundIssued).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a redelivered event', async () => {
+      mockWebhookQueries({ refund: { id: 'refund-1', status: 'SUCCEEDED' }, eventRows: 0 });
+
+      const result = await refundService.handleWebhook(webhook);
+
+      expect(result).toMatchObject({ applied: false, reason: 'duplicate' });
+      expect(queryCall('UPDATE refunds')).toBeUndefined();
+    });
+
+    it('should not let a late failure undo a settled refund', async () => {
+      mockWebhookQueries({ refund: { id: 'refund-1', status: 'SUCCEEDED' } });
+
+      const result = await refundService.handleWebhook({ ...webhook, id: 'evt_0', status: 'failed' });
+
+      expect(result).toMatchObject({ applied: false, reason: 'out_of_order' });
+      expect(queryCall('UPDATE refunds')).toBeUndefined();
+    });
+  });
+});
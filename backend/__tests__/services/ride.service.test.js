@@ -4,12 +4,27 @@
 
 const rideService = require('../../src/services/ride.service');
 const matchingService = require('../../src/services/matching.service');
+const tripService = require('../../src/services/trip.service');
+const surgeService = require('../../src/services/surge.service');
+const fareService = require('../../src/services/fare.service');
+const riderService = require('../../src/services/rider.service');
+const wsManager = require('../../src/utils/websocket');
 const db = require('../../src/db');
 
 jest.mock('../../src/db');
 jest.mock('../../src/services/matching.service');
+jest.mock('../../src/services/trip.service');
+jest.mock('../../src/services/surge.service');
+jest.mock('../../src/services/fare.service');
+jest.mock('../../src/services/rider.service');
+jest.mock('../../src/utils/websocket');
 
 describe('Ride Service', () => {
+  beforeEach(() => {
+    surgeService.getSurgeMultiplier.mockResolvedValue(1.0);
+    riderService.getRider.mockResolvedValue({ id: 'rider-1', default_payment_method: 'CARD' });
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -80,6 +95,94 @@ describe('Ride Service', () => {
         expect.arrayContaining(['LUXURY', 'CASH'])
       );
     });
+
+    it('should default to the rider saved payment method', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 'ride-123', payment_method: 'WALLET' }] });
+      matchingService.findNearbyDrivers.mockResolvedValue([]);
+      riderService.getRider.mockResolvedValue({ id: 'rider-1', default_payment_method: 'WALLET' });
+
+      await rideService.createRide({
+        rider_id: 'rider-1',
+        pickup_latitude: 37.7749,
+        pickup_longitude: -122.4194,
+        drop_latitude: 37.8049,
+        drop_longitude: -122.4294
+      });
+
+      expect(riderService.getRider).toHaveBeenCalledWith('rider-1');
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO rides'),
+        expect.arrayContaining(['WALLET'])
+      );
+    });
+
+    it('should stamp the current pickup surge on the ride', async () => {
+      db.query.mockResolvedValue({ rows: [{ id: 'ride-123', surge_multiplier: 1.6 }] });
+      matchingService.findNearbyDrivers.mockResolvedValue([]);
+      surgeService.getSurgeMultiplier.mockResolvedValue(1.6);
+
+      const result = await rideService.createRide({
+        rider_id: 'rider-1',
+        pickup_latitude: 37.7749,
+        pickup_longitude: -122.4194,
+        drop_latitude: 37.8049,
+        drop_longitude: -122.4294
+      });
+
+      expect(surgeService.getSurgeMultiplier).toHaveBeenCalledWith(37.7749, -122.4194);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('surge_multiplier'),
+        expect.arrayContaining([1.6])
+      );
+      expect(result.ride.surge_multiplier).toBe(1.6);
+    });
+
+    it('should lock in the quoted surge and fare when a quote is given', async () => {
+      const expiresAt = new Date('2026-10-18T12:05:00Z');
+      db.query.mockResolvedValue({ rows: [{ id: 'ride-123' }] });
+      matchingService.findNearbyDrivers.mockResolvedValue([]);
+      fareService.redeemQuote.mockResolvedValue({
+        surge_multiplier: 1.3,
+        quoted_fare: 18.4,
+        quote_expires_at: expiresAt
+      });
+
+      await rideService.createRide({
+        rider_id: 'rider-1',
+        pickup_latitude: 37.7749,
+        pickup_longitude: -122.4194,
+        drop_latitude: 37.8049,
+        drop_longitude: -122.4294,
+        quote_id: 'quote-abc'
+      });
+
+      expect(fareService.redeemQuote).toHaveBeenCalledWith(
+        'quote-abc',
+        expect.objectContaining({ tier: 'ECONOMY', pickup_latitude: 37.7749 })
+      );
+      expect(surgeService.getSurgeMultiplier).not.toHaveBeenCalled();
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('quoted_fare'),
+        expect.arrayContaining([1.3, 18.4, expiresAt])
+      );
+    });
+
+    it('should reject a quote that does not match the ride', async () => {
+      fareService.redeemQuote.mockRejectedValue(new Error('Fare quote does not match ride request'));
+
+      await expect(
+        rideService.createRide({
+          rider_id: 'rider-1',
+          pickup_latitude: 37.7749,
+          pickup_longitude: -122.4194,
+          drop_latitude: 37.8049,
+          drop_longitude: -122.4294,
+          quote_id: 'quote-abc'
+        })
+      ).rejects.toThrow('Fare quote does not match ride request');
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
   });
 
   describe('getRide', () => {
@@ -102,4 +205,161 @@ describe('Ride Service', () => {
       await expect(rideService.getRide('invalid-id')).rejects.toThrow('Ride not found');
     });
   });
+
+  describe('cancelRide', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = {
+        query: jest.fn(),
+        release: jest.fn()
+      };
+      db.getClient = jest.fn().mockResolvedValue(mockClient);
+    });
+
+    it('should cancel a matching ride without a fee', async () => {
+      const ride = { id: 'ride-123', status: 'MATCHING', assigned_driver_id: null };
+      const offer = { id: 'offer-1', ride_id: 'ride-123', driver_id: 'driver-2', status: 'WITHDRAWN' };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [ride], rowCount: 1 }) // SELECT ride
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT trip
+        .mockResolvedValueOnce({ // UPDATE ride
+          rows: [{ ...ride, status: 'CANCELLED', cancellation_fee: 0 }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [offer], rowCount: 1 }) // UPDATE offers
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await rideService.cancelRide('ride-123', 'Changed plans');
+
+      expect(result.ride.status).toBe('CANCELLED');
+      expect(result.cancellation_fee).toBe(0);
+      expect(result.payment).toBeNull();
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE rides'),
+        ['CANCELLED', 'Changed plans', 0, 'ride-123']
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(tripService.cancelLockedTrip).not.toHaveBeenCalled();
+      // The offered driver is told and freed for other offers
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE ride_offers'),
+        ['WITHDRAWN', 'ride-123', 'PENDING']
+      );
+      expect(wsManager.broadcastRideOfferClosed).toHaveBeenCalledWith(offer);
+    });
+
+    it('should release driver, cancel trip and charge late fee', async () => {
+      const ride = {
+        id: 'ride-123',
+        status: 'DRIVER_ASSIGNED',
+        rider_id: 'rider-1',
+        payment_method: 'WALLET',
+        assigned_driver_id: 'driver-1',
+        assigned_at: new Date(Date.now() - 10 * 60 * 1000)
+      };
+      const trip = { id: 'trip-1', status: 'CREATED', ride_id: 'ride-123', driver_id: 'driver-1' };
+      const cancelledTrip = { ...trip, status: 'CANCELLED' };
+      const payment = { id: 'payment-1', ride_id: 'ride-123', amount: 5 };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [ride], rowCount: 1 }) // SELECT ride
+        .mockResolvedValueOnce({ rows: [trip], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ // UPDATE ride
+          rows: [{ ...ride, status: 'CANCELLED', cancellation_fee: 5 }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE offers
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'AVAILABLE' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [payment], rowCount: 1 }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
+        .mockResolvedValueOnce(); // COMMIT
+
+      tripService.cancelLockedTrip.mockResolvedValue(cancelledTrip);
+
+      const result = await rideService.cancelRide('ride-123');
+
+      expect(result.cancellation_fee).toBe(5);
+      expect(result.payment).toEqual(payment);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO payments'),
+        ['ride-123', 'trip-1', 5, 'WALLET']
+      );
+      expect(tripService.cancelLockedTrip).toHaveBeenCalledWith(mockClient, trip, 'RIDER_CANCELLED', {
+        note: 'Rider cancelled',
+        cancelledBy: 'RIDER'
+      });
+      // The trip is cancelled before the ride's transaction commits
+      expect(tripService.cancelLockedTrip.mock.invocationCallOrder[0])
+        .toBeLessThan(mockClient.query.mock.invocationCallOrder[mockClient.query.mock.calls.length - 1]);
+      expect(tripService.publishTripCancelled).toHaveBeenCalledWith(cancelledTrip, 'rider-1', 'RIDER_CANCELLED', {
+        note: 'Rider cancelled',
+        cancelledBy: 'RIDER'
+      });
+    });
+
+    it('should not charge a cash ride\'s late fee', async () => {
+      const ride = {
+        id: 'ride-123',
+        status: 'DRIVER_ASSIGNED',
+        payment_method: 'CASH',
+        assigned_driver_id: 'driver-1',
+        assigned_at: new Date(Date.now() - 10 * 60 * 1000)
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [ride], rowCount: 1 }) // SELECT ride
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT trip
+        .mockResolvedValueOnce({ // UPDATE ride
+          rows: [{ ...ride, status: 'CANCELLED', cancellation_fee: 5 }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE offers
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE driver
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await rideService.cancelRide('ride-123');
+
+      expect(result.cancellation_fee).toBe(5);
+      expect(result.payment).toBeNull();
+      expect(mockClient.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO payments'), expect.anything());
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should reject cancelling a ride whose trip has started', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'DRIVER_ASSIGNED' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-1', status: 'STARTED' }], rowCount: 1 });
+
+      await expect(rideService.cancelRide('ride-123')).rejects.toThrow('Cannot cancel ride with trip in STARTED state');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject cancelling a completed ride', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'COMPLETED' }], rowCount: 1 });
+
+      await expect(rideService.cancelRide('ride-123')).rejects.toThrow('Cannot cancel ride in COMPLETED state');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('calculateCancellationFee', () => {
+    it('should not charge within the free cancellation window', () => {
+      const ride = { status: 'DRIVER_ASSIGNED', assigned_at: new Date(Date.now() - 60 * 1000) };
+
+      expect(rideService.calculateCancellationFee(ride)).toBe(0);
+    });
+
+    it('should not charge before a driver is assigned', () => {
+      expect(rideService.calculateCancellationFee({ status: 'MATCHING' })).toBe(0);
+    });
+  });
 });
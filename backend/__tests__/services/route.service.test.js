@@ -0,0 +1,110 @@
+/**
+ * Unit tests for trip breadcrumbs and routes
+ */
+
+const routeService = require('../../src/services/route.service');
+const polyline = require('../../src/utils/polyline');
+const db = require('../../src/db');
+
+jest.mock('../../src/db');
+
+const TRIP_ID = '44444444-4444-4444-8444-444444444444';
+
+// A fix every 10s along a street, ~110m apart (~40 km/h)
+function fix(i, offset = {}) {
+  return {
+    latitude: 37.7749 + i * 0.001 + (offset.latitude || 0),
+    longitude: -122.4194 + (offset.longitude || 0),
+    recorded_at: new Date(Date.UTC(2026, 9, 18, 10, 0, i * 10))
+  };
+}
+
+describe('Route Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordBreadcrumb', () => {
+    it('should record the ping against the driver\'s running trip', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      const recorded = await routeService.recordBreadcrumb('driver-1', { latitude: 37.77, longitude: -122.41 });
+
+      expect(recorded).toBe(true);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("status = 'STARTED'"), ['driver-1', 37.77, -122.41]);
+    });
+  });
+
+  describe('getTrack', () => {
+    it('should leave out paused points and drop GPS jumps', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [fix(0), fix(1), fix(2, { longitude: 0.5 }), fix(3), fix(4)],
+        rowCount: 5
+      });
+
+      const track = await routeService.getTrack(db, TRIP_ID);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM trip_pauses p'), [TRIP_ID]);
+      expect(track).toEqual([fix(0), fix(1), fix(3), fix(4)]);
+    });
+  });
+
+  describe('summarizeTrack', () => {
+    it('should measure the track and encode it', () => {
+      const summary = routeService.summarizeTrack([fix(0), fix(1), fix(2)]);
+
+      expect(summary.distance_km).toBeCloseTo(0.222, 2);
+      expect(polyline.decode(summary.polyline)).toEqual([
+        { latitude: 37.7749, longitude: -122.4194 },
+        { latitude: 37.7759, longitude: -122.4194 },
+        { latitude: 37.7769, longitude: -122.4194 }
+      ]);
+    });
+
+    it('should need at least two points', () => {
+      expect(routeService.summarizeTrack([fix(0)])).toBeNull();
+    });
+  });
+
+  describe('getTripRoute', () => {
+    it('should return the stored route of an ended trip as GeoJSON', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: TRIP_ID,
+          status: 'ENDED',
+          distance_km: '0.111',
+          distance_source: 'GPS',
+          route_polyline: polyline.encode([fix(0), fix(1)])
+        }],
+        rowCount: 1
+      });
+
+      const route = await routeService.getTripRoute(TRIP_ID);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(route.type).toBe('Feature');
+      expect(route.geometry).toEqual({
+        type: 'LineString',
+        coordinates: [[-122.4194, 37.7749], [-122.4194, 37.7759]]
+      });
+      expect(route.properties).toEqual(expect.objectContaining({ distance_km: 0.111, distance_source: 'GPS', points: 2 }));
+    });
+
+    it('should build a running trip\'s route from its breadcrumbs', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: TRIP_ID, status: 'STARTED', distance_km: null, route_polyline: null }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [fix(0)], rowCount: 1 });
+
+      const route = await routeService.getTripRoute(TRIP_ID);
+
+      expect(route.geometry).toBeNull();
+      expect(route.properties.points).toBe(1);
+    });
+
+    it('should throw for an unknown trip', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(routeService.getTripRoute(TRIP_ID)).rejects.toThrow('Trip not found');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for surge pricing service
+ */
+
+const surgeService = require('../../src/services/surge.service');
+const geohash = require('../../src/utils/geohash');
+const db = require('../../src/db');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+describe('Surge Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('geohash', () => {
+    it('should encode coordinates into cells', () => {
+      expect(geohash.encode(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+      expect(geohash.encode(37.7749, -122.4194, 5)).toBe('9q8yy');
+    });
+
+    it('should decode a cell to its center', () => {
+      const center = geohash.decode('9q8yy');
+
+      expect(geohash.encode(center.latitude, center.longitude, 5)).toBe('9q8yy');
+    });
+  });
+
+  describe('computeSurgeMultiplier', () => {
+    it('should not surge when supply meets demand', () => {
+      expect(surgeService.computeSurgeMultiplier(3, 5, 1.0)).toBe(1.0);
+      expect(surgeService.computeSurgeMultiplier(0, 0, 1.0)).toBe(1.0);
+    });
+
+    it('should smooth toward the target multiplier', () => {
+      // ratio 3 → target 1 + 0.5 * 2 = 2.0; halfway from 1.0 = 1.5
+      expect(surgeService.computeSurgeMultiplier(6, 2, 1.0)).toBe(1.5);
+      expect(surgeService.computeSurgeMultiplier(6, 2, 1.5)).toBe(1.75);
+    });
+
+    it('should cap the multiplier', () => {
+      expect(surgeService.computeSurgeMultiplier(100, 0, 3.0)).toBe(3.0);
+    });
+
+    it('should decay once demand drops', () => {
+      expect(surgeService.computeSurgeMultiplier(0, 4, 2.0)).toBe(1.5);
+    });
+  });
+
+  describe('refreshSurge', () => {
+    let tx;
+
+    beforeEach(() => {
+      tx = {
+        del: jest.fn().mockReturnThis(),
+        hSet: jest.fn().mockReturnThis(),
+        expire: jest.fn().mockReturnThis(),
+        exec: jest.fn().mockResolvedValue([])
+      };
+      redis.multi.mockReturnValue(tx);
+    });
+
+    it('should store multipliers for cells where demand exceeds supply', async () => {
+      db.query
+        .mockResolvedValueOnce({ // MATCHING rides
+          rows: [
+            { pickup_latitude: 37.7749, pickup_longitude: -122.4194 },
+            { pickup_latitude: 37.7750, pickup_longitude: -122.4195 },
+            { pickup_latitude: 37.7751, pickup_longitude: -122.4193 }
+          ],
+          rowCount: 3
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1' }, { id: 'driver-2' }], rowCount: 2 }); // AVAILABLE drivers
+      redis.geoPos.mockResolvedValue([
+        { latitude: '37.7749', longitude: '-122.4194' },
+        null // not in geo index
+      ]);
+      redis.hGetAll.mockResolvedValue({});
+
+      const result = await surgeService.refreshSurge();
+
+      expect(redis.geoPos).toHaveBeenCalledWith('drivers:geo', ['driver-1', 'driver-2']);
+      expect(result.surging_cells).toBe(1);
+      const stored = tx.hSet.mock.calls[0][1];
+      const cell = JSON.parse(stored['9q8yy']);
+      // ratio 3 → target 2.0, smoothed from 1.0 → 1.5
+      expect(cell).toEqual(expect.objectContaining({ multiplier: 1.5, demand: 3, supply: 1 }));
+    });
+
+    it('should clear surge when nothing is surging', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      redis.hGetAll.mockResolvedValue({});
+
+      const result = await surgeService.refreshSurge();
+
+      expect(result.surging_cells).toBe(0);
+      expect(tx.del).toHaveBeenCalledWith('surge:cells');
+      expect(tx.hSet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSurge', () => {
+    it('should return the stored multiplier for the location cell', async () => {
+      redis.hGet.mockResolvedValue(JSON.stringify({
+        multiplier: 1.8,
+        demand: 9,
+        supply: 3,
+        updated_at: '2026-10-18T10:00:00.000Z'
+      }));
+
+      const result = await surgeService.getSurge(37.7749, -122.4194);
+
+      expect(redis.hGet).toHaveBeenCalledWith('surge:cells', '9q8yy');
+      expect(result.surge_multiplier).toBe(1.8);
+      expect(result.geohash).toBe('9q8yy');
+    });
+
+    it('should fall back to 1.0 when Redis fails', async () => {
+      redis.hGet.mockRejectedValue(new Error('Redis connection error'));
+
+      const multiplier = await surgeService.getSurgeMultiplier(37.7749, -122.4194);
+
+      expect(multiplier).toBe(1.0);
+    });
+  });
+});
@@ -5,7 +5,7 @@
 const tripService = require('../../src/services/trip.service');
 const db = require('../../src/db');
 const notificationService = require('../../src/services/notification.service');
-const { invalidateDriverCache } = require('../../src/utils/redis');
+const { invalidateDriverCache, clearDriverPickup, clearDriverRide } = require('../../src/utils/redis');
 const wsManager = require('../../src/utils/websocket');
 
 jest.mock('../../src/db');
@@ -33,6 +33,7 @@ describe('Trip Service', () => {
       const tripData = {
         id: 'trip-123',
         ride_id: 'ride-123',
+        driver_id: 'driver-1',
         tier: 'ECONOMY',
         surge_multiplier: 1.0,
         rider_id: 'rider-1',
@@ -52,6 +53,7 @@ describe('Trip Service', () => {
       expect(result.status).toBe('STARTED');
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(clearDriverPickup).toHaveBeenCalledWith('driver-1', 'ride-123');
       expect(notificationService.notifyTripStarted).toHaveBeenCalledWith('rider-1', expect.any(Object));
     });
 
@@ -82,6 +84,7 @@ describe('Trip Service', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
         .mockResolvedValueOnce({ // UPDATE trip
           rows: [{
             ...tripData,
@@ -94,6 +97,8 @@ describe('Trip Service', () => {
         })
         .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'AVAILABLE' }], rowCount: 1 }) // UPDATE driver
         .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'COMPLETED' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }] }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
         .mockResolvedValueOnce(); // COMMIT
 
       notificationService.notifyTripEnded.mockResolvedValue();
@@ -111,6 +116,35 @@ describe('Trip Service', () => {
       expect(result.fare_breakdown).toBeDefined();
     });
 
+    it('should record a cash trip as collected by the driver', async () => {
+      const tripData = {
+        id: 'trip-123',
+        ride_id: 'ride-123',
+        tier: 'ECONOMY',
+        surge_multiplier: 1.0,
+        payment_method: 'CASH',
+        rider_id: 'rider-1',
+        driver_id: 'driver-1',
+        status: 'STARTED'
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
+        .mockResolvedValueOnce({ rows: [{ ...tripData, status: 'ENDED', total_fare: 25.00 }] }) // UPDATE trip
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CASH', status: 'COLLECTED_BY_DRIVER' }] }) // INSERT payment
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await tripService.endTrip('trip-123', { distance_km: 10, duration_sec: 1200 });
+
+      expect(mockClient.query.mock.calls[6][1]).toEqual(['trip-123', 25, 'CASH', 'COLLECTED_BY_DRIVER']);
+      expect(mockClient.query.mock.calls[7][0]).toBe('COMMIT');
+      expect(result.payment).toEqual({ id: 'payment-1', method: 'CASH', status: 'COLLECTED_BY_DRIVER' });
+    });
+
     it('should apply surge multiplier correctly', async () => {
       const tripData = {
         id: 'trip-123',
@@ -125,6 +159,7 @@ describe('Trip Service', () => {
       mockClient.query
         .mockResolvedValueOnce() // BEGIN
         .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
         .mockResolvedValueOnce({ // UPDATE trip
           rows: [{
             base_fare: 25.00,
@@ -133,6 +168,8 @@ describe('Trip Service', () => {
         })
         .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'AVAILABLE' }], rowCount: 1 }) // UPDATE driver
         .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'COMPLETED' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }] }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
         .mockResolvedValueOnce(); // COMMIT
 
       notificationService.notifyTripEnded.mockResolvedValue();
@@ -144,6 +181,109 @@ describe('Trip Service', () => {
 
       expect(result.total_fare).toBe(50.00);
     });
+
+    it('should cap the fare at the quoted fare', async () => {
+      const tripData = {
+        id: 'trip-123',
+        tier: 'ECONOMY',
+        surge_multiplier: 2.0,
+        quoted_fare: '30.00',
+        rider_id: 'rider-1',
+        driver_id: 'driver-1',
+        ride_id: 'ride-123',
+        status: 'STARTED'
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
+        .mockResolvedValueOnce({ rows: [{ base_fare: 25.00, total_fare: 30.00 }] }) // UPDATE trip
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'AVAILABLE' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'COMPLETED' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }] }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
+        .mockResolvedValueOnce(); // COMMIT
+
+      notificationService.notifyTripEnded.mockResolvedValue();
+
+      const result = await tripService.endTrip('trip-123', {
+        distance_km: 10,
+        duration_sec: 1200
+      });
+
+      // Metered (5 + 15 + 5) * 2.0 = 50, capped at the 30.00 quote
+      const updateParams = mockClient.query.mock.calls[3][1];
+      expect(updateParams[5]).toBe(30.00);
+      expect(result.fare_breakdown.quote_cap).toBe(30.00);
+    });
+  });
+
+  describe('arriveTrip', () => {
+    it('should mark the driver arrived and start the free waiting time', async () => {
+      const arrivedAt = new Date('2026-10-18T10:00:00Z');
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ // SELECT trip
+          rows: [{ id: 'trip-123', ride_id: 'ride-123', driver_id: 'driver-1', rider_id: 'rider-1', status: 'CREATED', driver_name: 'John Doe', driver_phone: '+15550100' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce() // set_config audit actor
+        .mockResolvedValueOnce({ // UPDATE trip
+          rows: [{ id: 'trip-123', ride_id: 'ride-123', status: 'ARRIVED', arrived_at: arrivedAt }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await tripService.arriveTrip('trip-123', 'GEOFENCE');
+
+      expect(result.status).toBe('ARRIVED');
+      expect(result.free_wait_until).toEqual(new Date(arrivedAt.getTime() + tripService.FREE_WAITING_SEC * 1000));
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('app.transitioned_by'), ['GEOFENCE']);
+      expect(clearDriverPickup).toHaveBeenCalledWith('driver-1', 'ride-123');
+      expect(wsManager.broadcastDriverArrived).toHaveBeenCalledWith(result);
+      expect(notificationService.notifyDriverArrived).toHaveBeenCalledWith('rider-1', {
+        driver_name: 'John Doe',
+        driver_phone: '+15550100'
+      });
+    });
+
+    it('should not mark arrival once the trip has started', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'STARTED' }], rowCount: 1 });
+
+      await expect(tripService.arriveTrip('trip-123')).rejects.toThrow('Cannot mark arrival for trip in STARTED state');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('detectArrival', () => {
+    const pickup = { id: 'trip-123', pickup_latitude: 37.7749, pickup_longitude: -122.4194 };
+
+    it('should mark arrival inside the pickup geofence', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pickup], rowCount: 1 });
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'ARRIVED' }], rowCount: 1 }); // arrived meanwhile
+
+      // ~55m north of pickup
+      const result = await tripService.detectArrival('driver-1', { latitude: 37.7754, longitude: -122.4194 });
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("t.status = 'CREATED'"), ['driver-1']);
+      expect(db.getClient).toHaveBeenCalled();
+      expect(result).toBeNull();
+    });
+
+    it('should ignore pings outside the geofence', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pickup], rowCount: 1 });
+
+      // ~1.1km north of pickup
+      const result = await tripService.detectArrival('driver-1', { latitude: 37.7849, longitude: -122.4194 });
+
+      expect(result).toBeNull();
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
   });
 
   describe('pauseTrip', () => {
@@ -160,10 +300,16 @@ describe('Trip Service', () => {
           rows: [{ id: 'trip-123', status: 'PAUSED' }],
           rowCount: 1
         })
+        .mockResolvedValueOnce({ rowCount: 1 }) // INSERT trip_pauses
         .mockResolvedValueOnce(); // COMMIT
 
       const result = await tripService.pauseTrip('trip-123');
 
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO trip_pauses'),
+        ['trip-123']
+      );
+
       expect(result.status).toBe('PAUSED');
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
@@ -183,4 +329,234 @@ describe('Trip Service', () => {
       expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
     });
   });
+
+  describe('cancelTrip', () => {
+    it('should cancel a trip with a reason code', async () => {
+      const tripData = {
+        id: 'trip-123',
+        ride_id: 'ride-123',
+        rider_id: 'rider-1',
+        driver_id: 'driver-1',
+        status: 'ARRIVED',
+        arrived_at: new Date(Date.now() - 10 * 60 * 1000)
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce() // set_config audit reason
+        .mockResolvedValueOnce({ // UPDATE trip
+          rows: [{ ...tripData, status: 'CANCELLED', cancellation_reason_code: 'RIDER_NO_SHOW' }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce(); // COMMIT
+
+      notificationService.notifyTripCancelled.mockResolvedValue();
+
+      const result = await tripService.cancelTrip('trip-123', 'RIDER_NO_SHOW', { note: 'Waited 10 min' });
+
+      expect(result.status).toBe('CANCELLED');
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('app.transition_reason'),
+        ['RIDER_NO_SHOW', 'DRIVER']
+      );
+      expect(invalidateDriverCache).toHaveBeenCalledWith('driver-1');
+      expect(clearDriverRide).toHaveBeenCalledWith('driver-1', 'ride-123');
+      expect(wsManager.broadcastTripCancelled).toHaveBeenCalledWith(result);
+      expect(notificationService.notifyTripCancelled).toHaveBeenCalledWith('rider-1', {
+        trip_id: 'trip-123',
+        reason_code: 'RIDER_NO_SHOW',
+        note: 'Waited 10 min',
+        cancelled_by: 'DRIVER'
+      });
+    });
+
+    it('should not release a driver already serving another trip', async () => {
+      const tripData = { id: 'trip-123', ride_id: 'ride-123', driver_id: 'driver-1', status: 'CREATED' };
+
+      mockClient.query.mockResolvedValue({ rows: [{ ...tripData, status: 'CANCELLED' }], rowCount: 1 });
+
+      await tripService.cancelLockedTrip(mockClient, tripData, 'SAFETY', { cancelledBy: 'DRIVER' });
+
+      const driverUpdate = mockClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE drivers'));
+      expect(driverUpdate[0]).toContain("status = 'ON_TRIP'");
+      expect(driverUpdate[0]).toContain('NOT EXISTS');
+      expect(driverUpdate[1]).toEqual(['driver-1', 'trip-123']);
+      expect(mockClient.query).not.toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should not allow a no-show before the free waiting time is up', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({
+          rows: [{ id: 'trip-123', status: 'ARRIVED', arrived_at: new Date(Date.now() - 60 * 1000) }],
+          rowCount: 1
+        });
+
+      await expect(tripService.cancelTrip('trip-123', 'RIDER_NO_SHOW'))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('240s left') });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should not allow a no-show before the driver has arrived', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'CREATED' }], rowCount: 1 });
+
+      await expect(tripService.cancelTrip('trip-123', 'RIDER_NO_SHOW'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject unknown reason codes', async () => {
+      await expect(tripService.cancelTrip('trip-123', 'BORED')).rejects.toThrow('Invalid cancellation reason code');
+      expect(db.getClient).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel an ended trip', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'ENDED' }], rowCount: 1 });
+
+      await expect(tripService.cancelTrip('trip-123', 'SAFETY')).rejects.toThrow('Cannot cancel trip in ENDED state');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(notificationService.notifyTripCancelled).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resumeTrip', () => {
+    it('should resume a paused trip and accumulate waiting time', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'PAUSED' }], rowCount: 1 }) // SELECT
+        .mockResolvedValueOnce({ rows: [{ paused_sec: 180 }], rowCount: 1 }) // close pause
+        .mockResolvedValueOnce({ // UPDATE trip
+          rows: [{ id: 'trip-123', status: 'STARTED', waiting_sec: 180 }],
+          rowCount: 1
+        })
+        .mockResolvedValueOnce(); // COMMIT
+
+      const result = await tripService.resumeTrip('trip-123');
+
+      expect(result.status).toBe('STARTED');
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('waiting_sec = waiting_sec + $2'),
+        ['STARTED', 180, 'trip-123']
+      );
+    });
+
+    it('should not resume a trip that is not paused', async () => {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'trip-123', status: 'STARTED' }], rowCount: 1 });
+
+      await expect(tripService.resumeTrip('trip-123')).rejects.toThrow('Cannot resume trip in STARTED state');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('endTrip with waiting time', () => {
+    it('should charge paused time at the waiting rate', async () => {
+      const tripData = {
+        id: 'trip-123',
+        ride_id: 'ride-123',
+        tier: 'ECONOMY',
+        surge_multiplier: 1.0,
+        rider_id: 'rider-1',
+        driver_id: 'driver-1',
+        status: 'PAUSED',
+        waiting_sec: 120
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // SELECT breadcrumbs
+        .mockResolvedValueOnce({ rows: [{ paused_sec: 180 }], rowCount: 1 }) // close open pause
+        .mockImplementationOnce(async (sql, params) => ({ // UPDATE trip
+          rows: [{ ...tripData, status: 'ENDED', waiting_sec: params[3], total_fare: params[5] }],
+          rowCount: 1
+        }))
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1', status: 'AVAILABLE' }], rowCount: 1 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [{ id: 'ride-123', status: 'COMPLETED' }], rowCount: 1 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }] }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
+        .mockResolvedValueOnce(); // COMMIT
+
+      notificationService.notifyTripEnded.mockResolvedValue();
+
+      const result = await tripService.endTrip('trip-123', {
+        distance_km: 10,
+        duration_sec: 1500 // 25 minutes, 5 of them paused
+      });
+
+      // ECONOMY: base=5, distance=10*1.5=15, driving=20*0.25=5, waiting=5*0.15=0.75
+      expect(result.waiting_sec).toBe(300);
+      expect(result.total_fare).toBe(25.75);
+      expect(result.fare_breakdown.waiting).toBeCloseTo(0.75);
+    });
+  });
+  describe('endTrip distance', () => {
+    const tripData = {
+      id: 'trip-123',
+      ride_id: 'ride-123',
+      tier: 'ECONOMY',
+      surge_multiplier: 1.0,
+      rider_id: 'rider-1',
+      driver_id: 'driver-1',
+      status: 'STARTED',
+      pickup_latitude: 37.7749,
+      pickup_longitude: -122.4194,
+      drop_latitude: 37.8049,
+      drop_longitude: -122.4194
+    };
+
+    function endWith(breadcrumbs, body) {
+      mockClient.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [tripData], rowCount: 1 }) // SELECT trip
+        .mockResolvedValueOnce({ rows: breadcrumbs, rowCount: breadcrumbs.length }) // SELECT breadcrumbs
+        .mockImplementationOnce(async (sql, params) => ({ // UPDATE trip
+          rows: [{ ...tripData, status: 'ENDED', distance_km: params[1], distance_source: params[6], route_polyline: params[7] }],
+          rowCount: 1
+        }))
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE driver
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 }) // UPDATE ride
+        .mockResolvedValueOnce({ rows: [{ id: 'payment-1', payment_method: 'CARD', status: 'PENDING' }] }) // INSERT payment
+        .mockResolvedValueOnce() // INSERT outbox
+        .mockResolvedValueOnce(); // COMMIT
+
+      return tripService.endTrip('trip-123', body);
+    }
+
+    it('should charge the distance of the GPS track over the reported one', async () => {
+      const breadcrumbs = [0, 1, 2].map(i => ({
+        latitude: 37.7749 + i * 0.01,
+        longitude: -122.4194,
+        recorded_at: new Date(Date.UTC(2026, 9, 18, 10, i))
+      }));
+
+      const result = await endWith(breadcrumbs, { distance_km: 10, duration_sec: 1200 });
+
+      expect(result.distance_source).toBe('GPS');
+      expect(result.distance_km).toBeCloseTo(2.224, 2);
+      expect(result.route_polyline).toEqual(expect.any(String));
+    });
+
+    it('should use the reported distance without a track', async () => {
+      const result = await endWith([], { distance_km: 10, duration_sec: 1200 });
+
+      expect(result.distance_source).toBe('CLIENT');
+      expect(result.distance_km).toBe(10);
+      expect(result.route_polyline).toBeNull();
+    });
+
+    it('should estimate pickup to drop without a track or reported distance', async () => {
+      const result = await endWith([], { duration_sec: 1200 });
+
+      expect(result.distance_source).toBe('ESTIMATE');
+      expect(result.distance_km).toBeCloseTo(3.336, 2);
+    });
+  });
 });
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for vehicle service
+ */
+
+const vehicleService = require('../../src/services/vehicle.service');
+const db = require('../../src/db');
+const redis = require('../../src/utils/redis');
+
+jest.mock('../../src/db');
+jest.mock('../../src/utils/redis');
+
+describe('Vehicle Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('eligibleTiers', () => {
+    it('should serve only the vehicle tier by default', () => {
+      expect(vehicleService.eligibleTiers('PREMIUM')).toEqual(['PREMIUM']);
+    });
+
+    it('should let a LUXURY driver opt in to lower tiers', () => {
+      expect(vehicleService.eligibleTiers('LUXURY', ['ECONOMY', 'PREMIUM']))
+        .toEqual(['ECONOMY', 'PREMIUM', 'LUXURY']);
+    });
+
+    it('should reject opting in to a higher tier', () => {
+      expect(() => vehicleService.eligibleTiers('ECONOMY', ['PREMIUM']))
+        .toThrow('A ECONOMY vehicle cannot serve PREMIUM rides');
+    });
+  });
+
+  describe('getEligibleTiers', () => {
+    it('should use cached tiers', async () => {
+      redis.get.mockResolvedValueOnce(JSON.stringify(['LUXURY']));
+
+      const tiers = await vehicleService.getEligibleTiers('driver-1');
+
+      expect(tiers).toEqual(['LUXURY']);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should load tiers from the vehicle on cache miss', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ eligible_tiers: ['ECONOMY', 'PREMIUM'] }], rowCount: 1 });
+
+      const tiers = await vehicleService.getEligibleTiers('driver-1');
+
+      expect(tiers).toEqual(['ECONOMY', 'PREMIUM']);
+      expect(redis.setEx).toHaveBeenCalledWith('driver:tiers:driver-1', 120, '["ECONOMY","PREMIUM"]');
+    });
+
+    it('should return no tiers for a driver without a vehicle', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      expect(await vehicleService.getEligibleTiers('driver-1')).toEqual([]);
+    });
+  });
+
+  describe('upsertVehicle', () => {
+    const vehicle = {
+      make: 'Mercedes',
+      model: 'S-Class',
+      plate: '7ABC123',
+      tier: 'LUXURY',
+      opt_in_tiers: ['PREMIUM']
+    };
+
+    it('should move a located driver into the new tier indexes', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1' }], rowCount: 1 }) // SELECT driver
+        .mockResolvedValueOnce({ rows: [{ driver_id: 'driver-1', tier: 'LUXURY' }], rowCount: 1 }); // UPSERT
+      redis.geoPos.mockResolvedValueOnce([{ longitude: '-122.4194', latitude: '37.7749' }]);
+
+      await vehicleService.upsertVehicle('driver-1', vehicle);
+
+      expect(redis.updateDriverTierGeo).toHaveBeenCalledWith(
+        'driver-1',
+        { longitude: '-122.4194', latitude: '37.7749' },
+        ['PREMIUM', 'LUXURY']
+      );
+    });
+
+    it('should skip the geo indexes for a driver not on the map', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'driver-1' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ driver_id: 'driver-1' }], rowCount: 1 });
+      redis.geoPos.mockResolvedValueOnce([null]);
+
+      await vehicleService.upsertVehicle('driver-1', vehicle);
+
+      expect(redis.updateDriverTierGeo).not.toHaveBeenCalled();
+      expect(redis.setEx).toHaveBeenCalledWith('driver:tiers:driver-1', 120, '["PREMIUM","LUXURY"]');
+    });
+
+    it('should throw if driver not found', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(vehicleService.upsertVehicle('missing', vehicle))
+        .rejects.toThrow('Driver not found');
+    });
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Unit tests for wallet service
+ */
+
+const walletService = require('../../src/services/wallet.service');
+const db = require('../../src/db');
+
+jest.mock('../../src/db');
+
+/**
+ * In-memory stand-in for the wallet tables
+ * SELECT ... FOR UPDATE on the rider account waits for the lock, which is
+ * held until COMMIT/ROLLBACK, like the row lock in Postgres
+ */
+function createLedger(riderBalance = '0.00') {
+  const ledger = {
+    balances: { 'acct-rider': riderBalance, 'acct-PSP_CLEARING': '0.00', 'acct-REVENUE': '0.00', 'acct-PROMO': '0.00' },
+    transactions: [],
+    entries: []
+  };
+  let lock = Promise.resolve();
+
+  ledger.connect = () => {
+    let release = null;
+
+    const query = jest.fn(async (sql, params = []) => {
+      if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+        if (release) release();
+        release = null;
+        return {};
+      }
+      if (sql.includes('FROM wallet_accounts WHERE rider_id') && sql.includes('FOR UPDATE')) {
+        const held = lock;
+        lock = new Promise((resolve) => { release = resolve; });
+        await held;
+        return { rows: [{ id: 'acct-rider', balance: ledger.balances['acct-rider'] }], rowCount: 1 };
+      }
+      if (sql.includes('FROM wallet_transactions')) {
+        const rows = ledger.transactions.filter(t => (
+          (t.type === params[0] && t.payment_id && t.payment_id === params[1]) ||
+          (t.refund_id && t.refund_id === params[2])
+        ));
+        return { rows, rowCount: rows.length };
+      }
+      if (sql.includes('INSERT INTO wallet_transactions')) {
+        const [rider_id, type, amount, payment_id, refund_id, description] = params;
+        const transaction = { id: `wtx-${ledger.transactions.length + 1}`, rider_id, type, amount, payment_id, refund_id, description };
+        ledger.transactions.push(transaction);
+        return { rows: [transaction], rowCount: 1 };
+      }
+      if (sql.includes('SELECT id FROM wallet_accounts')) {
+        return { rows: [{ id: `acct-${params[0]}` }], rowCount: 1 };
+      }
+      if (sql.includes('UPDATE wallet_accounts')) {
+        const [delta, accountId] = params;
+        ledger.balances[accountId] = (Number(ledger.balances[accountId]) + Number(delta)).toFixed(2);
+        return { rows: [{ balance: ledger.balances[accountId] }], rowCount: 1 };
+      }
+      if (sql.includes('INSERT INTO wallet_ledger_entries')) {
+        const [transactionId, ...sides] = params;
+        for (let i = 0; i < sides.length; i += 3) {
+          ledger.entries.push({ transaction_id: transactionId, account_id: sides[i], amount: sides[i + 1] });
+        }
+        return { rows: [], rowCount: 2 };
+      }
+      if (sql.includes('FROM rides') || sql.includes('FROM riders')) {
+        return { rows: [{ id: 'rider-1', rider_id: 'rider-1' }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 1 };
+    });
+
+    return { query, release: jest.fn() };
+  };
+
+  return ledger;
+}
+
+// Debit a payment the way the outbox worker does, in its own transaction
+async function debitInTransaction(client, payment) {
+  await client.query('BEGIN');
+  try {
+    await walletService.debitPayment(client, payment);
+    await client.query('COMMIT');
+    return 'debited';
+  } catch (err) {
+    await client.query('ROLLBACK');
+    return err.statusCode;
+  }
+}
+
+describe('Wallet Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('postTransaction', () => {
+    it('should debit a trip with entries that balance', async () => {
+      const ledger = createLedger('30.00');
+      const client = ledger.connect();
+
+      const { transaction, balance, posted } = await walletService.debitPayment(client, {
+        id: 'payment-1', trip_id: 'trip-1', amount: '12.50'
+      });
+
+      expect(posted).toBe(true);
+      expect(balance).toBe('17.50');
+      expect(transaction).toMatchObject({ rider_id: 'rider-1', type: 'TRIP_DEBIT', payment_id: 'payment-1' });
+      expect(ledger.entries).toEqual([
+        { transaction_id: transaction.id, account_id: 'acct-rider', amount: '-12.50' },
+        { transaction_id: transaction.id, account_id: 'acct-REVENUE', amount: '12.50' }
+      ]);
+      expect(ledger.balances['acct-REVENUE']).toBe('12.50');
+    });
+
+    it('should credit a top-up against PSP clearing', async () => {
+      const ledger = createLedger();
+
+      const { balance } = await walletService.creditTopUp(ledger.connect(), {
+        id: 'payment-2', amount: '20.00', top_up_rider_id: 'rider-1'
+      });
+
+      expect(balance).toBe('20.00');
+      expect(ledger.balances['acct-PSP_CLEARING']).toBe('-20.00');
+    });
+
+    it('should refuse a debit the balance does not cover', async () => {
+      const ledger = createLedger('5.00');
+
+      await expect(walletService.debitPayment(ledger.connect(), { id: 'payment-1', trip_id: 'trip-1', amount: '5.01' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Insufficient wallet balance' });
+      expect(ledger.transactions).toHaveLength(0);
+      expect(ledger.balances['acct-rider']).toBe('5.00');
+    });
+
+    it('should post a payment only once', async () => {
+      const ledger = createLedger('30.00');
+      const payment = { id: 'payment-1', trip_id: 'trip-1', amount: '10.00' };
+
+      await debitInTransaction(ledger.connect(), payment);
+      const again = await walletService.debitPayment(ledger.connect(), payment);
+
+      expect(again.posted).toBe(false);
+      expect(ledger.transactions).toHaveLength(1);
+      expect(ledger.balances['acct-rider']).toBe('20.00');
+    });
+
+    it('should not let concurrent debits overdraw the wallet', async () => {
+      const ledger = createLedger('15.00');
+
+      const results = await Promise.all([
+        debitInTransaction(ledger.connect(), { id: 'payment-1', trip_id: 'trip-1', amount: '10.00' }),
+        debitInTransaction(ledger.connect(), { id: 'payment-2', trip_id: 'trip-2', amount: '10.00' })
+      ]);
+
+      expect(results).toEqual(['debited', 409]);
+      expect(ledger.balances['acct-rider']).toBe('5.00');
+    });
+  });
+
+  describe('creditPromo', () => {
+    it('should credit the promotion in its own transaction', async () => {
+      const ledger = createLedger('1.00');
+      const client = ledger.connect();
+      db.getClient = jest.fn().mockResolvedValue(client);
+
+      const { balance, transaction } = await walletService.creditPromo('rider-1', { amount: 5, description: 'WELCOME5' });
+
+      expect(balance).toBe('6.00');
+      expect(transaction).toMatchObject({ type: 'PROMO_CREDIT', description: 'WELCOME5' });
+      expect(ledger.balances['acct-PROMO']).toBe('-5.00');
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should roll back for an unknown rider', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+      db.getClient = jest.fn().mockResolvedValue(client);
+
+      await expect(walletService.creditPromo('rider-404', { amount: 5 })).rejects.toThrow('Rider not found');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('createTopUp', () => {
+    it('should create a card payment for the rider with its outbox event', async () => {
+      const payment = { id: 'payment-3', top_up_rider_id: 'rider-1', amount: 25, status: 'PENDING' };
+      const client = {
+        query: jest.fn(async sql => (
+          sql.includes('INSERT INTO payments')
+            ? { rows: [payment], rowCount: 1 }
+            : { rows: [{ id: 'rider-1' }], rowCount: 1 }
+        )),
+        release: jest.fn()
+      };
+      db.getClient = jest.fn().mockResolvedValue(client);
+
+      const result = await walletService.createTopUp('rider-1', 25);
+
+      expect(result).toEqual(payment);
+      const outbox = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO outbox_events'));
+      expect(outbox[1]).toEqual(['payment-3', payment]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('getWallet', () => {
+    const rows = [
+      { id: 'wtx-3', type: 'TRIP_DEBIT', amount: '-8.00', balance_after: '12.00' },
+      { id: 'wtx-2', type: 'PROMO_CREDIT', amount: '5.00', balance_after: '20.00' },
+      { id: 'wtx-1', type: 'TOP_UP', amount: '15.00', balance_after: '15.00' }
+    ];
+
+    it('should return an empty wallet for a rider without one', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'rider-1' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const wallet = await walletService.getWallet('rider-1');
+
+      expect(wallet).toEqual({ rider_id: 'rider-1', balance: '0.00', transactions: [], next_cursor: null });
+    });
+
+    it('should page through transactions newest first', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'rider-1' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'acct-rider', balance: '12.00' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: rows.slice(0, 3), rowCount: 3 });
+
+      const wallet = await walletService.getWallet('rider-1', { limit: 2 });
+
+      expect(wallet.balance).toBe('12.00');
+      expect(wallet.transactions.map(t => t.id)).toEqual(['wtx-3', 'wtx-2']);
+      expect(wallet.next_cursor).toBe('wtx-2');
+      expect(db.query.mock.calls[2][1]).toEqual(['rider-1', 'acct-rider', null, 3]);
+    });
+
+    it('should end on the last page', async () => {
+      db.query = jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 'rider-1' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: [{ id: 'acct-rider', balance: '12.00' }], rowCount: 1 })
+        .mockResolvedValueOnce({ rows: rows.slice(2), rowCount: 1 });
+
+      const wallet = await walletService.getWallet('rider-1', { limit: 2, before: 'wtx-2' });
+
+      expect(wallet.transactions).toHaveLength(1);
+      expect(wallet.next_cursor).toBeNull();
+      expect(db.query.mock.calls[2][1][2]).toBe('wtx-2');
+    });
+
+    it('should 404 for an unknown rider', async () => {
+      db.query = jest.fn().mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(walletService.getWallet('rider-404')).rejects.toThrow('Rider not found');
+    });
+  });
+});
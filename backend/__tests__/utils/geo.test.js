@@ -0,0 +1,56 @@
+/**
+ * Unit tests for geographic helpers
+ */
+
+const { removeJumps, trackDistanceKm } = require('../../src/utils/geo');
+
+const MAX_SPEED_KMH = 200;
+const START = Date.parse('2026-10-18T10:00:00Z');
+
+// A point every 10s along a street, ~100m apart (36 km/h)
+function track(count, { latitude = 37.7749, longitude = -122.4194, offset = 0 } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    latitude: latitude + (offset + i) * 0.0009,
+    longitude,
+    recorded_at: new Date(START + (offset + i) * 10000).toISOString()
+  }));
+}
+
+// Same time as `point`, but ~50km away
+function jumpFrom(point) {
+  return { ...point, latitude: point.latitude + 0.45 };
+}
+
+describe('geo', () => {
+  describe('removeJumps', () => {
+    it('should keep a track without jumps', () => {
+      const points = track(5);
+
+      expect(removeJumps(points, MAX_SPEED_KMH)).toEqual(points);
+    });
+
+    it('should drop a jump in the middle of the track', () => {
+      const points = track(5);
+      const withJump = [...points.slice(0, 2), jumpFrom(points[2]), ...points.slice(3)];
+
+      expect(removeJumps(withJump, MAX_SPEED_KMH)).toEqual([...points.slice(0, 2), ...points.slice(3)]);
+    });
+
+    it('should re-anchor when the first point is the outlier', () => {
+      const points = track(5);
+      const withBadFirstFix = [jumpFrom(points[0]), ...points.slice(1)];
+
+      const kept = removeJumps(withBadFirstFix, MAX_SPEED_KMH);
+
+      expect(kept).toEqual(points.slice(1));
+      expect(trackDistanceKm(kept)).toBeCloseTo(0.3, 1);
+    });
+
+    it('should not let a short run of jumps outvote a longer track', () => {
+      const points = track(6);
+      const withJumps = [...points.slice(0, 3), jumpFrom(points[3]), jumpFrom(points[4]), points[5]];
+
+      expect(removeJumps(withJumps, MAX_SPEED_KMH)).toEqual([...points.slice(0, 3), points[5]]);
+    });
+  });
+});
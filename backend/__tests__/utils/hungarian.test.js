@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the Hungarian assignment solver
+ */
+
+const { solveAssignment } = require('../../src/utils/hungarian');
+const { createRandom } = require('../helpers/syntheticFleet');
+
+// Exhaustive minimum over all assignments of the smaller side
+function bruteForceCost(cost) {
+  const n = cost.length;
+  const m = cost[0].length;
+  let best = Infinity;
+
+  const search = (row, usedCols, total) => {
+    if (row === n || usedCols.size === m) {
+      best = Math.min(best, total);
+      return;
+    }
+    if (n - row > m - usedCols.size) {
+      // More rows than free columns: this row may stay unassigned
+      search(row + 1, usedCols, total);
+    }
+    for (let col = 0; col < m; col++) {
+      if (usedCols.has(col)) continue;
+      usedCols.add(col);
+      search(row + 1, usedCols, total + cost[row][col]);
+      usedCols.delete(col);
+    }
+  };
+
+  search(0, new Set(), 0);
+  return best;
+}
+
+function assignedCost(cost, assignment) {
+  return assignment.reduce((sum, col, row) => sum + (col === -1 ? 0 : cost[row][col]), 0);
+}
+
+describe('solveAssignment', () => {
+  it('should find the optimal square assignment', () => {
+    const cost = [
+      [4, 1, 3],
+      [2, 0, 5],
+      [3, 2, 2]
+    ];
+
+    const assignment = solveAssignment(cost);
+
+    expect(assignment).toEqual([1, 0, 2]);
+    expect(assignedCost(cost, assignment)).toBe(5);
+  });
+
+  it('should leave extra rows unassigned when rows outnumber columns', () => {
+    const cost = [
+      [10, 1],
+      [1, 10],
+      [2, 2]
+    ];
+
+    const assignment = solveAssignment(cost);
+
+    expect(assignment).toEqual([1, 0, -1]);
+  });
+
+  it('should handle empty input', () => {
+    expect(solveAssignment([])).toEqual([]);
+    expect(solveAssignment([[], []])).toEqual([-1, -1]);
+  });
+
+  it('should match brute force on seeded random matrices', () => {
+    const random = createRandom(42);
+
+    for (let trial = 0; trial < 50; trial++) {
+      const n = 1 + Math.floor(random() * 6);
+      const m = 1 + Math.floor(random() * 6);
+      const cost = Array.from({ length: n }, () =>
+        Array.from({ length: m }, () => Math.floor(random() * 100))
+      );
+
+      const assignment = solveAssignment(cost);
+      const cols = assignment.filter(col => col !== -1);
+
+      expect(new Set(cols).size).toBe(cols.length);
+      expect(cols).toHaveLength(Math.min(n, m));
+      expect(assignedCost(cost, assignment)).toBe(bruteForceCost(cost));
+    }
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Unit tests for encoded polylines
+ */
+
+const polyline = require('../../src/utils/polyline');
+
+// Example from Google's polyline algorithm documentation
+const POINTS = [
+  { latitude: 38.5, longitude: -120.2 },
+  { latitude: 40.7, longitude: -120.95 },
+  { latitude: 43.252, longitude: -126.453 }
+];
+const ENCODED = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+describe('polyline', () => {
+  it('should encode points', () => {
+    expect(polyline.encode(POINTS)).toBe(ENCODED);
+  });
+
+  it('should decode what it encodes', () => {
+    expect(polyline.decode(ENCODED)).toEqual(POINTS);
+    expect(polyline.decode(polyline.encode([]))).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for local road graph routing
+ */
+
+const { createRoadGraph, nearestNode, fastestPath } = require('../../src/utils/roadGraph');
+
+// A square of streets: a slow direct avenue A-C and a fast detour A-B-C,
+// with D only reachable from C one way
+const GRAPH = {
+  nodes: {
+    A: [40.70, -74.00],
+    B: [40.70, -73.99],
+    C: [40.71, -73.99],
+    D: [40.72, -73.99]
+  },
+  edges: [
+    { from: 'A', to: 'C', speed_kmh: 5 },
+    { from: 'A', to: 'B', speed_kmh: 50 },
+    { from: 'B', to: 'C', speed_kmh: 50 },
+    { from: 'C', to: 'D', speed_kmh: 50, oneway: true }
+  ]
+};
+
+describe('roadGraph', () => {
+  const graph = createRoadGraph(GRAPH);
+
+  it('should take the faster detour over the shorter slow road', () => {
+    const path = fastestPath(graph, 'A', 'C');
+
+    // A-B ~0.84km and B-C ~1.11km at 50 km/h
+    expect(path.distance_km).toBeCloseTo(1.95, 2);
+    expect(path.duration_sec).toBeCloseTo(141, 0);
+  });
+
+  it('should respect one-way edges', () => {
+    expect(fastestPath(graph, 'A', 'D')).not.toBeNull();
+    expect(fastestPath(graph, 'D', 'A')).toBeNull();
+  });
+
+  it('should snap a point to the closest node', () => {
+    const nearest = nearestNode(graph, 40.7101, -73.9902);
+
+    expect(nearest.id).toBe('C');
+    expect(nearest.km).toBeLessThan(0.05);
+  });
+
+  it('should reject edges to unknown nodes', () => {
+    expect(() => createRoadGraph({ nodes: GRAPH.nodes, edges: [{ from: 'A', to: 'Z', speed_kmh: 30 }] }))
+      .toThrow('Road graph edge A-Z references an unknown node');
+  });
+});
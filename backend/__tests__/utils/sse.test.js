@@ -0,0 +1,126 @@
+/**
+ * Unit tests for ride Server-Sent Events streams
+ */
+
+const { EventEmitter } = require('events');
+const wsManager = require('../../src/utils/websocket');
+const { topics } = require('../../src/utils/websocket');
+const sse = require('../../src/utils/sse');
+const redis = require('../../src/utils/redis');
+
+const RIDE_ID = '33333333-3333-4333-8333-333333333333';
+const DRIVER_ID = '22222222-2222-4222-8222-222222222222';
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.set = jest.fn();
+  res.flushHeaders = jest.fn();
+  res.write = jest.fn();
+  res.end = jest.fn(() => res.emit('close'));
+  return res;
+}
+
+function fakeRequest(headers = {}) {
+  return {
+    user: { id: 'rider-1', role: 'rider' },
+    get: name => headers[name]
+  };
+}
+
+// Parsed `event:` / `id:` of every SSE message written so far
+function events(res) {
+  return res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter(chunk => chunk.includes('event: '))
+    .map(chunk => ({
+      id: (chunk.match(/^id: (\d+)$/m) || [])[1],
+      event: chunk.match(/^event: (\w+)$/m)[1]
+    }));
+}
+
+describe('Ride event streams', () => {
+  let seq;
+
+  beforeEach(() => {
+    seq = 0;
+    redis.incr.mockImplementation(async () => ++seq);
+    redis.publish.mockImplementation(async (channel, raw) => {
+      wsManager.deliver(JSON.parse(raw));
+      return 1;
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    wsManager.subscriptions.clear();
+  });
+
+  it('should open an event stream', async () => {
+    const res = fakeResponse();
+
+    await sse.openRideStream(fakeRequest(), res, { id: RIDE_ID, assigned_driver_id: null });
+    res.end();
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(res.flushHeaders).toHaveBeenCalled();
+    expect(res.write).toHaveBeenCalledWith('retry: 5000\n\n');
+  });
+
+  it('should send the ride\'s events with their sequence as id', async () => {
+    const res = fakeResponse();
+    await sse.openRideStream(fakeRequest(), res, { id: RIDE_ID, assigned_driver_id: null });
+
+    await wsManager.broadcastRideUpdated({ id: RIDE_ID, status: 'MATCHING' });
+    await wsManager.broadcastRideOffer({ id: 'offer-1', driver_id: DRIVER_ID }, { id: RIDE_ID });
+    await wsManager.broadcastTripStarted({ id: 'trip-1', ride_id: RIDE_ID });
+    await wsManager.broadcastTripStarted({ id: 'trip-2', ride_id: 'another-ride' });
+    res.end();
+
+    expect(events(res)).toEqual([
+      { id: '1', event: 'RIDE_UPDATED' },
+      { id: '3', event: 'TRIP_STARTED' }
+    ]);
+    expect(res.write).toHaveBeenCalledWith(expect.stringContaining('data: {"type":"RIDE_UPDATED"'));
+  });
+
+  it('should follow the locations of the assigned driver only', async () => {
+    const res = fakeResponse();
+    await sse.openRideStream(fakeRequest(), res, { id: RIDE_ID, assigned_driver_id: null });
+
+    await wsManager.broadcastLocationUpdate({ id: DRIVER_ID, latitude: 37.77, longitude: -122.41 });
+    await wsManager.broadcastDriverAssigned(RIDE_ID, DRIVER_ID, 'John Doe');
+    await wsManager.broadcastLocationUpdate({ id: DRIVER_ID, latitude: 37.77, longitude: -122.41 });
+    await wsManager.broadcastLocationUpdate({ id: 'another-driver', latitude: 37.77, longitude: -122.41 });
+    await wsManager.broadcastDriverStatusChanged({ id: DRIVER_ID, status: 'ON_TRIP' });
+    res.end();
+
+    expect(events(res).map(e => e.event)).toEqual(['DRIVER_ASSIGNED', 'DRIVER_LOCATION_UPDATED']);
+  });
+
+  it('should resume after Last-Event-ID', async () => {
+    redis.get.mockResolvedValueOnce('9');
+    redis.xRange.mockResolvedValueOnce([
+      { id: '8-0', message: { seq: '8', message: JSON.stringify({ type: 'TRIP_STARTED', seq: 8 }) } },
+      { id: '9-0', message: { seq: '9', message: JSON.stringify({ type: 'TRIP_RECEIPT', seq: 9 }) } }
+    ]);
+    const res = fakeResponse();
+
+    await sse.openRideStream(fakeRequest({ 'Last-Event-ID': '7' }), res, { id: RIDE_ID, assigned_driver_id: null });
+    res.end();
+
+    expect(redis.xRange).toHaveBeenCalledWith(`ws:log:${topics.ride(RIDE_ID)}`, '-', '+');
+    expect(events(res)).toEqual([{ id: '8', event: 'TRIP_STARTED' }]);
+  });
+
+  it('should stop receiving events once the client disconnects', async () => {
+    const res = fakeResponse();
+    await sse.openRideStream(fakeRequest(), res, { id: RIDE_ID, assigned_driver_id: DRIVER_ID });
+
+    res.emit('close');
+    await wsManager.broadcastTripEnded({ id: 'trip-1', ride_id: RIDE_ID });
+
+    expect(events(res)).toEqual([]);
+    expect(wsManager.subscriptions.has(topics.ride(RIDE_ID))).toBe(false);
+    expect(wsManager.subscriptions.has(topics.tracking(DRIVER_ID))).toBe(false);
+  });
+});
@@ -9,6 +9,7 @@ const {
   validateTripTransition,
   validateRideTransition,
   validateDriverTransition,
+  canArriveTrip,
   canStartTrip,
   canPauseTrip,
   canEndTrip,
@@ -35,6 +36,18 @@ describe('State Machine - Trip Transitions', () => {
       expect(canCancelTrip(TRIP_STATES.CREATED)).toBe(true);
     });
 
+    test('CREATED -> ARRIVED -> STARTED is valid', () => {
+      expect(() => validateTripTransition(TRIP_STATES.CREATED, TRIP_STATES.ARRIVED)).not.toThrow();
+      expect(() => validateTripTransition(TRIP_STATES.ARRIVED, TRIP_STATES.STARTED)).not.toThrow();
+      expect(canArriveTrip(TRIP_STATES.CREATED)).toBe(true);
+      expect(canStartTrip(TRIP_STATES.ARRIVED)).toBe(true);
+    });
+
+    test('ARRIVED -> CANCELLED is valid (no-show)', () => {
+      expect(() => validateTripTransition(TRIP_STATES.ARRIVED, TRIP_STATES.CANCELLED)).not.toThrow();
+      expect(canCancelTrip(TRIP_STATES.ARRIVED)).toBe(true);
+    });
+
     test('STARTED -> PAUSED is valid', () => {
       expect(() => validateTripTransition(TRIP_STATES.STARTED, TRIP_STATES.PAUSED)).not.toThrow();
       expect(canPauseTrip(TRIP_STATES.STARTED)).toBe(true);
@@ -66,6 +79,12 @@ describe('State Machine - Trip Transitions', () => {
         .toThrow(StateTransitionError);
     });
 
+    test('STARTED -> ARRIVED is invalid', () => {
+      expect(() => validateTripTransition(TRIP_STATES.STARTED, TRIP_STATES.ARRIVED))
+        .toThrow(StateTransitionError);
+      expect(canArriveTrip(TRIP_STATES.STARTED)).toBe(false);
+    });
+
     test('ENDED -> any state is invalid (terminal)', () => {
       expect(() => validateTripTransition(TRIP_STATES.ENDED, TRIP_STATES.STARTED))
         .toThrow(StateTransitionError);
@@ -80,8 +99,9 @@ describe('State Machine - Trip Transitions', () => {
   });
 
   describe('State Check Helpers', () => {
-    test('canStartTrip only true for CREATED', () => {
+    test('canStartTrip only true for CREATED or ARRIVED', () => {
       expect(canStartTrip(TRIP_STATES.CREATED)).toBe(true);
+      expect(canStartTrip(TRIP_STATES.ARRIVED)).toBe(true);
       expect(canStartTrip(TRIP_STATES.STARTED)).toBe(false);
       expect(canStartTrip(TRIP_STATES.PAUSED)).toBe(false);
     });
@@ -0,0 +1,519 @@
+/**
+ * Unit tests for WebSocket topic routing, authorization, Redis fan-out
+ * and client commands
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const wsManager = require('../../src/utils/websocket');
+const { topics } = require('../../src/utils/websocket');
+const authService = require('../../src/services/auth.service');
+const db = require('../../src/db');
+const redis = require('../../src/utils/redis');
+const driverService = require('../../src/services/driver.service');
+const { AppError } = require('../../src/middlewares/error.middleware');
+
+jest.mock('../../src/db');
+jest.mock('../../src/services/driver.service');
+
+const RIDER_ID = '11111111-1111-4111-8111-111111111111';
+const DRIVER_ID = '22222222-2222-4222-8222-222222222222';
+const RIDE_ID = '33333333-3333-4333-8333-333333333333';
+
+function fakeClient(user) {
+  return {
+    user,
+    topics: new Set(),
+    lastSeenAt: Date.now(),
+    readyState: WebSocket.OPEN,
+    send: jest.fn(),
+    ping: jest.fn(),
+    terminate: jest.fn()
+  };
+}
+
+function lastReply(client) {
+  const calls = client.send.mock.calls;
+  return JSON.parse(calls[calls.length - 1][0]);
+}
+
+function received(client) {
+  return client.send.mock.calls.map(([data]) => JSON.parse(data).type);
+}
+
+describe('WebSocketManager', () => {
+  let rider;
+  let otherRider;
+  let driver;
+  let admin;
+
+  beforeEach(() => {
+    // Loop published events straight back, as the Redis subscriber would
+    redis.publish.mockImplementation(async (channel, raw) => {
+      wsManager.deliver(JSON.parse(raw));
+      return 1;
+    });
+
+    wsManager.subscriptions.clear();
+    rider = fakeClient({ id: RIDER_ID, role: 'rider' });
+    otherRider = fakeClient({ id: 'another-rider', role: 'rider' });
+    driver = fakeClient({ id: DRIVER_ID, role: 'driver' });
+    admin = fakeClient({ id: 'admin-1', role: 'admin' });
+
+    wsManager.subscribe(rider, topics.rider(RIDER_ID));
+    wsManager.subscribe(otherRider, topics.rider('another-rider'));
+    wsManager.subscribe(driver, topics.driver(DRIVER_ID));
+    wsManager.subscribe(admin, topics.admin());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('publish', () => {
+    it('should send once to each subscriber of any listed topic', async () => {
+      wsManager.subscribe(admin, topics.driver(DRIVER_ID));
+
+      await wsManager.publish([topics.driver(DRIVER_ID), topics.admin()], { type: 'PING' });
+
+      expect(driver.send).toHaveBeenCalledTimes(1);
+      expect(admin.send).toHaveBeenCalledTimes(1);
+      expect(rider.send).not.toHaveBeenCalled();
+    });
+
+    it('should skip clients that are not open', async () => {
+      driver.readyState = WebSocket.CLOSED;
+
+      await wsManager.publish([topics.driver(DRIVER_ID)], { type: 'PING' });
+
+      expect(driver.send).not.toHaveBeenCalled();
+    });
+
+    it('should publish events with their topics and joins to Redis', async () => {
+      await wsManager.broadcastRideCreated({ id: RIDE_ID, rider_id: RIDER_ID });
+
+      expect(redis.publish).toHaveBeenCalledWith('ws:events', expect.any(String));
+      expect(JSON.parse(redis.publish.mock.calls[0][1])).toEqual({
+        topics: [topics.ride(RIDE_ID), topics.admin()],
+        message: { type: 'RIDE_CREATED', payload: { id: RIDE_ID, rider_id: RIDER_ID }, seq: 1 },
+        joins: [[topics.rider(RIDER_ID), topics.ride(RIDE_ID)]]
+      });
+    });
+
+    it('should deliver locally when Redis is unavailable', async () => {
+      redis.publish.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await wsManager.publish([topics.driver(DRIVER_ID)], { type: 'PING' });
+
+      expect(received(driver)).toEqual(['PING']);
+    });
+  });
+
+  describe('event routing', () => {
+    it('should send ride events only to the rider, the assigned driver and admins', async () => {
+      await wsManager.broadcastRideCreated({ id: RIDE_ID, rider_id: RIDER_ID });
+      await wsManager.broadcastDriverAssigned(RIDE_ID, DRIVER_ID, 'John Doe');
+      await wsManager.broadcastTripReceipt({ ride_id: RIDE_ID, driver: { phone: '+15550100' } });
+
+      expect(received(rider)).toEqual(['RIDE_CREATED', 'DRIVER_ASSIGNED', 'TRIP_RECEIPT']);
+      expect(received(driver)).toEqual(['DRIVER_ASSIGNED', 'TRIP_RECEIPT']);
+      expect(received(admin)).toEqual(['RIDE_CREATED', 'DRIVER_ASSIGNED', 'TRIP_RECEIPT']);
+      expect(otherRider.send).not.toHaveBeenCalled();
+    });
+
+    it('should send offers only to the offered driver', async () => {
+      const other = fakeClient({ id: 'another-driver', role: 'driver' });
+      wsManager.subscribe(other, topics.driver('another-driver'));
+
+      await wsManager.broadcastRideOffer({ id: 'offer-1', driver_id: DRIVER_ID }, { id: RIDE_ID });
+
+      expect(received(driver)).toEqual(['RIDE_OFFER']);
+      expect(other.send).not.toHaveBeenCalled();
+      expect(rider.send).not.toHaveBeenCalled();
+    });
+
+    it('should send AVAILABLE driver locations to subscribers of the driver\'s zone, without the ETA', async () => {
+      const nearby = fakeClient({ id: RIDER_ID, role: 'rider' });
+      const farAway = fakeClient({ id: RIDER_ID, role: 'rider' });
+      wsManager.subscribe(nearby, topics.zone(37.7749, -122.4194));
+      wsManager.subscribe(farAway, topics.zone(40.7128, -74.0060));
+
+      await wsManager.broadcastLocationUpdate(
+        { id: DRIVER_ID, latitude: 37.775, longitude: -122.419, eta: { eta_minutes: 3 } },
+        { status: 'AVAILABLE' }
+      );
+
+      expect(received(nearby)).toEqual(['DRIVER_LOCATION_UPDATED']);
+      expect(lastReply(nearby).payload).toEqual({ id: DRIVER_ID, latitude: 37.775, longitude: -122.419 });
+      expect(farAway.send).not.toHaveBeenCalled();
+      expect(rider.send).not.toHaveBeenCalled();
+    });
+
+    it('should send an assigned driver\'s location to their ride only', async () => {
+      const nearby = fakeClient({ id: 'another-rider', role: 'rider' });
+      wsManager.subscribe(nearby, topics.zone(37.7749, -122.4194));
+      wsManager.subscribe(rider, topics.ride(RIDE_ID));
+
+      await wsManager.broadcastLocationUpdate(
+        { id: DRIVER_ID, latitude: 37.775, longitude: -122.419, eta: { eta_minutes: 3 } },
+        { status: 'ON_TRIP', rideId: RIDE_ID }
+      );
+
+      expect(received(rider)).toEqual(['DRIVER_LOCATION_UPDATED']);
+      expect(lastReply(rider).payload.eta).toEqual({ eta_minutes: 3 });
+      expect(nearby.send).not.toHaveBeenCalled();
+    });
+
+    it('should keep driver details away from riders', async () => {
+      await wsManager.broadcastDriverCreated({ id: DRIVER_ID, phone: '+15550100' });
+      await wsManager.broadcastDriverStatusChanged({ id: DRIVER_ID, status: 'AVAILABLE' });
+
+      expect(received(admin)).toEqual(['DRIVER_CREATED', 'DRIVER_STATUS_CHANGED']);
+      expect(received(driver)).toEqual(['DRIVER_STATUS_CHANGED']);
+      expect(rider.send).not.toHaveBeenCalled();
+    });
+
+    it('should stop sending to a client once it is removed', async () => {
+      wsManager.removeClient(admin);
+
+      await wsManager.broadcastDriverCreated({ id: DRIVER_ID });
+
+      expect(admin.send).not.toHaveBeenCalled();
+      expect(wsManager.subscriptions.has(topics.admin())).toBe(false);
+    });
+  });
+
+  describe('canSubscribe', () => {
+    it('should allow only the user\'s own personal topic', async () => {
+      expect(await wsManager.canSubscribe(rider.user, topics.rider(RIDER_ID))).toBe(true);
+      expect(await wsManager.canSubscribe(rider.user, topics.rider('another-rider'))).toBe(false);
+      expect(await wsManager.canSubscribe(rider.user, topics.driver(RIDER_ID))).toBe(false);
+      expect(await wsManager.canSubscribe(rider.user, topics.admin())).toBe(false);
+    });
+
+    it('should allow a ride topic only to its participants', async () => {
+      db.query.mockResolvedValue({ rows: [{ rider_id: RIDER_ID, driver_id: DRIVER_ID }], rowCount: 1 });
+
+      expect(await wsManager.canSubscribe(rider.user, topics.ride(RIDE_ID))).toBe(true);
+      expect(await wsManager.canSubscribe(driver.user, topics.ride(RIDE_ID))).toBe(true);
+      expect(await wsManager.canSubscribe(otherRider.user, topics.ride(RIDE_ID))).toBe(false);
+    });
+
+    it('should deny a ride topic for an unknown ride', async () => {
+      db.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      expect(await wsManager.canSubscribe(rider.user, topics.ride(RIDE_ID))).toBe(false);
+    });
+
+    it('should allow zones at the zone precision only', async () => {
+      expect(await wsManager.canSubscribe(rider.user, 'zone:9q8yy')).toBe(true);
+      expect(await wsManager.canSubscribe(rider.user, 'zone:9q8')).toBe(false);
+    });
+
+    it('should allow admins any topic', async () => {
+      expect(await wsManager.canSubscribe(admin.user, topics.driver(DRIVER_ID))).toBe(true);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestSubscription', () => {
+    it('should not subscribe to a denied topic', async () => {
+      const ok = await wsManager.requestSubscription(rider, topics.driver(DRIVER_ID));
+
+      expect(ok).toBe(false);
+      expect(rider.topics.has(topics.driver(DRIVER_ID))).toBe(false);
+    });
+  });
+
+  describe('client commands', () => {
+    const send = (client, command) => wsManager.handleMessage(client, JSON.stringify(command));
+
+    it('should answer PING with PONG and echo the request id', async () => {
+      await send(rider, { type: 'PING', id: 7 });
+
+      expect(lastReply(rider)).toEqual({
+        type: 'PONG',
+        payload: { timestamp: expect.any(String) },
+        request_id: 7
+      });
+    });
+
+    it('should reject messages that are not JSON', async () => {
+      await wsManager.handleMessage(rider, 'hello');
+
+      expect(lastReply(rider).payload.code).toBe('BAD_REQUEST');
+    });
+
+    it('should reject unknown commands', async () => {
+      await send(rider, { type: 'SHOUT' });
+
+      expect(lastReply(rider).payload).toEqual({ code: 'BAD_REQUEST', message: 'Unknown message type: SHOUT' });
+    });
+
+    it('should subscribe to and unsubscribe from allowed topics', async () => {
+      await send(rider, { type: 'SUBSCRIBE', topic: 'zone:9q8yy' });
+      expect(lastReply(rider)).toEqual({ type: 'SUBSCRIBED', payload: { topic: 'zone:9q8yy' } });
+      expect(rider.topics.has('zone:9q8yy')).toBe(true);
+
+      await send(rider, { type: 'UNSUBSCRIBE', topic: 'zone:9q8yy' });
+      expect(lastReply(rider)).toEqual({ type: 'UNSUBSCRIBED', payload: { topic: 'zone:9q8yy' } });
+      expect(rider.topics.has('zone:9q8yy')).toBe(false);
+    });
+
+    it('should refuse topics the user is not entitled to', async () => {
+      await send(rider, { type: 'SUBSCRIBE', topic: topics.driver(DRIVER_ID) });
+
+      expect(lastReply(rider).payload.code).toBe('FORBIDDEN');
+      expect(rider.topics.has(topics.driver(DRIVER_ID))).toBe(false);
+    });
+
+    it('should update a driver\'s location through the driver service', async () => {
+      driverService.updateLocation.mockResolvedValue({ id: DRIVER_ID, latitude: 37.7749, longitude: -122.4194 });
+
+      await send(driver, { type: 'LOCATION_UPDATE', latitude: 37.7749, longitude: -122.4194 });
+
+      expect(driverService.updateLocation).toHaveBeenCalledWith(DRIVER_ID, { latitude: 37.7749, longitude: -122.4194 });
+      expect(lastReply(driver)).toEqual({
+        type: 'LOCATION_ACK',
+        payload: { id: DRIVER_ID, latitude: 37.7749, longitude: -122.4194 }
+      });
+    });
+
+    it('should return location validation errors', async () => {
+      driverService.updateLocation.mockRejectedValue(new AppError('latitude must be between -90 and 90', 400));
+
+      await send(driver, { type: 'LOCATION_UPDATE', latitude: 200, longitude: -122.4194 });
+
+      expect(lastReply(driver).payload).toEqual({
+        code: 'BAD_REQUEST',
+        message: 'latitude must be between -90 and 90'
+      });
+    });
+
+    it('should throttle location updates per connection', async () => {
+      driverService.updateLocation.mockResolvedValue({ id: DRIVER_ID });
+
+      await send(driver, { type: 'LOCATION_UPDATE', latitude: 37.7749, longitude: -122.4194 });
+      await send(driver, { type: 'LOCATION_UPDATE', latitude: 37.7750, longitude: -122.4194 });
+
+      expect(driverService.updateLocation).toHaveBeenCalledTimes(1);
+      expect(lastReply(driver).payload.code).toBe('RATE_LIMITED');
+    });
+
+    it('should only accept locations from drivers', async () => {
+      await send(rider, { type: 'LOCATION_UPDATE', latitude: 37.7749, longitude: -122.4194 });
+
+      expect(driverService.updateLocation).not.toHaveBeenCalled();
+      expect(lastReply(rider).payload.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('checkHeartbeats', () => {
+    it('should evict idle clients and ping the rest', () => {
+      const now = Date.now();
+      rider.lastSeenAt = now - 61000;
+      driver.lastSeenAt = now - 1000;
+      wsManager.clients = new Set([rider, driver]);
+
+      const evicted = wsManager.checkHeartbeats(now);
+
+      expect(evicted).toBe(1);
+      expect(rider.terminate).toHaveBeenCalled();
+      expect(wsManager.clients.has(rider)).toBe(false);
+      expect(wsManager.subscriptions.has(topics.rider(RIDER_ID))).toBe(false);
+      expect(driver.ping).toHaveBeenCalled();
+      expect(driver.terminate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replay', () => {
+    function logEntry(seq, type = 'RIDE_UPDATED') {
+      return { id: `${seq}-0`, message: { seq: String(seq), message: JSON.stringify({ type, seq }) } };
+    }
+
+    it('should log each event on every topic it goes to', async () => {
+      redis.incr.mockResolvedValueOnce(42);
+
+      await wsManager.publish([topics.ride(RIDE_ID), topics.admin()], { type: 'RIDE_UPDATED' });
+
+      expect(redis.xAdd).toHaveBeenCalledTimes(2);
+      expect(redis.xAdd).toHaveBeenCalledWith(
+        `ws:log:${topics.ride(RIDE_ID)}`,
+        '*',
+        { seq: '42', message: JSON.stringify({ type: 'RIDE_UPDATED', seq: 42 }) },
+        { TRIM: { strategy: 'MAXLEN', threshold: 500 } }
+      );
+      expect(redis.expire).toHaveBeenCalledWith('ws:log:admin', 86400);
+    });
+
+    it('should return missed events once and in order', async () => {
+      redis.get.mockResolvedValueOnce('7');
+      redis.xRange
+        .mockResolvedValueOnce([logEntry(3), logEntry(5)])
+        .mockResolvedValueOnce([logEntry(4), logEntry(5), logEntry(7)]);
+
+      const { messages } = await wsManager.eventsSince([topics.ride(RIDE_ID), topics.rider(RIDER_ID)], 3);
+
+      expect(messages.map(data => JSON.parse(data).seq)).toEqual([4, 5, 7]);
+    });
+
+    it('should ask for a resync once the log has moved past the client', async () => {
+      redis.get.mockResolvedValueOnce('900');
+      redis.xRange.mockResolvedValueOnce(Array.from({ length: 500 }, (_, i) => logEntry(i + 400)));
+
+      expect(await wsManager.eventsSince([topics.ride(RIDE_ID)], 10)).toEqual({ resync: [topics.ride(RIDE_ID)] });
+    });
+
+    it('should ask for a resync when the client is ahead of the sequence', async () => {
+      redis.get.mockResolvedValueOnce('5');
+
+      expect(await wsManager.eventsSince([topics.admin()], 99)).toEqual({ resync: [topics.admin()] });
+      expect(redis.xRange).not.toHaveBeenCalled();
+    });
+
+    it('should send held live events after the replay without duplicates', async () => {
+      rider.pending = [];
+      wsManager.subscribe(rider, topics.ride(RIDE_ID));
+      redis.incr.mockResolvedValueOnce(5).mockResolvedValueOnce(6);
+      await wsManager.publish([topics.ride(RIDE_ID)], { type: 'RIDE_UPDATED' });
+      await wsManager.publish([topics.ride(RIDE_ID)], { type: 'DRIVER_ASSIGNED' });
+      expect(rider.send).not.toHaveBeenCalled();
+
+      redis.get.mockResolvedValueOnce('6');
+      redis.xRange
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([logEntry(4, 'RIDE_CREATED'), logEntry(5, 'RIDE_UPDATED')]);
+      await wsManager.replay(rider, 3);
+
+      expect(received(rider)).toEqual(['RIDE_CREATED', 'RIDE_UPDATED', 'DRIVER_ASSIGNED']);
+      expect(rider.pending).toBeNull();
+    });
+
+    it('should tell the client to resync when replay fails', async () => {
+      rider.pending = [];
+      redis.get.mockResolvedValueOnce('6');
+      redis.xRange.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await wsManager.replay(rider, 3);
+
+      expect(lastReply(rider)).toEqual(expect.objectContaining({ type: 'RESYNC_REQUIRED' }));
+    });
+  });
+
+  describe('connections', () => {
+    let server;
+    let url;
+    let fanout;
+
+    beforeAll((done) => {
+      server = http.createServer();
+      wsManager.initialize(server);
+      server.listen(0, () => {
+        url = `ws://localhost:${server.address().port}`;
+        fanout = wsManager.subscriber.subscribe.mock.calls[0];
+        done();
+      });
+    });
+
+    afterAll(async () => {
+      await wsManager.close();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    function connect(query) {
+      return new Promise((resolve, reject) => {
+        const client = new WebSocket(`${url}/?${query}`);
+        client.once('message', data => resolve({ client, message: JSON.parse(data) }));
+        client.once('unexpected-response', (req, res) => reject(new Error(String(res.statusCode))));
+        client.once('error', reject);
+      });
+    }
+
+    it('should reject connections without a valid token', async () => {
+      await expect(connect('')).rejects.toThrow('401');
+      await expect(connect('token=not-a-jwt')).rejects.toThrow('401');
+    });
+
+    it('should relay events published by other processes', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      const token = authService.issueToken({ id: RIDER_ID, role: 'rider' });
+      const { client } = await connect(`token=${token}`);
+
+      const [channel, relay] = fanout;
+      const next = new Promise(resolve => client.once('message', data => resolve(JSON.parse(data))));
+
+      relay(JSON.stringify({
+        topics: [topics.ride(RIDE_ID)],
+        message: { type: 'PAYMENT_UPDATED', payload: { id: 'payment-1' } },
+        joins: [[topics.rider(RIDER_ID), topics.ride(RIDE_ID)]]
+      }));
+      const message = await next;
+      client.close();
+
+      expect(channel).toBe('ws:events');
+      expect(message).toEqual({ type: 'PAYMENT_UPDATED', payload: { id: 'payment-1' } });
+    });
+
+    it('should replay missed events before live ones on reconnect', async () => {
+      db.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      redis.get.mockResolvedValue('2');
+      redis.xRange.mockResolvedValueOnce([
+        { id: '2-0', message: { seq: '2', message: JSON.stringify({ type: 'RIDE_UPDATED', seq: 2 }) } }
+      ]);
+      const token = authService.issueToken({ id: RIDER_ID, role: 'rider' });
+
+      const client = new WebSocket(`${url}/?token=${token}&last_seen_seq=1`);
+      const messages = await new Promise((resolve) => {
+        const seen = [];
+        client.on('message', (data) => {
+          seen.push(JSON.parse(data));
+          if (seen.length === 2) resolve(seen);
+        });
+      });
+      client.close();
+      redis.get.mockResolvedValue(null);
+
+      expect(messages[0]).toEqual(expect.objectContaining({ type: 'CONNECTED' }));
+      expect(messages[0].payload.seq).toBe(2);
+      expect(messages[1]).toEqual({ type: 'RIDE_UPDATED', seq: 2 });
+    });
+
+    it('should rejoin rides closed while away when resuming', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: RIDE_ID }], rowCount: 1 });
+      redis.get.mockResolvedValue('3');
+      redis.xRange.mockImplementation(async key => (key === `ws:log:${topics.ride(RIDE_ID)}`
+        ? [{ id: '3-0', message: { seq: '3', message: JSON.stringify({ type: 'TRIP_ENDED', seq: 3 }) } }]
+        : []));
+      const token = authService.issueToken({ id: RIDER_ID, role: 'rider' });
+
+      const client = new WebSocket(`${url}/?token=${token}&last_seen_seq=2`);
+      const messages = await new Promise((resolve) => {
+        const seen = [];
+        client.on('message', (data) => {
+          seen.push(JSON.parse(data));
+          if (seen.length === 2) resolve(seen);
+        });
+      });
+      client.close();
+      redis.get.mockResolvedValue(null);
+      redis.xRange.mockResolvedValue([]);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('updated_at'), [RIDER_ID, 86400]);
+      expect(messages[0].payload.topics).toEqual([topics.rider(RIDER_ID), topics.ride(RIDE_ID)]);
+      expect(messages[1]).toEqual({ type: 'TRIP_ENDED', seq: 3 });
+    });
+
+    it('should join a driver to their own topic and open rides', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: RIDE_ID }], rowCount: 1 });
+      const token = authService.issueToken({ id: DRIVER_ID, role: 'driver' });
+
+      const { client, message } = await connect(`token=${token}&topics=admin,zone:9q8yy`);
+      client.close();
+
+      expect(message.type).toBe('CONNECTED');
+      expect(message.payload.user).toEqual({ id: DRIVER_ID, role: 'driver' });
+      expect(message.payload.topics).toEqual([topics.driver(DRIVER_ID), topics.ride(RIDE_ID), 'zone:9q8yy']);
+      expect(message.payload.denied).toEqual(['admin']);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * Generate an ES256 key pair for signing JWTs
+ * Prints JWT_PRIVATE_KEY / JWT_PUBLIC_KEY lines to paste into .env
+ */
+
+const { generateKeyPair } = require('../src/config/auth');
+
+const { privateKey, publicKey } = generateKeyPair();
+const escape = (pem) => pem.trim().replace(/\n/g, '\\n');
+
+console.log(`JWT_PRIVATE_KEY="${escape(privateKey)}"`);
+console.log(`JWT_PUBLIC_KEY="${escape(publicKey)}"`);
@@ -2,49 +2,57 @@
 /**
  * Script to initialize test data with available drivers
  * Run this to populate the system with drivers for testing
+ * Each driver gets a vehicle, without which they are matched to no tier
+ * Driver management is admin-only: set ADMIN_TOKEN (`export ADMIN_TOKEN=$(npm run -s token -- admin)`)
  */
 
 const axios = require('axios');
 
 const BASE_URL = process.env.API_URL || 'http://localhost:3000';
+const AUTH = { headers: { Authorization: `Bearer ${process.env.ADMIN_TOKEN}` } };
 
 // Sample driver data with locations around a central point
 const DRIVERS = [
   {
     name: 'John Driver',
     phone: '+1-555-0101',
+    vehicle: { make: 'Toyota', model: 'Prius', plate: 'TEST-0101', tier: 'ECONOMY' },
     latitude: 37.7749,  // San Francisco
     longitude: -122.4194
   },
   {
     name: 'Jane Racer',
     phone: '+1-555-0102',
+    vehicle: { make: 'Honda', model: 'Civic', plate: 'TEST-0102', tier: 'ECONOMY' },
     latitude: 37.7849,  // Slightly north
     longitude: -122.4094
   },
   {
     name: 'Mike Cabbie',
     phone: '+1-555-0103',
+    vehicle: { make: 'Tesla', model: 'Model 3', plate: 'TEST-0103', tier: 'PREMIUM', opt_in_tiers: ['ECONOMY'] },
     latitude: 37.7649,  // Slightly south
     longitude: -122.4294
   },
   {
     name: 'Sarah Wheeler',
     phone: '+1-555-0104',
+    vehicle: { make: 'Mercedes', model: 'S-Class', plate: 'TEST-0104', tier: 'LUXURY', opt_in_tiers: ['PREMIUM'] },
     latitude: 37.7749,  // Slightly east
     longitude: -122.4094
   },
   {
     name: 'Tom Cruiser',
     phone: '+1-555-0105',
+    vehicle: { make: 'Ford', model: 'Fusion', plate: 'TEST-0105', tier: 'ECONOMY' },
     latitude: 37.7849,  // Northeast
     longitude: -122.4194
   }
 ];
 
-async function createDriver(driver) {
+async function createDriver({ vehicle, ...driver }) {
   try {
-    const response = await axios.post(`${BASE_URL}/v1/drivers`, driver);
+    const response = await axios.post(`${BASE_URL}/v1/admin/drivers`, driver, AUTH);
     console.log(`✓ Created driver: ${driver.name} (${response.data.id})`);
     return response.data;
   } catch (error) {
@@ -57,11 +65,20 @@ async function createDriver(driver) {
   }
 }
 
+async function registerVehicle(driverId, driverName, vehicle) {
+  try {
+    await axios.put(`${BASE_URL}/v1/drivers/${driverId}/vehicle`, vehicle, AUTH);
+    console.log(`✓ Registered ${vehicle.tier} vehicle: ${driverName}`);
+  } catch (error) {
+    console.error(`✗ Failed to register vehicle for ${driverName}:`, error.message);
+  }
+}
+
 async function setDriverOnline(driverId, driverName) {
   try {
     await axios.patch(`${BASE_URL}/v1/drivers/${driverId}/status`, {
       status: 'AVAILABLE'
-    });
+    }, AUTH);
     console.log(`✓ Set driver online: ${driverName}`);
   } catch (error) {
     console.error(`✗ Failed to set driver online ${driverName}:`, error.message);
@@ -69,6 +86,11 @@ async function setDriverOnline(driverId, driverName) {
 }
 
 async function main() {
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('ADMIN_TOKEN is not set. Run `export ADMIN_TOKEN=$(npm run -s token -- admin)` first.');
+    process.exit(1);
+  }
+
   console.log('🚀 Initializing test data...\n');
   console.log(`API URL: ${BASE_URL}\n`);
   
@@ -78,7 +100,7 @@ async function main() {
   for (const driver of DRIVERS) {
     const created = await createDriver(driver);
     if (created) {
-      createdDrivers.push(created);
+      createdDrivers.push({ ...created, vehicle: driver.vehicle });
     }
     // Small delay to avoid overwhelming the API
     await new Promise(resolve => setTimeout(resolve, 100));
@@ -86,6 +108,12 @@ async function main() {
   
   console.log(`\n✓ Created ${createdDrivers.length} drivers`);
   
+  console.log('\nRegistering vehicles...');
+  for (const driver of createdDrivers) {
+    await registerVehicle(driver.id, driver.name, driver.vehicle);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  
   // Set all drivers online
   console.log('\nSetting drivers online...');
   for (const driver of createdDrivers) {
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Issue a token for local testing
+ * Usage: npm run token -- <rider|driver|admin> [id]
+ * Uses the keys in .env, so the API must be running with the same keys
+ */
+
+require('dotenv').config();
+
+// Keep stdout to the token alone so it can be captured with $(...)
+process.env.NEW_RELIC_ENABLED = 'false';
+process.env.NEW_RELIC_LOG_ENABLED = 'false';
+
+const authService = require('../src/services/auth.service');
+
+const [role, id = 'admin'] = process.argv.slice(2);
+
+if (!process.env.JWT_PRIVATE_KEY) {
+  console.error('JWT_PRIVATE_KEY is not set. Run `npm run keys:generate` and add the output to .env.');
+  process.exit(1);
+}
+
+try {
+  console.log(authService.issueToken({ id, role }));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
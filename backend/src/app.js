@@ -6,6 +6,11 @@ const ridesRoutes = require('./routes/rides');
 const driversRoutes = require('./routes/drivers');
 const tripsRoutes = require('./routes/trips');
 const paymentRoutes = require('./routes/payments');
+const surgeRoutes = require('./routes/surge');
+const faresRoutes = require('./routes/fares');
+const ridersRoutes = require('./routes/riders');
+const adminRoutes = require('./routes/admin');
+const authRoutes = require('./routes/auth');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDoc = require('../swagger.json');
 
@@ -14,7 +19,13 @@ const app = express();
 // Security middleware
 app.use(securityHeaders);
 app.use(corsConfig);
-app.use(express.json({ limit: '10kb' })); // Limit body size
+app.use(express.json({
+  limit: '10kb', // Limit body size
+  // Keep the exact bytes for PSP webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(sanitizeInput);
 
 // Rate limiting (except health check)
@@ -25,6 +36,11 @@ app.use('/v1/payments', paymentRoutes);
 app.use('/v1/rides', ridesRoutes);
 app.use('/v1/drivers', driversRoutes);
 app.use('/v1/trips', tripsRoutes);
+app.use('/v1/surge', surgeRoutes);
+app.use('/v1/fares', faresRoutes);
+app.use('/v1/riders', ridersRoutes);
+app.use('/v1/admin', adminRoutes);
+app.use('/v1/auth', authRoutes);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDoc));
 
 // Health check (no rate limit)
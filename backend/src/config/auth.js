@@ -0,0 +1,53 @@
+/**
+ * JWT signing keys
+ * Tokens are signed with ES256. JWT_PRIVATE_KEY / JWT_PUBLIC_KEY hold PEM keys
+ * (newlines may be written as \n); `npm run keys:generate` prints a fresh pair.
+ * Outside production a throwaway key pair is generated when none is set, so
+ * tokens only stay valid until the process restarts.
+ * Access tokens last JWT_TTL; riders and drivers renew them with a refresh
+ * token (JWT_REFRESH_TTL) at POST /v1/auth/refresh.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'ES256';
+const ISSUER = process.env.JWT_ISSUER || 'ride-hailing-api';
+const TOKEN_TTL = process.env.JWT_TTL || '12h';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '30d';
+
+function readPem(name) {
+  const value = process.env[name];
+  return value ? value.replace(/\\n/g, '\n') : null;
+}
+
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+}
+
+function loadKeys() {
+  const privateKey = readPem('JWT_PRIVATE_KEY');
+  const publicKey = readPem('JWT_PUBLIC_KEY');
+
+  if (publicKey) {
+    return { privateKey, publicKey, ephemeral: false };
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_PUBLIC_KEY must be set in production');
+  }
+
+  return { ...generateKeyPair(), ephemeral: true };
+}
+
+module.exports = {
+  ALGORITHM,
+  ISSUER,
+  TOKEN_TTL,
+  REFRESH_TOKEN_TTL,
+  generateKeyPair,
+  ...loadKeys()
+};
@@ -0,0 +1,33 @@
+/**
+ * Pickup ETA speed model
+ * `haversine` stretches the straight-line distance by a road factor and
+ * drives it at the average speed of the zone (geohash prefix, longest match
+ * wins) around the route's midpoint. `road_graph` routes over a local road
+ * graph and falls back to `haversine` for points off the graph.
+ * ETA_CONFIG (JSON) overrides any of these keys; ETA_ROAD_GRAPH_FILE points
+ * at the graph: { nodes: { id: [lat, lon] }, edges: [{ from, to, speed_kmh, oneway }] }
+ */
+
+const fs = require('fs');
+
+const DEFAULT_CONFIG = {
+  model: 'haversine',
+  road_distance_factor: 1.3,
+  default_speed_kmh: 30,
+  zone_speeds_kmh: {
+    '9q8yy': 18 // San Francisco downtown and SoMa
+  },
+  max_snap_km: 0.5, // Points further than this from any graph node are off the graph
+  road_graph: null
+};
+
+const config = {
+  ...DEFAULT_CONFIG,
+  ...(process.env.ETA_CONFIG && JSON.parse(process.env.ETA_CONFIG))
+};
+
+if (process.env.ETA_ROAD_GRAPH_FILE) {
+  config.road_graph = JSON.parse(fs.readFileSync(process.env.ETA_ROAD_GRAPH_FILE, 'utf8'));
+}
+
+module.exports = config;
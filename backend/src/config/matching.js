@@ -0,0 +1,44 @@
+/**
+ * Matching search rings
+ * A ride is first searched for within the innermost ring; each later ring
+ * widens the radius once the ride has waited `after_sec` seconds. Cities
+ * are picked by bounding box and may override rings per tier.
+ * MATCHING_CONFIG (JSON of the same shape) replaces these defaults.
+ */
+
+const DEFAULT_CONFIG = {
+  default: {
+    max_drivers: 5,
+    match_timeout_sec: 60, // Expire rides still unmatched after this long
+    rings: [
+      { radius_km: 2, after_sec: 0 },
+      { radius_km: 5, after_sec: 15 },
+      { radius_km: 10, after_sec: 30 }
+    ]
+  },
+  cities: {
+    san_francisco: {
+      bounds: { min_lat: 37.6, max_lat: 37.85, min_lon: -122.55, max_lon: -122.35 },
+      rings: [
+        { radius_km: 1, after_sec: 0 },
+        { radius_km: 3, after_sec: 15 },
+        { radius_km: 6, after_sec: 30 }
+      ],
+      tiers: {
+        // Fewer LUXURY drivers, so widen sooner and further
+        LUXURY: {
+          match_timeout_sec: 90,
+          rings: [
+            { radius_km: 3, after_sec: 0 },
+            { radius_km: 8, after_sec: 20 },
+            { radius_km: 15, after_sec: 45 }
+          ]
+        }
+      }
+    }
+  }
+};
+
+module.exports = process.env.MATCHING_CONFIG
+  ? JSON.parse(process.env.MATCHING_CONFIG)
+  : DEFAULT_CONFIG;
@@ -0,0 +1,38 @@
+/**
+ * Payment service provider settings
+ * PSP_ADAPTER picks the adapter in src/psp; the default Stripe-style HTTP
+ * adapter talks to PSP_BASE_URL, which in development is the bundled fake
+ * PSP (`node src/psp/fake.server.js`, port 4242).
+ * Webhooks are accepted when signed with any secret in PSP_WEBHOOK_SECRETS
+ * (comma-separated, so a new secret can go live before the old one is
+ * retired) and timestamped within PSP_WEBHOOK_TOLERANCE_SEC of now. Outside
+ * production the fake PSP's `whsec_dev` is used when none is set.
+ */
+
+function loadWebhookSecrets() {
+  const secrets = (process.env.PSP_WEBHOOK_SECRETS || process.env.PSP_WEBHOOK_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  if (secrets.length > 0) {
+    return secrets;
+  }
+
+  // A known secret would let anyone sign payment webhooks
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PSP_WEBHOOK_SECRETS must be set in production');
+  }
+
+  return ['whsec_dev'];
+}
+
+module.exports = {
+  adapter: process.env.PSP_ADAPTER || 'stripe',
+  baseUrl: process.env.PSP_BASE_URL || 'http://localhost:4242',
+  apiKey: process.env.PSP_API_KEY || 'sk_test_fake',
+  currency: process.env.PSP_CURRENCY || 'usd',
+  timeoutMs: Number(process.env.PSP_TIMEOUT_MS ?? 10000),
+  webhookSecrets: loadWebhookSecrets(),
+  webhookToleranceSec: Number(process.env.PSP_WEBHOOK_TOLERANCE_SEC ?? 300)
+};
@@ -0,0 +1,27 @@
+const authService = require('../services/auth.service');
+const { ROLES } = require('../services/auth.service');
+const riderService = require('../services/rider.service');
+const driverService = require('../services/driver.service');
+const logger = require('../config/logger');
+
+exports.issueToken = async (req, res, next) => {
+  try {
+    const { role, id } = req.body;
+
+    // Rider and driver tokens must belong to a real account
+    if (role === ROLES.RIDER) {
+      await riderService.getRider(id);
+    } else if (role === ROLES.DRIVER) {
+      await driverService.getDriverById(id);
+    }
+
+    const token = authService.issueToken({ id, role });
+    // Riders and drivers renew their token with it; admins get a new one here
+    const refreshToken = role === ROLES.ADMIN ? undefined : authService.issueRefreshToken({ id, role });
+    logger.info({ role, subject: id, issuedBy: req.user.id }, 'Token issued');
+    res.status(201).json({ token, refresh_token: refreshToken, role, id });
+  } catch (e) {
+    logger.error({ error: e.message, role: req.body.role, subject: req.body.id }, 'Failed to issue token');
+    next(e);
+  }
+};
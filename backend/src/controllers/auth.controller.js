@@ -0,0 +1,16 @@
+const authService = require('../services/auth.service');
+const logger = require('../config/logger');
+
+/**
+ * Trade a rider's or driver's refresh token for a new token pair
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const tokens = await authService.refreshTokens(req.body.refresh_token);
+    logger.info({ role: tokens.role, subject: tokens.id }, 'Token refreshed');
+    res.json(tokens);
+  } catch (e) {
+    logger.warn({ error: e.message }, 'Failed to refresh token');
+    next(e);
+  }
+};
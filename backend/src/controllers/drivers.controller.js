@@ -1,5 +1,7 @@
 const service = require('../services/driver.service');
 const assignmentService = require('../services/assignment.service');
+const vehicleService = require('../services/vehicle.service');
+const offerService = require('../services/offer.service');
 const db = require('../db');
 const logger = require('../config/logger');
 
@@ -59,6 +61,25 @@ exports.getAllDrivers = async (req, res, next) => {
   }
 };
 
+exports.getVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await vehicleService.getVehicle(req.params.id);
+    res.json(vehicle);
+  } catch (e) {
+    next(e);
+  }
+};
+
+exports.upsertVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await vehicleService.upsertVehicle(req.params.id, req.body);
+    res.json(vehicle);
+  } catch (e) {
+    logger.error({ error: e.message, driverId: req.params.id }, 'Failed to register vehicle');
+    next(e);
+  }
+};
+
 exports.updateLocation = async (req, res, next) => {
   try {
     const updatedData = await service.updateLocation(req.params.id, req.body);
@@ -77,7 +98,8 @@ exports.acceptRide = async (req, res, next) => {
       return res.status(400).json({ error: 'ride_id is required' });
     }
     
-    const tripData = await assignmentService.initializeTrip(
+    // Accepts the driver's pending offer and assigns them to the ride
+    const tripData = await assignmentService.assignDriver(
       ride_id,
       driverId
     );
@@ -97,6 +119,7 @@ exports.acceptRide = async (req, res, next) => {
     // Combine results for response
     res.json({
       success: true,
+      ride: tripData.ride,
       trip: tripData.trip,
       driver: tripData.driver
     });
@@ -106,6 +129,16 @@ exports.acceptRide = async (req, res, next) => {
   }
 };
 
+exports.declineRide = async (req, res, next) => {
+  try {
+    const offer = await offerService.declineOffer(req.body.ride_id, req.params.id);
+    res.json(offer);
+  } catch (e) {
+    logger.error({ error: e.message, driverId: req.params.id, rideId: req.body.ride_id }, 'Failed to decline ride');
+    next(e);
+  }
+};
+
 exports.updateStatus = async (req, res, next) => {
   try {
     const driverId = req.params.id;
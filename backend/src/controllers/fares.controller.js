@@ -0,0 +1,15 @@
+const service = require('../services/fare.service');
+const logger = require('../config/logger');
+
+/**
+ * Estimate fares and issue quotes before booking
+ */
+exports.estimateFare = async (req, res, next) => {
+  try {
+    const estimate = await service.estimateFare(req.body);
+    res.json(estimate);
+  } catch (e) {
+    logger.error({ error: e.message, body: req.body }, 'Failed to estimate fare');
+    next(e);
+  }
+};
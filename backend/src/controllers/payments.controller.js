@@ -1,4 +1,5 @@
 const paymentService = require('../services/payment.service');
+const refundService = require('../services/refund.service');
 const newrelic = require('newrelic');
 
 /**
@@ -47,32 +48,47 @@ exports.getPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * Refund a payment in full or in part
+ * Supports idempotency via Idempotency-Key header
+ */
+exports.createRefund = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    const { refund, created } = await refundService.createRefund(req.params.id, { amount, reason }, idempotencyKey);
+
+    newrelic.addCustomAttribute('payment_id', req.params.id);
+    newrelic.addCustomAttribute('refund_id', refund.id);
+
+    res.status(created ? 201 : 200).json(refund);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Webhook handler for PSP callbacks
- * Receives payment status updates from the payment service provider
+ * Receives payment and refund status updates from the payment service provider; the
+ * signature has been verified by verifyPSPSignature. Duplicate, out-of-order
+ * and progress-only events are acknowledged without being applied.
  */
 exports.handleWebhook = async (req, res, next) => {
   try {
     const webhookData = req.body;
-    
-    // Verify webhook signature (in production, verify PSP signature)
-    const signature = req.headers['x-psp-signature'];
-    
-    if (!signature) {
-      newrelic.recordMetric('Custom/Webhook/InvalidSignature', 1);
-      return res.status(401).json({ error: 'Missing signature' });
-    }
 
-    // In production: verify signature with PSP secret
-    // const isValid = verifyPSPSignature(webhookData, signature);
-    // if (!isValid) return res.status(401).json({ error: 'Invalid signature' });
+    if (!webhookData.id || !webhookData.payment_id) {
+      return res.status(400).json({ error: 'id and payment_id are required' });
+    }
 
-    const payment = await paymentService.handleWebhook(webhookData);
+    const service = webhookData.type?.startsWith('refund.') ? refundService : paymentService;
+    const { payment, applied, reason } = await service.handleWebhook(webhookData);
     
     newrelic.addCustomAttribute('webhook_payment_id', payment.id);
     newrelic.addCustomAttribute('webhook_status', webhookData.status);
     
-    res.json({ received: true, payment_id: payment.id });
+    res.json({ received: true, payment_id: payment.id, applied, ...(reason && { reason }) });
   } catch (err) {
     newrelic.recordMetric('Custom/Webhook/Error', 1);
     next(err);
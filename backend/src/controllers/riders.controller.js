@@ -0,0 +1,77 @@
+const service = require('../services/rider.service');
+const walletService = require('../services/wallet.service');
+const authService = require('../services/auth.service');
+const { ROLES } = require('../services/auth.service');
+const logger = require('../config/logger');
+
+exports.createRider = async (req, res, next) => {
+  try {
+    const rider = await service.createRider(req.body);
+    const user = { id: rider.id, role: ROLES.RIDER };
+    const token = authService.issueToken(user);
+    const refreshToken = authService.issueRefreshToken(user);
+    res.status(201).json({ rider, token, refresh_token: refreshToken });
+  } catch (e) {
+    logger.error({ error: e.message }, 'Failed to create rider');
+    next(e);
+  }
+};
+
+exports.getRider = async (req, res, next) => {
+  try {
+    const rider = await service.getRider(req.params.id);
+    res.json(rider);
+  } catch (e) {
+    logger.error({ error: e.message, riderId: req.params.id }, 'Failed to get rider');
+    next(e);
+  }
+};
+
+exports.updateRider = async (req, res, next) => {
+  try {
+    const rider = await service.updateRider(req.params.id, req.body);
+    res.json(rider);
+  } catch (e) {
+    logger.error({ error: e.message, riderId: req.params.id }, 'Failed to update rider');
+    next(e);
+  }
+};
+
+exports.getWallet = async (req, res, next) => {
+  try {
+    const { limit, before } = req.query;
+    const wallet = await walletService.getWallet(req.params.id, {
+      ...(limit && { limit: Number(limit) }),
+      before
+    });
+    res.json(wallet);
+  } catch (e) {
+    logger.error({ error: e.message, riderId: req.params.id }, 'Failed to get wallet');
+    next(e);
+  }
+};
+
+/**
+ * Start a wallet top-up; the wallet is credited once the card payment completes
+ * Supports idempotency via Idempotency-Key header
+ */
+exports.topUpWallet = async (req, res, next) => {
+  try {
+    const payment = await walletService.createTopUp(req.params.id, req.body.amount);
+    res.status(201).json(payment);
+  } catch (e) {
+    logger.error({ error: e.message, riderId: req.params.id }, 'Failed to top up wallet');
+    next(e);
+  }
+};
+
+exports.creditPromo = async (req, res, next) => {
+  try {
+    const { amount, description } = req.body;
+    const result = await walletService.creditPromo(req.params.id, { amount, description });
+    res.status(201).json(result);
+  } catch (e) {
+    logger.error({ error: e.message, riderId: req.params.id }, 'Failed to credit promotion');
+    next(e);
+  }
+};
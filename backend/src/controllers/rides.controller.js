@@ -1,6 +1,7 @@
 const service = require('../services/ride.service');
 const tripService = require('../services/trip.service');
 const matchingWorker = require('../workers/matching.worker');
+const sse = require('../utils/sse');
 const logger = require('../config/logger');
 const db = require('../db');
 
@@ -27,6 +28,16 @@ exports.getRide = async (req, res, next) => {
   }
 };
 
+exports.streamRideEvents = async (req, res, next) => {
+  try {
+    const ride = await service.getRide(req.params.id);
+    await sse.openRideStream(req, res, ride);
+  } catch (e) {
+    logger.error({ error: e.message, rideId: req.params.id }, 'Failed to open ride event stream');
+    next(e);
+  }
+};
+
 exports.getAllRides = async (req, res, next) => {
   try {
     const { status, limit = 50 } = req.query;
@@ -78,4 +89,19 @@ exports.retryMatching = async (req, res, next) => {
     logger.error({ error: e.message, rideId: req.params.id }, 'Failed to retry matching');
     next(e);
   }
+};
+
+exports.cancelRide = async (req, res, next) => {
+  try {
+    const rideId = req.params.id;
+    const result = await service.cancelRide(rideId, req.body.reason);
+    logger.info(
+      { rideId, cancellationFee: result.cancellation_fee },
+      'Ride cancelled by rider'
+    );
+    res.json(result);
+  } catch (e) {
+    logger.error({ error: e.message, rideId: req.params.id }, 'Failed to cancel ride');
+    next(e);
+  }
 };
\ No newline at end of file
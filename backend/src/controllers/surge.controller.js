@@ -0,0 +1,16 @@
+const service = require('../services/surge.service');
+const logger = require('../config/logger');
+
+/**
+ * Get the current surge multiplier for a location
+ */
+exports.getSurge = async (req, res, next) => {
+  try {
+    const { lat, lon } = req.query;
+    const surge = await service.getSurge(Number(lat), Number(lon));
+    res.json(surge);
+  } catch (e) {
+    logger.error({ error: e.message, query: req.query }, 'Failed to get surge');
+    next(e);
+  }
+};
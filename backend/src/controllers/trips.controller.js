@@ -1,4 +1,17 @@
 const service = require('../services/trip.service');
+const routeService = require('../services/route.service');
+
+/**
+ * Mark the driver as arrived at pickup
+ */
+exports.arriveTrip = async (req, res, next) => {
+  try {
+    const trip = await service.arriveTrip(req.params.id);
+    res.json(trip);
+  } catch (e) {
+    next(e);
+  }
+};
 
 /**
  * Start a trip
@@ -24,6 +37,18 @@ exports.pauseTrip = async (req, res, next) => {
   }
 };
 
+/**
+ * Resume a paused trip
+ */
+exports.resumeTrip = async (req, res, next) => {
+  try {
+    const trip = await service.resumeTrip(req.params.id);
+    res.json(trip);
+  } catch (e) {
+    next(e);
+  }
+};
+
 /**
  * End a trip with optional distance/duration data
  */
@@ -36,6 +61,22 @@ exports.endTrip = async (req, res, next) => {
   }
 };
 
+/**
+ * Cancel a trip with a structured reason code (driver-initiated)
+ */
+exports.cancelTrip = async (req, res, next) => {
+  try {
+    const { reason_code, note } = req.body;
+    const trip = await service.cancelTrip(req.params.id, reason_code, {
+      note,
+      cancelledBy: 'DRIVER'
+    });
+    res.json(trip);
+  } catch (e) {
+    next(e);
+  }
+};
+
 /**
  * Get trip receipt
  */
@@ -48,6 +89,18 @@ exports.getReceipt = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the route a trip took as GeoJSON
+ */
+exports.getRoute = async (req, res, next) => {
+  try {
+    const route = await routeService.getTripRoute(req.params.id);
+    res.type('application/geo+json').json(route);
+  } catch (e) {
+    next(e);
+  }
+};
+
 /**
  * Get trip by driver ID and ride ID
  */
@@ -0,0 +1,93 @@
+/**
+ * Authentication and authorization middleware
+ * Bearer JWTs identify a rider, driver or admin; admins pass every check
+ */
+
+const authService = require('../services/auth.service');
+const { ROLES } = require('../services/auth.service');
+const { AppError } = require('./error.middleware');
+
+/**
+ * Require a valid Bearer token and set req.user to { id, role }
+ */
+exports.authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AppError('Authentication required', 401));
+  }
+
+  verify(token, req, next);
+};
+
+/**
+ * Like authenticate, but also accepts ?token= (EventSource cannot set headers)
+ */
+exports.authenticateStream = (req, res, next) => {
+  if (req.headers.authorization || !req.query.token) {
+    return exports.authenticate(req, res, next);
+  }
+
+  verify(req.query.token, req, next);
+};
+
+function verify(token, req, next) {
+  try {
+    req.user = authService.verifyToken(token);
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+/**
+ * Allow only the given roles
+ */
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new AppError('Forbidden', 403));
+  }
+
+  next();
+};
+
+/**
+ * Allow a user of `role` to act only on their own ID
+ * @param {function} getId - Reads the target user ID from the request
+ */
+exports.authorizeSelf = (role, getId = req => req.params.id) => (req, res, next) => {
+  const { id, role: userRole } = req.user;
+
+  if (userRole === ROLES.ADMIN || (userRole === role && id === getId(req))) {
+    return next();
+  }
+
+  next(new AppError('Forbidden', 403));
+};
+
+/**
+ * Allow riders and drivers only on resources they are part of
+ * @param {string} resource - Ride, Trip or Payment
+ * @param {string[]} roles - Roles allowed besides admin
+ * @param {function} getId - Reads the resource ID from the request
+ */
+exports.authorizeOwner = (resource, roles, getId = req => req.params.id) => async (req, res, next) => {
+  const { id, role } = req.user;
+
+  if (role === ROLES.ADMIN) {
+    return next();
+  }
+  if (!roles.includes(role)) {
+    return next(new AppError('Forbidden', 403));
+  }
+
+  try {
+    if (!(await authService.isParticipant({ id, role }, resource, getId(req)))) {
+      return next(new AppError('Forbidden', 403));
+    }
+
+    next();
+  } catch (e) {
+    next(e);
+  }
+};
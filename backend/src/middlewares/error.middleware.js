@@ -13,6 +13,19 @@ class AppError extends Error {
   }
 }
 
+// Credentials that must not reach the logs (?token= on streams, refresh tokens)
+const REDACTED_FIELDS = ['token', 'refresh_token'];
+
+function redact(fields = {}) {
+  const copy = { ...fields };
+  REDACTED_FIELDS.forEach((field) => {
+    if (copy[field] !== undefined) {
+      copy[field] = '[REDACTED]';
+    }
+  });
+  return copy;
+}
+
 /**
  * Error handling middleware
  */
@@ -27,9 +40,9 @@ const errorHandler = (err, req, res, next) => {
     err,
     path: req.path,
     method: req.method,
-    body: req.body,
+    body: redact(req.body),
     params: req.params,
-    query: req.query
+    query: redact(req.query)
   }, 'Request error');
 
   // Report to New Relic
@@ -4,12 +4,21 @@
  */
 
 const { AppError } = require('./error.middleware');
+const riderService = require('../services/rider.service');
+const driverService = require('../services/driver.service');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Largest single wallet top-up
+const MAX_TOP_UP = 500;
+const MAX_WALLET_PAGE_SIZE = 100;
 
 /**
  * Validate ride creation request
+ * The rider must have an account
  */
-exports.validateCreateRide = (req, res, next) => {
-  const { rider_id, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, tier, payment_method } = req.body;
+exports.validateCreateRide = async (req, res, next) => {
+  const { rider_id, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, tier, payment_method, quote_id } = req.body;
 
   const errors = [];
 
@@ -44,6 +53,163 @@ exports.validateCreateRide = (req, res, next) => {
     errors.push('payment_method must be CARD, CASH, WALLET, or UPI');
   }
 
+  // Validate fare quote
+  if (quote_id !== undefined && (typeof quote_id !== 'string' || quote_id.length === 0)) {
+    errors.push('quote_id must be a non-empty string');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  try {
+    await riderService.getRider(rider_id);
+  } catch (e) {
+    return next(e);
+  }
+
+  next();
+};
+
+/**
+ * Collect errors for rider profile fields that are present
+ */
+function riderFieldErrors(body) {
+  const { name, phone, email, default_payment_method, home_place, work_place } = body;
+
+  const errors = [];
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+    errors.push('name must be a non-empty string of at most 100 characters');
+  }
+  if (phone !== undefined && (typeof phone !== 'string' || !/^\+?[1-9]\d{1,14}$/.test(phone))) {
+    errors.push('phone must be a valid phone number');
+  }
+  if (email !== undefined && email !== null &&
+      (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    errors.push('email must be a valid email address');
+  }
+  if (default_payment_method !== undefined && !['CARD', 'CASH', 'WALLET', 'UPI'].includes(default_payment_method)) {
+    errors.push('default_payment_method must be CARD, CASH, WALLET, or UPI');
+  }
+
+  for (const [field, place] of [['home_place', home_place], ['work_place', work_place]]) {
+    if (place === undefined || place === null) continue;
+
+    if (typeof place !== 'object' || Array.isArray(place) ||
+        typeof place.latitude !== 'number' || place.latitude < -90 || place.latitude > 90 ||
+        typeof place.longitude !== 'number' || place.longitude < -180 || place.longitude > 180 ||
+        (place.address !== undefined && typeof place.address !== 'string')) {
+      errors.push(`${field} must have a latitude, longitude and optional address`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate rider registration
+ */
+exports.validateCreateRider = (req, res, next) => {
+  const { name, phone } = req.body;
+
+  const errors = [];
+
+  if (name === undefined) errors.push('name is required');
+  if (phone === undefined) errors.push('phone is required');
+  errors.push(...riderFieldErrors(req.body));
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate rider profile update
+ */
+exports.validateUpdateRider = (req, res, next) => {
+  const errors = riderFieldErrors(req.body);
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate fare estimate request
+ */
+exports.validateFareEstimate = (req, res, next) => {
+  const { pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, tier } = req.body;
+
+  const errors = [];
+
+  if (pickup_latitude === undefined) errors.push('pickup_latitude is required');
+  if (pickup_longitude === undefined) errors.push('pickup_longitude is required');
+  if (drop_latitude === undefined) errors.push('drop_latitude is required');
+  if (drop_longitude === undefined) errors.push('drop_longitude is required');
+
+  if (pickup_latitude < -90 || pickup_latitude > 90) {
+    errors.push('pickup_latitude must be between -90 and 90');
+  }
+  if (pickup_longitude < -180 || pickup_longitude > 180) {
+    errors.push('pickup_longitude must be between -180 and 180');
+  }
+  if (drop_latitude < -90 || drop_latitude > 90) {
+    errors.push('drop_latitude must be between -90 and 90');
+  }
+  if (drop_longitude < -180 || drop_longitude > 180) {
+    errors.push('drop_longitude must be between -180 and 180');
+  }
+
+  if (tier && !['ECONOMY', 'PREMIUM', 'LUXURY'].includes(tier)) {
+    errors.push('tier must be ECONOMY, PREMIUM, or LUXURY');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate ride cancellation request
+ */
+exports.validateCancelRide = (req, res, next) => {
+  const { reason } = req.body;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    return next(new AppError('reason must be a string of at most 500 characters', 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate lat/lon query parameters (e.g. GET /v1/surge?lat=&lon=)
+ */
+exports.validateCoordinatesQuery = (req, res, next) => {
+  const { lat, lon } = req.query;
+
+  const errors = [];
+
+  if (lat === undefined || lat === '') errors.push('lat is required');
+  if (lon === undefined || lon === '') errors.push('lon is required');
+
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+
+  if (lat !== undefined && (Number.isNaN(latitude) || latitude < -90 || latitude > 90)) {
+    errors.push('lat must be between -90 and 90');
+  }
+  if (lon !== undefined && (Number.isNaN(longitude) || longitude < -180 || longitude > 180)) {
+    errors.push('lon must be between -180 and 180');
+  }
+
   if (errors.length > 0) {
     return next(new AppError(errors.join(', '), 400));
   }
@@ -55,20 +221,46 @@ exports.validateCreateRide = (req, res, next) => {
  * Validate driver location update
  */
 exports.validateLocationUpdate = (req, res, next) => {
-  const { latitude, longitude } = req.body;
   const { id } = req.params;
 
   const errors = [];
 
   if (!id) errors.push('driver id is required');
-  if (latitude === undefined) errors.push('latitude is required');
-  if (longitude === undefined) errors.push('longitude is required');
+  errors.push(...driverService.locationErrors(req.body));
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
 
-  if (latitude < -90 || latitude > 90) {
-    errors.push('latitude must be between -90 and 90');
+  next();
+};
+
+/**
+ * Validate vehicle registration
+ */
+exports.validateVehicle = (req, res, next) => {
+  const { make, model, plate, capacity, tier, opt_in_tiers } = req.body;
+
+  const errors = [];
+  const tiers = ['ECONOMY', 'PREMIUM', 'LUXURY'];
+
+  if (!make || typeof make !== 'string') errors.push('make is required');
+  if (!model || typeof model !== 'string') errors.push('model is required');
+  if (!plate || typeof plate !== 'string') errors.push('plate is required');
+
+  if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1 || capacity > 8)) {
+    errors.push('capacity must be an integer between 1 and 8');
   }
-  if (longitude < -180 || longitude > 180) {
-    errors.push('longitude must be between -180 and 180');
+
+  if (!tier) {
+    errors.push('tier is required');
+  } else if (!tiers.includes(tier)) {
+    errors.push('tier must be ECONOMY, PREMIUM, or LUXURY');
+  }
+
+  if (opt_in_tiers !== undefined &&
+      (!Array.isArray(opt_in_tiers) || !opt_in_tiers.every(t => tiers.includes(t)))) {
+    errors.push('opt_in_tiers must be an array of ECONOMY, PREMIUM, or LUXURY');
   }
 
   if (errors.length > 0) {
@@ -79,7 +271,7 @@ exports.validateLocationUpdate = (req, res, next) => {
 };
 
 /**
- * Validate driver accept ride
+ * Validate driver accept/decline ride
  */
 exports.validateAcceptRide = (req, res, next) => {
   const { ride_id } = req.body;
@@ -120,6 +312,31 @@ exports.validateEndTrip = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate trip cancellation request (driver-initiated)
+ */
+exports.validateCancelTrip = (req, res, next) => {
+  const { reason_code, note } = req.body;
+
+  const errors = [];
+
+  if (!reason_code) {
+    errors.push('reason_code is required');
+  } else if (!['RIDER_NO_SHOW', 'SAFETY', 'VEHICLE_ISSUE', 'OTHER'].includes(reason_code)) {
+    errors.push('reason_code must be RIDER_NO_SHOW, SAFETY, VEHICLE_ISSUE, or OTHER');
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+    errors.push('note must be a string of at most 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
 /**
  * Validate payment creation
  */
@@ -133,14 +350,136 @@ exports.validateCreatePayment = (req, res, next) => {
   next();
 };
 
+// Positive, in whole cents (float-tolerant: 19.99 * 100 is not an integer)
+function isMoneyAmount(amount) {
+  return typeof amount === 'number' && amount > 0 &&
+    Math.abs(amount * 100 - Math.round(amount * 100)) <= 1e-6;
+}
+
+/**
+ * Validate refund request
+ * amount is optional (the rest of the payment); the service checks it
+ * against what is left to refund
+ */
+exports.validateCreateRefund = (req, res, next) => {
+  const { amount, reason } = req.body;
+
+  const errors = [];
+
+  if (amount !== undefined && !isMoneyAmount(amount)) {
+    errors.push('amount must be a positive number with at most 2 decimals');
+  }
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    errors.push('reason must be a string of at most 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate wallet history query (GET /v1/riders/:id/wallet?limit=&before=)
+ * limit defaults to 20; before is the last transaction ID of the previous page
+ */
+exports.validateWalletQuery = (req, res, next) => {
+  const { limit, before } = req.query;
+
+  const errors = [];
+
+  if (limit !== undefined && !(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_WALLET_PAGE_SIZE)) {
+    errors.push(`limit must be an integer between 1 and ${MAX_WALLET_PAGE_SIZE}`);
+  }
+  if (before !== undefined && !UUID_REGEX.test(before)) {
+    errors.push('before must be a transaction ID');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate wallet top-up
+ */
+exports.validateTopUp = (req, res, next) => {
+  const { amount } = req.body;
+
+  if (!isMoneyAmount(amount) || amount > MAX_TOP_UP) {
+    return next(new AppError(`amount must be a positive number with at most 2 decimals, up to ${MAX_TOP_UP}`, 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate promotional wallet credit
+ */
+exports.validatePromoCredit = (req, res, next) => {
+  const { amount, description } = req.body;
+
+  const errors = [];
+
+  if (!isMoneyAmount(amount)) {
+    errors.push('amount must be a positive number with at most 2 decimals');
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+    errors.push('description must be a string of at most 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate admin token request
+ */
+exports.validateIssueToken = (req, res, next) => {
+  const { role, id } = req.body;
+
+  const errors = [];
+
+  if (!['rider', 'driver', 'admin'].includes(role)) {
+    errors.push('role must be rider, driver, or admin');
+  }
+  if (!id || typeof id !== 'string') {
+    errors.push('id is required');
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join(', '), 400));
+  }
+
+  next();
+};
+
+/**
+ * Validate token refresh request
+ */
+exports.validateRefreshToken = (req, res, next) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token || typeof refresh_token !== 'string') {
+    return next(new AppError('refresh_token is required', 400));
+  }
+
+  next();
+};
+
 /**
  * Validate UUID format
  */
 exports.validateUUID = (paramName) => (req, res, next) => {
   const id = req.params[paramName];
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-  if (!id || !uuidRegex.test(id)) {
+  if (!id || !UUID_REGEX.test(id)) {
     return next(new AppError(`Invalid ${paramName} format`, 400));
   }
 
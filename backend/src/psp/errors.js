@@ -0,0 +1,16 @@
+/**
+ * Error raised by PSP adapters
+ * `declined` failures are final (the card was refused); `retryable` ones
+ * (timeouts, network errors, PSP outages) may succeed on a later attempt
+ */
+class PSPError extends Error {
+  constructor(code, { declined = false, retryable = false, message } = {}) {
+    super(message || code);
+    this.name = 'PSPError';
+    this.code = code;
+    this.declined = declined;
+    this.retryable = retryable;
+  }
+}
+
+module.exports = { PSPError };
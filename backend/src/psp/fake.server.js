@@ -0,0 +1,360 @@
+/**
+ * Fake PSP
+ * A local stand-in for the Stripe-style API the HTTP adapter talks to, with
+ * scriptable outcomes so tests and local runs can drive every payment path.
+ * Standalone: `node src/psp/fake.server.js` (FAKE_PSP_PORT, FAKE_PSP_WEBHOOK_URL;
+ * webhooks are signed with the first of PSP_WEBHOOK_SECRETS).
+ *
+ * Outcomes are queued with script() (or POST /_fake/script) and used one per
+ * authorization; with an empty queue payments succeed:
+ * - succeed: authorized; capture settles it and a `succeeded` webhook follows
+ * - decline: 402 card error (`decline_code`, default card_declined)
+ * - timeout: the authorization is answered only after `delay_ms` (default 30s)
+ * - requires_action: 3DS needed; POST /_fake/payment_intents/:id/authenticate
+ *   with { success } completes (and captures) or fails it
+ * Each outcome may also set `webhook_delay_ms` and `webhook_status`
+ * ('succeeded' or 'failed', e.g. insufficient funds found at settlement).
+ * Refunds of succeeded intents are accepted up to the amount captured and
+ * settle with a `refund.succeeded` webhook.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const WEBHOOK_PATH = '/v1/payments/webhooks/psp';
+
+const newId = prefix => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Signature header of a webhook body: `t=<unix time>,v1=<hex HMAC-SHA256 of "t.body">`
+ */
+function signWebhook(body, secret, timestamp = now()) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Create a fake PSP
+ * @param {object} options - { webhookUrl, webhookSecret }
+ * @returns {object} { app, listen, close, script, authenticate, reset, setWebhookUrl, intents, refunds, webhooks }
+ */
+function createFakePsp({ webhookUrl = null, webhookSecret = 'whsec_dev' } = {}) {
+  const app = express();
+  const intents = new Map();
+  const refunds = new Map();
+  const outcomes = [];
+  const webhooks = []; // Every delivery attempt: { event, status, error }
+  const idempotent = new Map(); // Idempotency-Key + path → response
+  const timers = new Set();
+  let server = null;
+
+  function later(delayMs, fn) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delayMs);
+    timers.add(timer);
+  }
+
+  async function deliver(event) {
+    const attempt = { event, status: null, error: null };
+    webhooks.push(attempt);
+    if (!webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-PSP-Signature': signWebhook(body, webhookSecret)
+        },
+        body
+      });
+      attempt.status = response.status;
+    } catch (err) {
+      attempt.error = err.message;
+    }
+  }
+
+  // Settle an intent once its webhook delay has passed and report the outcome,
+  // in the shape payment.service.handleWebhook reads
+  function settle(intent, status = intent.outcome.webhook_status || 'succeeded') {
+    later(intent.outcome.webhook_delay_ms || 0, () => {
+      intent.status = status === 'succeeded' ? 'succeeded' : 'requires_payment_method';
+      deliver({
+        id: newId('evt'),
+        type: `payment_intent.${status}`,
+        created: now(),
+        payment_id: intent.metadata.payment_id,
+        transaction_id: intent.id,
+        status,
+        amount: intent.amount / 100,
+        failure_reason: status === 'failed' ? 'insufficient_funds' : undefined
+      });
+    });
+  }
+
+  const publicIntent = ({ outcome, ...intent }) => intent;
+
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+
+  // Replays the first response for a repeated Idempotency-Key
+  app.use((req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    const cacheKey = `${key}:${req.path}`;
+    if (idempotent.has(cacheKey)) {
+      const cached = idempotent.get(cacheKey);
+      return cached
+        ? res.status(cached.status).json(cached.body)
+        : res.status(409).json({ error: { code: 'idempotency_key_in_use' } });
+    }
+
+    idempotent.set(cacheKey, null); // In progress until answered
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      idempotent.set(cacheKey, { status: res.statusCode, body });
+      return json(body);
+    };
+    return next();
+  });
+
+  app.post('/v1/payment_intents', (req, res) => {
+    const outcome = outcomes.shift() || { outcome: 'succeed' };
+    const intent = {
+      id: newId('pi'),
+      object: 'payment_intent',
+      amount: Number(req.body.amount),
+      amount_received: 0,
+      currency: req.body.currency,
+      capture_method: req.body.capture_method,
+      metadata: req.body.metadata || {},
+      created: now(),
+      next_action: null,
+      status: 'requires_capture',
+      outcome
+    };
+
+    if (outcome.outcome === 'decline') {
+      return res.status(402).json({
+        error: {
+          type: 'card_error',
+          code: 'card_declined',
+          decline_code: outcome.decline_code || 'card_declined',
+          message: 'Your card was declined.'
+        }
+      });
+    }
+
+    if (outcome.outcome === 'requires_action') {
+      intent.status = 'requires_action';
+      intent.next_action = {
+        type: 'redirect_to_url',
+        redirect_to_url: { url: `https://psp.example/3ds/${intent.id}` }
+      };
+    }
+
+    intents.set(intent.id, intent);
+
+    if (outcome.outcome === 'timeout') {
+      return later(outcome.delay_ms ?? 30000, () => res.json(publicIntent(intent)));
+    }
+    return res.json(publicIntent(intent));
+  });
+
+  app.get('/v1/payment_intents/:id', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ error: { code: 'resource_missing' } });
+    }
+    return res.json(publicIntent(intent));
+  });
+
+  app.post('/v1/payment_intents/:id/capture', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ error: { code: 'resource_missing' } });
+    }
+    if (intent.status !== 'requires_capture') {
+      return res.status(400).json({ error: { code: 'payment_intent_unexpected_state' } });
+    }
+
+    intent.amount_received = Number(req.body.amount_to_capture ?? intent.amount);
+    intent.status = 'processing';
+    settle(intent);
+    return res.json(publicIntent(intent));
+  });
+
+  app.post('/v1/payment_intents/:id/cancel', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ error: { code: 'resource_missing' } });
+    }
+    if (!['requires_capture', 'requires_action'].includes(intent.status)) {
+      return res.status(400).json({ error: { code: 'payment_intent_unexpected_state' } });
+    }
+
+    intent.status = 'canceled';
+    return res.json(publicIntent(intent));
+  });
+
+  app.post('/v1/refunds', (req, res) => {
+    const intent = intents.get(req.body.payment_intent);
+    if (!intent) {
+      return res.status(404).json({ error: { code: 'resource_missing' } });
+    }
+
+    const amount = Number(req.body.amount ?? intent.amount_received);
+    const refunded = [...refunds.values()]
+      .filter(r => r.payment_intent === intent.id && r.status !== 'failed')
+      .reduce((sum, r) => sum + r.amount, 0);
+
+    if (intent.status !== 'succeeded' || refunded + amount > intent.amount_received) {
+      return res.status(400).json({ error: { code: 'charge_already_refunded' } });
+    }
+
+    const refund = {
+      id: newId('re'),
+      object: 'refund',
+      payment_intent: intent.id,
+      amount,
+      metadata: req.body.metadata || {},
+      created: now(),
+      status: 'pending'
+    };
+    refunds.set(refund.id, refund);
+
+    later(0, () => {
+      refund.status = 'succeeded';
+      deliver({
+        id: newId('evt'),
+        type: 'refund.succeeded',
+        created: now(),
+        payment_id: intent.metadata.payment_id,
+        refund_id: refund.metadata.refund_id,
+        psp_refund_id: refund.id,
+        transaction_id: intent.id,
+        status: 'succeeded',
+        amount: refund.amount / 100
+      });
+    });
+    return res.json(refund);
+  });
+
+  // Test controls
+  app.post('/_fake/script', (req, res) => {
+    script(...[].concat(req.body));
+    res.status(204).end();
+  });
+
+  app.post('/_fake/payment_intents/:id/authenticate', (req, res) => {
+    const intent = authenticate(req.params.id, req.body.success !== false);
+    if (!intent) {
+      return res.status(404).json({ error: { code: 'resource_missing' } });
+    }
+    return res.json(publicIntent(intent));
+  });
+
+  /**
+   * Queue outcomes for the next authorizations
+   * @param {...(string|object)} next - 'decline' or { outcome: 'decline', decline_code }
+   */
+  function script(...next) {
+    next.forEach(o => outcomes.push(typeof o === 'string' ? { outcome: o } : o));
+  }
+
+  // Rider completes (or fails) the 3DS challenge of an intent
+  function authenticate(intentId, success = true) {
+    const intent = intents.get(intentId);
+    if (!intent || intent.status !== 'requires_action') {
+      return intent || null;
+    }
+
+    intent.next_action = null;
+    intent.status = 'processing';
+    if (success) {
+      intent.amount_received = intent.amount;
+      settle(intent);
+    } else {
+      settle(intent, 'failed');
+    }
+    return intent;
+  }
+
+  function reset() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    intents.clear();
+    refunds.clear();
+    idempotent.clear();
+    outcomes.length = 0;
+    webhooks.length = 0;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL
+   */
+  function listen(port = 0) {
+    return new Promise((resolve) => {
+      server = app.listen(port, () => resolve(`http://localhost:${server.address().port}`));
+    });
+  }
+
+  function close() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    if (!server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections(); // Including requests held by `timeout`
+    });
+  }
+
+  return {
+    app,
+    listen,
+    close,
+    script,
+    authenticate,
+    reset,
+    intents,
+    refunds,
+    webhooks,
+    setWebhookUrl: (url) => { webhookUrl = url; }
+  };
+}
+
+module.exports = {
+  createFakePsp,
+  signWebhook,
+  WEBHOOK_PATH
+};
+
+// Standalone fake PSP (docker-compose `fake-psp`)
+if (require.main === module) {
+  const port = Number(process.env.FAKE_PSP_PORT ?? 4242);
+  const fake = createFakePsp({
+    webhookUrl: process.env.FAKE_PSP_WEBHOOK_URL || `http://localhost:3000${WEBHOOK_PATH}`,
+    webhookSecret: require('../config/psp').webhookSecrets[0]
+  });
+
+  fake.listen(port).then(url => console.log(`💳 Fake PSP listening on ${url}`));
+
+  process.on('SIGTERM', () => {
+    fake.close().then(() => process.exit(0));
+  });
+}
@@ -0,0 +1,43 @@
+const pspConfig = require('../config/psp');
+const { createStripeAdapter } = require('./stripe.adapter');
+
+/**
+ * Payment service provider
+ * Every adapter implements the same interface, with amounts in major units:
+ * - authorize(payment, { idempotencyKey }) → { transaction_id, status, amount, next_action }
+ * - capture(transactionId, amount, { idempotencyKey }) → same shape as authorize
+ * - refund(transactionId, amount, { idempotencyKey, metadata }) → { refund_id, transaction_id, status, amount }
+ * - void(transactionId, { idempotencyKey }) → same shape as authorize
+ * - getStatus(transactionId) → same shape as authorize
+ * Payment statuses are authorized, requires_action (3DS), processing,
+ * succeeded, voided and failed. Failures throw a PSPError (./errors).
+ */
+
+const ADAPTERS = {
+  stripe: createStripeAdapter
+};
+
+/**
+ * Create the adapter for a PSP
+ * @param {string} name - Key of ADAPTERS
+ * @param {object} options - Adapter settings (config/psp)
+ */
+function createAdapter(name = pspConfig.adapter, options = pspConfig) {
+  const create = ADAPTERS[name];
+  if (!create) {
+    throw new Error(`Unknown PSP adapter: ${name}`);
+  }
+  return create(options);
+}
+
+const adapter = createAdapter();
+
+module.exports = {
+  authorize: (...args) => adapter.authorize(...args),
+  capture: (...args) => adapter.capture(...args),
+  refund: (...args) => adapter.refund(...args),
+  void: (...args) => adapter.void(...args),
+  getStatus: (...args) => adapter.getStatus(...args),
+  createAdapter,
+  ADAPTERS
+};
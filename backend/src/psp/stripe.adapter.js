@@ -0,0 +1,135 @@
+const { PSPError } = require('./errors');
+
+/**
+ * Stripe-style HTTP adapter
+ * Payments are payment intents with manual capture: authorize confirms an
+ * intent and holds the amount, capture settles it. Requests are form-encoded,
+ * amounts travel in minor units (cents) and every write carries an
+ * Idempotency-Key so a retried call cannot charge twice.
+ */
+
+// Intent statuses → adapter statuses
+const INTENT_STATUSES = {
+  requires_capture: 'authorized',
+  requires_action: 'requires_action',
+  processing: 'processing',
+  succeeded: 'succeeded',
+  canceled: 'voided',
+  requires_payment_method: 'failed'
+};
+
+const toMinor = amount => Math.round(Number(amount) * 100);
+const fromMinor = amount => amount / 100;
+
+function toPayment(intent) {
+  return {
+    transaction_id: intent.id,
+    status: INTENT_STATUSES[intent.status] || intent.status,
+    amount: fromMinor(intent.amount),
+    next_action: intent.next_action || null,
+    raw: intent
+  };
+}
+
+function toRefund(refund) {
+  return {
+    refund_id: refund.id,
+    transaction_id: refund.payment_intent,
+    status: refund.status,
+    amount: fromMinor(refund.amount),
+    raw: refund
+  };
+}
+
+/**
+ * Create an adapter for a Stripe-compatible API
+ * @param {object} options - { baseUrl, apiKey, currency, timeoutMs }
+ */
+function createStripeAdapter({ baseUrl, apiKey, currency, timeoutMs }) {
+  async function request(method, path, params, { idempotencyKey } = {}) {
+    const headers = { Authorization: `Bearer ${apiKey}` };
+    if (params) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: params ? new URLSearchParams(params).toString() : undefined,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (err) {
+      const code = err.name === 'TimeoutError' ? 'PSP_TIMEOUT' : 'PSP_NETWORK_ERROR';
+      throw new PSPError(code, { retryable: true });
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) {
+      return body;
+    }
+
+    const error = body.error || {};
+    if (response.status === 402) {
+      throw new PSPError(error.decline_code || error.code || 'card_declined', {
+        declined: true,
+        message: error.message
+      });
+    }
+
+    throw new PSPError(error.code || `PSP_HTTP_${response.status}`, {
+      // 409: the same idempotent request is still running at the PSP
+      retryable: [409, 429].includes(response.status) || response.status >= 500,
+      message: error.message
+    });
+  }
+
+  return {
+    async authorize(payment, { idempotencyKey } = {}) {
+      const intent = await request('POST', '/v1/payment_intents', {
+        amount: toMinor(payment.amount),
+        currency,
+        capture_method: 'manual',
+        confirm: 'true',
+        'metadata[payment_id]': payment.id
+      }, { idempotencyKey });
+
+      return toPayment(intent);
+    },
+
+    async capture(transactionId, amount, { idempotencyKey } = {}) {
+      const intent = await request('POST', `/v1/payment_intents/${transactionId}/capture`, {
+        amount_to_capture: toMinor(amount)
+      }, { idempotencyKey });
+
+      return toPayment(intent);
+    },
+
+    async refund(transactionId, amount, { idempotencyKey, metadata = {} } = {}) {
+      const params = { payment_intent: transactionId, amount: toMinor(amount) };
+      Object.entries(metadata).forEach(([key, value]) => {
+        params[`metadata[${key}]`] = value;
+      });
+
+      return toRefund(await request('POST', '/v1/refunds', params, { idempotencyKey }));
+    },
+
+    async void(transactionId, { idempotencyKey } = {}) {
+      const intent = await request('POST', `/v1/payment_intents/${transactionId}/cancel`, {}, { idempotencyKey });
+      return toPayment(intent);
+    },
+
+    async getStatus(transactionId) {
+      return toPayment(await request('GET', `/v1/payment_intents/${transactionId}`));
+    }
+  };
+}
+
+module.exports = {
+  createStripeAdapter,
+  INTENT_STATUSES
+};
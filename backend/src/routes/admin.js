@@ -0,0 +1,21 @@
+const router = require('express').Router();
+const controller = require('../controllers/admin.controller');
+const ridesController = require('../controllers/rides.controller');
+const driversController = require('../controllers/drivers.controller');
+const ridersController = require('../controllers/riders.controller');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+const { ROLES } = require('../services/auth.service');
+const { validateIssueToken, validateUUID, validatePromoCredit } = require('../middlewares/validation.middleware');
+
+// Every admin route requires an admin token
+router.use(authenticate, authorize(ROLES.ADMIN));
+
+router.post('/tokens', validateIssueToken, controller.issueToken);
+router.get('/rides', ridesController.getAllRides);
+router.post('/rides/:id/retry-matching', validateUUID('id'), ridesController.retryMatching);
+router.get('/drivers', driversController.getAllDrivers);
+router.post('/drivers', driversController.createDriver);
+router.post('/riders/:id/wallet/promo-credits', validateUUID('id'), validatePromoCredit, idempotencyMiddleware, ridersController.creditPromo);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const router = require('express').Router();
+const controller = require('../controllers/auth.controller');
+const { validateRefreshToken } = require('../middlewares/validation.middleware');
+
+// Open: the refresh token in the body is the credential
+router.post('/refresh', validateRefreshToken, controller.refresh);
+
+module.exports = router;
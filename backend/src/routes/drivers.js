@@ -1,13 +1,19 @@
 const router = require('express').Router();
 const controller = require('../controllers/drivers.controller');
-const { validateLocationUpdate, validateAcceptRide, validateUUID } = require('../middlewares/validation.middleware');
+const { validateLocationUpdate, validateAcceptRide, validateVehicle, validateUUID } = require('../middlewares/validation.middleware');
 const { locationLimiter } = require('../middlewares/security.middleware');
+const { authenticate, authorizeSelf } = require('../middlewares/auth.middleware');
+const { ROLES } = require('../services/auth.service');
 
-router.post('/', controller.createDriver);
-router.get('/', controller.getAllDrivers);
-router.get('/:id', validateUUID('id'), controller.getDriver);
-router.post('/:id/location', locationLimiter, validateUUID('id'), validateLocationUpdate, controller.updateLocation);
-router.patch('/:id/status', validateUUID('id'), controller.updateStatus);
-router.post('/:id/accept', validateUUID('id'), validateAcceptRide, controller.acceptRide);
+// Drivers act only on their own record; listing and onboarding live under /v1/admin
+const self = authorizeSelf(ROLES.DRIVER);
+
+router.get('/:id', authenticate, validateUUID('id'), self, controller.getDriver);
+router.post('/:id/location', locationLimiter, authenticate, validateUUID('id'), self, validateLocationUpdate, controller.updateLocation);
+router.patch('/:id/status', authenticate, validateUUID('id'), self, controller.updateStatus);
+router.get('/:id/vehicle', authenticate, validateUUID('id'), self, controller.getVehicle);
+router.put('/:id/vehicle', authenticate, validateUUID('id'), self, validateVehicle, controller.upsertVehicle);
+router.post('/:id/accept', authenticate, validateUUID('id'), self, validateAcceptRide, controller.acceptRide);
+router.post('/:id/decline', authenticate, validateUUID('id'), self, validateAcceptRide, controller.declineRide);
 
 module.exports = router;
\ No newline at end of file
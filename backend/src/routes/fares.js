@@ -0,0 +1,8 @@
+const router = require('express').Router();
+const controller = require('../controllers/fares.controller');
+const { validateFareEstimate } = require('../middlewares/validation.middleware');
+const { authenticate } = require('../middlewares/auth.middleware');
+
+router.post('/estimate', authenticate, validateFareEstimate, controller.estimateFare);
+
+module.exports = router;
\ No newline at end of file
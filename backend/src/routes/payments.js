@@ -1,16 +1,22 @@
 const router = require('express').Router();
 const controller = require('../controllers/payments.controller');
 const idempotencyMiddleware = require('../middlewares/idempotency.middleware');
-const { validateCreatePayment, validateUUID } = require('../middlewares/validation.middleware');
+const { validateCreatePayment, validateCreateRefund, validateUUID } = require('../middlewares/validation.middleware');
 const { paymentLimiter } = require('../middlewares/security.middleware');
+const { authenticate, authorize, authorizeOwner } = require('../middlewares/auth.middleware');
+const { verifyPSPSignature } = require('../middlewares/webhook.middleware');
+const { ROLES } = require('../services/auth.service');
 
 // Create payment with idempotency protection and rate limiting
-router.post('/', paymentLimiter, idempotencyMiddleware, validateCreatePayment, controller.createPayment);
+router.post('/', paymentLimiter, authenticate, validateCreatePayment, authorizeOwner('Trip', [ROLES.RIDER], req => req.body.trip_id), idempotencyMiddleware, controller.createPayment);
 
 // Get payment status
-router.get('/:id', validateUUID('id'), controller.getPayment);
+router.get('/:id', authenticate, validateUUID('id'), authorizeOwner('Payment', [ROLES.RIDER]), controller.getPayment);
 
-// Webhook endpoint for PSP callbacks (no rate limit for webhooks)
-router.post('/webhooks/psp', controller.handleWebhook);
+// Refund a payment in full or in part (admins only)
+router.post('/:id/refunds', authenticate, authorize(ROLES.ADMIN), validateUUID('id'), validateCreateRefund, idempotencyMiddleware, controller.createRefund);
+
+// Webhook endpoint for PSP callbacks (no rate limit or user auth; HMAC-signed by the PSP)
+router.post('/webhooks/psp', verifyPSPSignature, controller.handleWebhook);
 
 module.exports = router;
\ No newline at end of file
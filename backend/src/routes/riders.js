@@ -0,0 +1,18 @@
+const router = require('express').Router();
+const controller = require('../controllers/riders.controller');
+const idempotencyMiddleware = require('../middlewares/idempotency.middleware');
+const { validateCreateRider, validateUpdateRider, validateUUID, validateWalletQuery, validateTopUp } = require('../middlewares/validation.middleware');
+const { paymentLimiter } = require('../middlewares/security.middleware');
+const { authenticate, authorizeSelf } = require('../middlewares/auth.middleware');
+const { ROLES } = require('../services/auth.service');
+
+// Sign-up is open and returns the rider's first token
+router.post('/', validateCreateRider, controller.createRider);
+router.get('/:id', authenticate, validateUUID('id'), authorizeSelf(ROLES.RIDER), controller.getRider);
+router.patch('/:id', authenticate, validateUUID('id'), authorizeSelf(ROLES.RIDER), validateUpdateRider, controller.updateRider);
+
+// Wallet balance and history; top-ups are charged to the rider's card
+router.get('/:id/wallet', authenticate, validateUUID('id'), authorizeSelf(ROLES.RIDER), validateWalletQuery, controller.getWallet);
+router.post('/:id/wallet/top-ups', paymentLimiter, authenticate, validateUUID('id'), authorizeSelf(ROLES.RIDER), validateTopUp, idempotencyMiddleware, controller.topUpWallet);
+
+module.exports = router;
\ No newline at end of file
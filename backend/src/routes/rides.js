@@ -1,11 +1,14 @@
 const router = require('express').Router();
 const controller = require('../controllers/rides.controller');
 const idempotency = require('../middlewares/idempotency.middleware');
-const { validateCreateRide, validateUUID } = require('../middlewares/validation.middleware');
+const { validateCreateRide, validateCancelRide, validateUUID } = require('../middlewares/validation.middleware');
+const { authenticate, authenticateStream, authorizeSelf, authorizeOwner } = require('../middlewares/auth.middleware');
+const { ROLES } = require('../services/auth.service');
 
-router.get('/', controller.getAllRides);
-router.post('/', idempotency, validateCreateRide, controller.createRide);
-router.get('/:id', validateUUID('id'), controller.getRide);
-router.post('/:id/retry-matching', validateUUID('id'), controller.retryMatching);
+// Riders book only for themselves; listing and retry-matching live under /v1/admin
+router.post('/', authenticate, authorizeSelf(ROLES.RIDER, req => req.body.rider_id), idempotency, validateCreateRide, controller.createRide);
+router.get('/:id', authenticate, validateUUID('id'), authorizeOwner('Ride', [ROLES.RIDER, ROLES.DRIVER]), controller.getRide);
+router.get('/:id/events', authenticateStream, validateUUID('id'), authorizeOwner('Ride', [ROLES.RIDER, ROLES.DRIVER]), controller.streamRideEvents);
+router.post('/:id/cancel', authenticate, validateUUID('id'), authorizeOwner('Ride', [ROLES.RIDER]), validateCancelRide, controller.cancelRide);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const router = require('express').Router();
+const controller = require('../controllers/surge.controller');
+const { validateCoordinatesQuery } = require('../middlewares/validation.middleware');
+const { authenticate } = require('../middlewares/auth.middleware');
+
+router.get('/', authenticate, validateCoordinatesQuery, controller.getSurge);
+
+module.exports = router;
\ No newline at end of file
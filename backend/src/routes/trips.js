@@ -1,14 +1,25 @@
 const router = require('express').Router();
 const controller = require('../controllers/trips.controller');
-const { validateEndTrip, validateUUID } = require('../middlewares/validation.middleware');
+const { validateEndTrip, validateCancelTrip, validateUUID } = require('../middlewares/validation.middleware');
+const { authenticate, authorizeSelf, authorizeOwner } = require('../middlewares/auth.middleware');
+const { ROLES } = require('../services/auth.service');
 
-router.post('/:id/start', validateUUID('id'), controller.startTrip);
-router.post('/:id/pause', validateUUID('id'), controller.pauseTrip);
-router.post('/:id/end', validateUUID('id'), validateEndTrip, controller.endTrip);
-router.get('/:id/receipt', validateUUID('id'), controller.getReceipt);
+// Only the trip's driver moves it through its lifecycle; the rider reads the receipt
+const tripDriver = authorizeOwner('Trip', [ROLES.DRIVER]);
+
+router.post('/:id/arrive', authenticate, validateUUID('id'), tripDriver, controller.arriveTrip);
+router.post('/:id/start', authenticate, validateUUID('id'), tripDriver, controller.startTrip);
+router.post('/:id/pause', authenticate, validateUUID('id'), tripDriver, controller.pauseTrip);
+router.post('/:id/resume', authenticate, validateUUID('id'), tripDriver, controller.resumeTrip);
+router.post('/:id/end', authenticate, validateUUID('id'), tripDriver, validateEndTrip, controller.endTrip);
+router.post('/:id/cancel', authenticate, validateUUID('id'), tripDriver, validateCancelTrip, controller.cancelTrip);
+router.get('/:id/receipt', authenticate, validateUUID('id'), authorizeOwner('Trip', [ROLES.RIDER]), controller.getReceipt);
+router.get('/:id/route', authenticate, validateUUID('id'), authorizeOwner('Trip', [ROLES.RIDER, ROLES.DRIVER]), controller.getRoute);
 router.get('/driver/:driverId/ride/:rideId', 
+  authenticate,
   validateUUID('driverId'), 
   validateUUID('rideId'), 
+  authorizeSelf(ROLES.DRIVER, req => req.params.driverId),
   controller.getTripByDriverAndRide
 );
 
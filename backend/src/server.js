@@ -5,8 +5,11 @@ const http = require('http');
 const app = require('./app');
 const logger = require('./config/logger');
 const wsManager = require('./utils/websocket');
+const sse = require('./utils/sse');
 const matchingWorker = require('./workers/matching.worker');
 const outboxWorker = require('./workers/outbox.worker');
+const surgeWorker = require('./workers/surge.worker');
+const presenceWorker = require('./workers/presence.worker');
 
 const PORT = process.env.PORT || 3000;
 
@@ -26,6 +29,8 @@ server.listen(PORT, '0.0.0.0', () => {
   logger.info('Starting background workers...');
   matchingWorker.start();
   outboxWorker.start();
+  surgeWorker.start();
+  presenceWorker.start();
   logger.info('✓ Background workers started');
 });
 
@@ -35,6 +40,10 @@ process.on('SIGTERM', () => {
   
   matchingWorker.stop();
   outboxWorker.stop();
+  surgeWorker.stop();
+  presenceWorker.stop();
+  wsManager.close();
+  sse.close();
   
   server.close(() => {
     logger.info('Server closed');
@@ -47,6 +56,10 @@ process.on('SIGINT', () => {
   
   matchingWorker.stop();
   outboxWorker.stop();
+  surgeWorker.stop();
+  presenceWorker.stop();
+  wsManager.close();
+  sse.close();
   
   server.close(() => {
     logger.info('Server closed');
@@ -1,11 +1,15 @@
 const db = require('../db');
 const notificationService = require('./notification.service');
+const etaService = require('./eta.service');
+const logger = require('../config/logger');
 const wsManager = require('../utils/websocket');
 const newrelic = require('newrelic');
-const { invalidateDriverCache } = require('../utils/redis');
+const { invalidateDriverCache, setDriverRide } = require('../utils/redis');
+const { AppError } = require('../middlewares/error.middleware');
 const {
   RIDE_STATES,
   DRIVER_STATES,
+  OFFER_STATES,
   validateRideTransition,
   validateDriverTransition,
   canAssignRide,
@@ -14,59 +18,14 @@ const {
 } = require('../utils/stateMachine');
 
 /**
- * Initialize trip by updating driver status and creating trip entry
- * Used in accept endpoint flow after driver state validation
+ * Assign a driver who accepted their ride offer
+ * Atomically accepts the offer, moves the ride to DRIVER_ASSIGNED and the
+ * driver to ON_TRIP, and creates the trip in CREATED state
  * @param {string} rideId - ID of the ride
  * @param {string} driverId - ID of the driver
- * @returns {object} { driver: updatedDriver, trip: tripData }
+ * @returns {object} { success, ride, driver, trip }
+ * @throws {AppError} 409 if the driver has no pending offer for the ride
  */
-exports.initializeTrip = async (rideId, driverId) => {
-  const client = await db.getClient();
-  try {
-    await client.query('BEGIN');
-    // Update driver status to ON_TRIP
-    const driverUpdate = await client.query(
-      `UPDATE drivers
-       SET status=$1,
-           updated_at=now()
-       WHERE id=$2 AND status=$3
-       RETURNING *`,
-      [DRIVER_STATES.ON_TRIP, driverId, DRIVER_STATES.AVAILABLE]
-    );
-
-    if (driverUpdate.rowCount === 0) {
-      throw new Error('Driver not available for assignment');
-    }
-
-    const updatedDriver = driverUpdate.rows[0];
-
-    // Create trip in CREATED state
-    const tripResult = await client.query(
-      `INSERT INTO trips (ride_id, driver_id, status)
-       VALUES ($1, $2, 'CREATED')
-       RETURNING *`,
-      [rideId, driverId]
-    );
-
-    await client.query('COMMIT');
-
-    // Invalidate driver cache when status changes
-    await invalidateDriverCache(driverId);
-
-    wsManager.broadcastDriverStatusChanged(updatedDriver);
-
-    return { 
-      driver: updatedDriver, 
-      trip: tripResult.rows[0] 
-    };
-  } catch (e) {
-    await client.query('ROLLBACK').catch(() => {});
-    throw e;
-  } finally {
-    client.release();
-  }
-};
-
 exports.assignDriver = async (rideId, driverId) => {
   const client = await db.getClient();
 
@@ -113,23 +72,81 @@ exports.assignDriver = async (rideId, driverId) => {
     
     validateDriverTransition(rideData.driver_status, DRIVER_STATES.ON_TRIP);
 
-    // Update ride status to DRIVER_ASSIGNED
+    // Only a driver holding a live offer for this ride may take it
+    const offerUpdate = await client.query(
+      `UPDATE ride_offers
+       SET status=$1,
+           responded_at=now()
+       WHERE ride_id=$2 AND driver_id=$3
+         AND status=$4 AND expires_at > now()
+       RETURNING *`,
+      [OFFER_STATES.ACCEPTED, rideId, driverId, OFFER_STATES.PENDING]
+    );
+
+    if (offerUpdate.rowCount === 0) {
+      throw new AppError('No pending offer for this driver', 409);
+    }
+
+    const offer = offerUpdate.rows[0];
+
+    // Update ride status to DRIVER_ASSIGNED, recording the ring that found the driver
     const rideUpdate = await client.query(
       `UPDATE rides
        SET status=$1,
            assigned_driver_id=$2,
            assigned_at=now(),
+           match_ring=$4,
+           match_radius_km=$5,
            updated_at=now()
        WHERE id=$3
        RETURNING *`,
-      [RIDE_STATES.DRIVER_ASSIGNED, driverId, rideId]
+      [RIDE_STATES.DRIVER_ASSIGNED, driverId, rideId, offer.ring, offer.radius_km]
+    );
+
+    // Update driver status to ON_TRIP
+    const driverUpdate = await client.query(
+      `UPDATE drivers
+       SET status=$1,
+           updated_at=now()
+       WHERE id=$2
+       RETURNING *`,
+      [DRIVER_STATES.ON_TRIP, driverId]
+    );
+
+    // Create trip in CREATED state
+    const tripResult = await client.query(
+      `INSERT INTO trips (ride_id, driver_id, status)
+       VALUES ($1, $2, 'CREATED')
+       RETURNING *`,
+      [rideId, driverId]
     );
 
     await client.query('COMMIT');
 
+    // Invalidate driver cache when status changes
+    await invalidateDriverCache(driverId);
+
+    // Location pings are routed to the ride's topic until the trip closes,
+    // with the ETA to this pickup computed from the cache
+    await setDriverRide(driverId, rideId, {
+      latitude: rideData.pickup_latitude,
+      longitude: rideData.pickup_longitude
+    });
+
     // Broadcast events
     wsManager.broadcastDriverAssigned(rideId, driverId, rideData.driver_name);
     wsManager.broadcastRideUpdated(rideUpdate.rows[0]);
+    wsManager.broadcastDriverStatusChanged(driverUpdate.rows[0]);
+
+    // Pickup ETA from the driver's last reported position; the rider is
+    // notified without one rather than not at all
+    const eta = await etaService.getDriverEta(driverId, {
+      latitude: rideData.pickup_latitude,
+      longitude: rideData.pickup_longitude
+    }).catch(error => {
+      logger.warn({ rideId, driverId, error: error.message }, 'Failed to estimate pickup ETA');
+      return null;
+    });
 
     // Send notification to rider
     await notificationService.notifyRideAssigned(rideData.rider_id, {
@@ -137,15 +154,27 @@ exports.assignDriver = async (rideId, driverId) => {
       driver_name: rideData.driver_name,
       driver_phone: rideData.driver_phone,
       driver_rating: rideData.driver_rating,
-      eta_minutes: 5
+      eta_minutes: eta ? eta.eta_minutes : null
     });
 
     newrelic.recordMetric('Custom/Assignment/Success', 1);
 
+    // Time from ride request to assignment, overall and per search ring
+    const assignedRide = rideUpdate.rows[0];
+    if (assignedRide.created_at && assignedRide.assigned_at) {
+      const timeToMatchSec =
+        (new Date(assignedRide.assigned_at) - new Date(assignedRide.created_at)) / 1000;
+      newrelic.recordMetric('Custom/Matching/TimeToMatch', timeToMatchSec);
+      if (offer.ring) {
+        newrelic.recordMetric(`Custom/Matching/TimeToMatch/Ring${offer.ring}`, timeToMatchSec);
+      }
+    }
+
     return { 
       success: true,
       ride: rideUpdate.rows[0],
-      driver: rideData
+      driver: driverUpdate.rows[0],
+      trip: tripResult.rows[0]
     };
   } catch (e) {
     await client.query('ROLLBACK');
@@ -0,0 +1,195 @@
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const authConfig = require('../config/auth');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Auth Service
+ * Issues and verifies JWTs; `sub` is the rider or driver ID (or an admin's ID)
+ */
+
+const ROLES = {
+  RIDER: 'rider',
+  DRIVER: 'driver',
+  ADMIN: 'admin'
+};
+
+// `typ` claim of refresh tokens
+const REFRESH = 'refresh';
+
+/**
+ * Sign a token for a user
+ * @param {object} user - { id, role }
+ * @returns {string} Signed JWT
+ */
+exports.issueToken = ({ id, role }, expiresIn = authConfig.TOKEN_TTL) => {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new AppError(`Unknown role: ${role}`, 400);
+  }
+  if (!authConfig.privateKey) {
+    throw new AppError('Token signing is not configured', 500);
+  }
+
+  return jwt.sign({ role }, authConfig.privateKey, {
+    algorithm: authConfig.ALGORITHM,
+    issuer: authConfig.ISSUER,
+    subject: String(id),
+    expiresIn
+  });
+};
+
+/**
+ * Sign a refresh token for a rider or driver
+ * It only buys new tokens at POST /v1/auth/refresh; the API rejects it
+ * @param {object} user - { id, role }
+ * @returns {string} Signed JWT
+ */
+exports.issueRefreshToken = ({ id, role }) => {
+  if (![ROLES.RIDER, ROLES.DRIVER].includes(role)) {
+    throw new AppError(`Refresh tokens are not issued to role: ${role}`, 400);
+  }
+  if (!authConfig.privateKey) {
+    throw new AppError('Token signing is not configured', 500);
+  }
+
+  return jwt.sign({ role, typ: REFRESH }, authConfig.privateKey, {
+    algorithm: authConfig.ALGORITHM,
+    issuer: authConfig.ISSUER,
+    subject: String(id),
+    expiresIn: authConfig.REFRESH_TOKEN_TTL
+  });
+};
+
+function verifyClaims(token) {
+  return jwt.verify(token, authConfig.publicKey, {
+    algorithms: [authConfig.ALGORITHM],
+    issuer: authConfig.ISSUER
+  });
+}
+
+/**
+ * Verify a token and return its user
+ * @returns {object} { id, role }
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token is invalid or
+ * expired, or is a refresh token
+ */
+exports.verifyToken = (token) => {
+  const claims = verifyClaims(token);
+
+  if (claims.typ === REFRESH) {
+    throw new jwt.JsonWebTokenError('refresh token used for API access');
+  }
+
+  return { id: claims.sub, role: claims.role };
+};
+
+/**
+ * Trade a refresh token for a new token pair
+ * The account must still exist, so a deleted rider or driver cannot renew.
+ * @returns {Promise<object>} { token, refresh_token, role, id }
+ * @throws {JsonWebTokenError|TokenExpiredError} If the refresh token is invalid or expired
+ * @throws {AppError} 401 if the account no longer exists
+ */
+exports.refreshTokens = async (refreshToken) => {
+  const claims = verifyClaims(refreshToken);
+
+  if (claims.typ !== REFRESH) {
+    throw new jwt.JsonWebTokenError('not a refresh token');
+  }
+
+  const user = { id: claims.sub, role: claims.role };
+  const table = user.role === ROLES.RIDER ? 'riders' : 'drivers';
+  const result = await db.query(`SELECT id FROM ${table} WHERE id = $1`, [user.id]);
+
+  if (result.rowCount === 0) {
+    throw new AppError('Account no longer exists', 401);
+  }
+
+  return {
+    token: exports.issueToken(user),
+    refresh_token: exports.issueRefreshToken(user),
+    role: user.role,
+    id: user.id
+  };
+};
+
+// Rider who booked and driver serving each resource
+const PARTICIPANT_QUERIES = {
+  Ride: `SELECT rider_id, assigned_driver_id AS driver_id
+         FROM rides
+         WHERE id = $1`,
+  Trip: `SELECT r.rider_id, t.driver_id
+         FROM trips t
+         JOIN rides r ON r.id = t.ride_id
+         WHERE t.id = $1`,
+  // Top-ups belong to the rider topping up and have no ride
+  Payment: `SELECT COALESCE(p.top_up_rider_id, r.rider_id) AS rider_id, t.driver_id
+            FROM payments p
+            LEFT JOIN trips t ON t.id = p.trip_id
+            LEFT JOIN rides r ON r.id = COALESCE(p.ride_id, t.ride_id)
+            WHERE p.id = $1`
+};
+
+/**
+ * Get the rider and driver taking part in a ride, trip or payment
+ * @param {string} resource - Ride, Trip or Payment
+ * @returns {object|null} { rider_id, driver_id } or null if it does not exist
+ */
+exports.getParticipants = async (resource, id) => {
+  const result = await db.query(PARTICIPANT_QUERIES[resource], [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Check whether a rider or driver takes part in a resource
+ * @throws {Error} If the resource does not exist
+ */
+exports.isParticipant = async (user, resource, id) => {
+  const participants = await exports.getParticipants(resource, id);
+
+  if (!participants) {
+    throw new Error(`${resource} not found`);
+  }
+
+  if (user.role === ROLES.RIDER) return participants.rider_id === user.id;
+  if (user.role === ROLES.DRIVER) return participants.driver_id === user.id;
+  return false;
+};
+
+/**
+ * IDs of the open rides a rider booked or a driver is assigned to
+ * @param {object} options - { changedWithinSec } also include rides whose
+ * ride, trip or payment changed that recently, even if the ride has since
+ * ended (a resuming client still has their last events to receive)
+ */
+exports.getActiveRideIds = async (user, { changedWithinSec = null } = {}) => {
+  const column = user.role === ROLES.RIDER ? 'rider_id' : 'assigned_driver_id';
+  const result = await db.query(
+    `SELECT r.id
+     FROM rides r
+     WHERE r.${column} = $1
+       AND (
+         r.status IN ('REQUESTED', 'MATCHING', 'DRIVER_ASSIGNED')
+         OR ($2::int IS NOT NULL AND (
+           r.updated_at > now() - make_interval(secs => $2)
+           OR EXISTS (
+             SELECT 1 FROM trips t
+             LEFT JOIN payments p ON p.trip_id = t.id
+             WHERE t.ride_id = r.id
+               AND (t.updated_at > now() - make_interval(secs => $2)
+                 OR p.updated_at > now() - make_interval(secs => $2))
+           )
+           OR EXISTS (
+             SELECT 1 FROM payments p
+             WHERE p.ride_id = r.id
+               AND p.updated_at > now() - make_interval(secs => $2)
+           )
+         ))
+       )`,
+    [user.id, changedWithinSec]
+  );
+
+  return result.rows.map(row => row.id);
+};
+
+exports.ROLES = ROLES;
@@ -0,0 +1,180 @@
+const db = require('../db');
+const redis = require('../utils/redis');
+const matchingService = require('./matching.service');
+const offerService = require('./offer.service');
+const etaService = require('./eta.service');
+const { solveAssignment } = require('../utils/hungarian');
+const { OFFER_STATES, DRIVER_STATES } = require('../utils/stateMachine');
+const logger = require('../config/logger');
+const newrelic = require('newrelic');
+
+/**
+ * Batch Dispatch Service
+ * Matches every open ride in a tick at once, minimising total pickup time,
+ * instead of letting each ride grab its closest driver in turn
+ */
+
+// Cost of a ride/driver pair that may not be matched (outside ring, wrong tier)
+const INFEASIBLE_COST = 1e9;
+
+/**
+ * Pickup ETA cost matrix
+ * @param {object[]} rides - Rides with a `candidates` Set of driver IDs they may be offered to
+ * @param {object[]} drivers - { id, latitude, longitude }
+ * @returns {number[][]} cost[ride][driver] in seconds
+ */
+function buildCostMatrix(rides, drivers) {
+  return rides.map(ride => drivers.map(driver => {
+    if (!ride.candidates.has(driver.id)) {
+      return INFEASIBLE_COST;
+    }
+
+    return etaService.estimate(driver, {
+      latitude: ride.pickup_latitude,
+      longitude: ride.pickup_longitude
+    }).duration_sec;
+  }));
+}
+
+/**
+ * Pair rides with drivers to minimise total pickup ETA
+ * Deterministic for a given input order
+ * @returns {object[]} [{ ride, driver, eta_sec }]
+ */
+function planDispatch(rides, drivers) {
+  if (rides.length === 0 || drivers.length === 0) {
+    return [];
+  }
+
+  const cost = buildCostMatrix(rides, drivers);
+  const assignment = solveAssignment(cost);
+
+  return assignment
+    .map((col, row) => ({ row, col }))
+    .filter(({ row, col }) => col !== -1 && cost[row][col] < INFEASIBLE_COST)
+    .map(({ row, col }) => ({
+      ride: rides[row],
+      driver: drivers[col],
+      eta_sec: cost[row][col]
+    }));
+}
+
+/**
+ * Load AVAILABLE drivers among the candidates with their positions
+ * Drivers holding an offer for any ride are left out
+ */
+async function loadAvailableDrivers(candidateIds) {
+  const result = await db.query(
+    `SELECT d.id
+     FROM drivers d
+     WHERE d.id = ANY($1)
+       AND d.status = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM ride_offers o
+         WHERE o.driver_id = d.id AND o.status = $3
+       )
+     ORDER BY d.id`,
+    [candidateIds, DRIVER_STATES.AVAILABLE, OFFER_STATES.PENDING]
+  );
+
+  const ids = result.rows.map(d => d.id);
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const positions = await redis.geoPos('drivers:geo', ids);
+
+  return ids
+    .map((id, index) => positions[index] && {
+      id,
+      latitude: Number(positions[index].latitude),
+      longitude: Number(positions[index].longitude)
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Offer every open ride in the batch to its driver from the optimal assignment
+ * @param {object[]} rides - Rides in MATCHING state
+ * @param {number} now - Current time in ms
+ * @returns {object} { offers, unmatched: [{ ride, search }] }
+ */
+exports.dispatchBatch = async (rides, now = Date.now()) => {
+  if (rides.length === 0) {
+    return { offers: [], unmatched: [] };
+  }
+
+  // Rides already waiting on a driver are skipped, and nobody is offered
+  // a ride they have already seen
+  const previousOffers = await db.query(
+    `SELECT ride_id, driver_id, status
+     FROM ride_offers
+     WHERE ride_id = ANY($1)`,
+    [rides.map(r => r.id)]
+  );
+
+  const waitingRideIds = new Set(
+    previousOffers.rows.filter(o => o.status === OFFER_STATES.PENDING).map(o => o.ride_id)
+  );
+  const offeredPairs = new Set(previousOffers.rows.map(o => `${o.ride_id}:${o.driver_id}`));
+
+  const openRides = rides.filter(r => !waitingRideIds.has(r.id));
+
+  // Each ride's candidates come from its own ring and tier index
+  const searches = await Promise.all(
+    openRides.map(ride => matchingService.findDriversInRing(ride, now))
+  );
+
+  const planRides = openRides.map((ride, index) => ({
+    ...ride,
+    search: searches[index],
+    candidates: new Set(
+      searches[index].drivers
+        .map(d => d.member || d)
+        .filter(id => !offeredPairs.has(`${ride.id}:${id}`))
+    )
+  }));
+
+  const candidateIds = [...new Set(planRides.flatMap(r => [...r.candidates]))];
+  const drivers = candidateIds.length > 0 ? await loadAvailableDrivers(candidateIds) : [];
+
+  const plan = planDispatch(planRides, drivers);
+
+  const offers = [];
+  for (const { ride, driver, eta_sec } of plan) {
+    const { search, candidates, ...rideData } = ride;
+    const offer = await offerService.offerToNextDriver(rideData, [driver.id], {
+      ring: search.ring,
+      radius_km: search.radius_km
+    });
+
+    if (offer) {
+      offers.push({ ...offer, eta_sec });
+    }
+  }
+
+  const offeredRideIds = new Set(offers.map(o => o.ride_id));
+  const unmatched = planRides
+    .filter(r => !offeredRideIds.has(r.id))
+    .map(({ search, candidates, ...ride }) => ({ ride, search }));
+
+  const totalEtaSec = offers.reduce((sum, o) => sum + o.eta_sec, 0);
+  newrelic.recordMetric('Custom/Dispatch/BatchOffers', offers.length);
+  if (offers.length > 0) {
+    newrelic.recordMetric('Custom/Dispatch/AvgPickupEtaSec', totalEtaSec / offers.length);
+  }
+
+  logger.info({
+    rides: rides.length,
+    openRides: openRides.length,
+    drivers: drivers.length,
+    offers: offers.length,
+    totalEtaSec
+  }, 'Batch dispatch completed');
+
+  return { offers, unmatched };
+};
+
+exports.buildCostMatrix = buildCostMatrix;
+exports.planDispatch = planDispatch;
+exports.INFEASIBLE_COST = INFEASIBLE_COST;
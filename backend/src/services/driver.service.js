@@ -1,8 +1,37 @@
 const db = require('../db');
 const redis = require('../utils/redis');
-const { invalidateDriverCache, removeDriverFromGeo, CACHE_TTL } = require('../utils/redis');
+const { invalidateDriverCache, removeDriverFromGeo, updateDriverTierGeo, getDriverRide, CACHE_TTL } = require('../utils/redis');
+const vehicleService = require('./vehicle.service');
+const presenceService = require('./presence.service');
+const routeService = require('./route.service');
+const tripService = require('./trip.service');
+const etaService = require('./eta.service');
 const logger = require('../config/logger');
 const wsManager = require('../utils/websocket');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Check a location fix
+ * Shared by POST /drivers/:id/location and the WebSocket LOCATION_UPDATE command
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+exports.locationErrors = ({ latitude, longitude } = {}) => {
+  const errors = [];
+
+  if (latitude === undefined) errors.push('latitude is required');
+  else if (typeof latitude !== 'number') errors.push('latitude must be a number');
+  if (longitude === undefined) errors.push('longitude is required');
+  else if (typeof longitude !== 'number') errors.push('longitude must be a number');
+
+  if (latitude < -90 || latitude > 90) {
+    errors.push('latitude must be between -90 and 90');
+  }
+  if (longitude < -180 || longitude > 180) {
+    errors.push('longitude must be between -180 and 180');
+  }
+
+  return errors;
+};
 
 // Get driver from cache or database
 exports.getDriverById = async (driverId) => {
@@ -86,6 +115,7 @@ exports.createDriver = async (data) => {
       latitude,
       member: driver.id
     });
+    await presenceService.recordHeartbeat(driver.id);
     logger.info({ driverId: driver.id }, 'Driver added to geo index');
   }
   
@@ -101,16 +131,27 @@ exports.createDriver = async (data) => {
 };
 
 exports.updateLocation = async (driverId, { latitude, longitude }) => {
+  const errors = exports.locationErrors({ latitude, longitude });
+  if (errors.length > 0) {
+    throw new AppError(errors.join(', '), 400);
+  }
+
   try {
-    // 1. Update Redis GEO (fast path) with TTL
+    // Geo members never expire on their own; the presence sweeper evicts
+    // drivers whose last ping is stale. Recorded first, so a sweep running
+    // during this ping cannot evict the position written below
+    await presenceService.recordHeartbeat(driverId);
+
+    // 1. Update Redis GEO (fast path)
     await redis.geoAdd('drivers:geo', {
       longitude,
       latitude,
       member: driverId
     });
-    
-    // Set expiry on geo location (60 seconds)
-    await redis.expire(`drivers:geo:${driverId}`, CACHE_TTL.DRIVER_LOCATION);
+
+    // Keep the per-tier indexes used for matching in step
+    const tiers = await vehicleService.getEligibleTiers(driverId);
+    await updateDriverTierGeo(driverId, { longitude, latitude }, tiers);
 
     // 2. Update Postgres ASYNCHRONOUSLY (fire-and-forget)
     // Don't await - return to client immediately after Redis is updated
@@ -119,6 +160,7 @@ exports.updateLocation = async (driverId, { latitude, longitude }) => {
        SET latitude=$1,
            longitude=$2,
            location=ST_SetSRID(ST_MakePoint($2, $1), 4326),
+           last_seen_at=now(),
        updated_at=now()
        WHERE id=$3`,
       [latitude, longitude, driverId]
@@ -126,9 +168,41 @@ exports.updateLocation = async (driverId, { latitude, longitude }) => {
       logger.error({ driverId, error: error.message }, 'Failed to update PostgreSQL location');
     });
 
-    // 3. Broadcast location update to connected clients
+    // Breadcrumb for the driver's running trip (fire-and-forget as well)
+    routeService.recordBreadcrumb(driverId, { latitude, longitude }).catch(error => {
+      logger.error({ driverId, error: error.message }, 'Failed to record trip breadcrumb');
+    });
+
+    // Marks the trip ARRIVED once the driver enters the pickup geofence
+    tripService.detectArrival(driverId, { latitude, longitude }).catch(error => {
+      logger.error({ driverId, error: error.message }, 'Failed to check driver arrival');
+    });
+
+    // 3. Broadcast location update to connected clients. Riders see the
+    // driver through their ride's topic, with the live ETA to the pickup
+    // while the driver is on the way; zone topics only show AVAILABLE drivers
     const driver = { id: driverId, latitude, longitude };
-    wsManager.broadcastLocationUpdate(driver);
+    const [status, driverRide] = await Promise.all([
+      exports.getDriverStatus(driverId),
+      getDriverRide(driverId)
+    ]).catch(error => {
+      logger.warn({ driverId, error: error.message }, 'Failed to look up driver ride');
+      return [];
+    });
+
+    try {
+      const eta = etaService.getPickupEta({ latitude, longitude }, driverRide);
+      if (eta) {
+        driver.eta = eta;
+      }
+    } catch (error) {
+      logger.warn({ driverId, error: error.message }, 'Failed to estimate pickup ETA');
+    }
+
+    wsManager.broadcastLocationUpdate(driver, {
+      status,
+      rideId: driverRide ? driverRide.ride_id : null
+    });
 
     logger.info({ driverId, latitude, longitude }, 'Driver location updated in Redis');
     return driver;
@@ -169,7 +243,14 @@ exports.updateDriverStatus = async (driverId, status) => {
       latitude: driver.latitude,
       member: driverId
     });
-    logger.info({ driverId }, 'Driver went online, added to geo index');
+    const tiers = await vehicleService.getEligibleTiers(driverId);
+    await updateDriverTierGeo(
+      driverId,
+      { longitude: driver.longitude, latitude: driver.latitude },
+      tiers
+    );
+    await presenceService.recordHeartbeat(driverId);
+    logger.info({ driverId, tiers }, 'Driver went online, added to geo index');
   }
 
   // Broadcast status change
@@ -0,0 +1,178 @@
+const redis = require('../utils/redis');
+const etaConfig = require('../config/eta');
+const geohash = require('../utils/geohash');
+const { haversineKm } = require('../utils/geo');
+const { createRoadGraph, nearestNode, fastestPath } = require('../utils/roadGraph');
+
+/**
+ * ETA Service
+ * Driving time from a driver's last reported position (drivers:geo) to a
+ * pickup, using the speed model picked in config/eta
+ */
+
+const ZONE_PRECISION = Math.max(1, ...Object.keys(etaConfig.zone_speeds_kmh).map(zone => zone.length));
+
+let roadGraph; // Built on first use
+
+function getRoadGraph() {
+  if (roadGraph === undefined) {
+    roadGraph = etaConfig.road_graph ? createRoadGraph(etaConfig.road_graph) : null;
+  }
+  return roadGraph;
+}
+
+/**
+ * Average driving speed around a point
+ * @returns {number} km/h of the longest matching zone prefix, else the default
+ */
+function zoneSpeedKmh(latitude, longitude) {
+  const cell = geohash.encode(latitude, longitude, ZONE_PRECISION);
+
+  for (let length = cell.length; length > 0; length--) {
+    const speed = etaConfig.zone_speeds_kmh[cell.slice(0, length)];
+    if (speed) {
+      return speed;
+    }
+  }
+
+  return etaConfig.default_speed_kmh;
+}
+
+// Straight line stretched to road distance, at the speed of the zone half-way
+function haversineModel(from, to) {
+  const distanceKm = haversineKm(from.latitude, from.longitude, to.latitude, to.longitude) *
+    etaConfig.road_distance_factor;
+  const speedKmh = zoneSpeedKmh(
+    (from.latitude + to.latitude) / 2,
+    (from.longitude + to.longitude) / 2
+  );
+
+  return { distance_km: distanceKm, duration_sec: (distanceKm / speedKmh) * 3600 };
+}
+
+// Fastest path between the graph nodes nearest each point, plus the legs on and off the graph
+function roadGraphModel(from, to) {
+  const graph = getRoadGraph();
+  const start = graph && nearestNode(graph, from.latitude, from.longitude);
+  const end = graph && nearestNode(graph, to.latitude, to.longitude);
+
+  if (!start || !end || start.km > etaConfig.max_snap_km || end.km > etaConfig.max_snap_km) {
+    return haversineModel(from, to);
+  }
+
+  const path = fastestPath(graph, start.id, end.id);
+  if (!path) {
+    return haversineModel(from, to);
+  }
+
+  const access = haversineModel(from, graph.nodes.get(start.id));
+  const egress = haversineModel(graph.nodes.get(end.id), to);
+
+  return {
+    distance_km: access.distance_km + path.distance_km + egress.distance_km,
+    duration_sec: access.duration_sec + path.duration_sec + egress.duration_sec
+  };
+}
+
+const MODELS = {
+  haversine: haversineModel,
+  road_graph: roadGraphModel
+};
+
+/**
+ * Estimate driving distance and time between two points
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {object} { distance_km, duration_sec, model }
+ */
+exports.estimate = (from, to, model = etaConfig.model) => {
+  const estimateWith = MODELS[model];
+  if (!estimateWith) {
+    throw new Error(`Unknown ETA model: ${model}`);
+  }
+
+  const { distance_km, duration_sec } = estimateWith(
+    { latitude: Number(from.latitude), longitude: Number(from.longitude) },
+    { latitude: Number(to.latitude), longitude: Number(to.longitude) }
+  );
+
+  return {
+    distance_km: parseFloat(distance_km.toFixed(2)),
+    duration_sec: Math.round(duration_sec),
+    model
+  };
+};
+
+/**
+ * ETA between two points, as pushed to riders
+ * @returns {object} { eta_sec, eta_minutes, distance_km, model }
+ */
+exports.toPickup = (position, pickup) => {
+  const { distance_km, duration_sec, model } = exports.estimate(position, pickup);
+
+  return {
+    eta_sec: duration_sec,
+    eta_minutes: Math.max(1, Math.ceil(duration_sec / 60)),
+    distance_km,
+    model
+  };
+};
+
+/**
+ * Last reported position of a driver
+ * @returns {object|null} { latitude, longitude }, or null if the driver is not in the geo index
+ */
+exports.getDriverPosition = async (driverId) => {
+  const [position] = await redis.geoPos('drivers:geo', [driverId]);
+
+  return position
+    ? { latitude: Number(position.latitude), longitude: Number(position.longitude) }
+    : null;
+};
+
+/**
+ * ETA of a driver to a pickup from their last reported position
+ * @returns {object|null} See toPickup; null if the driver's position is unknown
+ */
+exports.getDriverEta = async (driverId, pickup) => {
+  const position = await exports.getDriverPosition(driverId);
+  return position ? exports.toPickup(position, pickup) : null;
+};
+
+/**
+ * ETA of a driver heading to a pickup (trip in CREATED state)
+ * Uses the pickup cached at assignment, so location pings never query Postgres
+ * @param {object} position - The driver's new position
+ * @param {object|null} driverRide - The driver's cached ride (see getDriverRide in utils/redis)
+ * @returns {object|null} See toPickup; null if the driver is not on the way to a pickup
+ */
+exports.getPickupEta = (position, driverRide) => (
+  driverRide && driverRide.pickup ? exports.toPickup(position, driverRide.pickup) : null
+);
+
+/**
+ * Order candidate drivers by ETA to a pickup, fastest first
+ * Drivers without a known position keep their order at the end
+ * @param {Array} drivers - Geo search results (IDs or { member })
+ * @returns {Array} The same entries, reordered
+ */
+exports.rankByEta = async (drivers, pickup) => {
+  if (drivers.length === 0) {
+    return drivers;
+  }
+
+  const positions = await redis.geoPos('drivers:geo', drivers.map(d => d.member || d));
+
+  return drivers
+    .map((driver, index) => ({
+      driver,
+      eta: positions[index]
+        ? exports.estimate(positions[index], pickup).duration_sec
+        : Infinity
+    }))
+    .sort((a, b) => (a.eta - b.eta) || 0)
+    .map(({ driver }) => driver);
+};
+
+exports.zoneSpeedKmh = zoneSpeedKmh;
+exports.MODELS = MODELS;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const redis = require('../utils/redis');
+const surgeService = require('./surge.service');
+const { TIER_RATES, calculateFare } = require('./trip.service');
+const { haversineKm } = require('../utils/geo');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Fare Service
+ * Upfront fare estimates and signed quotes that lock in a price at booking
+ */
+
+// Straight-line distance understates road distance; scale it up
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVG_SPEED_KMH = Number(process.env.FARE_AVG_SPEED_KMH ?? 30);
+
+// Range around the point estimate to cover route and traffic variance
+const ESTIMATE_RANGE = {
+  min: { distance: 0.9, duration: 0.8 },
+  max: { distance: 1.15, duration: 1.3 }
+};
+
+const QUOTE_TTL_SEC = Number(process.env.FARE_QUOTE_TTL_SEC ?? 300);
+const QUOTE_SECRET = loadQuoteSecret();
+
+// Redeemed quotes, kept until they would have expired anyway
+const REDEEMED_QUOTE_PREFIX = 'fare:quote:redeemed:';
+
+// Quotes stay valid for the same trip if coordinates move less than this (~50m)
+const QUOTE_COORDINATE_TOLERANCE = 0.0005;
+
+function loadQuoteSecret() {
+  if (process.env.FARE_QUOTE_SECRET) {
+    return process.env.FARE_QUOTE_SECRET;
+  }
+
+  // Anyone knowing a default secret could sign a quote with their own fare_max
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('FARE_QUOTE_SECRET must be set in production');
+  }
+
+  return 'dev-fare-quote-secret';
+}
+
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', QUOTE_SECRET)
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Create a signed, self-contained quote ID
+ */
+function createQuoteId(quote) {
+  const encodedPayload = Buffer.from(JSON.stringify(quote)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a quote ID's signature and expiry
+ * @returns {object} Decoded quote
+ * @throws {AppError} If the quote is malformed, tampered with or expired
+ */
+function verifyQuoteId(quoteId) {
+  const [encodedPayload, signature] = String(quoteId).split('.');
+
+  if (!encodedPayload || !signature) {
+    throw new AppError('Invalid fare quote', 400);
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AppError('Invalid fare quote', 400);
+  }
+
+  const quote = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+
+  if (Date.now() > quote.exp * 1000) {
+    throw new AppError('Fare quote expired', 400);
+  }
+
+  return quote;
+}
+
+/**
+ * Estimate road distance and driving time between two points
+ */
+function estimateRoute(pickupLat, pickupLon, dropLat, dropLon) {
+  const distanceKm = haversineKm(pickupLat, pickupLon, dropLat, dropLon) * ROAD_DISTANCE_FACTOR;
+  const durationSec = Math.round((distanceKm / AVG_SPEED_KMH) * 3600);
+
+  return {
+    distance_km: parseFloat(distanceKm.toFixed(2)),
+    duration_sec: durationSec
+  };
+}
+
+/**
+ * Estimate fares for a trip before the ride is created
+ * @param {object} data - pickup/drop coordinates and optional tier
+ * @returns {object} Route estimate, surge and a min/max fare with quote ID per tier
+ */
+exports.estimateFare = async (data) => {
+  const {
+    pickup_latitude,
+    pickup_longitude,
+    drop_latitude,
+    drop_longitude,
+    tier
+  } = data;
+
+  const route = estimateRoute(pickup_latitude, pickup_longitude, drop_latitude, drop_longitude);
+  const surge = await surgeService.getSurge(pickup_latitude, pickup_longitude);
+  const tiers = tier ? [tier] : Object.keys(TIER_RATES);
+  const exp = Math.floor(Date.now() / 1000) + QUOTE_TTL_SEC;
+
+  const estimates = tiers.map((t) => {
+    const fareMin = calculateFare(
+      route.distance_km * ESTIMATE_RANGE.min.distance,
+      route.duration_sec * ESTIMATE_RANGE.min.duration,
+      t,
+      surge.surge_multiplier
+    ).total_fare;
+
+    const fareMax = calculateFare(
+      route.distance_km * ESTIMATE_RANGE.max.distance,
+      route.duration_sec * ESTIMATE_RANGE.max.duration,
+      t,
+      surge.surge_multiplier
+    ).total_fare;
+
+    const quote_id = createQuoteId({
+      tier: t,
+      pickup: [pickup_latitude, pickup_longitude],
+      drop: [drop_latitude, drop_longitude],
+      surge_multiplier: surge.surge_multiplier,
+      fare_max: fareMax,
+      exp
+    });
+
+    return {
+      tier: t,
+      fare_min: fareMin,
+      fare_max: fareMax,
+      quote_id,
+      quote_expires_at: new Date(exp * 1000).toISOString()
+    };
+  });
+
+  return {
+    ...route,
+    surge_multiplier: surge.surge_multiplier,
+    estimates
+  };
+};
+
+/**
+ * Validate a quote against the ride being created and use it up
+ * A quote books one ride: its signature is recorded in Redis until it expires
+ * @returns {Promise<object>} { surge_multiplier, quoted_fare, quote_expires_at } to lock on the ride
+ * @throws {AppError} If the quote is invalid, was issued for a different trip
+ *   or has already been redeemed
+ */
+exports.redeemQuote = async (quoteId, ride) => {
+  const quote = verifyQuoteId(quoteId);
+
+  const near = (a, b) => Math.abs(Number(a) - Number(b)) <= QUOTE_COORDINATE_TOLERANCE;
+  const matches = quote.tier === ride.tier &&
+    near(quote.pickup[0], ride.pickup_latitude) &&
+    near(quote.pickup[1], ride.pickup_longitude) &&
+    near(quote.drop[0], ride.drop_latitude) &&
+    near(quote.drop[1], ride.drop_longitude);
+
+  if (!matches) {
+    throw new AppError('Fare quote does not match ride request', 400);
+  }
+
+  const [, signature] = String(quoteId).split('.');
+  const ttlSec = Math.max(1, quote.exp - Math.floor(Date.now() / 1000));
+  const firstUse = await redis.set(`${REDEEMED_QUOTE_PREFIX}${signature}`, '1', { NX: true, EX: ttlSec });
+
+  if (!firstUse) {
+    throw new AppError('Fare quote has already been used', 409);
+  }
+
+  return {
+    surge_multiplier: quote.surge_multiplier,
+    quoted_fare: quote.fare_max,
+    quote_expires_at: new Date(quote.exp * 1000)
+  };
+};
+
+exports.estimateRoute = estimateRoute;
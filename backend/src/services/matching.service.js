@@ -1,22 +1,123 @@
 const redis = require('../utils/redis');
+const { tierGeoKey } = require('../utils/redis');
+const matchingConfig = require('../config/matching');
+const presenceService = require('./presence.service');
+const etaService = require('./eta.service');
 
 const SEARCH_RADIUS_KM = 5;
 const MAX_DRIVERS = 5;
 
-exports.findNearbyDrivers = async (lat, lon) => {
-  return redis.geoSearch(
-    'drivers:geo',
+/**
+ * Find the closest drivers eligible for a ride tier
+ * Drivers whose last location ping is stale are skipped
+ */
+exports.findNearbyDrivers = async (lat, lon, tier = 'ECONOMY', radiusKm = SEARCH_RADIUS_KM, count = MAX_DRIVERS) => {
+  const drivers = await redis.geoSearch(
+    tierGeoKey(tier),
     {
       longitude: lon,
       latitude: lat
     },
     {
-      radius: SEARCH_RADIUS_KM,
+      radius: radiusKm,
       unit: 'km'
     },
     {
       SORT: 'ASC',
-      COUNT: MAX_DRIVERS
+      COUNT: count
     }
   );
-};
\ No newline at end of file
+
+  return presenceService.filterLiveDrivers(drivers);
+};
+
+/**
+ * Matching settings for a pickup location and tier
+ * City settings override the defaults, and tier settings override the city's
+ * @returns {object} { city, rings, max_drivers, match_timeout_sec }
+ */
+function getMatchingConfig(lat, lon, tier) {
+  const [city, cityConfig] = Object.entries(matchingConfig.cities || {}).find(([, c]) =>
+    lat >= c.bounds.min_lat && lat <= c.bounds.max_lat &&
+    lon >= c.bounds.min_lon && lon <= c.bounds.max_lon
+  ) || ['default', {}];
+
+  const { bounds, tiers, ...cityOverrides } = cityConfig;
+
+  return {
+    city,
+    ...matchingConfig.default,
+    ...cityOverrides,
+    ...(tiers && tiers[tier])
+  };
+}
+
+/**
+ * Widest ring a ride has unlocked after waiting `waitedSec`
+ * @returns {number} Ring number, 1 for the innermost ring
+ */
+function currentRing(rings, waitedSec) {
+  let ring = 1;
+  rings.forEach((r, index) => {
+    if (waitedSec >= r.after_sec) {
+      ring = index + 1;
+    }
+  });
+  return ring;
+}
+
+/**
+ * Ring a ride has reached and whether its matching time is up
+ * @returns {object} { config, ring, radius_km, is_last_ring, timed_out }
+ */
+function ringState(ride, now) {
+  const config = getMatchingConfig(Number(ride.pickup_latitude), Number(ride.pickup_longitude), ride.tier);
+
+  const waitedSec = (now - new Date(ride.created_at).getTime()) / 1000;
+  const ring = currentRing(config.rings, waitedSec);
+
+  return {
+    config,
+    ring,
+    radius_km: config.rings[ring - 1].radius_km,
+    is_last_ring: ring === config.rings.length,
+    timed_out: waitedSec > config.match_timeout_sec
+  };
+}
+
+/**
+ * Whether a ride has searched its widest ring and run out of time
+ * Such a ride gets no more offers, pending or not, and is expired
+ */
+exports.isMatchingExhausted = (ride, now = Date.now()) => {
+  const { is_last_ring, timed_out } = ringState(ride, now);
+  return is_last_ring && timed_out;
+};
+
+/**
+ * Search the ride's current ring for eligible drivers
+ * Candidates are ranked by pickup ETA rather than straight-line distance
+ * @param {object} ride - Ride in MATCHING state
+ * @param {number} now - Current time in ms
+ * @returns {object} { city, ring, radius_km, is_last_ring, timed_out, drivers }
+ */
+exports.findDriversInRing = async (ride, now = Date.now()) => {
+  const lat = Number(ride.pickup_latitude);
+  const lon = Number(ride.pickup_longitude);
+  const { config, ring, radius_km: radiusKm, is_last_ring, timed_out } = ringState(ride, now);
+
+  const nearby = await exports.findNearbyDrivers(lat, lon, ride.tier, radiusKm, config.max_drivers);
+  const drivers = await etaService.rankByEta(nearby || [], { latitude: lat, longitude: lon });
+
+  return {
+    city: config.city,
+    ring,
+    radius_km: radiusKm,
+    is_last_ring,
+    timed_out,
+    drivers
+  };
+};
+
+exports.getMatchingConfig = getMatchingConfig;
+exports.currentRing = currentRing;
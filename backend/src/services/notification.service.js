@@ -1,5 +1,6 @@
 const newrelic = require('newrelic');
 const logger = require('../config/logger');
+const riderService = require('./rider.service');
 
 /**
  * Notification Service
@@ -14,25 +15,31 @@ const NOTIFICATION_TYPES = {
   RIDE_ASSIGNED: 'RIDE_ASSIGNED',
   TRIP_STARTED: 'TRIP_STARTED',
   TRIP_ENDED: 'TRIP_ENDED',
+  TRIP_CANCELLED: 'TRIP_CANCELLED',
   PAYMENT_COMPLETED: 'PAYMENT_COMPLETED',
   PAYMENT_FAILED: 'PAYMENT_FAILED',
+  REFUND_ISSUED: 'REFUND_ISSUED',
   DRIVER_ARRIVED: 'DRIVER_ARRIVED',
   TRIP_PAUSED: 'TRIP_PAUSED'
 };
 
 /**
- * Send notification to a user
- * @param {string} userId - User ID to send notification to
+ * Send notification to a rider
+ * @param {string} userId - Rider ID to send notification to
  * @param {string} type - Notification type
  * @param {object} data - Notification payload data
  */
 async function sendNotification(userId, type, data) {
   try {
+    // Route to the rider's registered contact details
+    const rider = await riderService.getRider(userId);
+
     // In production, this would call FCM/SNS/etc
     // For now, we'll log and record metrics
     
     const notification = {
       user_id: userId,
+      to: { name: rider.name, phone: rider.phone, email: rider.email },
       type,
       data,
       timestamp: new Date().toISOString()
@@ -70,12 +77,14 @@ async function sendNotification(userId, type, data) {
 exports.notifyRideAssigned = async (riderId, rideData) => {
   return sendNotification(riderId, NOTIFICATION_TYPES.RIDE_ASSIGNED, {
     title: 'Driver Assigned! 🚗',
-    body: `${rideData.driver_name} will pick you up soon`,
+    body: rideData.eta_minutes
+      ? `${rideData.driver_name} will pick you up in about ${rideData.eta_minutes} min`
+      : `${rideData.driver_name} will pick you up soon`,
     ride_id: rideData.ride_id,
     driver_name: rideData.driver_name,
     driver_phone: rideData.driver_phone,
     driver_rating: rideData.driver_rating,
-    eta_minutes: rideData.eta_minutes || 5
+    eta_minutes: rideData.eta_minutes ?? null
   });
 };
 
@@ -116,6 +125,21 @@ exports.notifyTripEnded = async (riderId, tripData) => {
   });
 };
 
+/**
+ * Notify rider that trip was cancelled
+ */
+exports.notifyTripCancelled = async (riderId, tripData) => {
+  return sendNotification(riderId, NOTIFICATION_TYPES.TRIP_CANCELLED, {
+    title: 'Trip Cancelled 🚫',
+    body: tripData.cancelled_by === 'RIDER'
+      ? 'Your trip has been cancelled'
+      : 'Your driver has cancelled the trip',
+    trip_id: tripData.trip_id,
+    reason_code: tripData.reason_code,
+    note: tripData.note
+  });
+};
+
 /**
  * Notify rider that payment completed
  */
@@ -142,6 +166,19 @@ exports.notifyPaymentFailed = async (riderId, paymentData) => {
   });
 };
 
+/**
+ * Notify rider that a refund went through
+ */
+exports.notifyRefundIssued = async (riderId, refundData) => {
+  return sendNotification(riderId, NOTIFICATION_TYPES.REFUND_ISSUED, {
+    title: 'Refund Issued 💸',
+    body: `$${refundData.amount} has been refunded to your payment method`,
+    payment_id: refundData.payment_id,
+    refund_id: refundData.refund_id,
+    amount: refundData.amount
+  });
+};
+
 /**
  * Notify rider that driver has arrived
  */
@@ -0,0 +1,162 @@
+const db = require('../db');
+const wsManager = require('../utils/websocket');
+const newrelic = require('newrelic');
+const logger = require('../config/logger');
+const { AppError } = require('../middlewares/error.middleware');
+const { OFFER_STATES, DRIVER_STATES } = require('../utils/stateMachine');
+
+/**
+ * Ride Offer Service
+ * Offers a MATCHING ride to one driver at a time; the driver has
+ * OFFER_TIMEOUT_SEC to accept or decline before the next candidate is tried.
+ * Acceptance itself is handled by assignment.service.assignDriver.
+ */
+
+const OFFER_TIMEOUT_SEC = Number(process.env.DRIVER_OFFER_TIMEOUT_SEC ?? 15);
+
+/**
+ * Pending offer for a ride, if any
+ */
+exports.getPendingOffer = async (rideId) => {
+  const result = await db.query(
+    `SELECT * FROM ride_offers
+     WHERE ride_id=$1 AND status=$2`,
+    [rideId, OFFER_STATES.PENDING]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Offer a ride to the closest candidate who can take it
+ * Skips drivers who already had an offer for this ride, are not AVAILABLE,
+ * or are holding an offer for another ride
+ * @param {object} ride - Ride in MATCHING state
+ * @param {string[]} candidateIds - Driver IDs, fastest pickup first
+ * @param {object} search - { ring, radius_km } the candidates were found in
+ * @returns {object|null} The new offer, or null if no candidate is left
+ */
+exports.offerToNextDriver = async (ride, candidateIds, { ring = null, radius_km = null } = {}) => {
+  if (candidateIds.length === 0) {
+    return null;
+  }
+
+  const eligible = await db.query(
+    `SELECT d.id
+     FROM drivers d
+     WHERE d.id = ANY($1)
+       AND d.status = $2
+       AND NOT EXISTS (
+         SELECT 1 FROM ride_offers o
+         WHERE o.driver_id = d.id
+           AND (o.ride_id = $3 OR o.status = $4)
+       )`,
+    [candidateIds, DRIVER_STATES.AVAILABLE, ride.id, OFFER_STATES.PENDING]
+  );
+
+  const eligibleIds = new Set(eligible.rows.map(d => d.id));
+
+  for (const driverId of candidateIds.filter(id => eligibleIds.has(id))) {
+    // Unique indexes allow one pending offer per ride and per driver, so a
+    // concurrent worker may win the race; move on to the next candidate
+    const result = await db.query(
+      `INSERT INTO ride_offers (ride_id, driver_id, status, expires_at, ring, radius_km)
+       VALUES ($1, $2, $3, now() + make_interval(secs => $4), $5, $6)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [ride.id, driverId, OFFER_STATES.PENDING, OFFER_TIMEOUT_SEC, ring, radius_km]
+    );
+
+    if (result.rowCount > 0) {
+      const offer = result.rows[0];
+
+      wsManager.broadcastRideOffer(offer, ride);
+      newrelic.recordMetric('Custom/Offer/Sent', 1);
+      logger.info({ rideId: ride.id, driverId, offerId: offer.id, ring }, 'Ride offered to driver');
+
+      return offer;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Driver declines their pending offer for a ride
+ * @throws {AppError} 409 if the driver has no pending offer for the ride
+ */
+exports.declineOffer = async (rideId, driverId) => {
+  const result = await db.query(
+    `UPDATE ride_offers
+     SET status=$1,
+         responded_at=now()
+     WHERE ride_id=$2 AND driver_id=$3 AND status=$4
+     RETURNING *`,
+    [OFFER_STATES.DECLINED, rideId, driverId, OFFER_STATES.PENDING]
+  );
+
+  if (result.rowCount === 0) {
+    throw new AppError('No pending offer for this driver', 409);
+  }
+
+  const offer = result.rows[0];
+
+  wsManager.broadcastRideOfferClosed(offer);
+  newrelic.recordMetric('Custom/Offer/Declined', 1);
+  logger.info({ rideId, driverId, offerId: offer.id }, 'Ride offer declined');
+
+  return offer;
+};
+
+/**
+ * Withdraw a ride's pending offer, e.g. when the ride expires
+ * @returns {object[]} Withdrawn offers
+ */
+exports.withdrawOffers = async (rideId) => {
+  const result = await db.query(
+    `UPDATE ride_offers
+     SET status=$1
+     WHERE ride_id=$2 AND status=$3
+     RETURNING *`,
+    [OFFER_STATES.WITHDRAWN, rideId, OFFER_STATES.PENDING]
+  );
+
+  for (const offer of result.rows) {
+    wsManager.broadcastRideOfferClosed(offer);
+  }
+
+  if (result.rowCount > 0) {
+    newrelic.recordMetric('Custom/Offer/Withdrawn', result.rowCount);
+    logger.info({ rideId, count: result.rowCount }, 'Withdrew pending ride offers');
+  }
+
+  return result.rows;
+};
+
+/**
+ * Expire pending offers that ran out of time
+ * Called by the matching worker before sending new offers
+ * @returns {object[]} Expired offers
+ */
+exports.expireOffers = async () => {
+  const result = await db.query(
+    `UPDATE ride_offers
+     SET status=$1
+     WHERE status=$2 AND expires_at <= now()
+     RETURNING *`,
+    [OFFER_STATES.EXPIRED, OFFER_STATES.PENDING]
+  );
+
+  for (const offer of result.rows) {
+    wsManager.broadcastRideOfferClosed(offer);
+  }
+
+  if (result.rowCount > 0) {
+    newrelic.recordMetric('Custom/Offer/Expired', result.rowCount);
+    logger.info({ count: result.rowCount }, 'Expired unanswered ride offers');
+  }
+
+  return result.rows;
+};
+
+exports.OFFER_TIMEOUT_SEC = OFFER_TIMEOUT_SEC;
@@ -1,47 +1,173 @@
 const db = require('../db');
 const newrelic = require('newrelic');
 const notificationService = require('./notification.service');
+const wsManager = require('../utils/websocket');
+const psp = require('../psp');
+const walletService = require('./wallet.service');
+const { AppError } = require('../middlewares/error.middleware');
 
 // Exponential backoff: 30s, 2m, 8m
 const RETRY_DELAYS_MS = [30000, 120000, 480000];
 const MAX_RETRIES = 3;
 
+// Statuses a payment webhook may no longer change: a late or redelivered
+// `failed` must not undo a payment the PSP has already settled (or refunded)
+const FINAL_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Payment status a PSP webhook status settles the payment in; other statuses
+// (processing, requires_action, ...) are progress reports
+const WEBHOOK_OUTCOMES = {
+  succeeded: 'COMPLETED',
+  failed: 'FAILED',
+  canceled: 'FAILED'
+};
+
+// Cash is collected by the driver and settled with them later; it never
+// reaches the outbox
+const CASH_COLLECTED = 'COLLECTED_BY_DRIVER';
+
 /**
- * Simulates PSP (Payment Service Provider) API call
- * In production, replace with actual Stripe/Braintree/etc API
+ * Authorize and capture a payment through the PSP
+ * Idempotency keys derive from the payment ID, so a retry after a timeout
+ * picks up the PSP's earlier result instead of charging twice
+ * @returns {object} Adapter result; `requires_action` when 3DS is needed,
+ *   otherwise the captured payment (settled later by webhook)
+ * @throws {PSPError} Declined, or failed in a way that may be retried
  */
 async function callPSP(payment) {
   const startTime = Date.now();
-  
-  try {
-    // Simulate PSP API latency
-    await new Promise((res) => setTimeout(res, 500));
 
-    // Simulate 20% failure rate for testing retries
-    if (Math.random() < 0.2) {
-      throw new Error('PSP_NETWORK_ERROR');
-    }
+  try {
+    const authorization = await psp.authorize(payment, {
+      idempotencyKey: `payment:${payment.id}:authorize`
+    });
 
-    const pspResponse = {
-      transaction_id: `txn_${Date.now()}_${payment.id.substring(0, 8)}`,
-      status: 'success',
-      amount: payment.amount,
-      timestamp: new Date().toISOString()
-    };
+    const pspResponse = authorization.status === 'authorized'
+      ? await psp.capture(authorization.transaction_id, payment.amount, {
+        idempotencyKey: `payment:${payment.id}:capture`
+      })
+      : authorization;
 
-    // Record successful payment metric
     newrelic.recordMetric('Custom/Payment/Success', 1);
     newrelic.recordMetric('Custom/Payment/Duration', Date.now() - startTime);
 
     return pspResponse;
   } catch (error) {
     // Record failure metric
-    newrelic.recordMetric('Custom/Payment/Failure', 1);
+    newrelic.recordMetric(error.declined ? 'Custom/Payment/Declined' : 'Custom/Payment/Failure', 1);
     newrelic.noticeError(error, { paymentId: payment.id });
     throw error;
   }
 }
 
+// Fields pushed to WebSocket clients (no raw PSP response)
+function paymentUpdate(payment, rideId) {
+  return {
+    id: payment.id,
+    ride_id: rideId,
+    trip_id: payment.trip_id,
+    amount: payment.amount,
+    status: payment.status,
+    retry_count: payment.retry_count,
+    failure_reason: payment.failure_reason,
+    updated_at: payment.updated_at
+  };
+}
+
+/**
+ * Push a payment's current status to the ride's WebSocket topic
+ * Used by the outbox worker, which runs in its own process and relies on the
+ * Redis fan-out to reach clients
+ */
+async function publishPaymentUpdate(paymentId) {
+  const result = await db.query(
+    `SELECT p.*, COALESCE(p.ride_id, t.ride_id) AS resolved_ride_id
+     FROM payments p
+     LEFT JOIN trips t ON t.id = p.trip_id
+     WHERE p.id = $1`,
+    [paymentId]
+  );
+
+  if (result.rowCount > 0) {
+    const payment = result.rows[0];
+    wsManager.broadcastPaymentUpdated(paymentUpdate(payment, payment.resolved_ride_id));
+  }
+}
+
+/**
+ * Debit a WALLET payment from the rider's wallet (caller's transaction)
+ * Completes the payment straight away, or fails it when the balance does not
+ * cover it; retrying would not help until the rider tops up
+ */
+async function processWalletPayment(client, payment) {
+  try {
+    await walletService.debitPayment(client, payment);
+  } catch (err) {
+    if (err.statusCode !== 409) {
+      throw err;
+    }
+
+    await client.query(
+      `UPDATE payments
+       SET status = 'FAILED',
+           failure_reason = $1,
+           updated_at = now()
+       WHERE id = $2`,
+      [err.message, payment.id]
+    );
+
+    newrelic.recordMetric('Custom/Payment/Wallet/Failed', 1);
+    return { success: false, reason: err.message };
+  }
+
+  await client.query(
+    `UPDATE payments
+     SET status = 'COMPLETED',
+         failure_reason = NULL,
+         updated_at = now()
+     WHERE id = $1`,
+    [payment.id]
+  );
+
+  newrelic.recordMetric('Custom/Payment/Wallet/Completed', 1);
+  return { success: true, completed: true, payment };
+}
+
+/**
+ * Create the payment of an ended trip inside the caller's transaction
+ * Routed by the ride's payment method: CARD and UPI are charged through the
+ * PSP and WALLET debited internally, both by the outbox worker from the
+ * PAYMENT_CREATED event; CASH is recorded as collected by the driver.
+ * idx_unique_active_payment_per_trip keeps it to one active payment per trip.
+ * @param {object} trip - { id, total_fare, payment_method }
+ */
+async function createTripPayment(client, { id: tripId, total_fare, payment_method = 'CARD' }) {
+  const isCash = payment_method === 'CASH';
+
+  const paymentRes = await client.query(
+    `INSERT INTO payments (trip_id, amount, payment_method, status)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [tripId, total_fare, payment_method, isCash ? CASH_COLLECTED : 'PENDING']
+  );
+
+  const payment = paymentRes.rows[0];
+
+  if (!isCash) {
+    await client.query(
+      `INSERT INTO outbox_events
+       (aggregate_type, aggregate_id, event_type, payload)
+       VALUES ('PAYMENT', $1, 'PAYMENT_CREATED', $2)`,
+      [payment.id, payment]
+    );
+  }
+
+  newrelic.recordMetric('Custom/Payment/Created', 1);
+  newrelic.recordMetric(`Custom/Payment/Created/${payment_method}`, 1);
+
+  return payment;
+}
+
 /**
  * Process a payment with retry logic
  */
@@ -63,12 +189,19 @@ async function processPayment(paymentId) {
 
     const payment = paymentRes.rows[0];
 
-    // Check if already completed/processing or max retries exceeded
-    if (payment.status === 'COMPLETED' || payment.status === 'PROCESSING') {
+    // Check if already sent to the PSP or max retries exceeded
+    if ([...FINAL_STATUSES, 'PROCESSING', 'REQUIRES_ACTION', CASH_COLLECTED].includes(payment.status)) {
       await client.query('COMMIT');
       return { success: true, alreadyProcessed: true, payment };
     }
 
+    // Wallet payments are debited internally, not through the PSP
+    if (payment.payment_method === 'WALLET') {
+      const result = await processWalletPayment(client, payment);
+      await client.query('COMMIT');
+      return result;
+    }
+
     if (payment.retry_count >= MAX_RETRIES) {
       await client.query(
         `UPDATE payments 
@@ -87,17 +220,24 @@ async function processPayment(paymentId) {
     // Call PSP
     try {
       const pspResponse = await callPSP(payment);
+      const requiresAction = pspResponse.status === 'requires_action';
 
-      // Mark payment as processing (PSP accepted request)
-      // Webhook will update to COMPLETED/FAILED when PSP finishes
+      // PROCESSING once captured, REQUIRES_ACTION while the rider completes 3DS;
+      // the webhook moves it to COMPLETED/FAILED when the PSP finishes
       await client.query(
         `UPDATE payments
-         SET status = 'PROCESSING',
-             psp_transaction_id = $1,
-             psp_response = $2,
+         SET status = $1,
+             psp_transaction_id = $2,
+             psp_response = $3,
+             failure_reason = NULL,
              updated_at = now()
-         WHERE id = $3`,
-        [pspResponse.transaction_id, JSON.stringify(pspResponse), paymentId]
+         WHERE id = $4`,
+        [
+          requiresAction ? 'REQUIRES_ACTION' : 'PROCESSING',
+          pspResponse.transaction_id,
+          JSON.stringify(pspResponse.raw || pspResponse),
+          paymentId
+        ]
       );
 
       await client.query('COMMIT');
@@ -108,8 +248,24 @@ async function processPayment(paymentId) {
       }
       newrelic.recordMetric('Custom/Payment/ProcessingSent', 1);
 
-      return { success: true, processing: true, payment, pspResponse };
+      return { success: true, processing: true, requiresAction, payment, pspResponse };
     } catch (pspError) {
+      // A declined card will not pass on retry
+      if (pspError.declined) {
+        await client.query(
+          `UPDATE payments
+           SET status = 'FAILED',
+               failure_reason = $1,
+               next_retry_at = NULL,
+               updated_at = now()
+           WHERE id = $2`,
+          [`Declined: ${pspError.code}`, paymentId]
+        );
+        await client.query('COMMIT');
+
+        return { success: false, declined: true, reason: pspError.code };
+      }
+
       // Calculate next retry time with exponential backoff
       const retryCount = payment.retry_count + 1;
       const delayMs = RETRY_DELAYS_MS[retryCount - 1] || RETRY_DELAYS_MS[RETRY_DELAYS_MS.length - 1];
@@ -150,6 +306,9 @@ async function processPayment(paymentId) {
 
 /**
  * Create a payment for a trip
+ * Trips are paid automatically when they end; this creates a new payment for
+ * an ENDED trip whose earlier payment failed.
+ * @throws {AppError} 409 if the trip has not ended or already has an active payment
  */
 exports.createPaymentForTrip = async (tripId, idempotencyKey) => {
   const client = await db.getClient();
@@ -159,10 +318,11 @@ exports.createPaymentForTrip = async (tripId, idempotencyKey) => {
 
     // 1. Fetch trip (lock row)
     const tripRes = await client.query(
-      `SELECT id, total_fare
-       FROM trips
-       WHERE id = $1
-       FOR UPDATE`,
+      `SELECT t.id, t.status, t.total_fare, r.payment_method
+       FROM trips t
+       JOIN rides r ON r.id = t.ride_id
+       WHERE t.id = $1
+       FOR UPDATE OF t`,
       [tripId]
     );
 
@@ -170,30 +330,29 @@ exports.createPaymentForTrip = async (tripId, idempotencyKey) => {
       throw new Error('Trip not found');
     }
 
-    const amount = tripRes.rows[0].total_fare;
+    const trip = tripRes.rows[0];
 
-    // 2. Create payment
-    const paymentRes = await client.query(
-      `INSERT INTO payments (trip_id, amount, status)
-       VALUES ($1, $2, 'PENDING')
-       RETURNING *`,
-      [tripId, amount]
+    if (trip.status !== 'ENDED') {
+      throw new AppError(`Cannot pay for a trip in ${trip.status} state`, 409);
+    }
+
+    // 2. One active payment per trip
+    const activeRes = await client.query(
+      `SELECT id FROM payments
+       WHERE trip_id = $1 AND status <> 'FAILED'
+       LIMIT 1`,
+      [tripId]
     );
 
-    const payment = paymentRes.rows[0];
+    if (activeRes.rowCount > 0) {
+      throw new AppError('Trip already has an active payment', 409);
+    }
 
-    // 3. Write outbox event
-    await client.query(
-      `INSERT INTO outbox_events
-       (aggregate_type, aggregate_id, event_type, payload)
-       VALUES ('PAYMENT', $1, 'PAYMENT_CREATED', $2)`,
-      [payment.id, payment]
-    );
+    // 3. Create payment (and its outbox event)
+    const payment = await createTripPayment(client, trip);
 
     await client.query('COMMIT');
     
-    newrelic.recordMetric('Custom/Payment/Created', 1);
-    
     return payment;
   } catch (err) {
     await client.query('ROLLBACK');
@@ -206,46 +365,98 @@ exports.createPaymentForTrip = async (tripId, idempotencyKey) => {
 
 /**
  * Handle webhook from PSP
+ * Each event is applied at most once (its id is recorded in
+ * psp_webhook_events). Events arriving after the payment reached a final
+ * status, and progress reports that settle nothing, are recorded but not applied.
+ * @returns {Promise<object>} { payment, applied, reason }
  */
 exports.handleWebhook = async (webhookData) => {
-  const { transaction_id, status, payment_id } = webhookData;
+  const { id: eventId, type, transaction_id, status, payment_id } = webhookData;
+  const client = await db.getClient();
+  let payment;
+  let applied = false;
+  let reason = null;
+  const nextStatus = WEBHOOK_OUTCOMES[status] || null;
 
   try {
-    const result = await db.query(
-      `UPDATE payments
-       SET status = $1,
-           psp_transaction_id = $2,
-           psp_response = $3,
-           updated_at = now()
-       WHERE id = $4
-       RETURNING *`,
-      [
-        status === 'succeeded' ? 'COMPLETED' : 'FAILED',
-        transaction_id,
-        JSON.stringify(webhookData),
-        payment_id
-      ]
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+      [payment_id]
     );
 
-    if (result.rowCount === 0) {
+    if (paymentResult.rowCount === 0) {
       throw new Error('Payment not found for webhook');
     }
 
-    const payment = result.rows[0];
+    payment = paymentResult.rows[0];
+    const outOfOrder = FINAL_STATUSES.includes(payment.status) && payment.status !== nextStatus;
 
-    // Get rider info from trip
+    const eventResult = await client.query(
+      `INSERT INTO psp_webhook_events (event_id, payment_id, event_type, applied)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id) DO NOTHING`,
+      [eventId, payment_id, type || `payment_intent.${status}`, Boolean(nextStatus) && !outOfOrder]
+    );
+
+    if (eventResult.rowCount === 0) {
+      reason = 'duplicate';
+    } else if (!nextStatus) {
+      reason = 'not_final';
+    } else if (outOfOrder) {
+      reason = 'out_of_order';
+    } else {
+      const updateResult = await client.query(
+        `UPDATE payments
+         SET status = $1,
+             psp_transaction_id = $2,
+             psp_response = $3,
+             updated_at = now()
+         WHERE id = $4
+         RETURNING *`,
+        [nextStatus, transaction_id, JSON.stringify(webhookData), payment_id]
+      );
+      payment = updateResult.rows[0];
+
+      // A completed top-up lands in the wallet in the same transaction
+      if (payment.top_up_rider_id && nextStatus === 'COMPLETED') {
+        await walletService.creditTopUp(client, payment);
+      }
+      applied = true;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'handleWebhook', webhookData });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  newrelic.recordMetric('Custom/Payment/WebhookReceived', 1);
+  if (!applied) {
+    const metric = { duplicate: 'Duplicate', out_of_order: 'OutOfOrder', not_final: 'NotFinal' }[reason];
+    newrelic.recordMetric(`Custom/Payment/Webhook/${metric}`, 1);
+    return { payment, applied, reason };
+  }
+  newrelic.recordMetric(`Custom/Payment/Webhook/${status}`, 1);
+
+  try {
+    // Get rider info from the ride (directly for cancellation fees, else via trip)
     const tripResult = await db.query(
-      `SELECT r.rider_id
-       FROM trips t
-       JOIN rides r ON t.ride_id = r.id
-       WHERE t.id = $1`,
-      [payment.trip_id]
+      `SELECT r.id AS ride_id, r.rider_id
+       FROM rides r
+       WHERE r.id = COALESCE($1, (SELECT ride_id FROM trips WHERE id = $2))`,
+      [payment.ride_id || null, payment.trip_id]
     );
 
     if (tripResult.rowCount > 0) {
       const riderId = tripResult.rows[0].rider_id;
+      wsManager.broadcastPaymentUpdated(paymentUpdate(payment, tripResult.rows[0].ride_id));
       
-      if (status === 'succeeded') {
+      if (nextStatus === 'COMPLETED') {
         await notificationService.notifyPaymentCompleted(riderId, {
           payment_id: payment.id,
           amount: payment.amount,
@@ -260,9 +471,6 @@ exports.handleWebhook = async (webhookData) => {
       }
     }
 
-    newrelic.recordMetric('Custom/Payment/WebhookReceived', 1);
-    newrelic.recordMetric(`Custom/Payment/Webhook/${status}`, 1);
-
     // Mark corresponding outbox event as processed
     await db.query(
       `UPDATE outbox_events
@@ -272,12 +480,14 @@ exports.handleWebhook = async (webhookData) => {
          AND processed = false`,
       [payment.id]
     );
-
-    return payment;
   } catch (err) {
+    // The event is already applied; a redelivery would only be a duplicate
     newrelic.noticeError(err, { context: 'handleWebhook', webhookData });
-    throw err;
   }
+
+  return { payment, applied, reason };
 };
 
-exports.processPayment = processPayment;
\ No newline at end of file
+exports.processPayment = processPayment;
+exports.createTripPayment = createTripPayment;
+exports.publishPaymentUpdate = publishPaymentUpdate;
\ No newline at end of file
@@ -0,0 +1,97 @@
+const db = require('../db');
+const redis = require('../utils/redis');
+const { invalidateDriverCache, tierGeoKey, RIDE_TIERS, DRIVER_LAST_SEEN_KEY } = require('../utils/redis');
+const { DRIVER_STATES } = require('../utils/stateMachine');
+const logger = require('../config/logger');
+const wsManager = require('../utils/websocket');
+const newrelic = require('newrelic');
+
+/**
+ * Driver Presence Service
+ * Tracks when each driver last pinged (sorted set scored by ping time in ms)
+ * so drivers whose app has died stop being matched
+ */
+
+const STALE_AFTER_SEC = Number(process.env.DRIVER_STALE_AFTER_SEC ?? 60);
+
+// Reads and removes stale drivers in one step, so a ping that lands mid-sweep
+// either refreshes the score first (driver kept) or re-adds the driver after
+// KEYS[1] is drivers:last_seen, the rest are the geo indexes; ARGV[1] is the cutoff
+const EVICT_STALE_SCRIPT = `
+local stale = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+for _, key in ipairs(KEYS) do
+  for _, id in ipairs(stale) do
+    redis.call('ZREM', key, id)
+  end
+end
+return stale
+`;
+
+/**
+ * Record a location ping from a driver
+ */
+exports.recordHeartbeat = async (driverId, now = Date.now()) => {
+  await redis.zAdd(DRIVER_LAST_SEEN_KEY, { score: now, value: driverId });
+};
+
+/**
+ * Keep only drivers whose last ping is recent
+ * Drivers with no recorded ping count as stale
+ * @param {Array} drivers - Geo search results (member strings or { member })
+ * @returns {Array} The same entries, stale drivers removed
+ */
+exports.filterLiveDrivers = async (drivers, now = Date.now()) => {
+  if (!drivers || drivers.length === 0) {
+    return [];
+  }
+
+  const ids = drivers.map(d => d.member || d);
+  const lastSeen = await redis.zmScore(DRIVER_LAST_SEEN_KEY, ids);
+  const cutoff = now - STALE_AFTER_SEC * 1000;
+
+  return drivers.filter((_, index) => lastSeen[index] != null && lastSeen[index] >= cutoff);
+};
+
+/**
+ * Evict drivers silent for longer than STALE_AFTER_SEC
+ * Removes them from every geo index and takes AVAILABLE drivers OFFLINE;
+ * drivers on a trip keep their status so the trip can still be completed
+ * @returns {object} { evicted, offline }
+ */
+exports.sweepStaleDrivers = async (now = Date.now()) => {
+  const cutoff = now - STALE_AFTER_SEC * 1000;
+  const staleIds = await redis.eval(EVICT_STALE_SCRIPT, {
+    keys: [DRIVER_LAST_SEEN_KEY, 'drivers:geo', ...RIDE_TIERS.map(tierGeoKey)],
+    arguments: [String(cutoff)]
+  });
+
+  if (staleIds.length === 0) {
+    return { evicted: 0, offline: 0 };
+  }
+
+  const result = await db.query(
+    `UPDATE drivers
+     SET status = $1,
+         updated_at = now()
+     WHERE id = ANY($2)
+       AND status = $3
+     RETURNING *`,
+    [DRIVER_STATES.OFFLINE, staleIds, DRIVER_STATES.AVAILABLE]
+  );
+
+  for (const driver of result.rows) {
+    await invalidateDriverCache(driver.id);
+    wsManager.broadcastDriverStatusChanged(driver);
+  }
+
+  newrelic.recordMetric('Custom/Drivers/StaleEvicted', staleIds.length);
+
+  logger.info({
+    evicted: staleIds.length,
+    offline: result.rowCount
+  }, 'Evicted stale drivers from geo index');
+
+  return { evicted: staleIds.length, offline: result.rowCount };
+};
+
+exports.STALE_AFTER_SEC = STALE_AFTER_SEC;
@@ -0,0 +1,453 @@
+const db = require('../db');
+const newrelic = require('newrelic');
+const psp = require('../psp');
+const paymentService = require('./payment.service');
+const walletService = require('./wallet.service');
+const notificationService = require('./notification.service');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Refund Service
+ * Full and partial refunds of captured payments. A refund is written with an
+ * outbox event, sent to the PSP by the outbox worker and settled by the PSP's
+ * `refund.*` webhook, which moves the payment to PARTIALLY_REFUNDED or
+ * REFUNDED. Refunds of WALLET payments never reach the PSP: they are credited
+ * back to the rider's wallet when created.
+ */
+
+const MAX_RETRIES = 3;
+
+// Payments holding captured money
+const REFUNDABLE_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED'];
+
+// Refund statuses a webhook may no longer change
+const FINAL_STATUSES = ['SUCCEEDED', 'FAILED'];
+
+// Compare money in cents; NUMERIC columns arrive as strings
+const toCents = amount => Math.round(Number(amount) * 100);
+
+/**
+ * Amount of a payment not yet refunded or being refunded
+ * Failed refunds do not count, so their amount can be refunded again
+ */
+async function refundableAmount(client, payment) {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS refunded
+     FROM refunds
+     WHERE payment_id = $1 AND status <> 'FAILED'`,
+    [payment.id]
+  );
+
+  return (toCents(payment.amount) - toCents(result.rows[0].refunded)) / 100;
+}
+
+/**
+ * Move a payment to PARTIALLY_REFUNDED or REFUNDED from its succeeded refunds
+ * @returns {Promise<object>} The payment, updated if anything was refunded
+ */
+async function settleRefundedPayment(client, payment) {
+  const refundedRes = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) AS refunded
+     FROM refunds
+     WHERE payment_id = $1 AND status = 'SUCCEEDED'`,
+    [payment.id]
+  );
+  const refunded = toCents(refundedRes.rows[0].refunded);
+
+  if (refunded === 0) {
+    return payment;
+  }
+
+  const status = refunded >= toCents(payment.amount) ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  const paymentRes = await client.query(
+    `UPDATE payments
+     SET status = $1,
+         updated_at = now()
+     WHERE id = $2
+     RETURNING *`,
+    [status, payment.id]
+  );
+
+  return paymentRes.rows[0];
+}
+
+/**
+ * Push the payment's new status and tell the rider once a refund succeeds
+ */
+async function announceRefund(payment, refund) {
+  await paymentService.publishPaymentUpdate(payment.id);
+
+  if (refund.status !== 'SUCCEEDED') {
+    return;
+  }
+
+  const riderRes = await db.query(
+    `SELECT r.rider_id
+     FROM payments p
+     LEFT JOIN trips t ON t.id = p.trip_id
+     JOIN rides r ON r.id = COALESCE(p.ride_id, t.ride_id)
+     WHERE p.id = $1`,
+    [payment.id]
+  );
+
+  if (riderRes.rowCount > 0) {
+    await notificationService.notifyRefundIssued(riderRes.rows[0].rider_id, {
+      payment_id: payment.id,
+      refund_id: refund.id,
+      amount: refund.amount
+    });
+  }
+}
+
+/**
+ * Refund a payment in full or in part
+ * The payment row lock serializes refunds of the same payment, so concurrent
+ * requests cannot refund more than was captured between them.
+ * @param {object} request - { amount, reason }; amount defaults to what is left
+ * @param {string} [idempotencyKey] - A repeated key returns the refund it created
+ * @returns {Promise<object>} { refund, created }
+ * @throws {AppError} 409 if the payment holds no captured money, 422 if the
+ *   amount exceeds what is left to refund
+ */
+exports.createRefund = async (paymentId, { amount, reason = null } = {}, idempotencyKey = null) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentRes = await client.query(
+      'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+      [paymentId]
+    );
+
+    if (paymentRes.rowCount === 0) {
+      throw new Error('Payment not found');
+    }
+
+    const payment = paymentRes.rows[0];
+
+    if (idempotencyKey) {
+      const existing = await client.query(
+        'SELECT * FROM refunds WHERE payment_id = $1 AND idempotency_key = $2',
+        [paymentId, idempotencyKey]
+      );
+
+      if (existing.rowCount > 0) {
+        await client.query('COMMIT');
+        return { refund: existing.rows[0], created: false };
+      }
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new AppError(`Cannot refund a payment in ${payment.status} state`, 409);
+    }
+    // Top-up money is already in the wallet, and may have been spent
+    if (payment.top_up_rider_id) {
+      throw new AppError('Cannot refund a wallet top-up', 409);
+    }
+
+    const refundable = await refundableAmount(client, payment);
+    const refundAmount = amount ?? refundable;
+
+    if (refundable <= 0) {
+      throw new AppError('Payment is already fully refunded', 409);
+    }
+    if (toCents(refundAmount) > toCents(refundable)) {
+      throw new AppError(`Refund exceeds the refundable amount of ${refundable.toFixed(2)}`, 422);
+    }
+
+    const refundRes = await client.query(
+      `INSERT INTO refunds (payment_id, amount, reason, idempotency_key)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [paymentId, refundAmount, reason, idempotencyKey]
+    );
+
+    let refund = refundRes.rows[0];
+    const toWallet = payment.payment_method === 'WALLET';
+
+    if (toWallet) {
+      await walletService.creditRefund(client, payment, refund);
+
+      const succeededRes = await client.query(
+        `UPDATE refunds
+         SET status = 'SUCCEEDED',
+             updated_at = now()
+         WHERE id = $1
+         RETURNING *`,
+        [refund.id]
+      );
+      refund = succeededRes.rows[0];
+      await settleRefundedPayment(client, payment);
+    } else {
+      await client.query(
+        `INSERT INTO outbox_events
+         (aggregate_type, aggregate_id, event_type, payload)
+         VALUES ('REFUND', $1, 'REFUND_CREATED', $2)`,
+        [refund.id, refund]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    newrelic.recordMetric('Custom/Refund/Created', 1);
+    newrelic.recordMetric(
+      toCents(refundAmount) === toCents(payment.amount) ? 'Custom/Refund/Full' : 'Custom/Refund/Partial',
+      1
+    );
+
+    if (toWallet) {
+      try {
+        await announceRefund(payment, refund);
+      } catch (err) {
+        newrelic.noticeError(err, { context: 'createRefund', paymentId });
+      }
+    }
+
+    return { refund, created: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'createRefund', paymentId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Send a refund to the PSP (outbox worker)
+ * The idempotency key derives from the refund ID, so a retry after a timeout
+ * cannot refund twice
+ * @returns {Promise<object>} Same shape as paymentService.processPayment
+ */
+exports.processRefund = async (refundId) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const refundRes = await client.query(
+      `SELECT r.*, p.psp_transaction_id
+       FROM refunds r
+       JOIN payments p ON p.id = r.payment_id
+       WHERE r.id = $1
+       FOR UPDATE OF r`,
+      [refundId]
+    );
+
+    if (refundRes.rowCount === 0) {
+      throw new Error('Refund not found');
+    }
+
+    const refund = refundRes.rows[0];
+
+    if (refund.status !== 'PENDING') {
+      await client.query('COMMIT');
+      return { success: true, alreadyProcessed: true, refund };
+    }
+
+    if (refund.retry_count >= MAX_RETRIES) {
+      await client.query(
+        `UPDATE refunds
+         SET status = 'FAILED',
+             failure_reason = 'Max retries exceeded',
+             updated_at = now()
+         WHERE id = $1`,
+        [refundId]
+      );
+      await client.query('COMMIT');
+
+      newrelic.recordMetric('Custom/Refund/MaxRetriesExceeded', 1);
+      return { success: false, reason: 'Max retries exceeded' };
+    }
+
+    try {
+      const pspRefund = await psp.refund(refund.psp_transaction_id, refund.amount, {
+        idempotencyKey: `refund:${refund.id}`,
+        metadata: { refund_id: refund.id, payment_id: refund.payment_id }
+      });
+
+      // The webhook moves it to SUCCEEDED/FAILED when the PSP settles it
+      await client.query(
+        `UPDATE refunds
+         SET status = 'PROCESSING',
+             psp_refund_id = $1,
+             psp_response = $2,
+             failure_reason = NULL,
+             updated_at = now()
+         WHERE id = $3`,
+        [pspRefund.refund_id, JSON.stringify(pspRefund.raw || pspRefund), refundId]
+      );
+      await client.query('COMMIT');
+
+      newrelic.recordMetric('Custom/Refund/ProcessingSent', 1);
+      return { success: true, processing: true, refund };
+    } catch (pspError) {
+      // Rejected by the PSP (e.g. already refunded there): retrying will not help
+      if (!pspError.retryable) {
+        await client.query(
+          `UPDATE refunds
+           SET status = 'FAILED',
+               failure_reason = $1,
+               updated_at = now()
+           WHERE id = $2`,
+          [pspError.code, refundId]
+        );
+        await client.query('COMMIT');
+
+        newrelic.recordMetric('Custom/Refund/Rejected', 1);
+        return { success: false, reason: pspError.code };
+      }
+
+      const retryCount = refund.retry_count + 1;
+      await client.query(
+        `UPDATE refunds
+         SET retry_count = $1,
+             failure_reason = $2,
+             updated_at = now()
+         WHERE id = $3`,
+        [retryCount, pspError.message, refundId]
+      );
+      await client.query('COMMIT');
+
+      newrelic.recordMetric('Custom/Refund/Retry', 1);
+      return { success: false, retry: true, retryCount, reason: pspError.message };
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'processRefund', refundId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Handle a `refund.*` webhook from the PSP
+ * Deduplicated through psp_webhook_events like payment webhooks; a settled
+ * refund is not changed by a later event.
+ * @returns {Promise<object>} { payment, refund, applied, reason }
+ */
+exports.handleWebhook = async (webhookData) => {
+  const { id: eventId, type, payment_id, refund_id, status } = webhookData;
+  const client = await db.getClient();
+  let payment;
+  let refund;
+  let applied = false;
+  let reason = null;
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the payment first, like createRefund, so its status follows its refunds
+    const paymentRes = await client.query(
+      'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+      [payment_id]
+    );
+
+    if (paymentRes.rowCount === 0) {
+      throw new Error('Payment not found for webhook');
+    }
+
+    payment = paymentRes.rows[0];
+
+    const refundRes = await client.query(
+      'SELECT * FROM refunds WHERE id = $1 AND payment_id = $2 FOR UPDATE',
+      [refund_id, payment_id]
+    );
+
+    if (refundRes.rowCount === 0) {
+      throw new Error('Refund not found for webhook');
+    }
+
+    refund = refundRes.rows[0];
+    const nextStatus = status === 'succeeded' ? 'SUCCEEDED' : 'FAILED';
+    const outOfOrder = FINAL_STATUSES.includes(refund.status) && refund.status !== nextStatus;
+
+    const eventResult = await client.query(
+      `INSERT INTO psp_webhook_events (event_id, payment_id, event_type, applied)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id) DO NOTHING`,
+      [eventId, payment_id, type, !outOfOrder]
+    );
+
+    if (eventResult.rowCount === 0) {
+      reason = 'duplicate';
+    } else if (outOfOrder) {
+      reason = 'out_of_order';
+    } else {
+      const updateRes = await client.query(
+        `UPDATE refunds
+         SET status = $1,
+             psp_refund_id = COALESCE($2, psp_refund_id),
+             psp_response = $3,
+             failure_reason = $4,
+             updated_at = now()
+         WHERE id = $5
+         RETURNING *`,
+        [
+          nextStatus,
+          webhookData.psp_refund_id || null,
+          JSON.stringify(webhookData),
+          nextStatus === 'FAILED' ? webhookData.failure_reason || 'Refund failed' : null,
+          refund_id
+        ]
+      );
+      refund = updateRes.rows[0];
+
+      payment = await settleRefundedPayment(client, payment);
+
+      await client.query(
+        `UPDATE outbox_events
+         SET processed = true
+         WHERE aggregate_type = 'REFUND'
+           AND aggregate_id = $1
+           AND processed = false`,
+        [refund_id]
+      );
+      applied = true;
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'handleRefundWebhook', webhookData });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  newrelic.recordMetric('Custom/Refund/WebhookReceived', 1);
+  if (!applied) {
+    newrelic.recordMetric(`Custom/Refund/Webhook/${reason === 'duplicate' ? 'Duplicate' : 'OutOfOrder'}`, 1);
+    return { payment, refund, applied, reason };
+  }
+  newrelic.recordMetric(`Custom/Refund/Webhook/${status}`, 1);
+
+  try {
+    await announceRefund(payment, refund);
+  } catch (err) {
+    // The refund is already settled; a redelivery would only be a duplicate
+    newrelic.noticeError(err, { context: 'handleRefundWebhook', webhookData });
+  }
+
+  return { payment, refund, applied, reason };
+};
+
+/**
+ * Refund lines of a trip's payments, oldest first (receipts)
+ */
+exports.getRefundsForTrip = async (tripId) => {
+  const result = await db.query(
+    `SELECT rf.id, rf.payment_id, rf.amount, rf.status, rf.reason, rf.created_at
+     FROM refunds rf
+     JOIN payments p ON p.id = rf.payment_id
+     WHERE p.trip_id = $1
+     ORDER BY rf.created_at`,
+    [tripId]
+  );
+
+  return result.rows;
+};
+
+exports.REFUNDABLE_STATUSES = REFUNDABLE_STATUSES;
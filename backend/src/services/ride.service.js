@@ -1,6 +1,40 @@
 const db = require('../db');
+const newrelic = require('newrelic');
 const wsManager = require('../utils/websocket');
 const matchingService = require('./matching.service');
+const surgeService = require('./surge.service');
+const fareService = require('./fare.service');
+const tripService = require('./trip.service');
+const riderService = require('./rider.service');
+const { invalidateDriverCache } = require('../utils/redis');
+const { AppError } = require('../middlewares/error.middleware');
+const {
+  RIDE_STATES,
+  TRIP_STATES,
+  DRIVER_STATES,
+  OFFER_STATES,
+  validateRideTransition,
+  canCancelRide,
+  StateTransitionError
+} = require('../utils/stateMachine');
+
+// Riders may cancel for free within this many minutes of a driver being assigned
+const FREE_CANCELLATION_WINDOW_MIN = Number(process.env.FREE_CANCELLATION_WINDOW_MIN ?? 2);
+const LATE_CANCELLATION_FEE = Number(process.env.LATE_CANCELLATION_FEE ?? 5.0);
+
+/**
+ * Cancellation fee owed for a ride, based on how long its driver has been assigned
+ */
+function calculateCancellationFee(ride, now = Date.now()) {
+  if (ride.status !== RIDE_STATES.DRIVER_ASSIGNED || !ride.assigned_at) {
+    return 0;
+  }
+
+  const assignedForMs = now - new Date(ride.assigned_at).getTime();
+  return assignedForMs > FREE_CANCELLATION_WINDOW_MIN * 60 * 1000
+    ? LATE_CANCELLATION_FEE
+    : 0;
+}
 
 exports.createRide = async (data) => {
   const {
@@ -10,14 +44,30 @@ exports.createRide = async (data) => {
     drop_latitude,
     drop_longitude,
     tier = 'ECONOMY',
-    payment_method = 'CARD'
+    quote_id
   } = data;
 
+  // Fall back to the rider's saved payment method
+  const payment_method = data.payment_method ||
+    (await riderService.getRider(rider_id)).default_payment_method;
+
+  // A fare quote locks in its surge and caps the fare; otherwise use the
+  // pickup zone's current surge
+  let pricing = { surge_multiplier: null, quoted_fare: null, quote_expires_at: null };
+  if (quote_id) {
+    pricing = await fareService.redeemQuote(quote_id, { ...data, tier });
+  } else {
+    pricing.surge_multiplier = await surgeService.getSurgeMultiplier(
+      pickup_latitude,
+      pickup_longitude
+    );
+  }
+
   const rideResult = await db.query(
     `INSERT INTO rides
      (rider_id, pickup_latitude, pickup_longitude, drop_latitude, drop_longitude, 
-      tier, payment_method, status)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,'MATCHING')
+      tier, payment_method, surge_multiplier, quoted_fare, quote_expires_at, status)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'MATCHING')
      RETURNING *`,
     [
       rider_id,
@@ -26,7 +76,10 @@ exports.createRide = async (data) => {
       drop_latitude,
       drop_longitude,
       tier,
-      payment_method
+      payment_method,
+      pricing.surge_multiplier,
+      pricing.quoted_fare,
+      pricing.quote_expires_at
     ]
   );
 
@@ -57,4 +110,171 @@ exports.getRide = async (rideId) => {
   }
 
   return result.rows[0];
-};
\ No newline at end of file
+};
+
+/**
+ * Cancel a ride on behalf of the rider
+ * Releases the assigned driver, cancels a not-yet-started trip and charges
+ * a late-cancellation fee when the driver has been assigned for too long
+ */
+exports.cancelRide = async (rideId, reason = 'Rider cancelled') => {
+  const client = await db.getClient();
+  let ride;
+  let trip;
+  let cancelledTrip = null;
+  let releasedDriver = null;
+  let withdrawnOffers = [];
+  let feePayment = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const rideRes = await client.query(
+      `SELECT * FROM rides WHERE id = $1 FOR UPDATE`,
+      [rideId]
+    );
+
+    if (rideRes.rowCount === 0) {
+      throw new Error('Ride not found');
+    }
+
+    ride = rideRes.rows[0];
+
+    // Validate state transition
+    if (!canCancelRide(ride.status)) {
+      throw new StateTransitionError(
+        `Cannot cancel ride in ${ride.status} state`,
+        ride.status,
+        RIDE_STATES.CANCELLED,
+        'Ride'
+      );
+    }
+
+    validateRideTransition(ride.status, RIDE_STATES.CANCELLED);
+
+    // Once the driver has started the trip the rider can no longer cancel the ride
+    const tripRes = await client.query(
+      `SELECT id, status, ride_id, driver_id FROM trips WHERE ride_id = $1 FOR UPDATE`,
+      [rideId]
+    );
+    trip = tripRes.rows[0];
+
+    if (trip && ![TRIP_STATES.CREATED, TRIP_STATES.ARRIVED].includes(trip.status)) {
+      throw new AppError(`Cannot cancel ride with trip in ${trip.status} state`, 409);
+    }
+
+    const cancellationFee = calculateCancellationFee(ride);
+
+    const rideUpdate = await client.query(
+      `UPDATE rides
+       SET status = $1,
+           cancellation_reason = $2,
+           cancellation_fee = $3,
+           cancelled_at = now(),
+           updated_at = now()
+       WHERE id = $4
+       RETURNING *`,
+      [RIDE_STATES.CANCELLED, reason, cancellationFee, rideId]
+    );
+    ride = rideUpdate.rows[0];
+
+    // Close the open offer so the driver can be offered other rides right away
+    const offersRes = await client.query(
+      `UPDATE ride_offers
+       SET status = $1
+       WHERE ride_id = $2 AND status = $3
+       RETURNING *`,
+      [OFFER_STATES.WITHDRAWN, rideId, OFFER_STATES.PENDING]
+    );
+    withdrawnOffers = offersRes.rows;
+
+    // Release the assigned driver back to the pool, unless already serving another ride
+    if (ride.assigned_driver_id) {
+      const driverUpdate = await client.query(
+        `UPDATE drivers
+         SET status = $1,
+             updated_at = now()
+         WHERE id = $2 AND status = $3
+           AND NOT EXISTS (
+             SELECT 1 FROM trips
+             WHERE driver_id = $2 AND ride_id <> $4
+               AND status IN ('CREATED', 'ARRIVED', 'STARTED', 'PAUSED')
+           )
+         RETURNING *`,
+        [DRIVER_STATES.AVAILABLE, ride.assigned_driver_id, DRIVER_STATES.ON_TRIP, rideId]
+      );
+      releasedDriver = driverUpdate.rows[0] || null;
+    }
+
+    // Cancel the trip the driver already accepted, under the lock taken above
+    if (trip) {
+      cancelledTrip = await tripService.cancelLockedTrip(
+        client,
+        trip,
+        tripService.TRIP_CANCELLATION_REASONS.RIDER_CANCELLED,
+        { note: reason, cancelledBy: 'RIDER' }
+      );
+    }
+
+    // Charge the late-cancellation fee through the payment outbox, by the
+    // ride's payment method (WALLET is debited by the worker); a CASH rider
+    // never meets the driver, so the fee stays on the ride uncollected
+    if (cancellationFee > 0 && ride.payment_method === 'CASH') {
+      newrelic.recordMetric('Custom/Ride/CancellationFee/CashUncollected', 1);
+    } else if (cancellationFee > 0) {
+      const paymentRes = await client.query(
+        `INSERT INTO payments (ride_id, trip_id, amount, payment_method, status)
+         VALUES ($1, $2, $3, $4, 'PENDING')
+         RETURNING *`,
+        [rideId, trip ? trip.id : null, cancellationFee, ride.payment_method || 'CARD']
+      );
+      feePayment = paymentRes.rows[0];
+
+      await client.query(
+        `INSERT INTO outbox_events
+         (aggregate_type, aggregate_id, event_type, payload)
+         VALUES ('PAYMENT', $1, 'PAYMENT_CREATED', $2)`,
+        [feePayment.id, feePayment]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'cancelRide', rideId });
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (ride.assigned_driver_id) {
+    await invalidateDriverCache(ride.assigned_driver_id);
+  }
+
+  if (cancelledTrip) {
+    await tripService.publishTripCancelled(
+      cancelledTrip,
+      ride.rider_id,
+      tripService.TRIP_CANCELLATION_REASONS.RIDER_CANCELLED,
+      { note: reason, cancelledBy: 'RIDER' }
+    );
+  }
+
+  for (const offer of withdrawnOffers) {
+    wsManager.broadcastRideOfferClosed(offer);
+  }
+
+  wsManager.broadcastRideUpdated(ride);
+  if (releasedDriver) {
+    wsManager.broadcastDriverStatusChanged(releasedDriver);
+  }
+
+  newrelic.recordMetric('Custom/Ride/Cancelled', 1);
+  if (feePayment) {
+    newrelic.recordMetric('Custom/Ride/CancellationFee', feePayment.amount);
+  }
+
+  return { ride, cancellation_fee: ride.cancellation_fee, payment: feePayment };
+};
+
+exports.calculateCancellationFee = calculateCancellationFee;
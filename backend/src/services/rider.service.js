@@ -0,0 +1,96 @@
+const db = require('../db');
+const { AppError } = require('../middlewares/error.middleware');
+const logger = require('../config/logger');
+
+/**
+ * Rider Service
+ * Rider accounts: contact details, saved payment method and home/work places
+ */
+
+// Fields a rider may change with PATCH
+const UPDATABLE_FIELDS = ['name', 'phone', 'email', 'default_payment_method', 'home_place', 'work_place'];
+
+/**
+ * Turn a phone/email unique violation into a 409 naming the field
+ */
+function duplicateRiderError(err) {
+  if (err.code !== '23505') {
+    return err;
+  }
+
+  const field = err.constraint === 'riders_email_key' ? 'email' : 'phone';
+  return new AppError(`A rider with this ${field} already exists`, 409);
+}
+
+exports.createRider = async (data) => {
+  const {
+    name,
+    phone,
+    email = null,
+    default_payment_method = 'CARD',
+    home_place = null,
+    work_place = null
+  } = data;
+
+  try {
+    const result = await db.query(
+      `INSERT INTO riders (name, phone, email, default_payment_method, home_place, work_place)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, phone, email, default_payment_method, home_place, work_place]
+    );
+
+    const rider = result.rows[0];
+    logger.info({ riderId: rider.id }, 'Rider created');
+    return rider;
+  } catch (err) {
+    throw duplicateRiderError(err);
+  }
+};
+
+exports.getRider = async (riderId) => {
+  const result = await db.query(
+    'SELECT * FROM riders WHERE id=$1',
+    [riderId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('Rider not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Update the given profile fields; fields left out are unchanged
+ */
+exports.updateRider = async (riderId, data) => {
+  const fields = UPDATABLE_FIELDS.filter(field => data[field] !== undefined);
+
+  if (fields.length === 0) {
+    return exports.getRider(riderId);
+  }
+
+  const assignments = fields.map((field, index) => `${field}=$${index + 1}`);
+  const params = fields.map(field => data[field]);
+
+  try {
+    const result = await db.query(
+      `UPDATE riders
+       SET ${assignments.join(', ')},
+           updated_at=now()
+       WHERE id=$${fields.length + 1}
+       RETURNING *`,
+      [...params, riderId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('Rider not found');
+    }
+
+    logger.info({ riderId, fields }, 'Rider updated');
+    return result.rows[0];
+  } catch (err) {
+    throw duplicateRiderError(err);
+  }
+};
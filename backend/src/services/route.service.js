@@ -0,0 +1,106 @@
+const db = require('../db');
+const polyline = require('../utils/polyline');
+const { removeJumps, trackDistanceKm } = require('../utils/geo');
+
+/**
+ * Route Service
+ * GPS breadcrumbs of running trips and the routes derived from them
+ */
+
+// Anything faster between two fixes is a GPS jump, not driving
+const MAX_SPEED_KMH = Number(process.env.ROUTE_MAX_SPEED_KMH ?? 200);
+
+/**
+ * Record a location ping against the driver's running trip, if any
+ * @returns {boolean} Whether a breadcrumb was recorded
+ */
+exports.recordBreadcrumb = async (driverId, { latitude, longitude }) => {
+  const result = await db.query(
+    `INSERT INTO trip_breadcrumbs (trip_id, latitude, longitude)
+     SELECT id, $2, $3
+     FROM trips
+     WHERE driver_id = $1 AND status = 'STARTED'`,
+    [driverId, latitude, longitude]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Cleaned GPS track of a trip: points recorded while paused and GPS jumps are dropped
+ * @param {object} client - Database client (or the pool)
+ * @returns {Array<{latitude, longitude, recorded_at}>} Points in time order
+ */
+exports.getTrack = async (client, tripId) => {
+  const result = await client.query(
+    `SELECT b.latitude, b.longitude, b.recorded_at
+     FROM trip_breadcrumbs b
+     WHERE b.trip_id = $1
+       AND NOT EXISTS (
+         SELECT 1
+         FROM trip_pauses p
+         WHERE p.trip_id = b.trip_id
+           AND b.recorded_at >= p.paused_at
+           AND (p.resumed_at IS NULL OR b.recorded_at < p.resumed_at)
+       )
+     ORDER BY b.recorded_at, b.id`,
+    [tripId]
+  );
+
+  return removeJumps(result.rows, MAX_SPEED_KMH);
+};
+
+/**
+ * Distance and encoded polyline of a track
+ * @returns {object|null} { distance_km, polyline }, or null if the track has fewer than 2 points
+ */
+exports.summarizeTrack = (points) => {
+  if (points.length < 2) {
+    return null;
+  }
+
+  return {
+    distance_km: parseFloat(trackDistanceKm(points).toFixed(3)),
+    polyline: polyline.encode(points)
+  };
+};
+
+/**
+ * Route of a trip as a GeoJSON Feature (LineString of [longitude, latitude])
+ * Ended trips use the stored polyline; running trips the breadcrumbs so far
+ */
+exports.getTripRoute = async (tripId) => {
+  const result = await db.query(
+    `SELECT id, status, distance_km, distance_source, route_polyline, started_at, ended_at
+     FROM trips
+     WHERE id = $1`,
+    [tripId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('Trip not found');
+  }
+
+  const trip = result.rows[0];
+  const points = trip.route_polyline
+    ? polyline.decode(trip.route_polyline)
+    : await exports.getTrack(db, tripId);
+
+  return {
+    type: 'Feature',
+    geometry: points.length >= 2
+      ? { type: 'LineString', coordinates: points.map(p => [p.longitude, p.latitude]) }
+      : null,
+    properties: {
+      trip_id: trip.id,
+      status: trip.status,
+      distance_km: trip.distance_km !== null ? Number(trip.distance_km) : null,
+      distance_source: trip.distance_source,
+      points: points.length,
+      started_at: trip.started_at,
+      ended_at: trip.ended_at
+    }
+  };
+};
+
+exports.MAX_SPEED_KMH = MAX_SPEED_KMH;
@@ -0,0 +1,189 @@
+const db = require('../db');
+const redis = require('../utils/redis');
+const geohash = require('../utils/geohash');
+const logger = require('../config/logger');
+const newrelic = require('newrelic');
+
+/**
+ * Surge Pricing Service
+ * Divides the map into geohash cells and prices each cell from its
+ * demand (MATCHING rides) versus supply (AVAILABLE drivers in drivers:geo)
+ */
+
+const SURGE_KEY = 'surge:cells';
+const SURGE_GEOHASH_PRECISION = 5; // ~4.9km cells
+const SURGE_TTL_SEC = 300; // Stale surge falls back to 1.0 if the worker stops
+
+const MAX_SURGE_MULTIPLIER = Number(process.env.SURGE_MAX_MULTIPLIER ?? 3.0);
+const SURGE_SENSITIVITY = Number(process.env.SURGE_SENSITIVITY ?? 0.5);
+const SURGE_SMOOTHING = Number(process.env.SURGE_SMOOTHING ?? 0.5);
+
+/**
+ * Geohash cell used for surge pricing
+ */
+function cellFor(latitude, longitude) {
+  return geohash.encode(latitude, longitude, SURGE_GEOHASH_PRECISION);
+}
+
+/**
+ * Compute a cell's multiplier from demand and supply
+ * The target rises with the demand/supply ratio and is capped; the result
+ * moves only part of the way from the previous multiplier (exponential smoothing)
+ * @param {number} demand - MATCHING rides in the cell
+ * @param {number} supply - AVAILABLE drivers in the cell
+ * @param {number} previous - Previous multiplier for the cell
+ * @returns {number} Multiplier rounded to 2 decimals, between 1.0 and the cap
+ */
+function computeSurgeMultiplier(demand, supply, previous = 1.0) {
+  const ratio = demand / Math.max(supply, 1);
+  const target = Math.min(
+    Math.max(1 + SURGE_SENSITIVITY * (ratio - 1), 1.0),
+    MAX_SURGE_MULTIPLIER
+  );
+
+  const smoothed = previous + SURGE_SMOOTHING * (target - previous);
+  const rounded = Math.round(smoothed * 100) / 100;
+
+  return Math.min(Math.max(rounded, 1.0), MAX_SURGE_MULTIPLIER);
+}
+
+/**
+ * Count MATCHING rides per cell
+ */
+async function countDemandByCell() {
+  const result = await db.query(
+    `SELECT pickup_latitude, pickup_longitude
+     FROM rides
+     WHERE status = 'MATCHING'`
+  );
+
+  const demand = new Map();
+  for (const ride of result.rows) {
+    const cell = cellFor(ride.pickup_latitude, ride.pickup_longitude);
+    demand.set(cell, (demand.get(cell) || 0) + 1);
+  }
+
+  return demand;
+}
+
+/**
+ * Count AVAILABLE drivers per cell using their drivers:geo positions
+ */
+async function countSupplyByCell() {
+  const result = await db.query(
+    `SELECT id FROM drivers WHERE status = 'AVAILABLE'`
+  );
+
+  const supply = new Map();
+  if (result.rowCount === 0) {
+    return supply;
+  }
+
+  const positions = await redis.geoPos('drivers:geo', result.rows.map(d => d.id));
+  for (const position of positions) {
+    if (!position) continue; // Available but not in the geo index
+
+    const cell = cellFor(position.latitude, position.longitude);
+    supply.set(cell, (supply.get(cell) || 0) + 1);
+  }
+
+  return supply;
+}
+
+/**
+ * Load the current surge state for all cells
+ * @returns {object} { [geohash]: { multiplier, demand, supply, updated_at } }
+ */
+async function getSurgeCells() {
+  const cells = await redis.hGetAll(SURGE_KEY);
+
+  return Object.fromEntries(
+    Object.entries(cells || {}).map(([cell, value]) => [cell, JSON.parse(value)])
+  );
+}
+
+/**
+ * Recompute multipliers for every cell with demand, supply or residual surge
+ * Called on a schedule by the surge worker
+ */
+exports.refreshSurge = async () => {
+  const [demand, supply, previous] = await Promise.all([
+    countDemandByCell(),
+    countSupplyByCell(),
+    getSurgeCells()
+  ]);
+
+  const cells = new Set([...demand.keys(), ...supply.keys(), ...Object.keys(previous)]);
+  const updatedAt = new Date().toISOString();
+  const next = {};
+
+  for (const cell of cells) {
+    const cellDemand = demand.get(cell) || 0;
+    const cellSupply = supply.get(cell) || 0;
+    const multiplier = computeSurgeMultiplier(
+      cellDemand,
+      cellSupply,
+      previous[cell]?.multiplier ?? 1.0
+    );
+
+    // Only surging cells are stored; everything else is 1.0
+    if (multiplier > 1.0) {
+      next[cell] = JSON.stringify({
+        multiplier,
+        demand: cellDemand,
+        supply: cellSupply,
+        updated_at: updatedAt
+      });
+    }
+  }
+
+  const tx = redis.multi().del(SURGE_KEY);
+  if (Object.keys(next).length > 0) {
+    tx.hSet(SURGE_KEY, next).expire(SURGE_KEY, SURGE_TTL_SEC);
+  }
+  await tx.exec();
+
+  const surgingCells = Object.keys(next).length;
+  newrelic.recordMetric('Custom/Surge/SurgingCells', surgingCells);
+  logger.debug({ cells: cells.size, surgingCells }, 'Surge multipliers refreshed');
+
+  return { cells: cells.size, surging_cells: surgingCells };
+};
+
+/**
+ * Current surge for a location
+ * Falls back to 1.0 when surge data is unavailable so pricing never blocks booking
+ * @returns {object} { geohash, surge_multiplier, demand, supply, updated_at }
+ */
+exports.getSurge = async (latitude, longitude) => {
+  const cell = cellFor(latitude, longitude);
+
+  try {
+    const value = await redis.hGet(SURGE_KEY, cell);
+    if (value) {
+      const state = JSON.parse(value);
+      return {
+        geohash: cell,
+        surge_multiplier: state.multiplier,
+        demand: state.demand,
+        supply: state.supply,
+        updated_at: state.updated_at
+      };
+    }
+  } catch (error) {
+    logger.warn({ cell, error: error.message }, 'Failed to read surge multiplier');
+  }
+
+  return { geohash: cell, surge_multiplier: 1.0 };
+};
+
+/**
+ * Current surge multiplier for a location
+ */
+exports.getSurgeMultiplier = async (latitude, longitude) => {
+  const surge = await exports.getSurge(latitude, longitude);
+  return surge.surge_multiplier;
+};
+
+exports.computeSurgeMultiplier = computeSurgeMultiplier;
+exports.cellFor = cellFor;
@@ -1,37 +1,62 @@
 const db = require('../db');
 const newrelic = require('newrelic');
 const notificationService = require('./notification.service');
+const routeService = require('./route.service');
+const refundService = require('./refund.service');
+const paymentService = require('./payment.service');
 const wsManager = require('../utils/websocket');
-const { invalidateDriverCache } = require('../utils/redis');
+const { invalidateDriverCache, clearDriverPickup, clearDriverRide } = require('../utils/redis');
+const { AppError } = require('../middlewares/error.middleware');
+const { haversineKm } = require('../utils/geo');
 const {
   TRIP_STATES,
   validateTripTransition,
+  canArriveTrip,
   canStartTrip,
   canPauseTrip,
+  canResumeTrip,
   canEndTrip,
   canCancelTrip,
   StateTransitionError
 } = require('../utils/stateMachine');
 
 // Fare calculation based on tier
+// per_wait_min applies to time the trip spends PAUSED instead of per_min
 const TIER_RATES = {
-  ECONOMY: { base: 5.0, per_km: 1.5, per_min: 0.25 },
-  PREMIUM: { base: 8.0, per_km: 2.5, per_min: 0.40 },
-  LUXURY: { base: 15.0, per_km: 4.0, per_min: 0.60 }
+  ECONOMY: { base: 5.0, per_km: 1.5, per_min: 0.25, per_wait_min: 0.15 },
+  PREMIUM: { base: 8.0, per_km: 2.5, per_min: 0.40, per_wait_min: 0.25 },
+  LUXURY: { base: 15.0, per_km: 4.0, per_min: 0.60, per_wait_min: 0.40 }
 };
 
+// Why a trip was cancelled; the first four are selectable by drivers
+const TRIP_CANCELLATION_REASONS = {
+  RIDER_NO_SHOW: 'RIDER_NO_SHOW',
+  SAFETY: 'SAFETY',
+  VEHICLE_ISSUE: 'VEHICLE_ISSUE',
+  OTHER: 'OTHER',
+  RIDER_CANCELLED: 'RIDER_CANCELLED'
+};
+
+// A driver this close to the pickup point has arrived; the rider then waits
+// for free, and only after that can the driver cancel for RIDER_NO_SHOW
+const ARRIVAL_GEOFENCE_M = Number(process.env.ARRIVAL_GEOFENCE_M ?? 100);
+const FREE_WAITING_SEC = Number(process.env.FREE_WAITING_SEC ?? 300);
+
 /**
  * Calculate fare based on distance, duration, and tier
+ * durationSec is driving time only; paused time is charged as waitingSec
  */
-function calculateFare(distanceKm, durationSec, tier, surgeMultiplier = 1.0) {
+function calculateFare(distanceKm, durationSec, tier, surgeMultiplier = 1.0, waitingSec = 0) {
   const rates = TIER_RATES[tier] || TIER_RATES.ECONOMY;
   const durationMin = durationSec / 60;
+  const waitingMin = waitingSec / 60;
   
   const baseFare = rates.base;
   const distanceFare = distanceKm * rates.per_km;
   const timeFare = durationMin * rates.per_min;
+  const waitingFare = waitingMin * rates.per_wait_min;
   
-  const subtotal = baseFare + distanceFare + timeFare;
+  const subtotal = baseFare + distanceFare + timeFare + waitingFare;
   const total = subtotal * surgeMultiplier;
   
   return {
@@ -41,11 +66,147 @@ function calculateFare(distanceKm, durationSec, tier, surgeMultiplier = 1.0) {
       base: baseFare,
       distance: distanceFare,
       time: timeFare,
+      waiting: waitingFare,
       surge: surgeMultiplier
     }
   };
 }
 
+/**
+ * Close the trip's open pause interval, if any
+ * @returns {number} Seconds the closed interval lasted (0 if none was open)
+ */
+async function closeOpenPause(client, tripId) {
+  const pauseRes = await client.query(
+    `UPDATE trip_pauses
+     SET resumed_at = now()
+     WHERE trip_id = $1 AND resumed_at IS NULL
+     RETURNING EXTRACT(EPOCH FROM (resumed_at - paused_at))::int AS paused_sec`,
+    [tripId]
+  );
+  
+  return pauseRes.rowCount > 0 ? pauseRes.rows[0].paused_sec : 0;
+}
+
+/**
+ * Mark the driver as arrived at the pickup point; starts the free waiting time
+ * @param {string} source - DRIVER (POST /trips/:id/arrive) or GEOFENCE (location ping)
+ */
+exports.arriveTrip = async (tripId, source = 'DRIVER') => {
+  const client = await db.getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    // Get trip and lock it
+    const tripRes = await client.query(
+      `SELECT t.*, r.rider_id, d.name AS driver_name, d.phone AS driver_phone
+       FROM trips t
+       JOIN rides r ON t.ride_id = r.id
+       JOIN drivers d ON t.driver_id = d.id
+       WHERE t.id = $1
+       FOR UPDATE OF t`,
+      [tripId]
+    );
+    
+    if (tripRes.rowCount === 0) {
+      throw new Error('Trip not found');
+    }
+    
+    const trip = tripRes.rows[0];
+    
+    // Validate state transition
+    if (!canArriveTrip(trip.status)) {
+      throw new StateTransitionError(
+        `Cannot mark arrival for trip in ${trip.status} state`,
+        trip.status,
+        TRIP_STATES.ARRIVED,
+        'Trip'
+      );
+    }
+    
+    validateTripTransition(trip.status, TRIP_STATES.ARRIVED);
+    
+    // Picked up by the state transition audit trigger
+    await client.query(
+      `SELECT set_config('app.transitioned_by', $1, true)`,
+      [source]
+    );
+    
+    const result = await client.query(
+      `UPDATE trips
+       SET status = $1,
+           arrived_at = now(),
+           updated_at = now()
+       WHERE id = $2
+       RETURNING *`,
+      [TRIP_STATES.ARRIVED, tripId]
+    );
+    
+    await client.query('COMMIT');
+    
+    await clearDriverPickup(trip.driver_id, trip.ride_id);
+    
+    const arrived = result.rows[0];
+    const arrivedTrip = {
+      ...arrived,
+      free_wait_until: new Date(new Date(arrived.arrived_at).getTime() + FREE_WAITING_SEC * 1000)
+    };
+    
+    wsManager.broadcastDriverArrived(arrivedTrip);
+    
+    await notificationService.notifyDriverArrived(trip.rider_id, {
+      driver_name: trip.driver_name,
+      driver_phone: trip.driver_phone
+    });
+    
+    newrelic.recordMetric('Custom/Trip/Arrived', 1);
+    newrelic.recordMetric(`Custom/Trip/Arrived/${source}`, 1);
+    
+    return arrivedTrip;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'arriveTrip', tripId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark arrival when a driver's location ping is inside the pickup geofence
+ * @returns {object|null} The arrived trip, or null if the driver is not arriving
+ */
+exports.detectArrival = async (driverId, { latitude, longitude }) => {
+  const result = await db.query(
+    `SELECT t.id, r.pickup_latitude, r.pickup_longitude
+     FROM trips t
+     JOIN rides r ON t.ride_id = r.id
+     WHERE t.driver_id = $1 AND t.status = 'CREATED'`,
+    [driverId]
+  );
+  
+  const trip = result.rows[0];
+  if (!trip) {
+    return null;
+  }
+  
+  const distanceM = haversineKm(latitude, longitude, trip.pickup_latitude, trip.pickup_longitude) * 1000;
+  if (distanceM > ARRIVAL_GEOFENCE_M) {
+    return null;
+  }
+  
+  try {
+    return await exports.arriveTrip(trip.id, 'GEOFENCE');
+  } catch (err) {
+    // Marked arrived (or started) since the lookup
+    if (err instanceof StateTransitionError) {
+      return null;
+    }
+    throw err;
+  }
+};
+
 /**
  * Start a trip
  */
@@ -96,6 +257,8 @@ exports.startTrip = async (tripId) => {
     
     await client.query('COMMIT');
     
+    await clearDriverPickup(trip.driver_id, trip.ride_id);
+    
     // Broadcast trip started event
     wsManager.broadcastTripStarted(result.rows[0]);
     
@@ -160,6 +323,12 @@ exports.pauseTrip = async (tripId) => {
       [TRIP_STATES.PAUSED, tripId]
     );
     
+    // Open a pause interval; closed on resume or end
+    await client.query(
+      `INSERT INTO trip_pauses (trip_id, paused_at) VALUES ($1, now())`,
+      [tripId]
+    );
+    
     await client.query('COMMIT');
     
     newrelic.recordMetric('Custom/Trip/Paused', 1);
@@ -175,21 +344,17 @@ exports.pauseTrip = async (tripId) => {
 };
 
 /**
- * Cancel a trip
+ * Resume a paused trip
  */
-exports.cancelTrip = async (tripId, reason = 'User cancelled') => {
+exports.resumeTrip = async (tripId) => {
   const client = await db.getClient();
   
   try {
     await client.query('BEGIN');
     
-    // Get trip with ride and driver details
+    // Get current trip state and lock it
     const tripRes = await client.query(
-      `SELECT t.*, r.rider_id, r.id as ride_id
-       FROM trips t
-       JOIN rides r ON t.ride_id = r.id
-       WHERE t.id = $1
-       FOR UPDATE`,
+      `SELECT * FROM trips WHERE id = $1 FOR UPDATE`,
       [tripId]
     );
     
@@ -200,53 +365,186 @@ exports.cancelTrip = async (tripId, reason = 'User cancelled') => {
     const trip = tripRes.rows[0];
     
     // Validate state transition
-    if (!canCancelTrip(trip.status)) {
+    if (!canResumeTrip(trip.status)) {
       throw new StateTransitionError(
-        `Cannot cancel trip in ${trip.status} state`,
+        `Cannot resume trip in ${trip.status} state`,
         trip.status,
-        TRIP_STATES.CANCELLED,
+        TRIP_STATES.STARTED,
         'Trip'
       );
     }
     
-    validateTripTransition(trip.status, TRIP_STATES.CANCELLED);
+    validateTripTransition(trip.status, TRIP_STATES.STARTED);
     
-    // Update trip status
+    const pausedSec = await closeOpenPause(client, tripId);
+    
+    // Update trip status and accumulate waiting time
     const result = await client.query(
       `UPDATE trips
        SET status = $1,
+           waiting_sec = waiting_sec + $2,
            updated_at = now()
-       WHERE id = $2
+       WHERE id = $3
        RETURNING *`,
-      [TRIP_STATES.CANCELLED, tripId]
+      [TRIP_STATES.STARTED, pausedSec, tripId]
     );
     
-    // Set driver back to AVAILABLE
-    await client.query(
-      `UPDATE drivers SET status='AVAILABLE', updated_at=now() WHERE id=$1`,
-      [trip.driver_id]
+    await client.query('COMMIT');
+    
+    newrelic.recordMetric('Custom/Trip/Resumed', 1);
+    newrelic.recordMetric('Custom/Trip/PausedDuration', pausedSec);
+    
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'resumeTrip', tripId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel a trip locked by the caller, inside the caller's transaction
+ * Records the reason for the audit trigger, cancels the trip and its ride and
+ * releases the driver unless they have already moved on to another trip.
+ * @param {object} trip - Trip row locked FOR UPDATE (id, status, ride_id, driver_id)
+ * @param {string} reasonCode - One of TRIP_CANCELLATION_REASONS
+ * @param {object} options - { note, cancelledBy }
+ * @returns {Promise<object>} The cancelled trip
+ */
+async function cancelLockedTrip(client, trip, reasonCode, { note = null, cancelledBy = 'DRIVER' } = {}) {
+  if (!canCancelTrip(trip.status)) {
+    throw new StateTransitionError(
+      `Cannot cancel trip in ${trip.status} state`,
+      trip.status,
+      TRIP_STATES.CANCELLED,
+      'Trip'
     );
+  }
+
+  validateTripTransition(trip.status, TRIP_STATES.CANCELLED);
+
+  // Picked up by the state transition audit trigger
+  await client.query(
+    `SELECT set_config('app.transition_reason', $1, true),
+            set_config('app.transitioned_by', $2, true)`,
+    [reasonCode, cancelledBy]
+  );
+
+  const result = await client.query(
+    `UPDATE trips
+     SET status = $1,
+         cancellation_reason_code = $2,
+         cancellation_note = $3,
+         cancelled_by = $4,
+         cancelled_at = now(),
+         updated_at = now()
+     WHERE id = $5
+     RETURNING *`,
+    [TRIP_STATES.CANCELLED, reasonCode, note, cancelledBy, trip.id]
+  );
+
+  // Set driver back to AVAILABLE, unless already serving another trip
+  await client.query(
+    `UPDATE drivers
+     SET status = 'AVAILABLE', updated_at = now()
+     WHERE id = $1
+       AND status = 'ON_TRIP'
+       AND NOT EXISTS (
+         SELECT 1 FROM trips
+         WHERE driver_id = $1 AND id <> $2
+           AND status IN ('CREATED', 'ARRIVED', 'STARTED', 'PAUSED')
+       )`,
+    [trip.driver_id, trip.id]
+  );
+
+  // Update ride status to CANCELLED (a rider cancellation has already done so)
+  await client.query(
+    `UPDATE rides
+     SET status='CANCELLED',
+         cancellation_reason=COALESCE(cancellation_reason, $2),
+         cancelled_at=COALESCE(cancelled_at, now()),
+         updated_at=now()
+     WHERE id=$1`,
+    [trip.ride_id, reasonCode]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Announce a committed trip cancellation to subscribers and the rider
+ */
+async function publishTripCancelled(cancelledTrip, riderId, reasonCode, { note = null, cancelledBy = 'DRIVER' } = {}) {
+  await invalidateDriverCache(cancelledTrip.driver_id);
+  await clearDriverRide(cancelledTrip.driver_id, cancelledTrip.ride_id);
+
+  wsManager.broadcastTripCancelled(cancelledTrip);
+
+  await notificationService.notifyTripCancelled(riderId, {
+    trip_id: cancelledTrip.id,
+    reason_code: reasonCode,
+    note,
+    cancelled_by: cancelledBy
+  });
+
+  newrelic.recordMetric('Custom/Trip/Cancelled', 1);
+  newrelic.recordMetric(`Custom/Trip/Cancelled/${reasonCode}`, 1);
+}
+
+/**
+ * Cancel a trip
+ * @param {string} tripId - ID of the trip
+ * @param {string} reasonCode - One of TRIP_CANCELLATION_REASONS
+ * @param {object} options - { note, cancelledBy } free-text note and actor (DRIVER/RIDER)
+ */
+exports.cancelTrip = async (tripId, reasonCode = TRIP_CANCELLATION_REASONS.OTHER, options = {}) => {
+  if (!Object.values(TRIP_CANCELLATION_REASONS).includes(reasonCode)) {
+    throw new AppError(`Invalid cancellation reason code '${reasonCode}'`, 400);
+  }
+
+  const client = await db.getClient();
+  let trip;
+  let cancelledTrip;
+  
+  try {
+    await client.query('BEGIN');
     
-    // Update ride status to CANCELLED
-    await client.query(
-      `UPDATE rides SET status='CANCELLED', updated_at=now() WHERE id=$1`,
-      [trip.ride_id]
+    // Get trip with ride and driver details
+    const tripRes = await client.query(
+      `SELECT t.*, r.rider_id, r.id as ride_id
+       FROM trips t
+       JOIN rides r ON t.ride_id = r.id
+       WHERE t.id = $1
+       FOR UPDATE`,
+      [tripId]
     );
     
-    // Invalidate driver cache
-    await invalidateDriverCache(trip.driver_id);
+    if (tripRes.rowCount === 0) {
+      throw new Error('Trip not found');
+    }
     
-    await client.query('COMMIT');
+    trip = tripRes.rows[0];
     
-    // Send notifications
-    await notificationService.notifyTripCancelled(trip.rider_id, {
-      trip_id: tripId,
-      reason: reason
-    });
+    // A no-show needs the driver at pickup and the free waiting time used up
+    if (reasonCode === TRIP_CANCELLATION_REASONS.RIDER_NO_SHOW && canCancelTrip(trip.status)) {
+      if (trip.status !== TRIP_STATES.ARRIVED) {
+        throw new AppError('RIDER_NO_SHOW requires the driver to have arrived at pickup', 409);
+      }
+      
+      const waitedSec = (Date.now() - new Date(trip.arrived_at).getTime()) / 1000;
+      if (waitedSec < FREE_WAITING_SEC) {
+        throw new AppError(
+          `RIDER_NO_SHOW allowed after ${FREE_WAITING_SEC}s of waiting (${Math.ceil(FREE_WAITING_SEC - waitedSec)}s left)`,
+          409
+        );
+      }
+    }
     
-    newrelic.recordMetric('Custom/Trip/Cancelled', 1);
+    cancelledTrip = await cancelLockedTrip(client, trip, reasonCode, options);
     
-    return result.rows[0];
+    await client.query('COMMIT');
   } catch (err) {
     await client.query('ROLLBACK');
     newrelic.noticeError(err, { context: 'cancelTrip', tripId });
@@ -254,6 +552,10 @@ exports.cancelTrip = async (tripId, reason = 'User cancelled') => {
   } finally {
     client.release();
   }
+  
+  await publishTripCancelled(cancelledTrip, trip.rider_id, reasonCode, options);
+  
+  return cancelledTrip;
 };
 
 /**
@@ -267,7 +569,8 @@ exports.endTrip = async (tripId, tripData) => {
     
     // Get trip with ride details
     const tripRes = await client.query(
-      `SELECT t.*, r.tier, r.surge_multiplier, r.rider_id
+      `SELECT t.*, r.tier, r.surge_multiplier, r.rider_id, r.quoted_fare, r.payment_method,
+              r.pickup_latitude, r.pickup_longitude, r.drop_latitude, r.drop_longitude
        FROM trips t
        JOIN rides r ON t.ride_id = r.id
        WHERE t.id = $1
@@ -293,19 +596,49 @@ exports.endTrip = async (tripId, tripData) => {
     
     validateTripTransition(trip.status, TRIP_STATES.ENDED);
     
-    // Use provided data or defaults
-    const distanceKm = tripData?.distance_km || 10.5; // Mock if not provided
+    // Distance from the GPS track, else the driver app's figure, else pickup to drop
+    const route = routeService.summarizeTrack(await routeService.getTrack(client, tripId));
+    let distanceKm;
+    let distanceSource;
+    if (route) {
+      distanceKm = route.distance_km;
+      distanceSource = 'GPS';
+    } else if (tripData?.distance_km) {
+      distanceKm = tripData.distance_km;
+      distanceSource = 'CLIENT';
+    } else {
+      distanceKm = parseFloat(haversineKm(
+        trip.pickup_latitude, trip.pickup_longitude, trip.drop_latitude, trip.drop_longitude
+      ).toFixed(3));
+      distanceSource = 'ESTIMATE';
+    }
+
     const durationSec = tripData?.duration_sec || 
       Math.floor((new Date() - new Date(trip.started_at)) / 1000);
     
+    // Paused time is charged as waiting time, not driving time
+    let waitingSec = Number(trip.waiting_sec) || 0;
+    if (trip.status === TRIP_STATES.PAUSED) {
+      waitingSec += await closeOpenPause(client, tripId);
+    }
+    waitingSec = Math.min(waitingSec, durationSec);
+    const drivingSec = durationSec - waitingSec;
+    
     // Calculate fare
     const fareCalc = calculateFare(
       distanceKm, 
-      durationSec, 
+      drivingSec, 
       trip.tier,
-      trip.surge_multiplier
+      trip.surge_multiplier,
+      waitingSec
     );
     
+    // Riders who booked with a fare quote never pay more than quoted
+    if (trip.quoted_fare && fareCalc.total_fare > Number(trip.quoted_fare)) {
+      fareCalc.total_fare = Number(trip.quoted_fare);
+      fareCalc.breakdown.quote_cap = fareCalc.total_fare;
+    }
+    
     // Update trip with fare
     const result = await client.query(
       `UPDATE trips
@@ -313,12 +646,18 @@ exports.endTrip = async (tripId, tripData) => {
            ended_at = now(),
            distance_km = $2,
            duration_sec = $3,
-           base_fare = $4,
-           total_fare = $5,
+           waiting_sec = $4,
+           base_fare = $5,
+           total_fare = $6,
+           distance_source = $7,
+           route_polyline = $8,
            updated_at = now()
-       WHERE id = $6
+       WHERE id = $9
        RETURNING *`,
-      [TRIP_STATES.ENDED, distanceKm, durationSec, fareCalc.base_fare, fareCalc.total_fare, tripId]
+      [
+        TRIP_STATES.ENDED, distanceKm, durationSec, waitingSec, fareCalc.base_fare, fareCalc.total_fare,
+        distanceSource, route ? route.polyline : null, tripId
+      ]
     );
     
     // Set driver back to AVAILABLE
@@ -333,14 +672,28 @@ exports.endTrip = async (tripId, tripData) => {
       [trip.ride_id]
     );
     
+    // Payment (and its outbox event) commits with the trip, so an ended trip is never left unpaid
+    const payment = await paymentService.createTripPayment(client, {
+      id: tripId,
+      total_fare: fareCalc.total_fare,
+      payment_method: trip.payment_method
+    });
+    
     // Invalidate driver cache when status changes back to AVAILABLE
     await invalidateDriverCache(trip.driver_id);
     
     await client.query('COMMIT');
+
+    await clearDriverRide(trip.driver_id, trip.ride_id);
     
     const tripResult = {
       ...result.rows[0],
-      fare_breakdown: fareCalc.breakdown
+      fare_breakdown: fareCalc.breakdown,
+      payment: {
+        id: payment.id,
+        method: payment.payment_method,
+        status: payment.status
+      }
     };
     
     // Broadcast trip ended event
@@ -388,6 +741,7 @@ exports.getTripReceipt = async (tripId) => {
        t.ended_at,
        t.distance_km,
        t.duration_sec,
+       t.waiting_sec,
        t.base_fare,
        t.total_fare,
        t.status,
@@ -417,10 +771,16 @@ exports.getTripReceipt = async (tripId) => {
   }
   
   const trip = result.rows[0];
+  const refunds = await refundService.getRefundsForTrip(tripId);
+  const refundedTotal = refunds
+    .filter(refund => refund.status === 'SUCCEEDED')
+    .reduce((sum, refund) => sum + Number(refund.amount), 0);
   
   // Calculate fare breakdown
   const rates = TIER_RATES[trip.tier] || TIER_RATES.ECONOMY;
   const durationMin = trip.duration_sec / 60;
+  const waitingMin = (trip.waiting_sec || 0) / 60;
+  const drivingMin = durationMin - waitingMin;
   
   const receiptData = {
     receipt_id: trip.trip_id,
@@ -447,12 +807,14 @@ exports.getTripReceipt = async (tripId) => {
       ended_at: trip.ended_at,
       distance_km: trip.distance_km,
       duration_minutes: Math.round(durationMin),
+      waiting_minutes: Math.round(waitingMin),
       tier: trip.tier
     },
     fare_breakdown: {
       base_fare: rates.base,
       distance_charge: (trip.distance_km * rates.per_km).toFixed(2),
-      time_charge: (durationMin * rates.per_min).toFixed(2),
+      time_charge: (drivingMin * rates.per_min).toFixed(2),
+      waiting_charge: (waitingMin * rates.per_wait_min).toFixed(2),
       subtotal: trip.base_fare,
       surge_multiplier: trip.surge_multiplier,
       total: trip.total_fare
@@ -460,7 +822,15 @@ exports.getTripReceipt = async (tripId) => {
     payment: {
       method: trip.payment_method,
       status: trip.payment_status,
-      transaction_id: trip.psp_transaction_id
+      transaction_id: trip.psp_transaction_id,
+      refunds: refunds.map(refund => ({
+        refund_id: refund.id,
+        amount: refund.amount,
+        status: refund.status,
+        reason: refund.reason,
+        created_at: refund.created_at
+      })),
+      refunded_total: refundedTotal.toFixed(2)
     }
   };
   
@@ -514,4 +884,12 @@ exports.getTripByDriverAndRide = async (driverId, rideId) => {
   }
   
   return result.rows[0];
-};
\ No newline at end of file
+};
+
+exports.TRIP_CANCELLATION_REASONS = TRIP_CANCELLATION_REASONS;
+exports.TIER_RATES = TIER_RATES;
+exports.ARRIVAL_GEOFENCE_M = ARRIVAL_GEOFENCE_M;
+exports.FREE_WAITING_SEC = FREE_WAITING_SEC;
+exports.calculateFare = calculateFare;
+exports.cancelLockedTrip = cancelLockedTrip;
+exports.publishTripCancelled = publishTripCancelled;
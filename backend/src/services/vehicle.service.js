@@ -0,0 +1,115 @@
+const db = require('../db');
+const redis = require('../utils/redis');
+const { updateDriverTierGeo, RIDE_TIERS, CACHE_TTL } = require('../utils/redis');
+const { AppError } = require('../middlewares/error.middleware');
+const logger = require('../config/logger');
+
+/**
+ * Vehicle Service
+ * A driver's vehicle decides which ride tiers they can be matched to
+ */
+
+/**
+ * Tiers a vehicle serves: its own tier plus any lower tiers the driver opted in to
+ * @throws {AppError} If the driver opts in to a tier above their vehicle's
+ */
+function eligibleTiers(tier, optInTiers = []) {
+  const rank = RIDE_TIERS.indexOf(tier);
+
+  for (const optIn of optInTiers) {
+    if (RIDE_TIERS.indexOf(optIn) > rank) {
+      throw new AppError(`A ${tier} vehicle cannot serve ${optIn} rides`, 400);
+    }
+  }
+
+  return RIDE_TIERS.filter(t => t === tier || optInTiers.includes(t));
+}
+
+exports.getVehicle = async (driverId) => {
+  const result = await db.query(
+    'SELECT * FROM vehicles WHERE driver_id=$1',
+    [driverId]
+  );
+
+  if (result.rowCount === 0) {
+    throw new Error('Vehicle not found');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Tiers a driver can be matched to (none without a vehicle)
+ * Read on every location update, so cached alongside driver status
+ */
+exports.getEligibleTiers = async (driverId) => {
+  try {
+    const cachedTiers = await redis.get(`driver:tiers:${driverId}`);
+    if (cachedTiers) {
+      return JSON.parse(cachedTiers);
+    }
+  } catch (error) {
+    logger.warn({ driverId, error: error.message }, 'Failed to get driver tiers from cache');
+  }
+
+  const result = await db.query(
+    'SELECT eligible_tiers FROM vehicles WHERE driver_id=$1',
+    [driverId]
+  );
+
+  const tiers = result.rowCount > 0 ? result.rows[0].eligible_tiers : [];
+  await redis.setEx(`driver:tiers:${driverId}`, CACHE_TTL.DRIVER_STATUS, JSON.stringify(tiers));
+
+  return tiers;
+};
+
+/**
+ * Register or replace a driver's vehicle
+ * @param {string} driverId - ID of the driver
+ * @param {object} data - make, model, plate, capacity, tier and optional opt_in_tiers
+ * @returns {object} Vehicle with its eligible_tiers
+ */
+exports.upsertVehicle = async (driverId, data) => {
+  const { make, model, plate, capacity = 4, tier, opt_in_tiers = [] } = data;
+  const tiers = eligibleTiers(tier, opt_in_tiers);
+
+  const driver = await db.query(
+    'SELECT id FROM drivers WHERE id=$1',
+    [driverId]
+  );
+
+  if (driver.rowCount === 0) {
+    throw new Error('Driver not found');
+  }
+
+  const result = await db.query(
+    `INSERT INTO vehicles (driver_id, make, model, plate, capacity, tier, eligible_tiers)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (driver_id) DO UPDATE
+     SET make=EXCLUDED.make,
+         model=EXCLUDED.model,
+         plate=EXCLUDED.plate,
+         capacity=EXCLUDED.capacity,
+         tier=EXCLUDED.tier,
+         eligible_tiers=EXCLUDED.eligible_tiers,
+         updated_at=now()
+     RETURNING *`,
+    [driverId, make, model, plate, capacity, tier, tiers]
+  );
+
+  const vehicle = result.rows[0];
+
+  await redis.setEx(`driver:tiers:${driverId}`, CACHE_TTL.DRIVER_STATUS, JSON.stringify(tiers));
+
+  // Move a driver already on the map into the right tier indexes now
+  // rather than on their next location update
+  const [position] = await redis.geoPos('drivers:geo', driverId);
+  if (position) {
+    await updateDriverTierGeo(driverId, position, tiers);
+  }
+
+  logger.info({ driverId, tier, eligibleTiers: tiers }, 'Vehicle registered');
+  return vehicle;
+};
+
+exports.eligibleTiers = eligibleTiers;
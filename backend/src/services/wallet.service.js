@@ -0,0 +1,325 @@
+const db = require('../db');
+const newrelic = require('newrelic');
+const { AppError } = require('../middlewares/error.middleware');
+
+/**
+ * Wallet Service
+ * Rider wallets on a double-entry ledger. Each wallet transaction writes two
+ * ledger entries summing to zero: one on the rider's account and one on the
+ * system account on the other side of it. Top-ups are card payments charged
+ * through the PSP and credited when their webhook completes them; WALLET
+ * trips are debited by the outbox worker; refunds of WALLET payments and
+ * promotions are credited directly.
+ */
+
+// System account on the other side of each transaction type
+const COUNTER_ACCOUNTS = {
+  TOP_UP: 'PSP_CLEARING',
+  TRIP_DEBIT: 'REVENUE',
+  REFUND_CREDIT: 'REVENUE',
+  PROMO_CREDIT: 'PROMO'
+};
+
+// Direction each transaction type moves the rider's balance
+const RIDER_SIGN = {
+  TOP_UP: 1,
+  TRIP_DEBIT: -1,
+  REFUND_CREDIT: 1,
+  PROMO_CREDIT: 1
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Compare money in cents; NUMERIC columns arrive as strings
+const toCents = amount => Math.round(Number(amount) * 100);
+const fromCents = cents => (cents / 100).toFixed(2);
+
+/**
+ * Lock a rider's account, opening it on first use
+ * The row lock serializes every posting to the wallet, so concurrent debits
+ * run one at a time and each sees the balance the last one left
+ */
+async function lockRiderAccount(client, riderId) {
+  await client.query(
+    `INSERT INTO wallet_accounts (rider_id, kind)
+     VALUES ($1, 'RIDER')
+     ON CONFLICT (rider_id) DO NOTHING`,
+    [riderId]
+  );
+
+  const result = await client.query(
+    'SELECT * FROM wallet_accounts WHERE rider_id = $1 FOR UPDATE',
+    [riderId]
+  );
+
+  return result.rows[0];
+}
+
+async function moveBalance(client, accountId, cents) {
+  const result = await client.query(
+    `UPDATE wallet_accounts
+     SET balance = balance + $1,
+         updated_at = now()
+     WHERE id = $2
+     RETURNING balance`,
+    [fromCents(cents), accountId]
+  );
+
+  return result.rows[0].balance;
+}
+
+/**
+ * Post a wallet transaction inside the caller's transaction
+ * A payment or refund is posted once: posting it again returns the first
+ * transaction without moving any money (the rider lock makes the check safe).
+ * @param {object} posting - { riderId, type, amount, paymentId, refundId, description }
+ * @returns {Promise<object>} { transaction, balance, posted }
+ * @throws {AppError} 409 if a debit exceeds the wallet's balance
+ */
+async function postTransaction(client, {
+  riderId,
+  type,
+  amount,
+  paymentId = null,
+  refundId = null,
+  description = null
+}) {
+  const account = await lockRiderAccount(client, riderId);
+
+  const existing = await client.query(
+    `SELECT * FROM wallet_transactions
+     WHERE (type = $1 AND payment_id = $2) OR refund_id = $3`,
+    [type, paymentId, refundId]
+  );
+
+  if (existing.rowCount > 0) {
+    return { transaction: existing.rows[0], balance: account.balance, posted: false };
+  }
+
+  const riderCents = RIDER_SIGN[type] * toCents(amount);
+
+  // Checked under the lock; chk_wallet_accounts_no_overdraft backs it up
+  if (toCents(account.balance) + riderCents < 0) {
+    newrelic.recordMetric('Custom/Wallet/InsufficientBalance', 1);
+    throw new AppError('Insufficient wallet balance', 409);
+  }
+
+  const transactionRes = await client.query(
+    `INSERT INTO wallet_transactions (rider_id, type, amount, payment_id, refund_id, description)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [riderId, type, amount, paymentId, refundId, description]
+  );
+
+  const transaction = transactionRes.rows[0];
+
+  const counterRes = await client.query(
+    `SELECT id FROM wallet_accounts
+     WHERE kind = $1 AND rider_id IS NULL`,
+    [COUNTER_ACCOUNTS[type]]
+  );
+  const counterAccountId = counterRes.rows[0].id;
+
+  const balance = await moveBalance(client, account.id, riderCents);
+  const counterBalance = await moveBalance(client, counterAccountId, -riderCents);
+
+  await client.query(
+    `INSERT INTO wallet_ledger_entries (transaction_id, account_id, amount, balance_after)
+     VALUES ($1, $2, $3, $4), ($1, $5, $6, $7)`,
+    [
+      transaction.id,
+      account.id, fromCents(riderCents), balance,
+      counterAccountId, fromCents(-riderCents), counterBalance
+    ]
+  );
+
+  newrelic.recordMetric(`Custom/Wallet/${type}`, 1);
+
+  return { transaction, balance, posted: true };
+}
+
+async function assertRider(client, riderId) {
+  const result = await client.query('SELECT id FROM riders WHERE id = $1', [riderId]);
+
+  if (result.rowCount === 0) {
+    throw new Error('Rider not found');
+  }
+}
+
+/**
+ * Rider a payment belongs to: the rider topping up, or the rider of its ride
+ */
+async function getPaymentRiderId(client, payment) {
+  if (payment.top_up_rider_id) {
+    return payment.top_up_rider_id;
+  }
+
+  const result = await client.query(
+    `SELECT rider_id
+     FROM rides
+     WHERE id = COALESCE($1, (SELECT ride_id FROM trips WHERE id = $2))`,
+    [payment.ride_id || null, payment.trip_id]
+  );
+
+  return result.rows[0]?.rider_id || null;
+}
+
+/**
+ * Debit a WALLET trip payment or cancellation fee from its rider's wallet
+ * (caller's transaction)
+ * @throws {AppError} 409 on insufficient balance
+ */
+exports.debitPayment = async (client, payment) => postTransaction(client, {
+  riderId: await getPaymentRiderId(client, payment),
+  type: 'TRIP_DEBIT',
+  amount: payment.amount,
+  paymentId: payment.id,
+  description: payment.ride_id
+    ? `Cancellation fee, ride ${payment.ride_id}`
+    : (payment.trip_id ? `Trip ${payment.trip_id}` : null)
+});
+
+/**
+ * Credit a completed top-up payment (caller's transaction)
+ */
+exports.creditTopUp = async (client, payment) => postTransaction(client, {
+  riderId: payment.top_up_rider_id,
+  type: 'TOP_UP',
+  amount: payment.amount,
+  paymentId: payment.id,
+  description: 'Top-up'
+});
+
+/**
+ * Credit a refund of a WALLET payment back to the wallet (caller's transaction)
+ */
+exports.creditRefund = async (client, payment, refund) => postTransaction(client, {
+  riderId: await getPaymentRiderId(client, payment),
+  type: 'REFUND_CREDIT',
+  amount: refund.amount,
+  refundId: refund.id,
+  description: refund.reason
+});
+
+/**
+ * Start a wallet top-up
+ * Creates a card payment for the rider, charged through the PSP by the
+ * outbox worker; the wallet is credited when the PSP's webhook completes it.
+ * @returns {Promise<object>} The PENDING payment
+ */
+exports.createTopUp = async (riderId, amount) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await assertRider(client, riderId);
+
+    const paymentRes = await client.query(
+      `INSERT INTO payments (top_up_rider_id, amount, payment_method, status)
+       VALUES ($1, $2, 'CARD', 'PENDING')
+       RETURNING *`,
+      [riderId, amount]
+    );
+
+    const payment = paymentRes.rows[0];
+
+    await client.query(
+      `INSERT INTO outbox_events
+       (aggregate_type, aggregate_id, event_type, payload)
+       VALUES ('PAYMENT', $1, 'PAYMENT_CREATED', $2)`,
+      [payment.id, payment]
+    );
+
+    await client.query('COMMIT');
+
+    newrelic.recordMetric('Custom/Wallet/TopUpCreated', 1);
+    return payment;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'createTopUp', riderId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Credit a promotion to a rider's wallet
+ * @param {object} promo - { amount, description }
+ * @returns {Promise<object>} { transaction, balance }
+ */
+exports.creditPromo = async (riderId, { amount, description = null }) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await assertRider(client, riderId);
+
+    const { transaction, balance } = await postTransaction(client, {
+      riderId,
+      type: 'PROMO_CREDIT',
+      amount,
+      description
+    });
+
+    await client.query('COMMIT');
+
+    return { transaction, balance };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    newrelic.noticeError(err, { context: 'creditPromo', riderId });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a rider's balance and transactions, newest first
+ * Pages are keyed by the last transaction seen (`before`), so postings made
+ * while paging do not shift later pages.
+ * @param {object} page - { limit, before }
+ * @returns {Promise<object>} { rider_id, balance, transactions, next_cursor }
+ */
+exports.getWallet = async (riderId, { limit = DEFAULT_PAGE_SIZE, before = null } = {}) => {
+  await assertRider(db, riderId);
+
+  const accountRes = await db.query(
+    'SELECT id, balance FROM wallet_accounts WHERE rider_id = $1',
+    [riderId]
+  );
+
+  if (accountRes.rowCount === 0) {
+    return { rider_id: riderId, balance: '0.00', transactions: [], next_cursor: null };
+  }
+
+  const account = accountRes.rows[0];
+
+  // One extra row tells whether there is a next page
+  const transactionsRes = await db.query(
+    `SELECT wt.id, wt.type, e.amount, e.balance_after, wt.payment_id, wt.refund_id,
+            wt.description, wt.created_at
+     FROM wallet_transactions wt
+     JOIN wallet_ledger_entries e ON e.transaction_id = wt.id AND e.account_id = $2
+     WHERE wt.rider_id = $1
+       AND ($3::uuid IS NULL OR (wt.created_at, wt.id) <
+         (SELECT created_at, id FROM wallet_transactions WHERE id = $3 AND rider_id = $1))
+     ORDER BY wt.created_at DESC, wt.id DESC
+     LIMIT $4`,
+    [riderId, account.id, before, limit + 1]
+  );
+
+  const transactions = transactionsRes.rows.slice(0, limit);
+  const hasMore = transactionsRes.rowCount > limit;
+
+  return {
+    rider_id: riderId,
+    balance: account.balance,
+    transactions,
+    next_cursor: hasMore ? transactions[transactions.length - 1].id : null
+  };
+};
+
+exports.postTransaction = postTransaction;
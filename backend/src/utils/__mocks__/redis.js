@@ -4,13 +4,49 @@
 
 const redisMock = {
   get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue('OK'),
   setex: jest.fn().mockResolvedValue('OK'),
   geoAdd: jest.fn().mockResolvedValue(1),
   geoSearch: jest.fn().mockResolvedValue([]),
+  geoPos: jest.fn().mockResolvedValue([]),
+  setEx: jest.fn().mockResolvedValue('OK'),
+  zAdd: jest.fn().mockResolvedValue(1),
+  zmScore: jest.fn().mockResolvedValue([]),
+  zRangeByScore: jest.fn().mockResolvedValue([]),
+  eval: jest.fn().mockResolvedValue([]),
+  hGet: jest.fn().mockResolvedValue(null),
+  hGetAll: jest.fn().mockResolvedValue({}),
+  multi: jest.fn(),
   quit: jest.fn().mockResolvedValue(undefined),
   on: jest.fn(),
+  incr: jest.fn().mockResolvedValue(1),
+  expire: jest.fn().mockResolvedValue(1),
+  xAdd: jest.fn().mockResolvedValue('1-0'),
+  xRange: jest.fn().mockResolvedValue([]),
+  publish: jest.fn().mockResolvedValue(1),
+  duplicate: jest.fn(() => ({
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(undefined),
+    subscribe: jest.fn().mockResolvedValue(undefined),
+    quit: jest.fn().mockResolvedValue(undefined)
+  })),
   invalidateDriverCache: jest.fn().mockResolvedValue(undefined),
   invalidateRideCache: jest.fn().mockResolvedValue(undefined),
+  removeDriverFromGeo: jest.fn().mockResolvedValue(undefined),
+  updateDriverTierGeo: jest.fn().mockResolvedValue(undefined),
+  setDriverRide: jest.fn().mockResolvedValue(undefined),
+  getDriverRide: jest.fn().mockResolvedValue(null),
+  clearDriverPickup: jest.fn().mockResolvedValue(undefined),
+  clearDriverRide: jest.fn().mockResolvedValue(undefined),
+  tierGeoKey: (tier) => `drivers:geo:tier:${tier}`,
+  RIDE_TIERS: ['ECONOMY', 'PREMIUM', 'LUXURY'],
+  DRIVER_LAST_SEEN_KEY: 'drivers:last_seen',
+  CACHE_TTL: {
+    DRIVER_LOCATION: 60,
+    RIDE_DATA: 300,
+    DRIVER_STATUS: 120,
+    DRIVER_RIDE: 43200
+  },
   getCachedDriver: jest.fn().mockResolvedValue(null),
   setCachedDriver: jest.fn().mockResolvedValue(undefined),
   getCachedRide: jest.fn().mockResolvedValue(null),
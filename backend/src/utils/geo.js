@@ -0,0 +1,91 @@
+/**
+ * Geographic helpers
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in kilometres
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+function speedKmh(from, to) {
+  const km = haversineKm(from.latitude, from.longitude, to.latitude, to.longitude);
+  const hours = Math.max(new Date(to.recorded_at) - new Date(from.recorded_at), 1000) / 3600000;
+
+  return km / hours;
+}
+
+/**
+ * Drop GPS jumps from a track
+ * A point is a jump when reaching it from the last kept point would take
+ * more than maxSpeedKmh; the next points are compared with the last good one.
+ * Rejected points that agree with each other form a run; once the run is
+ * longer than the kept points it cannot be reached from, those kept points
+ * were the outliers (e.g. a bad first fix) and the track continues from the run.
+ * @param {Array<{latitude, longitude, recorded_at}>} points - In time order
+ * @returns {Array} Kept points
+ */
+function removeJumps(points, maxSpeedKmh) {
+  const kept = [];
+  let run = [];
+
+  points.forEach((point) => {
+    const last = kept[kept.length - 1];
+    if (!last || speedKmh(last, point) <= maxSpeedKmh) {
+      kept.push(point);
+      run = [];
+      return;
+    }
+
+    const runEnd = run[run.length - 1];
+    run = runEnd && speedKmh(runEnd, point) <= maxSpeedKmh ? [...run, point] : [point];
+
+    let disagreeing = 0;
+    while (disagreeing < kept.length &&
+      speedKmh(kept[kept.length - 1 - disagreeing], run[0]) > maxSpeedKmh) {
+      disagreeing++;
+    }
+
+    if (run.length > disagreeing) {
+      kept.splice(kept.length - disagreeing, disagreeing, ...run);
+      run = [];
+    }
+  });
+
+  return kept;
+}
+
+/**
+ * Length of a track
+ * @returns {number} Distance in kilometres
+ */
+function trackDistanceKm(points) {
+  let km = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    km += haversineKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+
+  return km;
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  haversineKm,
+  removeJumps,
+  trackDistanceKm
+};
@@ -0,0 +1,96 @@
+/**
+ * Geohash encoding
+ * Buckets coordinates into grid cells for zone-level aggregation
+ * (precision 5 ≈ 4.9km x 4.9km, precision 6 ≈ 1.2km x 0.6km)
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Encode a coordinate as a geohash string
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} precision - Number of characters in the hash
+ * @returns {string} Geohash
+ */
+function encode(latitude, longitude, precision = 5) {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error('Invalid coordinates for geohash');
+  }
+
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true; // Bits alternate longitude, latitude, starting with longitude
+
+  while (hash.length < precision) {
+    const range = evenBit ? lonRange : latRange;
+    const value = evenBit ? lon : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Decode a geohash to the center of its cell
+ * @param {string} hash - Geohash
+ * @returns {object} { latitude, longitude }
+ */
+function decode(hash) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const idx = BASE32.indexOf(char);
+    if (idx === -1) {
+      throw new Error(`Invalid geohash character '${char}'`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+
+      if ((idx >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    latitude: (latRange[0] + latRange[1]) / 2,
+    longitude: (lonRange[0] + lonRange[1]) / 2
+  };
+}
+
+module.exports = {
+  encode,
+  decode
+};
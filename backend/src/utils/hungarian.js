@@ -0,0 +1,101 @@
+/**
+ * Hungarian algorithm (Kuhn-Munkres) for the assignment problem
+ * Finds the row→column assignment with the minimum total cost in O(n²m)
+ */
+
+/**
+ * Solve a rectangular assignment problem
+ * Every row is assigned when rows ≤ columns, otherwise every column is
+ * @param {number[][]} cost - cost[row][col], finite numbers
+ * @returns {number[]} Column assigned to each row, or -1 if unassigned
+ */
+function solveAssignment(cost) {
+  const n = cost.length;
+  if (n === 0) {
+    return [];
+  }
+
+  const m = cost[0].length;
+  if (m === 0) {
+    return new Array(n).fill(-1);
+  }
+
+  // The potentials method needs rows ≤ columns; solve the transpose otherwise
+  if (n > m) {
+    const transposed = cost[0].map((_, col) => cost.map(row => row[col]));
+    const rowForCol = solveAssignment(transposed);
+    const result = new Array(n).fill(-1);
+    rowForCol.forEach((row, col) => {
+      if (row !== -1) {
+        result[row] = col;
+      }
+    });
+    return result;
+  }
+
+  // 1-indexed potentials; column 0 is a virtual start column
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const rowOfCol = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let row = 1; row <= n; row++) {
+    rowOfCol[0] = row;
+    let col0 = 0;
+    const minSlack = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+
+    // Grow an alternating tree until a free column is reached
+    do {
+      used[col0] = true;
+      const row0 = rowOfCol[col0];
+      let delta = Infinity;
+      let col1 = 0;
+
+      for (let col = 1; col <= m; col++) {
+        if (used[col]) continue;
+
+        const slack = cost[row0 - 1][col - 1] - u[row0] - v[col];
+        if (slack < minSlack[col]) {
+          minSlack[col] = slack;
+          way[col] = col0;
+        }
+        if (minSlack[col] < delta) {
+          delta = minSlack[col];
+          col1 = col;
+        }
+      }
+
+      for (let col = 0; col <= m; col++) {
+        if (used[col]) {
+          u[rowOfCol[col]] += delta;
+          v[col] -= delta;
+        } else {
+          minSlack[col] -= delta;
+        }
+      }
+
+      col0 = col1;
+    } while (rowOfCol[col0] !== 0);
+
+    // Flip the augmenting path
+    do {
+      const col1 = way[col0];
+      rowOfCol[col0] = rowOfCol[col1];
+      col0 = col1;
+    } while (col0 !== 0);
+  }
+
+  const result = new Array(n).fill(-1);
+  for (let col = 1; col <= m; col++) {
+    if (rowOfCol[col] !== 0) {
+      result[rowOfCol[col] - 1] = col - 1;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  solveAssignment
+};
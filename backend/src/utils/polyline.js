@@ -0,0 +1,76 @@
+/**
+ * Encoded polyline format (Google's algorithm, precision 5 ≈ 1m)
+ * Stores a trip route as a compact string instead of one row per point
+ */
+
+const PRECISION = 1e5;
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let chunk = '';
+
+  while (v >= 0x20) {
+    chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+
+  return chunk + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encode points as a polyline string
+ * @param {Array<{latitude, longitude}>} points
+ * @returns {string} Encoded polyline
+ */
+function encode(points) {
+  let lastLat = 0;
+  let lastLon = 0;
+
+  return points.map(({ latitude, longitude }) => {
+    const lat = Math.round(latitude * PRECISION);
+    const lon = Math.round(longitude * PRECISION);
+    const chunk = encodeValue(lat - lastLat) + encodeValue(lon - lastLon);
+
+    lastLat = lat;
+    lastLon = lon;
+    return chunk;
+  }).join('');
+}
+
+/**
+ * Decode a polyline string
+ * @returns {Array<{latitude, longitude}>} Points
+ */
+function decode(polyline) {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      byte = polyline.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < polyline.length) {
+    lat += nextValue();
+    lon += nextValue();
+    points.push({ latitude: lat / PRECISION, longitude: lon / PRECISION });
+  }
+
+  return points;
+}
+
+module.exports = {
+  encode,
+  decode
+};
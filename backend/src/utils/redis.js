@@ -17,7 +17,8 @@ client.on('error', (err) => {
 const CACHE_TTL = {
   DRIVER_LOCATION: 60,      // 60 seconds - driver locations expire quickly
   RIDE_DATA: 300,           // 5 minutes - ride data
-  DRIVER_STATUS: 120        // 2 minutes - driver status
+  DRIVER_STATUS: 120,       // 2 minutes - driver status
+  DRIVER_RIDE: 43200        // 12 hours - safety net for a trip that is never closed
 };
 
 // Invalidate driver location cache when driver status changes
@@ -39,17 +40,105 @@ async function invalidateRideCache(rideId) {
   }
 }
 
-// Remove driver from geo index when offline
+// Ride tiers, lowest to highest
+const RIDE_TIERS = ['ECONOMY', 'PREMIUM', 'LUXURY'];
+
+// Per-tier geo index used for matching (drivers:geo holds every located driver)
+function tierGeoKey(tier) {
+  return `drivers:geo:tier:${tier}`;
+}
+
+// Place driver in the geo index of each tier they serve and out of the rest
+async function updateDriverTierGeo(driverId, { longitude, latitude }, tiers) {
+  const tx = client.multi();
+  for (const tier of RIDE_TIERS) {
+    if (tiers.includes(tier)) {
+      tx.geoAdd(tierGeoKey(tier), { longitude, latitude, member: driverId });
+    } else {
+      tx.zRem(tierGeoKey(tier), driverId);
+    }
+  }
+  await tx.exec();
+}
+
+// Last location ping per driver, scored by ping time in ms
+const DRIVER_LAST_SEEN_KEY = 'drivers:last_seen';
+
+// Remove driver from geo indexes when offline
 async function removeDriverFromGeo(driverId) {
   try {
     await client.zRem('drivers:geo', driverId);
+    await client.zRem(DRIVER_LAST_SEEN_KEY, driverId);
+    for (const tier of RIDE_TIERS) {
+      await client.zRem(tierGeoKey(tier), driverId);
+    }
   } catch (err) {
     console.error('Geo removal error:', err);
   }
 }
 
+// Ride a driver is assigned to, from assignment until the trip ends or is
+// cancelled, with its pickup point while the driver is on the way to it
+function driverRideKey(driverId) {
+  return `driver:ride:${driverId}`;
+}
+
+async function setDriverRide(driverId, rideId, pickup = null) {
+  try {
+    await client.setEx(
+      driverRideKey(driverId),
+      CACHE_TTL.DRIVER_RIDE,
+      JSON.stringify({ ride_id: rideId, pickup })
+    );
+  } catch (err) {
+    console.error('Driver ride cache error:', err);
+  }
+}
+
+// @returns {object|null} { ride_id, pickup: { latitude, longitude } | null }
+async function getDriverRide(driverId) {
+  const cached = await client.get(driverRideKey(driverId));
+  return cached ? JSON.parse(cached) : null;
+}
+
+// Once the driver reaches the pickup (or starts the trip) there is no pickup ETA left
+async function clearDriverPickup(driverId, rideId) {
+  try {
+    const driverRide = await getDriverRide(driverId);
+    if (driverRide && driverRide.ride_id === rideId && driverRide.pickup) {
+      await client.set(
+        driverRideKey(driverId),
+        JSON.stringify({ ride_id: rideId, pickup: null }),
+        { KEEPTTL: true }
+      );
+    }
+  } catch (err) {
+    console.error('Driver ride cache error:', err);
+  }
+}
+
+// Left alone if the driver has since been assigned another ride
+async function clearDriverRide(driverId, rideId) {
+  try {
+    const driverRide = await getDriverRide(driverId);
+    if (driverRide && driverRide.ride_id === rideId) {
+      await client.del(driverRideKey(driverId));
+    }
+  } catch (err) {
+    console.error('Driver ride removal error:', err);
+  }
+}
+
 module.exports = client;
 module.exports.invalidateDriverCache = invalidateDriverCache;
 module.exports.invalidateRideCache = invalidateRideCache;
 module.exports.removeDriverFromGeo = removeDriverFromGeo;
+module.exports.updateDriverTierGeo = updateDriverTierGeo;
+module.exports.setDriverRide = setDriverRide;
+module.exports.getDriverRide = getDriverRide;
+module.exports.clearDriverPickup = clearDriverPickup;
+module.exports.clearDriverRide = clearDriverRide;
+module.exports.tierGeoKey = tierGeoKey;
+module.exports.RIDE_TIERS = RIDE_TIERS;
+module.exports.DRIVER_LAST_SEEN_KEY = DRIVER_LAST_SEEN_KEY;
 module.exports.CACHE_TTL = CACHE_TTL;
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * Local road graph
+ * Intersections and road segments with their speeds, for routing short
+ * drives such as pickups without an external routing service
+ */
+
+const { haversineKm } = require('./geo');
+
+/**
+ * Build a graph from its JSON description
+ * @param {object} data - { nodes: { [id]: [latitude, longitude] }, edges: [{ from, to, speed_kmh, oneway }] }
+ * @returns {object} { nodes: Map<id, { latitude, longitude }>, adjacency: Map<id, edge[]> }
+ */
+function createRoadGraph({ nodes, edges }) {
+  const graph = { nodes: new Map(), adjacency: new Map() };
+
+  Object.entries(nodes).forEach(([id, [latitude, longitude]]) => {
+    graph.nodes.set(id, { latitude, longitude });
+    graph.adjacency.set(id, []);
+  });
+
+  edges.forEach(({ from, to, speed_kmh, oneway = false }) => {
+    const a = graph.nodes.get(from);
+    const b = graph.nodes.get(to);
+    if (!a || !b) {
+      throw new Error(`Road graph edge ${from}-${to} references an unknown node`);
+    }
+
+    const km = haversineKm(a.latitude, a.longitude, b.latitude, b.longitude);
+    const sec = (km / speed_kmh) * 3600;
+
+    graph.adjacency.get(from).push({ to, km, sec });
+    if (!oneway) {
+      graph.adjacency.get(to).push({ to: from, km, sec });
+    }
+  });
+
+  return graph;
+}
+
+/**
+ * Graph node closest to a point
+ * @returns {object|null} { id, km }, or null for an empty graph
+ */
+function nearestNode(graph, latitude, longitude) {
+  let nearest = null;
+
+  graph.nodes.forEach((node, id) => {
+    const km = haversineKm(latitude, longitude, node.latitude, node.longitude);
+    if (!nearest || km < nearest.km) {
+      nearest = { id, km };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Fastest path between two nodes (Dijkstra)
+ * @returns {object|null} { duration_sec, distance_km }, or null if `to` cannot be reached
+ */
+function fastestPath(graph, from, to) {
+  const best = new Map([[from, { sec: 0, km: 0 }]]);
+  const done = new Set();
+
+  // Local graphs are small, so a linear scan for the next node is enough
+  for (;;) {
+    let current = null;
+    best.forEach((cost, id) => {
+      if (!done.has(id) && (current === null || cost.sec < best.get(current).sec)) {
+        current = id;
+      }
+    });
+
+    if (current === null) {
+      return null;
+    }
+
+    const { sec, km } = best.get(current);
+    if (current === to) {
+      return { duration_sec: sec, distance_km: km };
+    }
+    done.add(current);
+
+    graph.adjacency.get(current).forEach((edge) => {
+      const known = best.get(edge.to);
+      if (!known || sec + edge.sec < known.sec) {
+        best.set(edge.to, { sec: sec + edge.sec, km: km + edge.km });
+      }
+    });
+  }
+}
+
+module.exports = {
+  createRoadGraph,
+  nearestNode,
+  fastestPath
+};
@@ -0,0 +1,128 @@
+const WebSocket = require('ws');
+const logger = require('../config/logger');
+const wsManager = require('./websocket');
+const { topics } = require('./websocket');
+
+/**
+ * Server-Sent Events stream of one ride, for clients that cannot open a WebSocket
+ * A stream is just another WebSocketManager subscriber: events arrive through the
+ * same Redis fan-out, keep their seq (sent as the SSE id) and resume from the same
+ * replay log when the browser reconnects with Last-Event-ID.
+ */
+
+const RIDE_EVENTS = [
+  'RIDE_UPDATED',
+  'DRIVER_ASSIGNED',
+  'DRIVER_LOCATION_UPDATED',
+  'DRIVER_ARRIVED',
+  'TRIP_STARTED',
+  'TRIP_ENDED',
+  'RESYNC_REQUIRED'
+];
+
+// Comment lines keep proxies from closing an idle stream
+const KEEPALIVE_INTERVAL_MS = Number(process.env.SSE_KEEPALIVE_INTERVAL_MS ?? 15000);
+const RETRY_MS = 5000; // EventSource reconnect delay
+
+const streams = new Set();
+
+class RideEventStream {
+  constructor(user, res, ride) {
+    this.user = user;
+    this.res = res;
+    this.rideId = ride.id;
+    this.driverId = null;
+    this.topics = new Set();
+    this.readyState = WebSocket.OPEN;
+    this.pending = null;
+  }
+
+  // Called by WebSocketManager with a serialized event
+  send(data) {
+    const message = JSON.parse(data);
+
+    if (!RIDE_EVENTS.includes(message.type)) {
+      return;
+    }
+    if (message.type === 'DRIVER_ASSIGNED') {
+      this.track(message.payload.driverId);
+    }
+    if (message.type === 'RIDE_UPDATED') {
+      this.track(message.payload.assigned_driver_id);
+    }
+    if (message.type === 'DRIVER_LOCATION_UPDATED' && message.payload.id !== this.driverId) {
+      return;
+    }
+
+    const id = message.seq !== undefined ? `id: ${message.seq}\n` : '';
+    this.res.write(`${id}event: ${message.type}\ndata: ${data}\n\n`);
+  }
+
+  // Follow the locations of the ride's assigned driver only
+  track(driverId = null) {
+    if (driverId === this.driverId) {
+      return;
+    }
+
+    if (this.driverId) {
+      wsManager.unsubscribe(this, topics.tracking(this.driverId));
+    }
+    if (driverId) {
+      wsManager.subscribe(this, topics.tracking(driverId));
+    }
+    this.driverId = driverId;
+  }
+
+  close() {
+    this.readyState = WebSocket.CLOSED;
+    wsManager.removeClient(this);
+  }
+}
+
+/**
+ * Turn a response into the event stream of a ride
+ * @param {object} ride - Ride row (id, assigned_driver_id)
+ */
+exports.openRideStream = async (req, res, ride) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const stream = new RideEventStream(req.user, res, ride);
+  const lastEventId = req.get('Last-Event-ID');
+  const lastSeenSeq = lastEventId !== undefined ? Number(lastEventId) : null;
+  if (lastSeenSeq !== null) {
+    stream.pending = []; // Hold live events until the replay has been sent
+  }
+
+  wsManager.subscribe(stream, topics.ride(ride.id));
+  stream.track(ride.assigned_driver_id);
+  streams.add(stream);
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    stream.close();
+    streams.delete(stream);
+    logger.info({ rideId: ride.id, streams: streams.size }, 'Ride event stream closed');
+  });
+
+  logger.info({ rideId: ride.id, userId: req.user.id, lastSeenSeq, streams: streams.size }, 'Ride event stream opened');
+
+  if (lastSeenSeq !== null) {
+    await wsManager.replay(stream, lastSeenSeq);
+  }
+};
+
+// End every open stream (on shutdown); browsers reconnect to another node
+exports.close = () => {
+  streams.forEach(stream => stream.res.end());
+};
+
+exports.RIDE_EVENTS = RIDE_EVENTS;
@@ -9,6 +9,7 @@
 
 const TRIP_STATES = {
   CREATED: 'CREATED',
+  ARRIVED: 'ARRIVED', // Driver at the pickup point, free waiting time running
   STARTED: 'STARTED',
   PAUSED: 'PAUSED',
   ENDED: 'ENDED',
@@ -17,7 +18,8 @@ const TRIP_STATES = {
 
 // Allowed transitions for trip states
 const TRIP_TRANSITIONS = {
-  CREATED: ['STARTED', 'CANCELLED'],
+  CREATED: ['ARRIVED', 'STARTED', 'CANCELLED'],
+  ARRIVED: ['STARTED', 'CANCELLED'],
   STARTED: ['PAUSED', 'ENDED', 'CANCELLED'],
   PAUSED: ['STARTED', 'ENDED', 'CANCELLED'],
   ENDED: [], // Terminal state
@@ -64,6 +66,27 @@ const DRIVER_TRANSITIONS = {
   ON_TRIP: ['AVAILABLE', 'OFFLINE']
 };
 
+// =========================================================
+// RIDE OFFER STATE MACHINE
+// =========================================================
+
+const OFFER_STATES = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  DECLINED: 'DECLINED',
+  EXPIRED: 'EXPIRED',
+  WITHDRAWN: 'WITHDRAWN' // Ride cancelled while the offer was open
+};
+
+// Allowed transitions for ride offer states
+const OFFER_TRANSITIONS = {
+  PENDING: ['ACCEPTED', 'DECLINED', 'EXPIRED', 'WITHDRAWN'],
+  ACCEPTED: [], // Terminal state
+  DECLINED: [], // Terminal state
+  EXPIRED: [], // Terminal state
+  WITHDRAWN: [] // Terminal state
+};
+
 // =========================================================
 // STATE VALIDATION
 // =========================================================
@@ -146,11 +169,18 @@ function validateTripTransition(currentState, targetState) {
   return validateTransition(currentState, targetState, TRIP_TRANSITIONS, 'Trip');
 }
 
+/**
+ * Check if the driver can be marked as arrived at pickup
+ */
+function canArriveTrip(currentState) {
+  return currentState === TRIP_STATES.CREATED;
+}
+
 /**
  * Check if trip can be started
  */
 function canStartTrip(currentState) {
-  return currentState === TRIP_STATES.CREATED;
+  return currentState === TRIP_STATES.CREATED || currentState === TRIP_STATES.ARRIVED;
 }
 
 /**
@@ -178,7 +208,7 @@ function canEndTrip(currentState) {
  * Check if trip can be cancelled
  */
 function canCancelTrip(currentState) {
-  return [TRIP_STATES.CREATED, TRIP_STATES.STARTED, TRIP_STATES.PAUSED].includes(currentState);
+  return [TRIP_STATES.CREATED, TRIP_STATES.ARRIVED, TRIP_STATES.STARTED, TRIP_STATES.PAUSED].includes(currentState);
 }
 
 /**
@@ -275,9 +305,11 @@ module.exports = {
   TRIP_STATES,
   RIDE_STATES,
   DRIVER_STATES,
+  OFFER_STATES,
   TRIP_TRANSITIONS,
   RIDE_TRANSITIONS,
   DRIVER_TRANSITIONS,
+  OFFER_TRANSITIONS,
 
   // Errors
   StateTransitionError,
@@ -288,6 +320,7 @@ module.exports = {
 
   // Trip state management
   validateTripTransition,
+  canArriveTrip,
   canStartTrip,
   canPauseTrip,
   canResumeTrip,
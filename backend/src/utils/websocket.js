@@ -1,55 +1,527 @@
 const WebSocket = require('ws');
 const logger = require('../config/logger');
+const redis = require('./redis');
+const authService = require('../services/auth.service');
+const { ROLES } = require('../services/auth.service');
+const geohash = require('./geohash');
+
+const ZONE_PRECISION = 5; // ~4.9km cells, same grid as surge pricing
+
+// Every process publishes events here; every API node relays them to its own clients
+const EVENTS_CHANNEL = 'ws:events';
+
+// Every event gets a sequence number and is kept in a capped stream per topic
+// so reconnecting clients can catch up (?last_seen_seq=<n>)
+const SEQ_KEY = 'ws:seq';
+const REPLAY_LOG_SIZE = Number(process.env.WS_REPLAY_LOG_SIZE ?? 500);
+const REPLAY_TTL_SEC = Number(process.env.WS_REPLAY_TTL_SEC ?? 86400);
+
+function logKey(topic) {
+  return `ws:log:${topic}`;
+}
+
+// Clients silent for longer than the idle timeout (no message, no pong) are dropped
+const HEARTBEAT_INTERVAL_MS = Number(process.env.WS_HEARTBEAT_INTERVAL_MS ?? 30000);
+const IDLE_TIMEOUT_MS = Number(process.env.WS_IDLE_TIMEOUT_MS ?? 60000);
+
+// Same budget as locationLimiter on POST /drivers/:id/location (2 per second)
+const LOCATION_MIN_INTERVAL_MS = Number(process.env.WS_LOCATION_MIN_INTERVAL_MS ?? 500);
+
+/**
+ * Topics a client can receive events on
+ * - rider:<id> / driver:<id>: the connected user's own events (joined on connect)
+ * - ride:<id>: one ride and its trip; the rider and assigned driver join automatically
+ * - zone:<geohash>: driver positions inside a geohash cell
+ * - tracking:<driverId>: one driver's positions (followed by ride SSE streams)
+ * - admin: every event, for ops dashboards
+ */
+const topics = {
+  rider: (id) => `rider:${id}`,
+  driver: (id) => `driver:${id}`,
+  ride: (id) => `ride:${id}`,
+  zone: (latitude, longitude) => `zone:${geohash.encode(latitude, longitude, ZONE_PRECISION)}`,
+  tracking: (driverId) => `tracking:${driverId}`,
+  admin: () => 'admin'
+};
 
 class WebSocketManager {
   constructor() {
     this.wss = null;
     this.clients = new Set();
+    this.subscriptions = new Map(); // topic -> Set of clients
+    this.subscriber = null;
+    this.heartbeatInterval = null;
   }
 
   initialize(server) {
-    this.wss = new WebSocket.Server({ server });
+    this.wss = new WebSocket.Server({
+      server,
+      verifyClient: (info, done) => {
+        try {
+          info.req.user = this.authenticate(info.req);
+          done(true);
+        } catch (error) {
+          logger.warn({ error: error.message }, 'WebSocket authentication failed');
+          done(false, 401, 'Unauthorized');
+        }
+      }
+    });
 
-    this.wss.on('connection', (ws, req) => {
+    this.wss.on('connection', async (ws, req) => {
+      ws.user = req.user;
+      ws.topics = new Set();
+      ws.lastSeenAt = Date.now();
       this.clients.add(ws);
-      logger.info({ clientsCount: this.clients.size }, 'WebSocket client connected');
+
+      logger.info({ clientsCount: this.clients.size, userId: ws.user.id, role: ws.user.role }, 'WebSocket client connected');
+
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const lastSeenSeq = params.has('last_seen_seq') ? Number(params.get('last_seen_seq')) : null;
+      if (lastSeenSeq !== null) {
+        ws.pending = []; // Hold live events until the replay has been sent
+      }
 
       ws.on('close', () => {
-        this.clients.delete(ws);
+        this.removeClient(ws);
         logger.info({ clientsCount: this.clients.size }, 'WebSocket client disconnected');
       });
 
       ws.on('error', (error) => {
         logger.error({ error: error.message }, 'WebSocket error');
-        this.clients.delete(ws);
+        this.removeClient(ws);
+      });
+
+      // Browsers answer protocol pings automatically
+      ws.on('pong', () => {
+        ws.lastSeenAt = Date.now();
       });
 
+      ws.on('message', (raw) => this.handleMessage(ws, raw));
+
+      // Extra topics can be requested with ?topics=ride:<id>,zone:<geohash>
+      const requested = params.get('topics');
+      const denied = [];
+      await this.subscribeDefaults(ws, { resuming: lastSeenSeq !== null });
+      for (const topic of requested ? requested.split(',') : []) {
+        if (!(await this.requestSubscription(ws, topic.trim()))) {
+          denied.push(topic.trim());
+        }
+      }
+
       // Send welcome message
       this.sendToClient(ws, {
         type: 'CONNECTED',
-        payload: { message: 'Connected to ride-hailing service' }
+        payload: {
+          message: 'Connected to ride-hailing service',
+          user: ws.user,
+          topics: [...ws.topics],
+          denied,
+          seq: await this.currentSeq()
+        }
       });
+
+      if (lastSeenSeq !== null) {
+        await this.replay(ws, lastSeenSeq);
+      }
+    });
+
+    this.heartbeatInterval = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+
+    this.startFanout().catch((error) => {
+      logger.error({ error: error.message }, 'Failed to subscribe to WebSocket events channel');
     });
 
     logger.info('WebSocket server initialized');
   }
 
-  broadcast(message) {
-    const data = JSON.stringify(message);
-    let sentCount = 0;
+  // Relay events published by any process (other API nodes, workers) to local clients
+  async startFanout() {
+    this.subscriber = redis.duplicate();
+    this.subscriber.on('error', (error) => {
+      logger.error({ error: error.message }, 'WebSocket events subscriber error');
+    });
+
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(EVENTS_CHANNEL, (raw) => {
+      try {
+        this.deliver(JSON.parse(raw));
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to relay WebSocket event');
+      }
+    });
+
+    logger.info({ channel: EVENTS_CHANNEL }, 'WebSocket fan-out subscribed');
+  }
+
+  // Drop clients that went quiet and ping the rest
+  checkHeartbeats(now = Date.now()) {
+    let evicted = 0;
+
+    this.clients.forEach((ws) => {
+      if (now - ws.lastSeenAt > IDLE_TIMEOUT_MS) {
+        ws.terminate();
+        this.removeClient(ws);
+        evicted++;
+      } else if (ws.readyState === WebSocket.OPEN) {
+        ws.ping();
+      }
+    });
+
+    if (evicted > 0) {
+      logger.info({ evicted, clientsCount: this.clients.size }, 'Evicted idle WebSocket clients');
+    }
+    return evicted;
+  }
+
+  /**
+   * Handle a command sent by a client
+   * { type: 'PING' | 'SUBSCRIBE' | 'UNSUBSCRIBE' | 'LOCATION_UPDATE', id?, ... }
+   * Replies echo the command's `id` as `request_id`
+   */
+  async handleMessage(ws, raw) {
+    ws.lastSeenAt = Date.now();
 
-    this.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
+    let command;
+    try {
+      command = JSON.parse(raw);
+    } catch (error) {
+      return this.sendError(ws, 'BAD_REQUEST', 'Message must be JSON');
+    }
+
+    const { type, id: requestId } = command || {};
+
+    try {
+      switch (type) {
+        case 'PING':
+          return this.reply(ws, 'PONG', { timestamp: new Date().toISOString() }, requestId);
+
+        case 'SUBSCRIBE':
+          if (typeof command.topic !== 'string' || !(await this.requestSubscription(ws, command.topic))) {
+            return this.sendError(ws, 'FORBIDDEN', `Cannot subscribe to ${command.topic}`, requestId);
+          }
+          return this.reply(ws, 'SUBSCRIBED', { topic: command.topic }, requestId);
+
+        case 'UNSUBSCRIBE':
+          this.unsubscribe(ws, command.topic);
+          return this.reply(ws, 'UNSUBSCRIBED', { topic: command.topic }, requestId);
+
+        case 'LOCATION_UPDATE':
+          return await this.handleLocationUpdate(ws, command, requestId);
+
+        default:
+          return this.sendError(ws, 'BAD_REQUEST', `Unknown message type: ${type}`, requestId);
+      }
+    } catch (error) {
+      logger.error({ userId: ws.user.id, type, error: error.message }, 'Failed to handle WebSocket message');
+      this.sendError(ws, error.statusCode === 400 ? 'BAD_REQUEST' : 'INTERNAL_ERROR', error.message, requestId);
+    }
+  }
+
+  // Drivers stream GPS fixes over the socket instead of POST /drivers/:id/location
+  async handleLocationUpdate(ws, { latitude, longitude }, requestId) {
+    if (ws.user.role !== ROLES.DRIVER) {
+      return this.sendError(ws, 'FORBIDDEN', 'Only drivers can send location updates', requestId);
+    }
+
+    const now = Date.now();
+    if (now - (ws.lastLocationAt || 0) < LOCATION_MIN_INTERVAL_MS) {
+      return this.sendError(ws, 'RATE_LIMITED', 'Too many location updates, please slow down', requestId);
+    }
+    ws.lastLocationAt = now;
+
+    // Required lazily: driver.service itself broadcasts through this module
+    const driverService = require('../services/driver.service');
+    const driver = await driverService.updateLocation(ws.user.id, { latitude, longitude });
+    this.reply(ws, 'LOCATION_ACK', driver, requestId);
+  }
+
+  reply(ws, type, payload, requestId) {
+    this.sendToClient(ws, requestId === undefined ? { type, payload } : { type, payload, request_id: requestId });
+  }
+
+  sendError(ws, code, message, requestId) {
+    this.reply(ws, 'ERROR', { code, message }, requestId);
+  }
+
+  async close() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+    if (this.wss) {
+      this.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+  }
+
+  /**
+   * Read the user from a `token` query parameter (browsers cannot set
+   * headers on WebSocket requests) or a Bearer Authorization header
+   * @throws {Error} If the token is missing or invalid
+   */
+  authenticate(req) {
+    const [scheme, header] = (req.headers.authorization || '').split(' ');
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token') ||
+      (scheme === 'Bearer' ? header : null);
+
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    return authService.verifyToken(token);
+  }
+
+  /**
+   * Personal topic, plus the rides the user is currently part of
+   * A resuming client also rejoins rides that ended while it was away (within
+   * the replay window), so their final events are replayed too
+   */
+  async subscribeDefaults(ws, { resuming = false } = {}) {
+    const { id, role } = ws.user;
+
+    if (role === ROLES.ADMIN) {
+      this.subscribe(ws, topics.admin());
+      return;
+    }
+
+    this.subscribe(ws, role === ROLES.RIDER ? topics.rider(id) : topics.driver(id));
+
+    try {
+      const rideIds = await authService.getActiveRideIds(ws.user, {
+        changedWithinSec: resuming ? REPLAY_TTL_SEC : null
+      });
+      rideIds.forEach(rideId => this.subscribe(ws, topics.ride(rideId)));
+    } catch (error) {
+      logger.error({ userId: id, error: error.message }, 'Failed to load active rides for WebSocket client');
+    }
+  }
+
+  /**
+   * Check whether a user may receive a topic
+   * @returns {Promise<boolean>}
+   */
+  async canSubscribe(user, topic) {
+    const [kind, id] = topic.split(':');
+
+    if (user.role === ROLES.ADMIN) {
+      return true;
+    }
+
+    switch (kind) {
+      case 'rider':
+      case 'driver':
+        return user.role === kind && user.id === id;
+      case 'ride':
         try {
-          client.send(data);
-          sentCount++;
+          return await authService.isParticipant(user, 'Ride', id);
         } catch (error) {
-          logger.error({ error: error.message }, 'Failed to send WebSocket message');
+          return false;
         }
+      case 'zone':
+        return typeof id === 'string' && id.length === ZONE_PRECISION;
+      default:
+        return false;
+    }
+  }
+
+  // Subscribe a client to a topic it asked for, if it is entitled to it
+  async requestSubscription(ws, topic) {
+    if (!(await this.canSubscribe(ws.user, topic))) {
+      return false;
+    }
+
+    this.subscribe(ws, topic);
+    return true;
+  }
+
+  subscribe(ws, topic) {
+    if (!this.subscriptions.has(topic)) {
+      this.subscriptions.set(topic, new Set());
+    }
+    this.subscriptions.get(topic).add(ws);
+    ws.topics.add(topic);
+  }
+
+  unsubscribe(ws, topic) {
+    const subscribers = this.subscriptions.get(topic);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) {
+        this.subscriptions.delete(topic);
+      }
+    }
+    ws.topics.delete(topic);
+  }
+
+  removeClient(ws) {
+    [...(ws.topics || [])].forEach(topic => this.unsubscribe(ws, topic));
+    this.clients.delete(ws);
+  }
+
+  // Add every client on one topic to another (e.g. a rider's sockets to their new ride)
+  join(fromTopic, toTopic) {
+    const subscribers = this.subscriptions.get(fromTopic);
+    if (subscribers) {
+      subscribers.forEach(ws => this.subscribe(ws, toTopic));
+    }
+  }
+
+  /**
+   * Publish an event for every node to deliver
+   * @param {string[]} topicList - Topics the event goes to
+   * @param {Array} joins - [fromTopic, toTopic] pairs applied before delivery
+   */
+  async publish(topicList, message, joins = []) {
+    let event = { topics: topicList, message, joins };
+
+    try {
+      const seq = await redis.incr(SEQ_KEY);
+      event = { ...event, message: { ...message, seq } };
+
+      await this.appendToLog(topicList, event.message);
+      await redis.publish(EVENTS_CHANNEL, JSON.stringify(event));
+    } catch (error) {
+      // Redis is down: at least reach the clients on this node
+      logger.error({ type: message.type, error: error.message }, 'Failed to publish WebSocket event');
+      this.deliver(event);
+    }
+  }
+
+  async appendToLog(topicList, message) {
+    const entry = { seq: String(message.seq), message: JSON.stringify(message) };
+
+    await Promise.all(topicList.map(async (topic) => {
+      await redis.xAdd(logKey(topic), '*', entry, {
+        TRIM: { strategy: 'MAXLEN', threshold: REPLAY_LOG_SIZE }
+      });
+      await redis.expire(logKey(topic), REPLAY_TTL_SEC);
+    }));
+  }
+
+  async currentSeq() {
+    try {
+      return Number(await redis.get(SEQ_KEY)) || 0;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to read WebSocket sequence');
+      return null;
+    }
+  }
+
+  /**
+   * Logged events on the given topics with a sequence number above lastSeenSeq
+   * @returns {object} { messages } in sequence order, or { resync } listing the
+   *   topics whose log has already dropped events the client has not seen
+   */
+  async eventsSince(topicList, lastSeenSeq) {
+    const current = await this.currentSeq();
+    if (!Number.isInteger(lastSeenSeq) || lastSeenSeq < 0 || lastSeenSeq > current) {
+      // Unusable resume point (or the sequence was reset)
+      return { resync: topicList };
+    }
+
+    const messages = new Map(); // seq -> serialized message, so events on several topics replay once
+    const resync = [];
+
+    for (const topic of topicList) {
+      const entries = await redis.xRange(logKey(topic), '-', '+');
+      const oldestSeq = entries.length > 0 ? Number(entries[0].message.seq) : null;
+
+      if (entries.length >= REPLAY_LOG_SIZE && oldestSeq > lastSeenSeq + 1) {
+        resync.push(topic);
+        continue;
+      }
+
+      entries
+        .filter(entry => Number(entry.message.seq) > lastSeenSeq)
+        .forEach(entry => messages.set(Number(entry.message.seq), entry.message.message));
+    }
+
+    if (resync.length > 0) {
+      return { resync };
+    }
+
+    return {
+      messages: [...messages.entries()].sort(([a], [b]) => a - b).map(([, data]) => data)
+    };
+  }
+
+  // Send a reconnecting client what it missed, then the live events held meanwhile
+  async replay(ws, lastSeenSeq) {
+    let replayedUpTo = lastSeenSeq;
+
+    try {
+      const { messages, resync } = await this.eventsSince([...ws.topics], lastSeenSeq);
+
+      if (resync) {
+        this.sendToClient(ws, {
+          type: 'RESYNC_REQUIRED',
+          payload: { topics: resync, message: 'Missed events are no longer available; reload state over REST' }
+        });
+      } else {
+        messages.forEach(data => ws.send(data));
+        replayedUpTo = messages.length > 0 ? JSON.parse(messages[messages.length - 1]).seq : lastSeenSeq;
+        logger.info({ userId: ws.user.id, lastSeenSeq, replayed: messages.length }, 'Replayed WebSocket events');
+      }
+    } catch (error) {
+      logger.error({ userId: ws.user.id, error: error.message }, 'Failed to replay WebSocket events');
+      this.sendToClient(ws, {
+        type: 'RESYNC_REQUIRED',
+        payload: { topics: [...ws.topics], message: 'Replay failed; reload state over REST' }
+      });
+    }
+
+    const pending = ws.pending || [];
+    ws.pending = null;
+    pending
+      .filter(({ seq }) => seq === undefined || seq > replayedUpTo)
+      .forEach(({ data }) => this.sendData(ws, data));
+  }
+
+  /**
+   * Send an event to the local clients subscribed to any of its topics
+   * (a client on several of them receives it once)
+   */
+  deliver({ topics: topicList, message, joins = [] }) {
+    joins.forEach(([fromTopic, toTopic]) => this.join(fromTopic, toTopic));
+
+    const recipients = new Set();
+    topicList.forEach((topic) => {
+      const subscribers = this.subscriptions.get(topic);
+      if (subscribers) {
+        subscribers.forEach(ws => recipients.add(ws));
+      }
+    });
+
+    const data = JSON.stringify(message);
+    let sentCount = 0;
+
+    recipients.forEach((client) => {
+      if (client.pending) {
+        client.pending.push({ seq: message.seq, data });
+      } else if (this.sendData(client, data)) {
+        sentCount++;
       }
     });
 
-    logger.debug({ type: message.type, clients: sentCount }, 'Broadcast message sent');
+    logger.debug({ type: message.type, topics: topicList, clients: sentCount }, 'Message delivered');
+  }
+
+  sendData(client, data) {
+    if (client.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+
+    try {
+      client.send(data);
+      return true;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to send WebSocket message');
+      return false;
+    }
   }
 
   sendToClient(client, message) {
@@ -64,55 +536,117 @@ class WebSocketManager {
 
   // Broadcast ride created event
   broadcastRideCreated(ride) {
-    this.broadcast({
+    return this.publish([topics.ride(ride.id), topics.admin()], {
       type: 'RIDE_CREATED',
       payload: ride
-    });
+    }, [[topics.rider(ride.rider_id), topics.ride(ride.id)]]);
   }
 
   // Broadcast ride updated event
   broadcastRideUpdated(ride) {
-    this.broadcast({
+    const joins = ride.assigned_driver_id
+      ? [[topics.driver(ride.assigned_driver_id), topics.ride(ride.id)]]
+      : [];
+    return this.publish([topics.ride(ride.id), topics.admin()], {
       type: 'RIDE_UPDATED',
       payload: ride
-    });
+    }, joins);
   }
 
   // Broadcast driver assigned event
   broadcastDriverAssigned(rideId, driverId, driverName) {
-    this.broadcast({
+    return this.publish([topics.ride(rideId), topics.admin()], {
       type: 'DRIVER_ASSIGNED',
       payload: { rideId, driverId, driverName }
+    }, [[topics.driver(driverId), topics.ride(rideId)]]);
+  }
+
+  // Broadcast ride offer to the offered driver
+  broadcastRideOffer(offer, ride) {
+    return this.publish([topics.driver(offer.driver_id), topics.admin()], {
+      type: 'RIDE_OFFER',
+      payload: {
+        offer_id: offer.id,
+        ride_id: ride.id,
+        driver_id: offer.driver_id,
+        tier: ride.tier,
+        pickup_latitude: ride.pickup_latitude,
+        pickup_longitude: ride.pickup_longitude,
+        drop_latitude: ride.drop_latitude,
+        drop_longitude: ride.drop_longitude,
+        expires_at: offer.expires_at
+      }
+    });
+  }
+
+  // Broadcast ride offer outcome (declined or expired)
+  broadcastRideOfferClosed(offer) {
+    return this.publish([topics.driver(offer.driver_id), topics.admin()], {
+      type: 'RIDE_OFFER_CLOSED',
+      payload: {
+        offer_id: offer.id,
+        ride_id: offer.ride_id,
+        driver_id: offer.driver_id,
+        status: offer.status
+      }
     });
   }
 
   // Broadcast driver status change
   broadcastDriverStatusChanged(driver) {
-    this.broadcast({
+    return this.publish([topics.driver(driver.id), topics.admin()], {
       type: 'DRIVER_STATUS_CHANGED',
       payload: driver
     });
   }
 
-  // Broadcast driver location update event
-  broadcastLocationUpdate(driver) {
-    this.broadcast({
+  /**
+   * Broadcast driver location update event
+   * Zone topics are open to any rider, so they only carry AVAILABLE drivers,
+   * without the pickup ETA; the assigned ride's topic gets the full update
+   * @param {object} driver - { id, latitude, longitude, eta? }
+   * @param {object} options - { status, rideId } of the driver, if known
+   */
+  broadcastLocationUpdate(driver, { status, rideId } = {}) {
+    const topicList = [topics.driver(driver.id), topics.tracking(driver.id), topics.admin()];
+    if (rideId) {
+      topicList.push(topics.ride(rideId));
+    }
+
+    const published = [this.publish(topicList, {
       type: 'DRIVER_LOCATION_UPDATED',
       payload: driver
-    });
+    })];
+
+    if (status === 'AVAILABLE') {
+      published.push(this.publish([topics.zone(driver.latitude, driver.longitude)], {
+        type: 'DRIVER_LOCATION_UPDATED',
+        payload: { id: driver.id, latitude: driver.latitude, longitude: driver.longitude }
+      }));
+    }
+
+    return Promise.all(published);
   }
 
   // Broadcast driver created event
   broadcastDriverCreated(driver) {
-    this.broadcast({
+    return this.publish([topics.admin()], {
       type: 'DRIVER_CREATED',
       payload: driver
     });
   }
 
+  // Broadcast driver arrived at pickup (free waiting time runs until free_wait_until)
+  broadcastDriverArrived(trip) {
+    return this.publish([topics.ride(trip.ride_id), topics.admin()], {
+      type: 'DRIVER_ARRIVED',
+      payload: trip
+    });
+  }
+
   // Broadcast trip started event
   broadcastTripStarted(trip) {
-    this.broadcast({
+    return this.publish([topics.ride(trip.ride_id), topics.admin()], {
       type: 'TRIP_STARTED',
       payload: trip
     });
@@ -120,7 +654,8 @@ class WebSocketManager {
 
   // Broadcast trip accepted event (driver accepts ride and trip is initialized)
   broadcastTripAccepted(tripData) {
-    this.broadcast({
+    const { ride_id: rideId, driver_id: driverId } = tripData.trip;
+    return this.publish([topics.ride(rideId), topics.admin()], {
       type: 'TRIP_ACCEPTED',
       payload: {
         trip_id: tripData.trip.id,
@@ -130,20 +665,37 @@ class WebSocketManager {
         trip_status: tripData.trip.status,
         timestamp: new Date().toISOString()
       }
-    });
+    }, [[topics.driver(driverId), topics.ride(rideId)]]);
   }
 
   // Broadcast trip ended event
   broadcastTripEnded(trip) {
-    this.broadcast({
+    return this.publish([topics.ride(trip.ride_id), topics.admin()], {
       type: 'TRIP_ENDED',
       payload: trip
     });
   }
 
+  // Broadcast trip cancelled event
+  broadcastTripCancelled(trip) {
+    return this.publish([topics.ride(trip.ride_id), topics.admin()], {
+      type: 'TRIP_CANCELLED',
+      payload: trip
+    });
+  }
+
+  // Broadcast payment status change (sent by the outbox worker and the PSP webhook)
+  broadcastPaymentUpdated(payment) {
+    const topicList = payment.ride_id ? [topics.ride(payment.ride_id), topics.admin()] : [topics.admin()];
+    return this.publish(topicList, {
+      type: 'PAYMENT_UPDATED',
+      payload: payment
+    });
+  }
+
   // Broadcast trip receipt event
   broadcastTripReceipt(receipt) {
-    this.broadcast({
+    return this.publish([topics.ride(receipt.ride_id), topics.admin()], {
       type: 'TRIP_RECEIPT',
       payload: receipt
     });
@@ -151,3 +703,4 @@ class WebSocketManager {
 }
 
 module.exports = new WebSocketManager();
+module.exports.topics = topics;
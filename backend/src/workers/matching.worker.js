@@ -1,110 +1,94 @@
 /**
- * Matching Worker - Automatically assigns drivers to rides in MATCHING state
- * Runs continuously to pick up rides and find available drivers
+ * Matching Worker - Offers rides in MATCHING state to nearby drivers
+ * Runs continuously to expire unanswered offers and send the next ones
  */
 
 const db = require('../db');
 const matchingService = require('../services/matching.service');
-const assignmentService = require('../services/assignment.service');
+const offerService = require('../services/offer.service');
+const dispatchService = require('../services/dispatch.service');
 const logger = require('../config/logger');
 const newrelic = require('newrelic');
 
 const POLL_INTERVAL_MS = 2000; // Check every 2 seconds
-const MATCH_TIMEOUT_MS = 60000; // 60 seconds to find a driver
 const MAX_ASSIGNMENT_ATTEMPTS = 3;
 
+// 'greedy' offers each ride its closest driver in turn; 'batch' matches all
+// pending rides at once to minimise total pickup time
+const DISPATCH_MODE = process.env.DISPATCH_MODE || 'greedy';
+const BATCH_DISPATCH_LIMIT = Number(process.env.BATCH_DISPATCH_LIMIT ?? 100);
+
+// Rides are polled for this long after creation; older MATCHING rides are expired
+const MATCHING_WINDOW_MIN = 5;
+
 let isRunning = false;
 let pollTimer = null;
 
 /**
  * Get rides that need driver assignment
  */
-async function getPendingRides() {
+async function getPendingRides(limit = 10) {
   const result = await db.query(
     `SELECT * FROM rides 
      WHERE status = 'MATCHING' 
-       AND created_at > NOW() - INTERVAL '5 minutes'
+       AND created_at > NOW() - make_interval(mins => $2)
      ORDER BY created_at ASC
-     LIMIT 10`
+     LIMIT $1`,
+    [limit, MATCHING_WINDOW_MIN]
   );
   
   return result.rows;
 }
 
 /**
- * Attempt to assign a driver to a ride
+ * Offer a ride to the next nearby driver
+ * Drivers accept or decline through the drivers API; an unanswered offer
+ * expires and the ride is offered to the next closest driver
  */
 async function attemptDriverAssignment(ride) {
   try {
-    logger.info({ rideId: ride.id }, 'Attempting to assign driver to ride');
-    
-    // Find nearby available drivers
-    const nearbyDrivers = await matchingService.findNearbyDrivers(
-      ride.pickup_latitude,
-      ride.pickup_longitude
-    );
-    
-    if (!nearbyDrivers || nearbyDrivers.length === 0) {
-      logger.warn({ rideId: ride.id }, 'No nearby drivers found');
-      
-      // Check if ride has exceeded timeout
-      const rideAge = Date.now() - new Date(ride.created_at).getTime();
-      if (rideAge > MATCH_TIMEOUT_MS) {
-        await expireRide(ride.id);
-        logger.warn({ rideId: ride.id }, 'Ride expired - no drivers available');
-      }
-      
+    // Out of time on the widest ring: stop offering, even while an offer is open
+    if (matchingService.isMatchingExhausted(ride)) {
+      await expireTimedOutRide(ride);
       return null;
     }
-    
-    logger.info({ 
-      rideId: ride.id, 
-      driverCount: nearbyDrivers.length 
-    }, 'Found nearby drivers');
-    
-    // Try to assign each driver in order (closest first)
-    for (const driverData of nearbyDrivers) {
-      try {
-        // Extract driver ID from redis geo result
-        const driverId = driverData.member || driverData;
-        
-        logger.info({ 
-          rideId: ride.id, 
-          driverId 
-        }, 'Attempting assignment to driver');
-        
-        // Phase 1: Assign driver to ride
-        const assignResult = await assignmentService.assignDriver(ride.id, driverId);
-        
-        if (assignResult && assignResult.success) {
-          logger.info({ 
-            rideId: ride.id, 
-            driverId
-          }, 'Driver assigned successfully');
-          
-          newrelic.recordMetric('Custom/Matching/Success', 1);
-          return { success: true, ride: assignResult.ride };
-        }
-      } catch (err) {
-        // Driver might have been assigned to another ride, continue to next
-        logger.warn({ 
-          rideId: ride.id, 
-          driverId: driverData.member || driverData,
-          error: err.message 
-        }, 'Failed to assign driver, trying next');
-        continue;
-      }
+
+    // One driver at a time: wait for the current offer to be answered or expire
+    const pendingOffer = await offerService.getPendingOffer(ride.id);
+    if (pendingOffer) {
+      return null;
     }
-    
-    logger.warn({ rideId: ride.id }, 'Failed to assign any nearby driver');
-    return null;
+
+    // Search the ring the ride has reached; rings widen the longer it waits
+    const search = await matchingService.findDriversInRing(ride);
+
+    // Extract driver IDs from the search result (fastest pickup first)
+    const candidateIds = search.drivers.map(d => d.member || d);
+
+    const offer = await offerService.offerToNextDriver(ride, candidateIds, {
+      ring: search.ring,
+      radius_km: search.radius_km
+    });
+
+    if (!offer) {
+      logger.warn({ 
+        rideId: ride.id,
+        city: search.city,
+        ring: search.ring,
+        radiusKm: search.radius_km
+      }, 'No nearby drivers left to offer ride to');
+      
+      return null;
+    }
+
+    return { success: true, offer };
     
   } catch (err) {
     logger.error({ 
       rideId: ride.id, 
       error: err.message,
       stack: err.stack 
-    }, 'Error during driver assignment attempt');
+    }, 'Error during driver offer attempt');
     
     newrelic.noticeError(err, { context: 'attemptDriverAssignment', rideId: ride.id });
     throw err;
@@ -136,18 +120,86 @@ async function expireRide(rideId) {
   }
 }
 
+/**
+ * Withdraw a timed-out ride's pending offer, then expire the ride
+ * Withdrawing first means the offered driver can no longer accept it
+ */
+async function expireTimedOutRide(ride) {
+  await offerService.withdrawOffers(ride.id);
+  await expireRide(ride.id);
+  logger.warn({ rideId: ride.id }, 'Ride expired - no drivers available');
+}
+
+/**
+ * Expire MATCHING rides that have fallen out of the polling window
+ * getPendingRides no longer selects them, so nothing else would
+ */
+async function expireAbandonedRides() {
+  const result = await db.query(
+    `UPDATE rides
+     SET status = 'EXPIRED', updated_at = NOW()
+     WHERE status = 'MATCHING'
+       AND created_at <= NOW() - make_interval(mins => $1)
+     RETURNING id`,
+    [MATCHING_WINDOW_MIN]
+  );
+
+  for (const { id } of result.rows) {
+    await offerService.withdrawOffers(id);
+  }
+
+  if (result.rowCount > 0) {
+    logger.warn({ count: result.rowCount }, 'Expired rides left in MATCHING past the polling window');
+    newrelic.recordMetric('Custom/Matching/Expired', result.rowCount);
+  }
+
+  return result.rows;
+}
+
+/**
+ * Offer all pending rides at once from the optimal ride/driver assignment
+ */
+async function processBatch(pendingRides, now = Date.now()) {
+  // Out of time on the widest ring: expire instead of dispatching
+  const openRides = [];
+  for (const ride of pendingRides) {
+    if (matchingService.isMatchingExhausted(ride, now)) {
+      await expireTimedOutRide(ride);
+    } else {
+      openRides.push(ride);
+    }
+  }
+
+  const { offers, unmatched } = await dispatchService.dispatchBatch(openRides, now);
+
+  if (offers.length > 0 || unmatched.length > 0) {
+    logger.info({ offers: offers.length, unmatched: unmatched.length }, 'Batch dispatch processed');
+  }
+}
+
 /**
  * Process all pending rides
  */
 async function processMatchingRides() {
   try {
-    const pendingRides = await getPendingRides();
+    // Free up rides whose offer went unanswered
+    await offerService.expireOffers();
+    await expireAbandonedRides();
+
+    const pendingRides = await getPendingRides(
+      DISPATCH_MODE === 'batch' ? BATCH_DISPATCH_LIMIT : undefined
+    );
     
     if (pendingRides.length === 0) {
       return;
     }
     
-    logger.info({ count: pendingRides.length }, 'Processing pending rides');
+    logger.info({ count: pendingRides.length, mode: DISPATCH_MODE }, 'Processing pending rides');
+
+    if (DISPATCH_MODE === 'batch') {
+      await processBatch(pendingRides);
+      return;
+    }
     
     // Process rides concurrently (with some limit to avoid overwhelming)
     const batchSize = 5;
@@ -165,14 +217,14 @@ async function processMatchingRides() {
         if (result.status === 'fulfilled') {
           if (result.value) {
             successful++;
-            logger.debug({ rideId: batch[index].id }, 'Ride assignment succeeded');
+            logger.debug({ rideId: batch[index].id }, 'Ride offer sent');
           }
         } else {
           failed++;
           logger.warn({ 
             rideId: batch[index].id, 
             error: result.reason?.message 
-          }, 'Ride assignment failed');
+          }, 'Ride offer failed');
         }
       });
       
@@ -219,7 +271,7 @@ function start() {
   isRunning = true;
   logger.info({ 
     pollInterval: POLL_INTERVAL_MS,
-    matchTimeout: MATCH_TIMEOUT_MS 
+    dispatchMode: DISPATCH_MODE
   }, 'Starting matching worker');
   
   // Start the loop
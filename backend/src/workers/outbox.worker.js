@@ -1,9 +1,10 @@
 const db = require('../db');
 const paymentService = require('../services/payment.service');
+const refundService = require('../services/refund.service');
 const newrelic = require('newrelic');
 
 /**
- * Process outbox events for payment processing
+ * Process outbox events for payments and refunds
  */
 async function processOutbox() {
   try {
@@ -23,6 +24,11 @@ async function processOutbox() {
 
     for (const event of eventsRes.rows) {
       try {
+        if (event.aggregate_type === 'REFUND') {
+          await processRefundEvent(event);
+          continue;
+        }
+
         const payment = event.payload;
 
         // Process payment through PSP
@@ -31,8 +37,21 @@ async function processOutbox() {
         if (result.success && result.processing) {
           // Payment sent to PSP successfully - keep event unprocessed
           // Webhook will confirm actual completion later
+          await paymentService.publishPaymentUpdate(payment.id);
           newrelic.recordMetric('Custom/Outbox/SentToPSP', 1);
           console.log(`📤 Payment sent to PSP: ${payment.id}`);
+        } else if (result.success && result.completed) {
+          // Wallet payment debited internally - nothing left to wait for
+          await db.query(
+            `UPDATE outbox_events
+             SET processed = true
+             WHERE id = $1`,
+            [event.id]
+          );
+
+          await paymentService.publishPaymentUpdate(payment.id);
+          newrelic.recordMetric('Custom/Outbox/WalletDebited', 1);
+          console.log(`👛 Payment debited from wallet: ${payment.id}`);
         } else if (result.alreadyProcessed) {
           // Already processed or processing - mark outbox event as done
           await db.query(
@@ -47,7 +66,7 @@ async function processOutbox() {
           newrelic.recordMetric('Custom/Outbox/PaymentRetrying', 1);
           console.log(`⏳ Payment retry ${result.retryCount}/${payment.max_retries || 3}: ${payment.id}`);
         } else {
-          // Max retries exceeded - mark as processed to stop retrying
+          // Declined or max retries exceeded - mark as processed to stop retrying
           await db.query(
             `UPDATE outbox_events
              SET processed = true
@@ -55,8 +74,9 @@ async function processOutbox() {
             [event.id]
           );
 
+          await paymentService.publishPaymentUpdate(payment.id);
           newrelic.recordMetric('Custom/Outbox/ProcessedFailure', 1);
-          console.log(`❌ Payment failed after max retries: ${payment.id}`);
+          console.log(`❌ Payment failed (${result.reason}): ${payment.id}`);
         }
       } catch (err) {
         newrelic.recordMetric('Custom/Outbox/ProcessingError', 1);
@@ -71,6 +91,37 @@ async function processOutbox() {
   }
 }
 
+/**
+ * Send a refund to the PSP
+ * The event is closed once the refund has left PENDING; the `refund.*`
+ * webhook settles it
+ */
+async function processRefundEvent(event) {
+  const refund = event.payload;
+  const result = await refundService.processRefund(refund.id);
+
+  if (result.success && result.processing) {
+    newrelic.recordMetric('Custom/Outbox/RefundSentToPSP', 1);
+    console.log(`📤 Refund sent to PSP: ${refund.id}`);
+  } else if (result.retry) {
+    newrelic.recordMetric('Custom/Outbox/RefundRetrying', 1);
+    console.log(`⏳ Refund retry ${result.retryCount}: ${refund.id}`);
+  } else {
+    // Already sent, rejected by the PSP or out of retries
+    await db.query(
+      `UPDATE outbox_events
+       SET processed = true
+       WHERE id = $1`,
+      [event.id]
+    );
+
+    if (!result.alreadyProcessed) {
+      newrelic.recordMetric('Custom/Outbox/RefundFailure', 1);
+      console.log(`❌ Refund failed (${result.reason}): ${refund.id}`);
+    }
+  }
+}
+
 /**
  * Worker health check - records heartbeat metric
  */
@@ -131,4 +182,14 @@ module.exports = {
   start,
   stop,
   processOutbox
-};
\ No newline at end of file
+};
+
+// Standalone worker container (Dockerfile.worker)
+if (require.main === module) {
+  start();
+
+  process.on('SIGTERM', () => {
+    stop();
+    process.exit(0);
+  });
+}
\ No newline at end of file
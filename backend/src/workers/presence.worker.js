@@ -0,0 +1,72 @@
+/**
+ * Presence Worker - Periodically evicts drivers whose location pings
+ * have gone stale from the geo index
+ */
+
+const presenceService = require('../services/presence.service');
+const logger = require('../config/logger');
+const newrelic = require('newrelic');
+
+const SWEEP_INTERVAL_MS = Number(process.env.DRIVER_SWEEP_INTERVAL_MS ?? 15000);
+
+let isRunning = false;
+let sweepTimer = null;
+
+/**
+ * Main worker loop
+ */
+async function workerLoop() {
+  if (!isRunning) {
+    return;
+  }
+
+  try {
+    await presenceService.sweepStaleDrivers();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Error in presence worker loop');
+    newrelic.noticeError(err, { context: 'sweepStaleDrivers' });
+  }
+
+  // Schedule next iteration
+  if (isRunning) {
+    sweepTimer = setTimeout(workerLoop, SWEEP_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the presence worker
+ */
+function start() {
+  if (isRunning) {
+    logger.warn('Presence worker already running');
+    return;
+  }
+
+  isRunning = true;
+  logger.info({ sweepInterval: SWEEP_INTERVAL_MS }, 'Starting presence worker');
+
+  workerLoop();
+}
+
+/**
+ * Stop the presence worker
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (sweepTimer) {
+    clearTimeout(sweepTimer);
+    sweepTimer = null;
+  }
+
+  logger.info('Stopped presence worker');
+}
+
+module.exports = {
+  start,
+  stop
+};
@@ -0,0 +1,72 @@
+/**
+ * Surge Worker - Periodically recomputes per-zone surge multipliers
+ * from ride demand and driver supply
+ */
+
+const surgeService = require('../services/surge.service');
+const logger = require('../config/logger');
+const newrelic = require('newrelic');
+
+const REFRESH_INTERVAL_MS = Number(process.env.SURGE_REFRESH_INTERVAL_MS ?? 30000);
+
+let isRunning = false;
+let refreshTimer = null;
+
+/**
+ * Main worker loop
+ */
+async function workerLoop() {
+  if (!isRunning) {
+    return;
+  }
+
+  try {
+    await surgeService.refreshSurge();
+  } catch (err) {
+    logger.error({ error: err.message }, 'Error in surge worker loop');
+    newrelic.noticeError(err, { context: 'refreshSurge' });
+  }
+
+  // Schedule next iteration
+  if (isRunning) {
+    refreshTimer = setTimeout(workerLoop, REFRESH_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the surge worker
+ */
+function start() {
+  if (isRunning) {
+    logger.warn('Surge worker already running');
+    return;
+  }
+
+  isRunning = true;
+  logger.info({ refreshInterval: REFRESH_INTERVAL_MS }, 'Starting surge worker');
+
+  workerLoop();
+}
+
+/**
+ * Stop the surge worker
+ */
+function stop() {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  logger.info('Stopped surge worker');
+}
+
+module.exports = {
+  start,
+  stop
+};
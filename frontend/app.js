@@ -5,6 +5,7 @@ const WS_URL = 'ws://localhost:3000';
 // State management
 let ws = null;
 let reconnectInterval = null;
+let lastSeq = null; // Highest event sequence seen, to resume after a reconnect
 let rides = new Map();
 let drivers = new Map();
 
@@ -27,12 +28,21 @@ document.addEventListener('DOMContentLoaded', () => {
 // WebSocket Connection
 function initWebSocket() {
     try {
-        ws = new WebSocket(WS_URL);
+        // The server only accepts authenticated sockets and sends each user their own events;
+        // an admin token sees everything, a rider token only that rider's rides
+        const token = localStorage.getItem('admin_token') || localStorage.getItem('rider_token');
+        // On resume, ask again for the rides on screen so their missed events are replayed
+        const rideTopics = [...rides.keys()].map(id => `ride:${id}`).join(',');
+        const resume = lastSeq !== null
+            ? `&last_seen_seq=${lastSeq}${rideTopics ? `&topics=${rideTopics}` : ''}`
+            : '';
+        ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token || '')}${resume}`);
         
         ws.onopen = () => {
             updateConnectionStatus(true);
             logActivity('Connected to live updates', 'success');
             clearInterval(reconnectInterval);
+            reconnectInterval = null;
         };
         
         ws.onmessage = (event) => {
@@ -57,6 +67,8 @@ function initWebSocket() {
 }
 
 function attemptReconnect() {
+    if (reconnectInterval) return;
+
     reconnectInterval = setInterval(() => {
         console.log('Attempting to reconnect...');
         initWebSocket();
@@ -76,8 +88,23 @@ function updateConnectionStatus(connected) {
 // Handle WebSocket Messages
 function handleWebSocketMessage(data) {
     console.log('WebSocket message received:', data.type, data.payload);
+
+    if (data.seq !== undefined) {
+        lastSeq = Math.max(lastSeq ?? 0, data.seq);
+    }
     
     switch (data.type) {
+        case 'CONNECTED':
+            if (lastSeq === null && data.payload.seq !== null) {
+                lastSeq = data.payload.seq;
+            }
+            break;
+        case 'RESYNC_REQUIRED':
+            // Missed events are gone from the server's log; start over from REST
+            logActivity('Missed updates while offline, reloading', 'warning');
+            lastSeq = null;
+            loadInitialData();
+            break;
         case 'RIDE_CREATED':
             handleRideCreated(data.payload);
             break;
@@ -99,6 +126,9 @@ function handleWebSocketMessage(data) {
         case 'DRIVER_LOCATION_UPDATED':
             handleDriverLocationUpdated(data.payload);
             break;
+        case 'DRIVER_ARRIVED':
+            handleDriverArrived(data.payload);
+            break;
         case 'TRIP_STARTED':
             handleTripStarted(data.payload);
             break;
@@ -108,6 +138,9 @@ function handleWebSocketMessage(data) {
         case 'TRIP_RECEIPT':
             handleTripReceipt(data.payload);
             break;
+        case 'PAYMENT_UPDATED':
+            handlePaymentUpdated(data.payload);
+            break;
         default:
             console.log('Unknown message type:', data.type);
     }
@@ -169,7 +202,8 @@ function handleDriverLocationUpdated(driver) {
         drivers.set(driver.id, driver);
     }
     renderDrivers();
-    logActivity(`📍 Driver ${driver.name || driver.id.substring(0, 8)} location updated to (${driver.latitude.toFixed(4)}, ${driver.longitude.toFixed(4)})`, 'info');
+    const eta = driver.eta ? ` - ${driver.eta.eta_minutes} min to pickup` : '';
+    logActivity(`📍 Driver ${driver.name || driver.id.substring(0, 8)} location updated to (${driver.latitude.toFixed(4)}, ${driver.longitude.toFixed(4)})${eta}`, 'info');
 }
 
 function handleDriverCreated(driver) {
@@ -179,6 +213,12 @@ function handleDriverCreated(driver) {
     showNotification(`Driver ${driver.name} is now available!`, 'success');
 }
 
+function handleDriverArrived(trip) {
+    const waitUntil = new Date(trip.free_wait_until).toLocaleTimeString();
+    logActivity(`📍 Driver arrived at pickup for ride ${trip.ride_id.substring(0, 8)} (free waiting until ${waitUntil})`, 'info');
+    showNotification('Driver has arrived!', 'info');
+}
+
 function handleTripStarted(trip) {
     logActivity(`🏁 Trip ${trip.id.substring(0, 8)} started for ride ${trip.ride_id.substring(0, 8)}`, 'success');
     showNotification(`Trip started!`, 'success');
@@ -205,11 +245,22 @@ function handleTripReceipt(receipt) {
     logActivity(`🧾 Receipt generated for trip ${receipt.trip_id.substring(0, 8)} - Driver: ${driver}, ${distance} km, $${fare}`, 'info');
 }
 
+function handlePaymentUpdated(payment) {
+    const type = payment.status === 'FAILED' ? 'error' : payment.status === 'COMPLETED' ? 'success' : 'info';
+    logActivity(`💳 Payment ${payment.id.substring(0, 8)} ${payment.status} - $${payment.amount}`, type);
+}
+
 // Load Initial Data
 async function loadInitialData() {
     try {
+        // Listing rides and drivers is admin-only
+        if (!localStorage.getItem('admin_token')) {
+            logActivity('Set localStorage admin_token (npm run token -- admin) to load rides and drivers', 'warning');
+            return;
+        }
+
         // Load active rides
-        const ridesRes = await fetch(`${API_BASE}/rides`);
+        const ridesRes = await fetch(`${API_BASE}/admin/rides`, { headers: adminHeaders() });
         if (ridesRes.ok) {
             const ridesData = await ridesRes.json();
             if (Array.isArray(ridesData)) {
@@ -219,7 +270,7 @@ async function loadInitialData() {
         }
         
         // Load available drivers
-        const driversRes = await fetch(`${API_BASE}/drivers?status=AVAILABLE`);
+        const driversRes = await fetch(`${API_BASE}/admin/drivers?status=AVAILABLE`, { headers: adminHeaders() });
         if (driversRes.ok) {
             const driversData = await driversRes.json();
             if (Array.isArray(driversData)) {
@@ -238,8 +289,17 @@ function setupFormHandler() {
     rideForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
+        let riderId;
+        try {
+            riderId = await getRiderId();
+        } catch (error) {
+            showNotification('Could not register rider', 'error');
+            logActivity(`Rider registration failed: ${error.message}`, 'error');
+            return;
+        }
+
         const rideData = {
-            rider_id: generateUUID(), // In real app, use authenticated user
+            rider_id: riderId,
             pickup_latitude: parseFloat(document.getElementById('pickup-lat').value),
             pickup_longitude: parseFloat(document.getElementById('pickup-lng').value),
             drop_latitude: parseFloat(document.getElementById('dropoff-lat').value),
@@ -253,6 +313,7 @@ function setupFormHandler() {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${localStorage.getItem('rider_token')}`,
                     'idempotency-key': generateIdempotencyKey()
                 },
                 body: JSON.stringify(rideData)
@@ -269,6 +330,11 @@ function setupFormHandler() {
                 }
             } else {
                 const error = await response.json();
+                if (error.error === 'Rider not found' || response.status === 401) {
+                    // Saved rider no longer exists or its token expired; register again next time
+                    localStorage.removeItem('rider_id');
+                    localStorage.removeItem('rider_token');
+                }
                 showNotification('Failed to request ride: ' + (error.message || 'Unknown error'), 'error');
             }
         } catch (error) {
@@ -283,9 +349,7 @@ async function updateDriverLocation(driverId, latitude, longitude) {
     try {
         const response = await fetch(`${API_BASE}/drivers/${driverId}/location`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: adminHeaders(),
             body: JSON.stringify({ latitude, longitude })
         });
         
@@ -413,6 +477,40 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// Operator calls (listing, moving drivers) use an admin token pasted into localStorage
+function adminHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${localStorage.getItem('admin_token')}`
+    };
+}
+
+// Demo rider account, registered on first ride request; its ID and token are kept in localStorage
+async function getRiderId() {
+    const saved = localStorage.getItem('rider_id');
+    if (saved && localStorage.getItem('rider_token')) {
+        return saved;
+    }
+
+    const response = await fetch(`${API_BASE}/riders`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            name: 'Demo Rider',
+            phone: `+1555${String(Math.floor(Math.random() * 1e7)).padStart(7, '0')}`
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { rider, token } = await response.json();
+    localStorage.setItem('rider_id', rider.id);
+    localStorage.setItem('rider_token', token);
+    return rider.id;
+}
+
 // Utility Functions
 function generateUUID() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
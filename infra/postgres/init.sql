@@ -112,3 +112,19 @@ CREATE UNIQUE INDEX idx_unique_active_trip_per_driver ON trips(driver_id) WHERE
 \i /docker-entrypoint-initdb.d/migrations/002_payment_retry_fields.sql
 \i /docker-entrypoint-initdb.d/migrations/003_add_tier_payment_method.sql
 \i /docker-entrypoint-initdb.d/migrations/004_state_transition_validation.sql
+\i /docker-entrypoint-initdb.d/migrations/005_ride_cancellation.sql
+\i /docker-entrypoint-initdb.d/migrations/006_trip_cancellation_reasons.sql
+\i /docker-entrypoint-initdb.d/migrations/007_trip_pauses.sql
+\i /docker-entrypoint-initdb.d/migrations/008_fare_quotes.sql
+\i /docker-entrypoint-initdb.d/migrations/009_vehicles.sql
+\i /docker-entrypoint-initdb.d/migrations/010_ride_offers.sql
+\i /docker-entrypoint-initdb.d/migrations/011_matching_rings.sql
+\i /docker-entrypoint-initdb.d/migrations/012_driver_last_seen.sql
+\i /docker-entrypoint-initdb.d/migrations/013_riders.sql
+\i /docker-entrypoint-initdb.d/migrations/014_trip_breadcrumbs.sql
+\i /docker-entrypoint-initdb.d/migrations/015_trip_arrived.sql
+\i /docker-entrypoint-initdb.d/migrations/016_psp_webhook_events.sql
+\i /docker-entrypoint-initdb.d/migrations/017_refunds.sql
+\i /docker-entrypoint-initdb.d/migrations/018_trip_payment_routing.sql
+\i /docker-entrypoint-initdb.d/migrations/019_rider_wallets.sql
+\i /docker-entrypoint-initdb.d/migrations/020_ride_offer_withdrawn.sql
@@ -0,0 +1,29 @@
+-- Migration: Rider-initiated ride cancellation and cancellation fees
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- Track why and when a ride was cancelled, and any fee charged for it
+ALTER TABLE rides
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS cancellation_fee NUMERIC(8,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+-- Cancellation fees are charged against the ride, which may not have a trip yet
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS ride_id UUID REFERENCES rides(id),
+  ALTER COLUMN trip_id DROP NOT NULL;
+
+DO $$ BEGIN
+  ALTER TABLE payments
+    ADD CONSTRAINT chk_payments_trip_or_ride
+    CHECK (trip_id IS NOT NULL OR ride_id IS NOT NULL);
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_payments_ride
+  ON payments(ride_id)
+  WHERE ride_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,79 @@
+-- Migration: Structured trip cancellation reasons
+-- Description: Persists why a trip was cancelled and records the reason in the
+--              state transition audit trail
+-- Date: 2026-10-18
+
+BEGIN;
+
+DO $$ BEGIN
+  CREATE TYPE trip_cancellation_reason AS ENUM (
+    'RIDER_NO_SHOW',
+    'SAFETY',
+    'VEHICLE_ISSUE',
+    'OTHER',
+    'RIDER_CANCELLED'
+  );
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS cancellation_reason_code trip_cancellation_reason,
+  ADD COLUMN IF NOT EXISTS cancellation_note TEXT,
+  ADD COLUMN IF NOT EXISTS cancelled_by TEXT,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+-- =========================================================
+-- AUDIT: transition reason / actor
+-- =========================================================
+
+-- Services describe a transition with transaction-local settings:
+--   SELECT set_config('app.transition_reason', 'SAFETY', true);
+--   SELECT set_config('app.transitioned_by', 'DRIVER', true);
+-- The trip trigger copies them into state_transition_audit.
+CREATE OR REPLACE FUNCTION validate_trip_state_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  valid_transitions TEXT[];
+BEGIN
+  -- Define allowed transitions based on current state
+  CASE OLD.status
+    WHEN 'CREATED' THEN
+      valid_transitions := ARRAY['STARTED', 'CANCELLED'];
+    WHEN 'STARTED' THEN
+      valid_transitions := ARRAY['PAUSED', 'ENDED', 'CANCELLED'];
+    WHEN 'PAUSED' THEN
+      valid_transitions := ARRAY['STARTED', 'ENDED', 'CANCELLED'];
+    WHEN 'ENDED' THEN
+      valid_transitions := ARRAY[]::TEXT[]; -- Terminal state
+    WHEN 'CANCELLED' THEN
+      valid_transitions := ARRAY[]::TEXT[]; -- Terminal state
+    ELSE
+      RAISE EXCEPTION 'Unknown trip state: %', OLD.status;
+  END CASE;
+
+  -- Check if transition is allowed
+  IF NOT (NEW.status = ANY(valid_transitions)) THEN
+    RAISE EXCEPTION 'Invalid trip state transition from % to %. Allowed: %',
+      OLD.status, NEW.status, valid_transitions;
+  END IF;
+
+  -- Log the transition
+  INSERT INTO state_transition_audit (
+    entity_type, entity_id, from_state, to_state,
+    transition_reason, transitioned_by, metadata
+  ) VALUES (
+    'TRIP', NEW.id, OLD.status, NEW.status,
+    NULLIF(current_setting('app.transition_reason', true), ''),
+    NULLIF(current_setting('app.transitioned_by', true), ''),
+    jsonb_build_object(
+      'ride_id', NEW.ride_id,
+      'driver_id', NEW.driver_id
+    )
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
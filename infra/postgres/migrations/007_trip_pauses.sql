@@ -0,0 +1,36 @@
+-- Migration: Trip pause intervals and waiting time
+-- Description: Records every pause so paused time can be charged at the
+--              waiting rate instead of the driving rate
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS trip_pauses (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  trip_id UUID NOT NULL,
+
+  paused_at TIMESTAMP NOT NULL DEFAULT now(),
+  resumed_at TIMESTAMP, -- NULL while the pause is still open
+
+  CONSTRAINT fk_trip_pauses_trip
+    FOREIGN KEY (trip_id)
+    REFERENCES trips(id),
+
+  CONSTRAINT chk_trip_pauses_order
+    CHECK (resumed_at IS NULL OR resumed_at >= paused_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_pauses_trip
+  ON trip_pauses(trip_id, paused_at);
+
+-- At most one open pause per trip
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_open_pause_per_trip
+  ON trip_pauses(trip_id)
+  WHERE resumed_at IS NULL;
+
+-- Total seconds spent PAUSED, accumulated on resume/end
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS waiting_sec INTEGER NOT NULL DEFAULT 0;
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Migration: Upfront fare quotes
+-- Description: Stores the quoted fare a ride was booked with; the final
+--              fare is capped at this amount
+-- Date: 2026-10-18
+
+BEGIN;
+
+ALTER TABLE rides
+  ADD COLUMN IF NOT EXISTS quoted_fare NUMERIC(8,2),
+  ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,46 @@
+-- Migration: Vehicles and tier eligibility
+-- Description: One vehicle per driver; its tier plus any lower tiers the
+--              driver opted in to decide which rides they are matched to
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS vehicles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  driver_id UUID NOT NULL UNIQUE,
+
+  make TEXT NOT NULL,
+  model TEXT NOT NULL,
+  plate TEXT NOT NULL UNIQUE,
+  capacity SMALLINT NOT NULL DEFAULT 4,
+
+  tier ride_tier NOT NULL,
+  eligible_tiers TEXT[] NOT NULL,
+
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT fk_vehicles_driver
+    FOREIGN KEY (driver_id)
+    REFERENCES drivers(id)
+    ON DELETE CASCADE,
+
+  CONSTRAINT chk_vehicles_capacity
+    CHECK (capacity BETWEEN 1 AND 8),
+
+  CONSTRAINT chk_vehicles_eligible_tiers
+    CHECK (
+      eligible_tiers <@ ARRAY['ECONOMY', 'PREMIUM', 'LUXURY']
+      AND tier::text = ANY(eligible_tiers)
+    )
+);
+
+-- Drivers onboarded before vehicles existed would otherwise serve no tier and
+-- never be matched: give each an ECONOMY placeholder until they register theirs
+INSERT INTO vehicles (driver_id, make, model, plate, tier, eligible_tiers)
+SELECT d.id, 'Unknown', 'Unknown', 'UNREGISTERED-' || d.id, 'ECONOMY', ARRAY['ECONOMY']
+FROM drivers d
+ON CONFLICT (driver_id) DO NOTHING;
+
+COMMIT;
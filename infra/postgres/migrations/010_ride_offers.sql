@@ -0,0 +1,53 @@
+-- Migration: Ride offers
+-- Description: Rides are offered to one driver at a time; the driver accepts,
+--              declines or lets the offer expire. Every outcome is kept.
+-- Date: 2026-10-18
+
+BEGIN;
+
+DO $$ BEGIN
+  CREATE TYPE ride_offer_status AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS ride_offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  ride_id UUID NOT NULL,
+  driver_id UUID NOT NULL,
+
+  status ride_offer_status NOT NULL DEFAULT 'PENDING',
+
+  offered_at TIMESTAMP NOT NULL DEFAULT now(),
+  expires_at TIMESTAMP NOT NULL,
+  responded_at TIMESTAMP, -- Set on accept/decline
+
+  CONSTRAINT fk_ride_offers_ride
+    FOREIGN KEY (ride_id)
+    REFERENCES rides(id),
+
+  CONSTRAINT fk_ride_offers_driver
+    FOREIGN KEY (driver_id)
+    REFERENCES drivers(id),
+
+  -- A ride is never offered to the same driver twice
+  CONSTRAINT uq_ride_offers_ride_driver
+    UNIQUE (ride_id, driver_id)
+);
+
+-- One open offer per ride and per driver
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_pending_offer_per_ride
+  ON ride_offers(ride_id)
+  WHERE status = 'PENDING';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_pending_offer_per_driver
+  ON ride_offers(driver_id)
+  WHERE status = 'PENDING';
+
+-- Expiry sweep
+CREATE INDEX IF NOT EXISTS idx_ride_offers_pending_expiry
+  ON ride_offers(expires_at)
+  WHERE status = 'PENDING';
+
+COMMIT;
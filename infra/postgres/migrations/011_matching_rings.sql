@@ -0,0 +1,16 @@
+-- Migration: Expanding-radius matching rings
+-- Description: Records the search ring (1 = innermost) and radius each offer
+--              was made in, and the ring that found the ride's driver
+-- Date: 2026-10-18
+
+BEGIN;
+
+ALTER TABLE ride_offers
+  ADD COLUMN IF NOT EXISTS ring SMALLINT,
+  ADD COLUMN IF NOT EXISTS radius_km NUMERIC(5,2);
+
+ALTER TABLE rides
+  ADD COLUMN IF NOT EXISTS match_ring SMALLINT,
+  ADD COLUMN IF NOT EXISTS match_radius_km NUMERIC(5,2);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Migration: Driver heartbeat
+-- Description: Records when each driver last sent a location ping; Redis
+--              (drivers:last_seen) is what matching and the stale sweeper read
+-- Date: 2026-10-18
+
+BEGIN;
+
+ALTER TABLE drivers
+  ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- Migration: Rider accounts
+-- Description: Riders table with unique phone/email, saved payment method and
+--              home/work places; new rides must reference a rider
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS riders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  email TEXT,
+  default_payment_method payment_method NOT NULL DEFAULT 'CARD',
+  home_place JSONB, -- { address, latitude, longitude }
+  work_place JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS riders_phone_key ON riders(phone);
+CREATE UNIQUE INDEX IF NOT EXISTS riders_email_key ON riders(lower(email));
+
+-- NOT VALID: rides created before rider accounts keep their bare rider_id
+DO $$ BEGIN
+  ALTER TABLE rides
+    ADD CONSTRAINT rides_rider_id_fkey FOREIGN KEY (rider_id) REFERENCES riders(id) NOT VALID;
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+COMMIT;
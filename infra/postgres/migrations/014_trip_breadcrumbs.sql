@@ -0,0 +1,42 @@
+-- Migration: Trip GPS breadcrumbs and routes
+-- Description: Records every location ping a driver sends while a trip is
+--              STARTED; the cleaned track sets the trip distance and is kept
+--              on the trip as an encoded polyline
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS trip_breadcrumbs (
+  id BIGSERIAL PRIMARY KEY, -- 1-2 rows per second per trip
+
+  trip_id UUID NOT NULL,
+
+  latitude DOUBLE PRECISION NOT NULL,
+  longitude DOUBLE PRECISION NOT NULL,
+  recorded_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT fk_trip_breadcrumbs_trip
+    FOREIGN KEY (trip_id)
+    REFERENCES trips(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trip_breadcrumbs_trip
+  ON trip_breadcrumbs(trip_id, recorded_at);
+
+-- Google encoded polyline (precision 5) of the cleaned track, set at end
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS route_polyline TEXT;
+
+-- Where distance_km came from: GPS track, driver app, or pickup-to-drop estimate
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS distance_source VARCHAR(10);
+
+DO $$ BEGIN
+  ALTER TABLE trips
+    ADD CONSTRAINT chk_trips_distance_source
+    CHECK (distance_source IS NULL OR distance_source IN ('GPS', 'CLIENT', 'ESTIMATE'));
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+COMMIT;
@@ -0,0 +1,70 @@
+-- Migration: Driver arrival
+-- Description: Adds the ARRIVED trip state between CREATED and STARTED and
+--              records when the driver reached the pickup point; the free
+--              waiting time (and no-show cancellation) counts from there
+-- Date: 2026-10-18
+
+-- A new enum value cannot be used in the transaction that adds it
+ALTER TYPE trip_status ADD VALUE IF NOT EXISTS 'ARRIVED' AFTER 'CREATED';
+
+BEGIN;
+
+ALTER TABLE trips
+  ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP;
+
+-- An arrived driver is still busy with the trip
+DROP INDEX IF EXISTS idx_unique_active_trip_per_driver;
+
+CREATE UNIQUE INDEX idx_unique_active_trip_per_driver
+  ON trips(driver_id)
+  WHERE status IN ('CREATED', 'ARRIVED', 'STARTED', 'PAUSED');
+
+-- Same as 006, plus ARRIVED (CREATED may still go straight to STARTED)
+CREATE OR REPLACE FUNCTION validate_trip_state_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  valid_transitions TEXT[];
+BEGIN
+  -- Define allowed transitions based on current state
+  CASE OLD.status
+    WHEN 'CREATED' THEN
+      valid_transitions := ARRAY['ARRIVED', 'STARTED', 'CANCELLED'];
+    WHEN 'ARRIVED' THEN
+      valid_transitions := ARRAY['STARTED', 'CANCELLED'];
+    WHEN 'STARTED' THEN
+      valid_transitions := ARRAY['PAUSED', 'ENDED', 'CANCELLED'];
+    WHEN 'PAUSED' THEN
+      valid_transitions := ARRAY['STARTED', 'ENDED', 'CANCELLED'];
+    WHEN 'ENDED' THEN
+      valid_transitions := ARRAY[]::TEXT[]; -- Terminal state
+    WHEN 'CANCELLED' THEN
+      valid_transitions := ARRAY[]::TEXT[]; -- Terminal state
+    ELSE
+      RAISE EXCEPTION 'Unknown trip state: %', OLD.status;
+  END CASE;
+
+  -- Check if transition is allowed
+  IF NOT (NEW.status = ANY(valid_transitions)) THEN
+    RAISE EXCEPTION 'Invalid trip state transition from % to %. Allowed: %',
+      OLD.status, NEW.status, valid_transitions;
+  END IF;
+
+  -- Log the transition
+  INSERT INTO state_transition_audit (
+    entity_type, entity_id, from_state, to_state,
+    transition_reason, transitioned_by, metadata
+  ) VALUES (
+    'TRIP', NEW.id, OLD.status, NEW.status,
+    NULLIF(current_setting('app.transition_reason', true), ''),
+    NULLIF(current_setting('app.transitioned_by', true), ''),
+    jsonb_build_object(
+      'ride_id', NEW.ride_id,
+      'driver_id', NEW.driver_id
+    )
+  );
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
@@ -0,0 +1,28 @@
+-- Migration: PSP webhook events
+-- Description: Records the ID of every PSP webhook event applied, so a
+--              redelivered or replayed event is acknowledged but not applied
+--              twice
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS psp_webhook_events (
+  event_id TEXT PRIMARY KEY, -- PSP event ID (evt_...)
+
+  payment_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+
+  -- false when the event arrived out of order and was not applied
+  applied BOOLEAN NOT NULL,
+
+  received_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT fk_psp_webhook_events_payment
+    FOREIGN KEY (payment_id)
+    REFERENCES payments(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_psp_webhook_events_payment
+  ON psp_webhook_events(payment_id, received_at);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Migration: Refunds
+-- Description: Full and partial refunds of captured payments. A refund is
+--              sent to the PSP by the outbox worker and settled by webhook;
+--              the payment becomes PARTIALLY_REFUNDED or REFUNDED once its
+--              refunds succeed
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID NOT NULL,
+  amount NUMERIC(8,2) NOT NULL,
+  reason TEXT,
+
+  -- PENDING → PROCESSING (sent to the PSP) → SUCCEEDED | FAILED
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  idempotency_key TEXT,
+  psp_refund_id TEXT,
+  psp_response JSONB,
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  failure_reason TEXT,
+
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT fk_refunds_payment
+    FOREIGN KEY (payment_id)
+    REFERENCES payments(id),
+  CONSTRAINT chk_refunds_amount_positive CHECK (amount > 0),
+  CONSTRAINT chk_refunds_status
+    CHECK (status IN ('PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment
+  ON refunds(payment_id, created_at);
+
+-- A retried request with the same key returns the refund it created
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_idempotency_key
+  ON refunds(payment_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- Migration: Trip payment routing
+-- Description: Payments record the ride's payment method (CARD/UPI through
+--              the PSP, WALLET debited internally, CASH collected by the
+--              driver and settled later), and a trip has at most one payment
+--              that has not failed
+-- Date: 2026-10-18
+
+BEGIN;
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS payment_method payment_method NOT NULL DEFAULT 'CARD',
+  -- Cash payments (COLLECTED_BY_DRIVER): when the driver handed the cash over
+  ADD COLUMN IF NOT EXISTS settled_at TIMESTAMP;
+
+-- Trip payments only: cancellation fees (ride_id set) created so far were charged by card
+UPDATE payments p
+SET payment_method = r.payment_method
+FROM trips t
+JOIN rides r ON r.id = t.ride_id
+WHERE p.trip_id = t.id
+  AND p.ride_id IS NULL
+  AND p.payment_method <> r.payment_method;
+
+-- One active payment per trip; a failed payment may be replaced
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_active_payment_per_trip
+  ON payments(trip_id)
+  WHERE trip_id IS NOT NULL AND status <> 'FAILED';
+
+-- Cash still to be settled with drivers
+CREATE INDEX IF NOT EXISTS idx_payments_cash_unsettled
+  ON payments(created_at)
+  WHERE status = 'COLLECTED_BY_DRIVER' AND settled_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,94 @@
+-- Migration: Rider wallets
+-- Description: Double-entry wallet ledger. Every wallet transaction writes
+--              two ledger entries that sum to zero: one on the rider's
+--              account and one on a system account (PSP clearing for top-ups,
+--              revenue for trip debits and refunds, promo for promotions).
+--              Top-ups are card payments credited when they complete.
+-- Date: 2026-10-18
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS wallet_accounts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rider_id UUID UNIQUE REFERENCES riders(id), -- NULL for system accounts
+  kind TEXT NOT NULL,
+  balance NUMERIC(10,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT chk_wallet_accounts_kind
+    CHECK (kind IN ('RIDER', 'PSP_CLEARING', 'REVENUE', 'PROMO')),
+  CONSTRAINT chk_wallet_accounts_rider
+    CHECK ((kind = 'RIDER') = (rider_id IS NOT NULL)),
+  -- Overdraft protection: a rider's wallet never goes below zero
+  CONSTRAINT chk_wallet_accounts_no_overdraft
+    CHECK (kind <> 'RIDER' OR balance >= 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_accounts_system
+  ON wallet_accounts(kind)
+  WHERE rider_id IS NULL;
+
+INSERT INTO wallet_accounts (kind)
+VALUES ('PSP_CLEARING'), ('REVENUE'), ('PROMO')
+ON CONFLICT DO NOTHING;
+
+-- Top-ups are payments of their own, charged through the PSP like trips
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS top_up_rider_id UUID REFERENCES riders(id),
+  DROP CONSTRAINT IF EXISTS chk_payments_trip_or_ride;
+
+DO $$ BEGIN
+  ALTER TABLE payments
+    ADD CONSTRAINT chk_payments_purpose
+    CHECK (trip_id IS NOT NULL OR ride_id IS NOT NULL OR top_up_rider_id IS NOT NULL);
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rider_id UUID NOT NULL REFERENCES riders(id),
+  type TEXT NOT NULL,
+  amount NUMERIC(10,2) NOT NULL,
+  payment_id UUID REFERENCES payments(id),
+  refund_id UUID REFERENCES refunds(id),
+  description TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT now(),
+
+  CONSTRAINT chk_wallet_transactions_type
+    CHECK (type IN ('TOP_UP', 'TRIP_DEBIT', 'REFUND_CREDIT', 'PROMO_CREDIT')),
+  CONSTRAINT chk_wallet_transactions_amount_positive CHECK (amount > 0)
+);
+
+-- A payment or refund is posted once, however often a worker or webhook retries
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_payment
+  ON wallet_transactions(type, payment_id)
+  WHERE payment_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_refund
+  ON wallet_transactions(refund_id)
+  WHERE refund_id IS NOT NULL;
+
+-- Wallet history, newest first
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_rider
+  ON wallet_transactions(rider_id, created_at DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS wallet_ledger_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  transaction_id UUID NOT NULL REFERENCES wallet_transactions(id),
+  account_id UUID NOT NULL REFERENCES wallet_accounts(id),
+
+  -- Signed: positive adds to the account's balance
+  amount NUMERIC(10,2) NOT NULL,
+  balance_after NUMERIC(10,2) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_transaction
+  ON wallet_ledger_entries(transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_entries_account
+  ON wallet_ledger_entries(account_id, created_at);
+
+COMMIT;
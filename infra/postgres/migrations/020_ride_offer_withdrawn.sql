@@ -0,0 +1,7 @@
+-- Migration: Withdrawn ride offers
+-- Description: Adds the WITHDRAWN offer state for offers closed because the
+--              rider cancelled the ride, so the driver is free for new offers
+--              at once instead of after the offer times out
+-- Date: 2026-10-19
+
+ALTER TYPE ride_offer_status ADD VALUE IF NOT EXISTS 'WITHDRAWN';